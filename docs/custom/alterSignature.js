@@ -17,6 +17,22 @@ const sigsToAlter = [
     name: 'io',
     signature: '',
   },
+  {
+    name: 'settled',
+    signature: '',
+  },
+  {
+    name: 'aggregate',
+    signature: '',
+  },
+  {
+    name: 'lazy',
+    signature: '',
+  },
+  {
+    name: 'asCompleted',
+    signature: '',
+  },
 ];
 
 fs.readFile('docs/out/AsyncAF.html', 'utf8').then(html => {
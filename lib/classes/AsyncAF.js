@@ -6,6 +6,8 @@ import {staticMethods, prototypeMethods} from '../../packageList';
  * class that holds all the AsyncAF methods
  *
  * while AsyncAF is a class, it can create instances with or without the `new` keyword
+ *
+ * besides arrays and array-like objects, array methods can be called on any iterable (e.g., a `Set`, a `Map`, or a generator) or async iterable (e.g., an async generator or a Node readable stream); iterables aren't read until the method is reached in the chain, and async iterables are read one value at a time; in series, mapAF, filterAF, forEachAF, reduceAF, findAF, findIndexAF, someAF, and everyAF pull each value only after the callback for the previous one settles (passing `undefined` as the array) and stop pulling once the result is known, while other methods read the async iterable to the end before processing its values as an array
  * @param {any} data the data to be wrapped by the AsyncAF class; can be promises or non-promises
  * @returns {Object} returns an instance of AsyncAF wrapping the passed in data
  * @example
@@ -15,6 +17,14 @@ import {staticMethods, prototypeMethods} from '../../packageList';
  *
  * AsyncAF(promises).mapAF(n => n * 2).filterAF(n => n !== 4).forEachAF(n => console.log(n));
  * // logs 2 then 6
+ *
+ *
+ * // async iterables, such as a paginated API
+ * async function* pages() {
+ *   for (let page = 1; page <= 3; page++) yield fetchPage(page);
+ * }
+ *
+ * AsyncAF(pages()).series.forEachAF(page => save(page));
  * @since 3.0.0
  * @see AsyncAfWrapper
  * @class AsyncAF
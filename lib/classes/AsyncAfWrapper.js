@@ -1,21 +1,51 @@
 import createNewlessClass from '../methods/_internal/createNewlessClass';
 import use from '../methods/other/use';
 import series from '../methods/other/series';
+import limit from '../methods/other/limit';
+import signal from '../methods/other/signal';
+import timeout from '../methods/other/timeout';
+import retry from '../methods/other/retry';
+import settled from '../methods/other/settled';
+import aggregate from '../methods/other/aggregate';
+import lazy from '../methods/other/lazy';
+import asCompleted from '../methods/other/asCompleted';
+import onProgress from '../methods/other/onProgress';
+import {raceAbort} from '../methods/_internal/abort';
+import {raceDeadline} from '../methods/_internal/timeout';
+import {stream, materialize} from '../methods/_internal/pipeline';
 
 const dataStore = new WeakMap();
 
+// the instance's data, raced against its abort signal and deadline, if any
+const settle = aaf => {
+  const {abortSignal, deadline, lazyPipeline} = aaf;
+  let data = lazyPipeline ? materialize(aaf) : dataStore.get(aaf);
+  if (abortSignal) data = raceAbort(data, abortSignal);
+  if (deadline) data = raceDeadline(data, deadline);
+  return data;
+};
+
 class AsyncAfWrapperProto {
   constructor(data) {
     dataStore.set(this, Promise.resolve(data));
   }
   then(resolve, reject) {
-    return this.constructor(dataStore.get(this).then(resolve, reject));
+    const {abortSignal, deadline} = this;
+    const next = this.constructor(settle(this).then(resolve, reject));
+    if (!reject) {
+      if (abortSignal) next.signal(abortSignal);
+      if (deadline) next.deadline = deadline;
+    }
+    return next;
   }
   catch(reject) {
     return this.then(null, reject);
   }
   finally(onFinally) {
-    return dataStore.get(this).finally(onFinally);
+    return settle(this).finally(onFinally);
+  }
+  [Symbol.asyncIterator]() {
+    return stream(this.lazyPipeline || {source: dataStore.get(this), stages: []}, this);
   }
 }
 
@@ -23,13 +53,22 @@ AsyncAfWrapperProto.use = use;
 
 Object.defineProperties(AsyncAfWrapperProto.prototype, {
   ...series,
+  ...limit,
+  ...signal,
+  ...timeout,
+  ...retry,
+  ...settled,
+  ...aggregate,
+  ...lazy,
+  ...asCompleted,
+  ...onProgress,
   [Symbol.toStringTag]: {value: 'AsyncAF'},
 });
 
 /**
  * empty AsyncAF class wrapper
  *
- * AsyncAfWrapper is one option for cherry-picking only the methods you'd like to use in your code; {@link AsyncAfWrapper#use use}, {@link AsyncAF#series series}, and {@link AsyncAF#io io} are the only methods initially available on AsyncAfWrapper; see example below
+ * AsyncAfWrapper is one option for cherry-picking only the methods you'd like to use in your code; {@link AsyncAfWrapper#use use} and the modifiers {@link AsyncAF#series series}, {@link AsyncAF#io io}, {@link AsyncAF#limit limit}, {@link AsyncAF#signal signal}, {@link AsyncAF#timeout timeout}, {@link AsyncAF#timeoutEach timeoutEach}, {@link AsyncAF#retry retry}, {@link AsyncAF#settled settled}, {@link AsyncAF#aggregate aggregate}, {@link AsyncAF#lazy lazy}, {@link AsyncAF#asCompleted asCompleted}, and {@link AsyncAF#onProgress onProgress} are the only methods initially available on AsyncAfWrapper; see example below
  *
  * **Note:** while AsyncAfWrapper is a class, it can create instances with or without the `new` keyword
  *
@@ -0,0 +1,51 @@
+/* global AbortController */
+import {AbortError} from './errors';
+
+const whenAbortedStore = new WeakMap();
+
+const abortReason = signal => (
+  signal.reason !== undefined ? signal.reason : AbortError('The operation was aborted')
+);
+
+const whenAborted = signal => {
+  if (!whenAbortedStore.has(signal)) whenAbortedStore.set(signal, new Promise((_, reject) => {
+    if (signal.aborted) return reject(abortReason(signal));
+    signal.addEventListener('abort', () => reject(abortReason(signal)), {once: true});
+  }));
+  return whenAbortedStore.get(signal);
+};
+
+const throwIfAborted = signal => {
+  if (signal && signal.aborted) throw abortReason(signal);
+};
+
+const raceAbort = (promise, signal) => Promise.race([promise, whenAborted(signal)]);
+
+const forwardSignal = (callback, signal) => (!signal ? callback : function signalled(...args) {
+  throwIfAborted(signal);
+  return callback.call(this, ...args, signal);
+});
+
+// a signal for callbacks that's aborted along with `signal` or, via abort(), once a method has its
+// answer and no longer needs their results
+const linkSignal = (signal, name) => {
+  if (!signal) return {signal, abort() {}};
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(abortReason(signal));
+  if (signal.aborted) onAbort();
+  else signal.addEventListener('abort', onAbort, {once: true});
+  return {
+    signal: controller.signal,
+    abort() {
+      signal.removeEventListener('abort', onAbort);
+      controller.abort(AbortError(`${name} has already settled`));
+    },
+  };
+};
+
+export {
+  linkSignal,
+  throwIfAborted,
+  raceAbort,
+  forwardSignal,
+};
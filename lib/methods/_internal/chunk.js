@@ -0,0 +1,14 @@
+// splits an array (or array-like) into arrays of `size` elements, the last of which may be shorter
+const chunk = (arr, size) => {
+  const chunks = [];
+  for (let i = 0; i < arr.length >>> 0; i += size)
+    chunks.push(Array.prototype.slice.call(arr, i, i + size));
+  return chunks;
+};
+
+const isValidSize = size => Number.isInteger(size) && size > 0;
+
+export {
+  chunk,
+  isValidSize,
+};
@@ -0,0 +1,60 @@
+import {parallel, serial} from './resolve';
+
+// the copy of the collection that each array of entries from resolveCollection stands in for
+const collections = new WeakMap();
+
+const isMap = obj => Object.prototype.toString.call(obj) === '[object Map]';
+const isSet = obj => Object.prototype.toString.call(obj) === '[object Set]';
+const isCollection = obj => isMap(obj) || isSet(obj);
+
+/*
+ * resolves a Map's values or a Set's elements (in parallel or in series) to an array of
+ * [key, value] pairs that array methods can run on in place of the collection; a Set's keys are
+ * its resolved elements, like Set.prototype.forEach
+ */
+const resolveCollection = (collection, inSeries) => {
+  const keys = Array.from(collection.keys());
+  return (inSeries ? serial : parallel)(Array.from(collection.values())).then(values => {
+    const entries = values.map((value, i) => [isMap(collection) ? keys[i] : value, value]);
+    collections.set(entries, isMap(collection) ? new Map(entries) : new Set(values));
+    return entries;
+  });
+};
+
+// for entries from resolveCollection, a callback that's called with (value, key, collection) in
+// place of (entry, index, entries); any other callback is returned as is
+const collectionCallback = (arr, callback) => {
+  if (!collections.has(arr) || typeof callback !== 'function') return callback;
+  const collection = collections.get(arr);
+  return function keyedCallback([key, value], i, entries, ...rest) {
+    return callback.call(this, value, key, collection, ...rest);
+  };
+};
+
+// puts entries back into the same type of collection arr's entries came from
+const toCollection = (arr, entries) => (isMap(collections.get(arr))
+  ? new Map(entries)
+  : new Set(entries.map(([, value]) => value)));
+
+// the results of mapping arr, in a collection of the same type if arr's entries came from one
+const mappedCollection = (arr, mapped) => (!collections.has(arr)
+  ? mapped
+  : toCollection(arr, arr.map(([key], i) => [key, mapped[i]])));
+
+// the entries of arr that were kept by filtering, in a collection if arr's entries came from one
+const filteredCollection = (arr, kept) => (!collections.has(arr) ? kept : toCollection(arr, kept));
+
+const isCollectionEntries = arr => collections.has(arr);
+
+// the copy of the collection, with its values resolved, that entries from resolveCollection stand in for
+const collectionOf = arr => collections.get(arr);
+
+export {
+  isCollection,
+  resolveCollection,
+  collectionCallback,
+  mappedCollection,
+  filteredCollection,
+  isCollectionEntries,
+  collectionOf,
+};
@@ -0,0 +1,22 @@
+/* global AggregateError */
+// extending Error doesn't survive transpiling to ES5, so tag plain Errors with a name instead
+const createErrorType = name => (message, details = {}) => Object.assign(
+  Error(message), {name}, details,
+);
+
+const AbortError = createErrorType('AbortError');
+const TimeoutError = createErrorType('TimeoutError');
+const FallbackAggregateError = createErrorType('AggregateError');
+
+const toAggregateError = (message, failures) => {
+  const errors = failures.map(({error}) => error);
+  return typeof AggregateError === 'function'
+    ? Object.assign(new AggregateError(errors, message), {failures})
+    : FallbackAggregateError(message, {errors, failures});
+};
+
+export {
+  AbortError,
+  TimeoutError,
+  toAggregateError,
+};
@@ -0,0 +1,19 @@
+import {parallel, serial} from './resolve';
+
+// resolves the elements of arr, and of any arrays among them up to depth levels deep, flattening
+// them like Array.prototype.flat (holes are dropped)
+const flatten = (arr, depth, inSeries) => (inSeries ? serial : parallel)(arr).then(resolved => {
+  const elements = Array.prototype.filter.call(resolved, () => true);
+  const flattenElement = el => (depth >= 1 && Array.isArray(el)
+    ? flatten(el, depth - 1, inSeries)
+    : Promise.resolve([el]));
+  return (inSeries
+    ? elements.reduce((flat, el) => flat.then(flat => flattenElement(el).then(
+      nested => flat.concat(nested),
+    )), Promise.resolve([]))
+    : Promise.all(elements.map(flattenElement))
+      .then(nested => [].concat(...nested))
+  );
+});
+
+export default flatten;
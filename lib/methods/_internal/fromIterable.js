@@ -0,0 +1,74 @@
+import permissiveIsArrayLike from './permissiveIsArrayLike';
+import {throwIfAborted} from './abort';
+
+const isIterable = obj => obj != null && typeof obj[Symbol.iterator] === 'function';
+const isAsyncIterable = obj => obj != null && typeof obj[Symbol.asyncIterator] === 'function';
+
+// pulls one value at a time, closing the iterator early if the signal is aborted between pulls
+const collect = (iterable, signal) => {
+  const iterator = iterable[Symbol.asyncIterator]();
+  const arr = [];
+  return (function next() {
+    return Promise.resolve(iterator.next()).then(({done, value}) => {
+      if (done) return arr;
+      arr.push(value);
+      if (signal && signal.aborted) {
+        if (typeof iterator.return === 'function') iterator.return();
+        throwIfAborted(signal);
+      }
+      return next();
+    });
+  }());
+};
+
+// arrays and array-likes pass through untouched; anything else that isn't iterable is also
+// returned as is so each method can reject with its own TypeError; strings are split into their
+// characters like other iterables unless the method handles `strings` itself, and with `pull`,
+// async iterables are returned as is, for pullSerially
+const fromIterable = (obj, signal, {pull = false, strings = false} = {}) => {
+  if (typeof obj === 'string') return strings ? obj : Array.from(obj);
+  if (permissiveIsArrayLike(obj)) return obj;
+  if (isAsyncIterable(obj)) return pull ? obj : collect(obj, signal);
+  if (isIterable(obj)) return Array.from(obj);
+  return obj;
+};
+
+// whether a method can pull from an async iterable as its callbacks settle rather than reading
+// it to the end first; only in series, and not when settled or aggregate need every outcome
+const pullsInSeries = aaf => Boolean(aaf.inSeries && !aaf.settledMode && !aaf.aggregateMode);
+
+// whether fromIterable left an async iterable to be pulled from
+const isPulled = obj => !permissiveIsArrayLike(obj) && isAsyncIterable(obj);
+
+/*
+ * calls visit with each value pulled from an async iterable (once the value resolves) and its
+ * index, pulling the next value only after the result of visit resolves; stops pulling and closes
+ * the iterator as soon as visit returns (or resolves to) a truthy value, resolving to that value's
+ * [index, value], or resolves to [-1] once the iterable is done
+ */
+const pullSerially = (iterable, visit, signal) => {
+  const iterator = iterable[Symbol.asyncIterator]();
+  const close = () => Promise.resolve(typeof iterator.return === 'function' && iterator.return())
+    .catch(() => {});
+  const next = i => Promise.resolve(iterator.next()).then(({done, value}) => (done ? [-1] : Promise
+    .resolve(value)
+    .then(value => {
+      throwIfAborted(signal);
+      return Promise.resolve(visit(value, i)).then(stop => {
+        if (stop) return close().then(() => [i, value]);
+        throwIfAborted(signal);
+        return next(i + 1);
+      });
+    })));
+  return next(0).catch(reason => close().then(() => {
+    throw reason;
+  }));
+};
+
+export {
+  pullsInSeries,
+  isPulled,
+  pullSerially,
+};
+
+export default fromIterable;
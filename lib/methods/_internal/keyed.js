@@ -0,0 +1,19 @@
+import {parallel, serial} from './resolve';
+
+// resolves each element and then to an {el, key, i} entry for each one (skipping holes), where key
+// is what mapper returned (or resolved to) for it; mappers are invoked in series, or in parallel
+// with at most `limit` running at a time
+const keyed = (arr, mapper, thisArg, {inSeries, limit}) => (inSeries
+  ? serial(arr).then(arr => arr.reduce((entries, el, i, arr) => entries.then(entries => (
+    Promise.resolve(mapper.call(thisArg, el, i, arr)).then(key => {
+      entries.push({el, key, i});
+      return entries;
+    })
+  )), Promise.resolve([])))
+  : parallel(arr).then(arr => parallel(arr, mapper, thisArg, limit).then(keys => {
+    const entries = [];
+    Array.prototype.forEach.call(arr, (el, i) => entries.push({el, key: keys[i], i}));
+    return entries;
+  })));
+
+export default keyed;
@@ -0,0 +1,64 @@
+import {parallel, serial} from './resolve';
+import {forwardSignal} from './abort';
+
+// merges two sorted runs, taking from the left run on ties to keep the sort stable
+const merge = (left, right, compare) => {
+  const merged = [];
+  const next = (i, j) => {
+    if (i === left.length || j === right.length)
+      return merged.concat(left.slice(i), right.slice(j));
+    return Promise.resolve(compare(left[i], right[j])).then(order => {
+      if (order > 0) {
+        merged.push(right[j]);
+        return next(i, j + 1);
+      }
+      merged.push(left[i]);
+      return next(i + 1, j);
+    });
+  };
+  return new Promise(resolve => resolve(next(0, 0)));
+};
+
+// a bottom-up merge sort for comparators that may return a promise; each pass merges pairs of
+// runs in parallel (or one pair at a time in series), so it takes at most n * log2(n) comparisons
+const mergeSort = (arr, compare, inSeries) => (function sortPass(runs) {
+  if (runs.length <= 1) return Promise.resolve(runs[0] || []);
+  const pairs = [];
+  for (let i = 0; i < runs.length; i += 2) pairs.push(runs.slice(i, i + 2));
+  const mergePair = ([left, right = []]) => merge(left, right, compare);
+  return (inSeries
+    ? pairs.reduce((merged, pair) => merged.then(merged => mergePair(pair).then(run => (
+      merged.concat([run])
+    ))), Promise.resolve([]))
+    : Promise.all(pairs.map(mergePair))
+  ).then(sortPass);
+}(arr.map(el => [el])));
+
+// native sort's default order: compares elements as strings
+const compareStrings = (a, b) => {
+  const x = String(a);
+  const y = String(b);
+  if (x < y) return -1;
+  return x > y ? 1 : 0;
+};
+
+// resolves the elements of an array and sorts them like native sort, moving undefined elements
+// and then holes to the end without comparing them
+const sortElements = (arr, compareFn, {inSeries, abortSignal}) => {
+  const compare = compareFn ? forwardSignal(compareFn, abortSignal) : compareStrings;
+  return (inSeries ? serial(arr) : parallel(arr)).then(arr => {
+    const defined = [];
+    let undefineds = 0;
+    Array.prototype.forEach.call(arr, el => (el === undefined ? undefineds++ : defined.push(el)));
+    return mergeSort(defined, compare, inSeries).then(sorted => {
+      const result = sorted.concat(Array(undefineds).fill(undefined));
+      result.length = arr.length >>> 0;
+      return result;
+    });
+  });
+};
+
+export {
+  mergeSort,
+  sortElements,
+};
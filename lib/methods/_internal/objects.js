@@ -0,0 +1,45 @@
+import wrapCallback from './wrapCallback';
+import {parallel, serial} from './resolve';
+
+const isObject = obj => Object(obj) === obj;
+
+const notAnObject = (name, obj) => TypeError(`${name} cannot be called on ${obj}, only on an Object`);
+
+// resolves an object's own enumerable string-keyed values, in parallel or in series, to [key, value] pairs
+const resolveEntries = (obj, inSeries) => {
+  const keys = Object.keys(obj);
+  return (inSeries ? serial : parallel)(keys.map(key => obj[key]))
+    .then(values => keys.map((key, i) => [key, values[i]]));
+};
+
+// like Object.fromEntries, every key (even __proto__) becomes an own property of a new plain object
+const toObject = entries => entries.reduce((obj, [key, value]) => Object.defineProperty(obj, key, {
+  value,
+  writable: true,
+  enumerable: true,
+  configurable: true,
+}), {});
+
+// calls callback with (value, key, object) for each resolved entry, in parallel or in series,
+// resolving to an Array of the results in the same order as the entries; object defaults to a
+// plain object made from the entries
+const mapEntries = (entries, callback, thisArg, aaf, obj = toObject(entries)) => {
+  const cb = wrapCallback(callback, aaf, {total: entries.length});
+  const call = ([key, value]) => cb.call(thisArg, value, key, obj);
+  return aaf.inSeries
+    ? entries.reduce((results, entry, i) => results.then(results => (
+      Promise.resolve(call(entry)).then(result => {
+        results[i] = result;
+        return results;
+      })
+    )), Promise.resolve(Array(entries.length)))
+    : parallel(entries, call, undefined, aaf.concurrency);
+};
+
+export {
+  isObject,
+  notAnObject,
+  resolveEntries,
+  toObject,
+  mapEntries,
+};
@@ -0,0 +1,199 @@
+import permissiveIsArrayLike from './permissiveIsArrayLike';
+import wrapCallback from './wrapCallback';
+import {throwIfAborted, raceAbort} from './abort';
+import {raceDeadline} from './timeout';
+import {isCollection} from './collections';
+
+const SKIP = {};
+const materialized = new WeakMap();
+
+// a (sync or async) iterator of [index, element] pairs; holes in sparse arrays are skipped
+const entries = (data, name) => {
+  if (permissiveIsArrayLike(data)) {
+    const length = data.length >>> 0;
+    let i = 0;
+    return {
+      next() {
+        while (i < length && !(i in Object(data))) i++;
+        return i < length ? {done: false, value: [i, data[i++]]} : {done: true};
+      },
+    };
+  }
+  const isAsync = data != null && typeof data[Symbol.asyncIterator] === 'function';
+  if (!isAsync && !(data != null && typeof data[Symbol.iterator] === 'function')) throw TypeError(
+    name
+      ? `${name} cannot be called on ${data}, only on an Array, array-like Object, or iterable`
+      : `${data} is not iterable`,
+  );
+  const iterator = isAsync ? data[Symbol.asyncIterator]() : data[Symbol.iterator]();
+  let i = 0;
+  return {
+    next: () => Promise.resolve(iterator.next()).then(({done, value}) => (
+      done ? {done} : {done, value: [i++, value]}
+    )),
+    return: () => typeof iterator.return === 'function' && iterator.return(),
+  };
+};
+
+const runStage = ({type, callback, thisArg}, value, i) => (type === 'filterAF'
+  ? Promise.resolve(callback.call(thisArg, value, i, undefined)).then(keep => (keep ? value : SKIP))
+  : Promise.resolve(callback.call(thisArg, value, i, undefined)).then(mapped => (
+    type === 'mapAF' ? mapped : value
+  )));
+
+/*
+ * Maps and Sets keep their keys and type through mapAF and filterAF, which a stream of elements
+ * can't, so stages over one run one after another as the methods they stand in for; forEachAF
+ * passes the collection through unchanged, as it does elements in a stream
+ */
+const throughCollection = (data, stages, AsyncAF) => stages.reduce((result, stage) => result
+  .then(data => {
+    const {type, callback, thisArg, limit} = stage;
+    let aaf = AsyncAF(data);
+    if (limit === 1) aaf = aaf.series;
+    else if (limit !== undefined) aaf = aaf.limit(limit);
+    return type === 'forEachAF'
+      ? aaf.forEachAF(callback, thisArg).then(() => data)
+      : aaf[type](callback, thisArg);
+  }), Promise.resolve(data));
+
+/*
+ * pulls elements from the source one at a time, sends each through every stage before its result
+ * is yielded and keeps at most `window` elements in flight; results are yielded in source order,
+ * or as each one is ready if any stage was chained after asCompleted
+ */
+const stream = ({source, stages: fused}, {abortSignal, deadline, constructor: AsyncAF} = {}) => {
+  let stages = fused;
+  const limits = stages.map(({limit}) => limit).filter(limit => limit !== undefined);
+  const window = limits.length ? Math.min(...limits) : 1;
+  const unordered = stages.some(({unordered}) => unordered);
+  const queue = [];
+  let iterator;
+  let exhausted = false;
+  let finished = false;
+  let pulling = source.then(data => {
+    if (!stages.length || !isCollection(data)) return data;
+    stages = [];
+    return throughCollection(data, fused, AsyncAF);
+  }).then(data => {
+    iterator = entries(data, stages.length ? stages[0].type : undefined);
+  });
+
+  const close = () => {
+    finished = true;
+    if (iterator && !exhausted && iterator.return)
+      Promise.resolve().then(() => iterator.return()).catch(() => {});
+  };
+
+  const pull = () => {
+    pulling = pulling.then(() => {
+      if (exhausted) return {done: true};
+      throwIfAborted(abortSignal);
+      return Promise.resolve(iterator.next()).then(({done, value}) => {
+        if (done) exhausted = true;
+        return done ? {done} : {done, i: value[0], value: value[1]};
+      });
+    });
+    return pulling;
+  };
+
+  const runStages = (value, i) => stages.reduce((result, stage) => result.then(value => (
+    value === SKIP ? SKIP : runStage(stage, value, i)
+  )), Promise.resolve(value));
+
+  const fill = () => {
+    while (!exhausted && queue.length < window) {
+      const result = pull().then(({done, value, i}) => (done ? {done} : Promise.resolve(value)
+        .then(value => runStages(value, i))
+        .then(value => ({done, value}))));
+      // rejections are reported when their turn comes, or not at all once the iterator is closed
+      result.catch(() => {});
+      queue.push(result);
+    }
+  };
+
+  const pipelineIterator = {
+    next() {
+      if (finished) return Promise.resolve({done: true, value: undefined});
+      fill();
+      if (!queue.length) {
+        finished = true;
+        return Promise.resolve({done: true, value: undefined});
+      }
+      const tagged = (unordered ? queue : queue.slice(0, 1))
+        .map(result => result.then(settled => ({result, settled})));
+      let first = Promise.race(tagged);
+      if (abortSignal) first = raceAbort(first, abortSignal);
+      if (deadline) first = raceDeadline(first, deadline);
+      return first.then(({result, settled: {done, value}}) => {
+        queue.splice(queue.indexOf(result), 1);
+        return done || value === SKIP ? pipelineIterator.next() : {done, value};
+      }, reason => {
+        close();
+        throw reason;
+      });
+    },
+    return(value) {
+      close();
+      return Promise.resolve({done: true, value});
+    },
+    [Symbol.asyncIterator]() {
+      return this;
+    },
+  };
+  return pipelineIterator;
+};
+
+// runs a lazy instance's pipeline to completion once, however many times it's awaited
+const materialize = aaf => {
+  const {lazyPipeline: {source, stages}, abortSignal} = aaf;
+  if (!stages.length) return source;
+  if (!materialized.has(aaf)) {
+    const drained = source.then(data => {
+      if (isCollection(data)) return throughCollection(data, stages, aaf.constructor);
+      const iterator = stream({source: Promise.resolve(data), stages}, {abortSignal});
+      const results = [];
+      return (function drain() {
+        return iterator.next().then(({done, value}) => {
+          if (done) return results;
+          results.push(value);
+          return drain();
+        });
+      }());
+    });
+    const last = stages[stages.length - 1];
+    materialized.set(aaf, last && last.type === 'forEachAF' ? drained.then(() => {}) : drained);
+  }
+  return materialized.get(aaf);
+};
+
+// settled and aggregate need every outcome at once, so they end the pipeline like other methods
+const fusable = aaf => Boolean(aaf.lazyPipeline && !aaf.settledMode && !aaf.aggregateMode);
+
+// adds a stage to a lazy instance's pipeline, returning a new lazy instance without running anything
+const pipe = (aaf, type, callback, thisArg) => {
+  if (typeof callback !== 'function')
+    return aaf.constructor(Promise.reject(TypeError(`${callback} is not a function`)));
+  const {lazyPipeline: {source, stages}, abortSignal, deadline} = aaf;
+  const next = aaf.constructor();
+  next.lazyPipeline = {
+    source,
+    stages: [...stages, {
+      type,
+      callback: wrapCallback(callback, aaf),
+      thisArg,
+      limit: aaf.inSeries ? 1 : aaf.concurrency,
+      unordered: aaf.completionOrder,
+    }],
+  };
+  if (abortSignal) next.signal(abortSignal);
+  if (deadline) next.deadline = deadline;
+  return next;
+};
+
+export {
+  stream,
+  materialize,
+  fusable,
+  pipe,
+};
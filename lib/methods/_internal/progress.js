@@ -0,0 +1,25 @@
+// the number of elements a callback will be invoked on by methods that skip holes
+const countElements = arr => Array.prototype.reduce.call(arr, count => count + 1, 0);
+
+const reportProgress = (callback, onProgress, elementArg, total) => {
+  if (!onProgress) return callback;
+  let done = 0;
+  const report = (index, outcome) => onProgress({
+    done: ++done, total, index, ...outcome,
+  });
+  return function reported(...args) {
+    const index = args[elementArg + 1];
+    return new Promise(resolve => resolve(callback.apply(this, args))).then(value => {
+      report(index, {value});
+      return value;
+    }, error => {
+      report(index, {error});
+      throw error;
+    });
+  };
+};
+
+export {
+  countElements,
+  reportProgress,
+};
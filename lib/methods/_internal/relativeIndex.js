@@ -0,0 +1,17 @@
+// converts an argument to an integer like native array methods do, with NaN becoming 0
+const toInteger = value => {
+  const integer = Math.trunc(Number(value));
+  return Number.isNaN(integer) ? 0 : integer;
+};
+
+// converts a start or end argument to an index in an array of `length`, counting back from the
+// end if it's negative, and clamped to the array's bounds
+const relativeIndex = (value, length) => {
+  const integer = toInteger(value);
+  return integer < 0 ? Math.max(length + integer, 0) : Math.min(integer, length);
+};
+
+export {
+  toInteger,
+  relativeIndex,
+};
@@ -0,0 +1,58 @@
+import wrapCallback from './wrapCallback';
+import {parallel} from './resolve';
+
+const escapeRegExp = str => str.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&');
+
+// the arguments native replace would pass a replacer for each match, in the order they're found
+const collectMatches = (str, pattern) => {
+  const matches = [];
+  String.prototype.replace.call(str, pattern, (...args) => {
+    matches.push(args);
+    return '';
+  });
+  return matches;
+};
+
+// offset comes before the whole string, which comes before the named groups, if there are any
+const offsetOf = args => args[args.length - (typeof args[args.length - 1] === 'string' ? 2 : 3)];
+
+/*
+ * runs replacer for every match (in parallel, or in series if aaf is), then splices each result
+ * back in where its match was; a replacement that isn't a function is left to native replace
+ */
+const replaceMatches = (name, str, pattern, replacement, {all = false} = {}, aaf) => {
+  if (typeof str !== 'string')
+    throw TypeError(`${name} may be called on a string but was called on ${str}`);
+  if (all && pattern instanceof RegExp && !pattern.global)
+    throw TypeError(`${name} must be called with a global RegExp but was called with ${pattern}`);
+  const search = all && !(pattern instanceof RegExp)
+    ? RegExp(escapeRegExp(String(pattern)), 'g')
+    : pattern;
+  if (typeof replacement !== 'function') return String.prototype.replace.call(str, search, replacement);
+  const matches = collectMatches(str, search);
+  const cb = wrapCallback(
+    (args, i, matches, ...extra) => replacement(...args, ...extra),
+    aaf,
+    {total: matches.length},
+  );
+  const replaced = aaf.inSeries
+    ? matches.reduce((results, args, i) => results.then(results => (
+      Promise.resolve(cb(args, i, matches)).then(result => {
+        results[i] = result;
+        return results;
+      })
+    )), Promise.resolve(Array(matches.length)))
+    : parallel(matches, cb, undefined, aaf.concurrency);
+  return replaced.then(results => {
+    let last = 0;
+    const parts = matches.map((args, i) => {
+      const offset = offsetOf(args);
+      const part = `${str.slice(last, offset)}${results[i]}`;
+      last = offset + args[0].length;
+      return part;
+    });
+    return `${parts.join('')}${str.slice(last)}`;
+  });
+};
+
+export default replaceMatches;
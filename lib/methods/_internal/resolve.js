@@ -11,12 +11,128 @@ const serial = arr => (function resolveSerially(resolved, i) {
   });
 }(Array(arr.length >>> 0), 0));
 
-const parallel = (arr, mapper, thisArg = undefined) => promiseAllWithHoles(arr, el => el)
-  .then(!mapper ? undefined : arr => promiseAllWithHoles(
-    Array.prototype.map.call(arr, mapper, thisArg),
-  ));
+const pool = (arr, mapper, thisArg, limit) => new Promise((resolve, reject) => {
+  const length = arr.length >>> 0;
+  const result = Array(length);
+  let running = 0;
+  let rejected = false;
+  let i = 0;
+  const runNext = () => {
+    while (i < length && !(i in arr)) i++;
+    if (rejected || i >= length) return running || resolve(result);
+    const idx = i++;
+    running++;
+    new Promise(resolve => resolve(mapper.call(thisArg, arr[idx], idx, arr))).then(value => {
+      result[idx] = value;
+      running--;
+      runNext();
+    }, reason => {
+      rejected = true;
+      reject(reason);
+    });
+  };
+  let workers = Math.min(limit, length);
+  if (!workers) return resolve(result);
+  while (workers--) runNext();
+});
+
+// maps each element as soon as it resolves, collecting results in the order they settle
+const asCompleted = (arr, mapper, thisArg = undefined, limit = Infinity) => new Promise((
+  resolve, reject,
+) => {
+  const results = [];
+  const ready = [];
+  let pending = 0;
+  let running = 0;
+  let rejected = false;
+  const fail = reason => {
+    rejected = true;
+    reject(reason);
+  };
+  const run = ([el, i]) => {
+    running++;
+    new Promise(resolve => resolve(mapper.call(thisArg, el, i, undefined))).then(value => {
+      results.push(value);
+      running--;
+      if (!--pending) return resolve(results);
+      runReady(); // eslint-disable-line no-use-before-define
+    }, fail);
+  };
+  const runReady = () => {
+    while (!rejected && running < limit && ready.length) run(ready.shift());
+  };
+  Array.prototype.forEach.call(arr, (el, i) => {
+    pending++;
+    Promise.resolve(el).then(el => {
+      ready.push([el, i]);
+      runReady();
+    }, fail);
+  });
+  if (!pending) resolve(results);
+});
+
+const parallel = (arr, mapper, thisArg = undefined, limit = Infinity) => promiseAllWithHoles(
+  arr, el => el,
+).then(!mapper ? undefined : arr => (limit < (arr.length >>> 0)
+  ? pool(arr, mapper, thisArg, limit)
+  : promiseAllWithHoles(Array.prototype.map.call(arr, mapper, thisArg))
+));
+
+/*
+ * resolves every element like parallel, then invokes mapper on them (skipping holes) until the
+ * index of an element whose result passes `test` is known, without waiting for the rest; if
+ * `inOrder`, that's the lowest such index once every element before it has settled (or, if
+ * `fromEnd`, the highest once every element after it has settled), otherwise whichever is first;
+ * resolves to -1 if none pass, and calls onSettle once the answer is known
+ */
+const parallelFind = (arr, mapper, {
+  thisArg, limit = Infinity, test, inOrder, fromEnd, onSettle = () => {},
+}) => promiseAllWithHoles(arr, el => el).then(arr => new Promise((resolve, reject) => {
+  const length = arr.length >>> 0;
+  const passed = Array(length);
+  // callbacks are started, and their results checked, in order of position: from the start of
+  // the array or, if fromEnd, from the end
+  const at = pos => (fromEnd ? length - 1 - pos : pos);
+  let first = 0;
+  let running = 0;
+  let i = 0;
+  let found = false;
+  const settle = (fn, value) => {
+    if (found) return;
+    found = true;
+    fn(value);
+    onSettle();
+  };
+  const checkFirst = () => {
+    while (first < length && (!(at(first) in arr) || at(first) in passed)) {
+      if (passed[at(first)]) return settle(resolve, at(first));
+      first++;
+    }
+    if (first >= length) settle(resolve, -1);
+  };
+  const run = idx => {
+    running++;
+    new Promise(resolve => resolve(mapper.call(thisArg, arr[idx], idx, arr))).then(result => {
+      running--;
+      passed[idx] = Boolean(test(result));
+      if (inOrder) checkFirst();
+      else if (passed[idx]) settle(resolve, idx);
+      runNext(); // eslint-disable-line no-use-before-define
+    }, reason => settle(reject, reason));
+  };
+  const runNext = () => {
+    while (!found && running < limit && i < length) {
+      while (i < length && !(at(i) in arr)) i++;
+      if (i < length) run(at(i++));
+    }
+    if (!found && !running && i >= length) settle(resolve, -1);
+  };
+  runNext();
+}));
 
 export {
   serial,
   parallel,
+  asCompleted,
+  parallelFind,
 };
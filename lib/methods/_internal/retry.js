@@ -0,0 +1,32 @@
+import {throwIfAborted} from './abort';
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const backoffDelay = ({backoff, jitter}, attempt, reason) => {
+  const ms = typeof backoff === 'function'
+    ? backoff(attempt, reason)
+    : backoff * (2 ** (attempt - 1));
+  return ms * (1 - (Number(jitter) * Math.random()));
+};
+
+// attempt is passed after the signal slot (undefined if no signal is set) so its position is fixed
+const retryEach = (callback, options, elementArg, signal) => {
+  if (!options) return callback;
+  const {attempts, retryIf} = options;
+  const attemptArg = elementArg + 4;
+  return function retried(...args) {
+    const base = args.slice(0, attemptArg);
+    base.length = attemptArg;
+    const attempt = n => new Promise(resolve => resolve(callback.call(this, ...base, n)))
+      .catch(reason => Promise.resolve(n < attempts && retryIf(reason, n)).then(retry => {
+        if (!retry) throw reason;
+        return wait(backoffDelay(options, n, reason));
+      }).then(() => {
+        throwIfAborted(signal);
+        return attempt(n + 1);
+      }));
+    return attempt(1);
+  };
+};
+
+export default retryEach;
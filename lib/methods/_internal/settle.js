@@ -0,0 +1,71 @@
+import {parallel, serial} from './resolve';
+import {toAggregateError} from './errors';
+import {isCollectionEntries} from './collections';
+
+const fulfilled = value => ({status: 'fulfilled', value});
+const rejected = reason => ({status: 'rejected', reason});
+const settle = promise => Promise.resolve(promise).then(fulfilled, rejected);
+
+const settledMap = (arr, mapper, thisArg, inSeries, limit) => (inSeries ? serial : parallel)(
+  Array.prototype.map.call(arr, settle),
+).then(records => {
+  const values = records.map(({value}) => value);
+  const settleRecord = (record, i) => (record.status === 'rejected'
+    ? record
+    : settle(new Promise(resolve => resolve(mapper.call(thisArg, record.value, i, values)))));
+  return inSeries
+    ? records.reduce((results, record, i) => results.then(results => settleRecord(record, i)
+      .then(record => {
+        results[i] = record;
+        return results;
+      })), Promise.resolve(Array(records.length)))
+    : parallel(records, settleRecord, undefined, limit);
+});
+
+// a mapper that also records each resolved element it's called with in elements
+const tracking = (mapper, elements) => function tracked(el, i, ...rest) {
+  elements[i] = el;
+  return mapper.call(this, el, i, ...rest);
+};
+
+// resolves to [record, index] pairs, in order, for each element that passes the test, whose
+// record holds the element, and for each element or test that rejected
+const settledFilter = (arr, test, thisArg, inSeries, limit) => {
+  const elements = Array(arr.length >>> 0);
+  return settledMap(arr, tracking(test, elements), thisArg, inSeries, limit)
+    .then(records => records.reduce((kept, {status, value}, i) => {
+      if (status === 'rejected') kept.push([records[i], i]);
+      else if (value) kept.push([fulfilled(elements[i]), i]);
+      return kept;
+    }, []));
+};
+
+// resolves to [results, resolved elements] or rejects with every failure once all have settled
+const aggregateMap = (name, arr, mapper, thisArg, inSeries, limit) => {
+  const elements = Array(arr.length >>> 0);
+  return settledMap(arr, tracking(mapper, elements), thisArg, inSeries, limit).then(records => {
+    const failures = [];
+    records.forEach(({status, reason}, i) => {
+      if (status !== 'rejected') return;
+      const element = i in elements ? elements[i] : arr[i];
+      // a Map's or Set's entries stand in for it, so report the value callbacks saw and its key
+      failures.push(isCollectionEntries(arr)
+        ? {index: i, key: element[0], element: element[1], error: reason}
+        : {index: i, element, error: reason});
+    });
+    if (failures.length) throw toAggregateError(
+      `${name} failed for ${failures.length} of ${arr.length >>> 0} elements (at ${
+        failures.length > 1 ? 'indices' : 'index'
+      } ${failures.map(({index}) => index).join(', ')})`,
+      failures,
+    );
+    return [records.map(({value}) => value), elements];
+  });
+};
+
+export {
+  settle,
+  settledMap,
+  settledFilter,
+  aggregateMap,
+};
@@ -0,0 +1,35 @@
+import {TimeoutError} from './errors';
+
+const raceTimeout = (promise, ms, createError) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(createError()), ms);
+  promise.then(value => {
+    clearTimeout(timer);
+    resolve(value);
+  }, reason => {
+    clearTimeout(timer);
+    reject(reason);
+  });
+});
+
+const raceDeadline = (promise, {ms, at}) => raceTimeout(
+  promise,
+  Math.max(at - Date.now(), 0),
+  () => TimeoutError(`AsyncAF timed out after ${ms} ms`),
+);
+
+const timeEach = (callback, ms, elementArg) => {
+  if (ms === undefined) return callback;
+  return function timed(...args) {
+    const [element, index] = args.slice(elementArg);
+    return raceTimeout(
+      new Promise(resolve => resolve(callback.apply(this, args))),
+      ms,
+      () => TimeoutError(`callback timed out after ${ms} ms at index ${index}`, {index, element}),
+    );
+  };
+};
+
+export {
+  raceDeadline,
+  timeEach,
+};
@@ -0,0 +1,8 @@
+// keeps the first entry for each key, comparing keys with SameValueZero (like includesAF) by way
+// of a Set, so NaN matches NaN and -0 matches +0
+const uniqueBy = entries => {
+  const seen = new Set();
+  return entries.filter(({key}) => !seen.has(key) && seen.add(key)).map(({el}) => el);
+};
+
+export default uniqueBy;
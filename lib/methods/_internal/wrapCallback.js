@@ -0,0 +1,19 @@
+import {forwardSignal} from './abort';
+import {timeEach} from './timeout';
+import retryEach from './retry';
+import {reportProgress} from './progress';
+
+// applies the per-callback modifiers set on an AsyncAF instance (e.g., signal, timeoutEach, retry);
+// elementArg is the position of currentValue in the callback's arguments (1 for reduce callbacks)
+// total is the number of callbacks the method expects to invoke, for onProgress, and signal
+// replaces the instance's signal when a method links its own to it
+const wrapCallback = (callback, aaf, {elementArg = 0, total, signal} = {}) => {
+  const {itemTimeout, retryOptions, progressCallback} = aaf;
+  const abortSignal = signal || aaf.abortSignal;
+  const timed = timeEach(callback, itemTimeout, elementArg);
+  const retried = retryEach(timed, retryOptions, elementArg, abortSignal);
+  const reported = reportProgress(retried, progressCallback, elementArg, total);
+  return forwardSignal(reported, abortSignal);
+};
+
+export default wrapCallback;
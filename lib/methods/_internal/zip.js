@@ -0,0 +1,42 @@
+import permissiveIsArrayLike from './permissiveIsArrayLike';
+import fromIterable from './fromIterable';
+import {parallel, serial} from './resolve';
+
+// a trailing plain object that isn't array-like, iterable, or thenable is taken as options rather
+// than something to zip
+const isOptions = value => value != null
+  && typeof value === 'object'
+  && [Object.prototype, null].includes(Object.getPrototypeOf(value))
+  && !('length' in value)
+  && !['then', Symbol.iterator, Symbol.asyncIterator].some(key => typeof value[key] === 'function');
+
+const splitOptions = args => (args.length && isOptions(args[args.length - 1])
+  ? [args.slice(0, -1), args[args.length - 1]]
+  : [args, {}]);
+
+// resolves each input (which may be a promise, an instance of AsyncAF, or an iterable) and its
+// elements, then groups the elements at each index into an array
+const zip = (name, inputs, {longest = false}, {inSeries, abortSignal}) => {
+  const resolveInput = input => Promise.resolve(input)
+    .then(data => fromIterable(data, abortSignal))
+    .then(arr => {
+      if (!permissiveIsArrayLike(arr)) throw TypeError(
+        `${name} cannot zip ${arr}, only Arrays, array-like Objects, or iterables`,
+      );
+      return (inSeries ? serial : parallel)(arr);
+    });
+  return (inSeries
+    ? inputs.reduce((arrs, input) => arrs.then(arrs => resolveInput(input).then(arr => (
+      arrs.concat([arr])
+    ))), Promise.resolve([]))
+    : Promise.all(inputs.map(resolveInput))
+  ).then(arrs => {
+    const length = Math[longest ? 'max' : 'min'](...arrs.map(arr => arr.length >>> 0));
+    return Array.from({length}, (_, i) => arrs.map(arr => arr[i]));
+  });
+};
+
+export {
+  splitOptions,
+  zip,
+};
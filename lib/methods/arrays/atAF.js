@@ -0,0 +1,39 @@
+import permissiveIsArrayLike from '../_internal/permissiveIsArrayLike';
+import fromIterable from '../_internal/fromIterable';
+import {toInteger} from '../_internal/relativeIndex';
+
+/**
+ * resolves to the element (or character) at the given index of an array, string, or array-like object, counting back from the end if the index is negative
+ *
+ * when called on an array or array-like object, only that element is resolved if it's a `Promise`
+ *
+ * @param {Number} index the index of the element; a negative index counts back from the end of the array/string
+ * @returns {Promise.<any>} `Promise` that resolves to the element (or single UTF-16 code unit string) at `index`, or `undefined` if there isn't one
+ * @example
+ *
+ * const nums = [1, 2, 3].map(n => Promise.resolve(n));
+ *
+ * AsyncAF(nums).atAF(0); // Promise that resolves to 1
+ *
+ * AsyncAF(nums).atAF(-1); // Promise that resolves to 3
+ *
+ * const str = Promise.resolve('splitAF');
+ *
+ * AsyncAF(str).atAF(-2); // Promise that resolves to 'A'
+ * @since 7.1.0
+ * @see at (alias)
+ * @memberof AsyncAF#
+ */
+const atAF = function (index) {
+  return this.then(data => fromIterable(data, this.abortSignal, {strings: true})).then(arrOrStr => {
+    if (!permissiveIsArrayLike(arrOrStr)) throw TypeError(
+      `atAF cannot be called on ${arrOrStr}, only on an Array, String, array-like Object, or iterable`,
+    );
+    const length = arrOrStr.length >>> 0;
+    const relative = toInteger(index);
+    const i = relative < 0 ? length + relative : relative;
+    return i < 0 || i >= length ? undefined : arrOrStr[i];
+  });
+};
+
+export default atAF;
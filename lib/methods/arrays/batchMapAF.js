@@ -0,0 +1,68 @@
+import permissiveIsArrayLike from '../_internal/permissiveIsArrayLike';
+import fromIterable from '../_internal/fromIterable';
+import wrapCallback from '../_internal/wrapCallback';
+import {parallel, serial} from '../_internal/resolve';
+import {chunk, isValidSize} from '../_internal/chunk';
+
+/**
+ * creates a new `Array` with the results of calling a provided function on batches of the original array's elements, e.g., to send them to an API that accepts a limited number of items per request
+ *
+ * the array is split into batches of `size` elements like {@link AsyncAF#chunkAF chunkAF}, and `callback` is invoked once for each batch; it must return (or resolve to) an `Array` with one result for each element of its batch, and the results are flattened back into a single `Array` in the same order as the original elements
+ *
+ * if any elements are a `Promise`, they will first be resolved in parallel and then processed; batches are processed in parallel too, so to keep the number of requests in flight down, chain {@link AsyncAF#limit limit}, e.g., `limit(2).batchMapAF(100, callback)`
+ *
+ * *Note*: if you'd rather resolve elements and process batches one after another, consider using `series.batchMapAF` or its alias, `io.batchMapAF`
+ *
+ * @param {Number} size the number of elements in each batch; must be a positive integer
+ * @param {Function} callback function that produces the results for a batch of elements
+ *
+ * `callback` accepts up to four arguments:
+ * - `batch` an `Array` of the elements in the current batch
+ * - `index`*`(optional)`* index of `batch` in the array of batches
+ * - `batches`*`(optional)`* the array of batches
+ * - `signal`*`(optional)`* the `AbortSignal` set with {@link AsyncAF#signal signal}, if any
+ * @param {Object=} thisArg value to use as `this` when executing `callback`
+ * @returns {Promise.<Array>} `Promise` that resolves to a new `Array` with a result for each original element
+ * @example
+ *
+ * // fetchUsers accepts up to 100 IDs and returns a Promise that resolves to the user for each one
+ * AsyncAF(ids).batchMapAF(100, batch => fetchUsers(batch));
+ * // Promise that resolves to the user for each ID, after fetching them 100 at a time
+ *
+ * AsyncAF([1, 2, 3].map(n => Promise.resolve(n))).series.batchMapAF(2, batch => batch.map(n => n * 2));
+ * // Promise that resolves to [2, 4, 6], after invoking callback with [1, 2] and then [3]
+ * @since 7.1.0
+ * @see batchMap (alias)
+ * @see {@link AsyncAF#chunkAF chunkAF}
+ * @see {@link AsyncAF#series series.batchMapAF}
+ * @memberof AsyncAF#
+ */
+const batchMapAF = function (size, callback, thisArg = undefined) {
+  return this.then(data => fromIterable(data, this.abortSignal)).then(arr => {
+    if (!permissiveIsArrayLike(arr)) throw TypeError(
+      `batchMapAF cannot be called on ${arr}, only on an Array, array-like Object, or iterable`,
+    );
+    if (!isValidSize(size)) throw TypeError(`batchMapAF's size must be a positive integer but was ${size}`);
+    if (typeof callback !== 'function') throw TypeError(`${callback} is not a function`);
+    return (this.inSeries ? serial : parallel)(arr).then(arr => {
+      const batches = chunk(arr, size);
+      const cb = wrapCallback(callback, this, {total: batches.length});
+      return (this.inSeries
+        ? batches.reduce((results, batch, i) => results.then(results => (
+          Promise.resolve(cb.call(thisArg, batch, i, batches)).then(result => {
+            results[i] = result;
+            return results;
+          })
+        )), Promise.resolve(Array(batches.length)))
+        : parallel(batches, cb, thisArg, this.concurrency)
+      ).then(results => results.reduce((mapped, result, i) => {
+        if (!Array.isArray(result) || result.length !== batches[i].length) throw TypeError(
+          `batchMapAF's callback must resolve to an Array with a result for each of the ${batches[i].length} elements in its batch but resolved to ${result} for the batch at index ${i}`,
+        );
+        return mapped.concat(result);
+      }, []));
+    });
+  });
+};
+
+export default batchMapAF;
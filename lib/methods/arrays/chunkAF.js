@@ -0,0 +1,36 @@
+import permissiveIsArrayLike from '../_internal/permissiveIsArrayLike';
+import fromIterable from '../_internal/fromIterable';
+import {parallel, serial} from '../_internal/resolve';
+import {chunk, isValidSize} from '../_internal/chunk';
+
+/**
+ * splits an array into a new `Array` of chunks of the specified size; if the array can't be split evenly, the last chunk will contain the remaining elements
+ *
+ * if any elements are a `Promise`, they will first be resolved in parallel and then chunked
+ *
+ * *Note*: if you'd rather resolve elements in series, consider using `series.chunkAF` or its alias, `io.chunkAF`; to process each chunk with an async function, see {@link AsyncAF#batchMapAF batchMapAF}
+ *
+ * @param {Number} size the number of elements in each chunk; must be a positive integer
+ * @returns {Promise.<Array>} `Promise` that resolves to a new `Array` of chunks
+ * @example
+ *
+ * const nums = [1, 2, 3, 4, 5].map(n => Promise.resolve(n));
+ *
+ * AsyncAF(nums).chunkAF(2); // Promise that resolves to [[1, 2], [3, 4], [5]]
+ * @since 7.1.0
+ * @see chunk (alias)
+ * @see {@link AsyncAF#batchMapAF batchMapAF}
+ * @see {@link AsyncAF#series series.chunkAF}
+ * @memberof AsyncAF#
+ */
+const chunkAF = function (size) {
+  return this.then(data => fromIterable(data, this.abortSignal)).then(arr => {
+    if (!permissiveIsArrayLike(arr)) throw TypeError(
+      `chunkAF cannot be called on ${arr}, only on an Array, array-like Object, or iterable`,
+    );
+    if (!isValidSize(size)) throw TypeError(`chunkAF's size must be a positive integer but was ${size}`);
+    return (this.inSeries ? serial : parallel)(arr).then(arr => chunk(arr, size));
+  });
+};
+
+export default chunkAF;
@@ -1,20 +1,30 @@
 import callback from '../_internal/commonCallback'; // eslint-disable-line no-unused-vars
 import permissiveIsArrayLike from '../_internal/permissiveIsArrayLike';
-import {parallel} from '../_internal/resolve';
+import fromIterable, {pullsInSeries, isPulled, pullSerially} from '../_internal/fromIterable';
+import wrapCallback from '../_internal/wrapCallback';
+import {linkSignal} from '../_internal/abort';
+import {countElements} from '../_internal/progress';
+import {parallelFind} from '../_internal/resolve';
+import {isCollection, resolveCollection, collectionCallback} from '../_internal/collections';
 
 /**
  * tests whether all elements in the array pass the test implemented by the provided callback function
  *
  * if any elements are a `Promise`, they will first be resolved in parallel and then tested
  *
- * *Note*: since `everyAF` is run in parallel, `callback` will be run on all elements even if one of the first few elements fails the test; if this behavior is not desireable, consider using `series.everyAF` or its alias, `io.everyAF`
+ * when called on a `Map` or `Set`, `callback` is passed `(value, key, collection)` like the collection's own `forEach`, where a `Set`'s keys are its elements and `collection` is a copy with its values resolved
+ *
+ * `everyAF` resolves to `false` as soon as any element fails the test, without waiting for the rest of the callbacks to settle
+ *
+ * *Note*: since `everyAF` is run in parallel, `callback` will still be invoked on every element; to stop invoking it once an element fails, set a {@link AsyncAF#limit limit} (no further callbacks are started once the result is known) or consider using `series.everyAF` or its alias, `io.everyAF`; if a {@link AsyncAF#signal signal} is set, the `signal` passed to callbacks that are still running is aborted once the result is known
  *
  * @param {callback} callback function that tests each element of the array
  *
- * `callback` accepts three arguments:
+ * `callback` accepts up to four arguments:
  * - `currentValue` value of the current element being processed in the array
  * - `index`*`(optional)`* index of `currentValue` in the array
  * - `array`*`(optional)`* the array that `everyAF` is being applied to
+ * - `signal`*`(optional)`* the `AbortSignal` set with {@link AsyncAF#signal signal}, if any
  * @param {Object=} thisArg value to use as `this` when executing `callback`
  * @returns {Promise.<Boolean>} `Promise` that resolves to `true` if the callback function returns a truthy value for every array element; otherwise, `false`
  * @example
@@ -49,18 +59,30 @@ import {parallel} from '../_internal/resolve';
  * @memberof AsyncAF#
  */
 const everyAF = function (callback, thisArg = undefined) {
-  return this.then(arr => {
-    if (!permissiveIsArrayLike(arr)) throw TypeError(
-      `everyAF cannot be called on ${arr}, only on an Array or array-like Object`,
+  return this.then(data => (isCollection(data)
+    ? resolveCollection(data, this.inSeries)
+    : fromIterable(data, this.abortSignal, {pull: pullsInSeries(this)}))).then(arr => {
+    if (!permissiveIsArrayLike(arr) && !isPulled(arr)) throw TypeError(
+      `everyAF cannot be called on ${arr}, only on an Array, array-like Object, or iterable`,
     );
     if (typeof callback !== 'function') throw TypeError(`${callback} is not a function`);
+    if (isPulled(arr)) {
+      const cb = wrapCallback(callback, this);
+      return pullSerially(arr, (el, i) => Promise.resolve(cb.call(thisArg, el, i, undefined))
+        .then(bool => !bool), this.abortSignal).then(([i]) => i === -1);
+    }
+    const link = linkSignal(!this.inSeries && this.abortSignal, 'everyAF');
+    const cb = wrapCallback(collectionCallback(arr, callback), this, {
+      total: countElements(arr),
+      signal: link.signal,
+    });
     const length = arr.length >>> 0;
     return this.inSeries
       ? (!length && true) || (function seriesEveryAF(arr, i) {
         const hole = !(i in arr);
         return Promise.resolve(arr[i]).then(el => {
           arr[i] = el;
-          return Promise.resolve(!hole && callback.call(thisArg, el, i, arr))
+          return Promise.resolve(!hole && cb.call(thisArg, el, i, arr))
             .then(bool => {
               if (!bool && !hole) return false;
               if (i === length - 1) return true;
@@ -68,7 +90,9 @@ const everyAF = function (callback, thisArg = undefined) {
             });
         });
       }(Array.prototype.slice.call(arr), 0))
-      : parallel(arr, callback, thisArg).then(bools => bools.every(Boolean));
+      : parallelFind(arr, cb, {
+        thisArg, limit: this.concurrency, test: bool => !bool, onSettle: link.abort,
+      }).then(i => i === -1);
   });
 };
 
@@ -0,0 +1,45 @@
+import permissiveIsArrayLike from '../_internal/permissiveIsArrayLike';
+import fromIterable from '../_internal/fromIterable';
+import {parallel, serial} from '../_internal/resolve';
+import {relativeIndex} from '../_internal/relativeIndex';
+
+/**
+ * creates a new `Array` with the elements of the original array from `start` up to, but not including, `end` changed to `value`, without changing the original array
+ *
+ * if `value` or any of the other elements are a `Promise`, they will first be resolved in parallel; holes outside of the filled portion are preserved
+ *
+ * *Note*: if you'd rather resolve elements in series, consider using `series.fillAF` or its alias, `io.fillAF`
+ *
+ * @param {any} value the value to fill the array with
+ * @param {Number=} start the index at which to start filling; a negative index counts back from the end of the array; defaults to `0`
+ * @param {Number=} end the index before which to stop filling; a negative index counts back from the end of the array; defaults to the length of the array
+ * @returns {Promise.<Array>} `Promise` that resolves to a new, filled `Array`
+ * @example
+ *
+ * const nums = [1, 2, 3, 4].map(n => Promise.resolve(n));
+ *
+ * AsyncAF(nums).fillAF(0, 2); // Promise that resolves to [1, 2, 0, 0]
+ *
+ * AsyncAF(nums).fillAF(Promise.resolve(9), 1, -1); // Promise that resolves to [1, 9, 9, 4]
+ * @since 7.1.0
+ * @see fill (alias)
+ * @see {@link AsyncAF#series series.fillAF}
+ * @memberof AsyncAF#
+ */
+const fillAF = function (value, start = 0, end = undefined) {
+  return this.then(data => fromIterable(data, this.abortSignal)).then(arr => {
+    if (!permissiveIsArrayLike(arr)) throw TypeError(
+      `fillAF cannot be called on ${arr}, only on an Array, array-like Object, or iterable`,
+    );
+    const length = arr.length >>> 0;
+    const filled = Array.prototype.slice.call(arr);
+    filled.length = length;
+    const to = end === undefined ? length : relativeIndex(end, length);
+    for (let i = relativeIndex(start, length); i < to; i++) filled[i] = value;
+    return (this.inSeries ? serial : parallel)(filled);
+  });
+};
+
+Object.defineProperty(fillAF, 'length', {value: 1});
+
+export default fillAF;
@@ -1,22 +1,37 @@
 import callback from '../_internal/commonCallback'; // eslint-disable-line no-unused-vars
 import permissiveIsArrayLike from '../_internal/permissiveIsArrayLike';
+import fromIterable, {pullsInSeries, isPulled, pullSerially} from '../_internal/fromIterable';
+import wrapCallback from '../_internal/wrapCallback';
+import {countElements} from '../_internal/progress';
+import {fusable, pipe} from '../_internal/pipeline';
 import {parallel, serial} from '../_internal/resolve';
+import {settledFilter, aggregateMap} from '../_internal/settle';
+import {
+  isCollection,
+  resolveCollection,
+  collectionCallback,
+  filteredCollection,
+  isCollectionEntries,
+} from '../_internal/collections';
 
 /**
  * creates a new `Array` with all elements that pass the test implemented by the provided callback function
  *
  * if any elements are a `Promise`, they will first be resolved in parallel and then tested
  *
+ * when called on a `Map` or `Set`, filterAF resolves to a new collection of the same type with only the entries (or elements) that pass the test; `callback` is then passed `(value, key, collection)` like the collection's own `forEach`, where a `Set`'s keys are its elements and `collection` is a copy with its values resolved
+ *
  * *Note*: if you'd rather resolve and test elements in series, consider using `series.filterAF` or its alias, `io.filterAF`
  *
  * @param {callback} callback function that tests each element of the array; return `true` to keep the element, `false` to filter it out
  *
- * `callback` accepts three arguments:
+ * `callback` accepts up to four arguments:
  * - `currentValue` value of the current element being processed in the array
  * - `index`*`(optional)`* index of `currentValue` in the array
  * - `array`*`(optional)`* the array that `filterAF` is being applied to
+ * - `signal`*`(optional)`* the `AbortSignal` set with {@link AsyncAF#signal signal}, if any
  * @param {Object=} thisArg value to use as `this` when executing `callback`
- * @returns {Promise.<Array>} `Promise` that resolves to a new `Array` with the elements that pass the test; if no elements pass the test, the promise will resolve to an empty array
+ * @returns {Promise.<Array|Map|Set>} `Promise` that resolves to a new `Array` (or `Map` or `Set`) with the elements that pass the test; if no elements pass the test, the promise will resolve to an empty array
  * @example
  *
  * const promises = [1, 2, 3].map(n => Promise.resolve(n));
@@ -43,25 +58,54 @@ import {parallel, serial} from '../_internal/resolve';
  *   );
  *   console.log(odds); // logs [1, 3]
  * })();
+ *
+ *
+ * // on a Set
+ * const ids = new Set([1, 2, 3].map(n => Promise.resolve(n)));
+ *
+ * AsyncAF(ids).filterAF(id => id % 2); // Promise that resolves to Set {1, 3}
  * @since 3.0.0
  * @see filter (alias)
  * @see {@link AsyncAF#series series.filterAF}
+ * @see {@link AsyncAF#aggregate aggregate.filterAF}
  * @memberof AsyncAF#
  */
 const filterAF = function (callback, thisArg = undefined) {
-  return this.then(arr => {
-    if (!permissiveIsArrayLike(arr)) throw TypeError(
-      `filterAF cannot be called on ${arr}, only on an Array or array-like Object`,
+  if (fusable(this)) return pipe(this, 'filterAF', callback, thisArg);
+  return this.then(data => (isCollection(data)
+    ? resolveCollection(data, this.inSeries)
+    : fromIterable(data, this.abortSignal, {pull: pullsInSeries(this)}))).then(arr => {
+    if (!permissiveIsArrayLike(arr) && !isPulled(arr)) throw TypeError(
+      `filterAF cannot be called on ${arr}, only on an Array, array-like Object, or iterable`,
     );
     if (typeof callback !== 'function') throw TypeError(`${callback} is not a function`);
+    if (isPulled(arr)) {
+      const cb = wrapCallback(callback, this);
+      const filtered = [];
+      return pullSerially(arr, (el, i) => Promise.resolve(cb.call(thisArg, el, i, undefined))
+        .then(bool => {
+          if (bool) filtered.push(el);
+        }), this.abortSignal).then(() => filtered);
+    }
+    const cb = wrapCallback(collectionCallback(arr, callback), this, {total: countElements(arr)});
+    if (this.settledMode) return settledFilter(arr, cb, thisArg, this.inSeries, this.concurrency)
+      .then(kept => filteredCollection(arr, kept.map(([record, i]) => {
+        if (!isCollectionEntries(arr)) return record;
+        // callbacks were passed each entry's value, so that's what a kept entry's record holds
+        const [key, value] = arr[i];
+        return [key, record.status === 'rejected' ? record : {status: 'fulfilled', value}];
+      })));
+    if (this.aggregateMode) return aggregateMap('filterAF', arr, cb, thisArg, this.inSeries, this.concurrency)
+      .then(([bools, elements]) => filteredCollection(arr, elements.filter((_, i) => bools[i])));
     return (this.inSeries ? serial : parallel)(arr).then(arr => (
       this.inSeries
         ? arr.reduce((bools, el, i, arr) => bools.then(bools => {
-          bools[i] = callback.call(thisArg, el, i, arr);
+          bools[i] = cb.call(thisArg, el, i, arr);
           return Promise.all(bools);
         }), Promise.all([]))
-        : parallel(arr, callback, thisArg)
-    ).then(bools => arr.filter((_, i) => bools[i])));
+        : parallel(arr, cb, thisArg, this.concurrency)
+    ).then(bools => arr.filter((_, i) => bools[i])))
+      .then(kept => filteredCollection(arr, kept));
   });
 };
 
@@ -1,18 +1,24 @@
 import callback from '../_internal/commonCallback'; // eslint-disable-line no-unused-vars
 import permissiveIsArrayLike from '../_internal/permissiveIsArrayLike';
-import {parallel} from '../_internal/resolve';
+import fromIterable, {pullsInSeries, isPulled, pullSerially} from '../_internal/fromIterable';
+import wrapCallback from '../_internal/wrapCallback';
+import {linkSignal} from '../_internal/abort';
+import {parallelFind} from '../_internal/resolve';
 
 /**
  * resolves to the value of the first element in the array that satisfies the provided callback function; otherwise, `undefined`
  *
- * *Note*: since `findAF` is run in parallel, `callback` will be run on all elements even if one of the first few elements passes the test; if this behavior is not desireable, consider using `series.findAF` or its alias, `io.findAF`
+ * `findAF` resolves as soon as an element passes the test and the callbacks for every element before it have settled, without waiting for the callbacks for the elements after it
+ *
+ * *Note*: since `findAF` is run in parallel, `callback` will still be invoked on every element; to stop invoking it once the result is known, set a {@link AsyncAF#limit limit} or consider using `series.findAF` or its alias, `io.findAF`; if a {@link AsyncAF#signal signal} is set, the `signal` passed to callbacks that are still running is aborted once the result is known
  *
  * @param {callback} callback function to test each element in the array
  *
- * `callback` accepts three arguments:
+ * `callback` accepts up to four arguments:
  * - `currentValue` value of the current element being processed in the array
  * - `index`*`(optional)`* index of `currentValue` in the array
  * - `array`*`(optional)`* the array that findAF is being applied to
+ * - `signal`*`(optional)`* the `AbortSignal` set with {@link AsyncAF#signal signal}, if any
  * @param {Object=} thisArg value to use as `this` when executing `callback`
  * @returns {Promise.<any>} `Promise` that resolves to the first element in the array that passes the test; otherwise, undefined
  * @example
@@ -31,25 +37,35 @@ import {parallel} from '../_internal/resolve';
  * @memberof AsyncAF#
  */
 const findAF = function (callback, thisArg = undefined) {
-  return this.then(arr => {
-    if (!permissiveIsArrayLike(arr)) throw TypeError(
-      `findAF cannot be called on ${arr}, only on an Array or array-like Object`,
+  const pull = pullsInSeries(this);
+  return this.then(data => fromIterable(data, this.abortSignal, {pull})).then(arr => {
+    if (!permissiveIsArrayLike(arr) && !isPulled(arr)) throw TypeError(
+      `findAF cannot be called on ${arr}, only on an Array, array-like Object, or iterable`,
     );
     if (typeof callback !== 'function') throw TypeError(`${callback} is not a function`);
+    if (isPulled(arr)) {
+      const cb = wrapCallback(callback, this);
+      return pullSerially(arr, (el, i) => cb.call(thisArg, el, i, undefined), this.abortSignal)
+        .then(([, el]) => el);
+    }
+    const link = linkSignal(!this.inSeries && this.abortSignal, 'findAF');
+    const cb = wrapCallback(callback, this, {total: arr.length >>> 0, signal: link.signal});
     const filled = Array.from(arr);
     const length = filled.length >>> 0;
     return this.inSeries
       ? (length || undefined) && (function seriesFindAF(arr, i) {
         return Promise.resolve(arr[i]).then(el => {
           arr[i] = el;
-          return Promise.resolve(callback.call(thisArg, el, i, arr)).then(bool => {
+          return Promise.resolve(cb.call(thisArg, el, i, arr)).then(bool => {
             if (bool) return el;
             if (i === length - 1) return;
             return seriesFindAF(arr, i + 1);
           });
         });
       }(filled, 0))
-      : parallel(filled, callback, thisArg).then(bools => arr[bools.indexOf(true)]);
+      : parallelFind(filled, cb, {
+        thisArg, limit: this.concurrency, test: Boolean, inOrder: true, onSettle: link.abort,
+      }).then(i => filled[i]);
   });
 };
 
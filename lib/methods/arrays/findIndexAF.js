@@ -1,18 +1,24 @@
 import callback from '../_internal/commonCallback'; // eslint-disable-line no-unused-vars
 import permissiveIsArrayLike from '../_internal/permissiveIsArrayLike';
-import {parallel} from '../_internal/resolve';
+import fromIterable, {pullsInSeries, isPulled, pullSerially} from '../_internal/fromIterable';
+import wrapCallback from '../_internal/wrapCallback';
+import {linkSignal} from '../_internal/abort';
+import {parallelFind} from '../_internal/resolve';
 
 /**
  * resolves to the index of the first element in the array that satisfies the provided callback function; otherwise, `-1`
  *
- * *Note*: since `findIndexAF` is run in parallel, `callback` will be run on all indices even if one of the first few indices passes the test; if this behavior is not desireable, consider using `series.findIndexAF` or its alias, `io.findIndexAF`
+ * `findIndexAF` resolves as soon as an element passes the test and the callbacks for every index before it have settled, without waiting for the callbacks for the indices after it
+ *
+ * *Note*: since `findIndexAF` is run in parallel, `callback` will still be invoked on every index; to stop invoking it once the result is known, set a {@link AsyncAF#limit limit} or consider using `series.findIndexAF` or its alias, `io.findIndexAF`; if a {@link AsyncAF#signal signal} is set, the `signal` passed to callbacks that are still running is aborted once the result is known
  *
  * @param {callback} callback function to test each element in the array
  *
- * `callback` accepts three arguments:
+ * `callback` accepts up to four arguments:
  * - `currentValue` value of the current element being processed in the array
  * - `index`*`(optional)`* index of `currentValue` in the array
  * - `array`*`(optional)`* the array that findIndexAF is being applied to
+ * - `signal`*`(optional)`* the `AbortSignal` set with {@link AsyncAF#signal signal}, if any
  * @param {Object=} thisArg value to use as `this` when executing `callback`
  * @returns {Promise.<Number>} `Promise` that resolves to the index of the first element in the array that passes the test; otherwise, `-1`
  * @example
@@ -31,25 +37,35 @@ import {parallel} from '../_internal/resolve';
  * @memberof AsyncAF#
  */
 const findIndexAF = function (callback, thisArg = undefined) {
-  return this.then(arr => {
-    if (!permissiveIsArrayLike(arr)) throw TypeError(
-      `findIndexAF cannot be called on ${arr}, only on an Array or array-like Object`,
+  const pull = pullsInSeries(this);
+  return this.then(data => fromIterable(data, this.abortSignal, {pull})).then(arr => {
+    if (!permissiveIsArrayLike(arr) && !isPulled(arr)) throw TypeError(
+      `findIndexAF cannot be called on ${arr}, only on an Array, array-like Object, or iterable`,
     );
     if (typeof callback !== 'function') throw TypeError(`${callback} is not a function`);
+    if (isPulled(arr)) {
+      const cb = wrapCallback(callback, this);
+      return pullSerially(arr, (el, i) => cb.call(thisArg, el, i, undefined), this.abortSignal)
+        .then(([i]) => i);
+    }
+    const link = linkSignal(!this.inSeries && this.abortSignal, 'findIndexAF');
+    const cb = wrapCallback(callback, this, {total: arr.length >>> 0, signal: link.signal});
     const filled = Array.from(arr);
     const length = filled.length >>> 0;
     return this.inSeries
       ? (!length && -1) || (function seriesFindIndexAF(arr, i) {
         return Promise.resolve(arr[i]).then(el => {
           arr[i] = el;
-          return Promise.resolve(callback.call(thisArg, el, i, arr)).then(bool => {
+          return Promise.resolve(cb.call(thisArg, el, i, arr)).then(bool => {
             if (bool) return i;
             if (i === length - 1) return -1;
             return seriesFindIndexAF(arr, i + 1);
           });
         });
       }(filled, 0))
-      : parallel(filled, callback, thisArg).then(bools => bools.indexOf(true));
+      : parallelFind(filled, cb, {
+        thisArg, limit: this.concurrency, test: Boolean, inOrder: true, onSettle: link.abort,
+      });
   });
 };
 
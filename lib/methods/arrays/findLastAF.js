@@ -0,0 +1,72 @@
+import callback from '../_internal/commonCallback'; // eslint-disable-line no-unused-vars
+import permissiveIsArrayLike from '../_internal/permissiveIsArrayLike';
+import fromIterable from '../_internal/fromIterable';
+import wrapCallback from '../_internal/wrapCallback';
+import {linkSignal} from '../_internal/abort';
+import {parallelFind} from '../_internal/resolve';
+
+/**
+ * resolves to the value of the last element in the array that satisfies the provided callback function; otherwise, `undefined`
+ *
+ * `findLastAF` resolves as soon as an element passes the test and the callbacks for every element after it have settled, without waiting for the callbacks for the elements before it
+ *
+ * *Note*: since `findLastAF` is run in parallel, `callback` will still be invoked on every element; callbacks are started from the end of the array, so to stop invoking it once the result is known, set a {@link AsyncAF#limit limit} or consider using `series.findLastAF` or its alias, `io.findLastAF`, which invokes it on one element at a time from the end of the array; if a {@link AsyncAF#signal signal} is set, the `signal` passed to callbacks that are still running is aborted once the result is known
+ *
+ * @param {callback} callback function to test each element in the array
+ *
+ * `callback` accepts up to four arguments:
+ * - `currentValue` value of the current element being processed in the array
+ * - `index`*`(optional)`* index of `currentValue` in the array
+ * - `array`*`(optional)`* the array that findLastAF is being applied to
+ * - `signal`*`(optional)`* the `AbortSignal` set with {@link AsyncAF#signal signal}, if any
+ * @param {Object=} thisArg value to use as `this` when executing `callback`
+ * @returns {Promise.<any>} `Promise` that resolves to the last element in the array that passes the test; otherwise, undefined
+ * @example
+ *
+ * const inventory = [
+ *  {name: 'nuts', quantity: 2000},
+ *  {name: 'bolts', quantity: 5000},
+ *  {name: 'screws', quantity: 9001}
+ * ].map(part => Promise.resolve(part));
+ *
+ * AsyncAF(inventory).findLastAF(part => part.quantity < 6000);
+ * // Promise that resolves to {name: 'bolts', quantity: 5000}
+ * @since 7.1.0
+ * @see findLast (alias)
+ * @see {@link AsyncAF#findAF findAF}
+ * @see {@link AsyncAF#series series.findLastAF}
+ * @memberof AsyncAF#
+ */
+const findLastAF = function (callback, thisArg = undefined) {
+  return this.then(data => fromIterable(data, this.abortSignal)).then(arr => {
+    if (!permissiveIsArrayLike(arr)) throw TypeError(
+      `findLastAF cannot be called on ${arr}, only on an Array, array-like Object, or iterable`,
+    );
+    if (typeof callback !== 'function') throw TypeError(`${callback} is not a function`);
+    const link = linkSignal(!this.inSeries && this.abortSignal, 'findLastAF');
+    const cb = wrapCallback(callback, this, {total: arr.length >>> 0, signal: link.signal});
+    const filled = Array.from(arr);
+    const length = filled.length >>> 0;
+    return this.inSeries
+      ? (length || undefined) && (function seriesFindLastAF(arr, i) {
+        return Promise.resolve(arr[i]).then(el => {
+          arr[i] = el;
+          return Promise.resolve(cb.call(thisArg, el, i, arr)).then(bool => {
+            if (bool) return el;
+            if (i === 0) return;
+            return seriesFindLastAF(arr, i - 1);
+          });
+        });
+      }(filled, length - 1))
+      : parallelFind(filled, cb, {
+        thisArg,
+        limit: this.concurrency,
+        test: Boolean,
+        inOrder: true,
+        fromEnd: true,
+        onSettle: link.abort,
+      }).then(i => filled[i]);
+  });
+};
+
+export default findLastAF;
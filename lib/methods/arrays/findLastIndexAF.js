@@ -0,0 +1,72 @@
+import callback from '../_internal/commonCallback'; // eslint-disable-line no-unused-vars
+import permissiveIsArrayLike from '../_internal/permissiveIsArrayLike';
+import fromIterable from '../_internal/fromIterable';
+import wrapCallback from '../_internal/wrapCallback';
+import {linkSignal} from '../_internal/abort';
+import {parallelFind} from '../_internal/resolve';
+
+/**
+ * resolves to the index of the last element in the array that satisfies the provided callback function; otherwise, `-1`
+ *
+ * `findLastIndexAF` resolves as soon as an element passes the test and the callbacks for every index after it have settled, without waiting for the callbacks for the indices before it
+ *
+ * *Note*: since `findLastIndexAF` is run in parallel, `callback` will still be invoked on every index; callbacks are started from the end of the array, so to stop invoking it once the result is known, set a {@link AsyncAF#limit limit} or consider using `series.findLastIndexAF` or its alias, `io.findLastIndexAF`, which invokes it on one element at a time from the end of the array; if a {@link AsyncAF#signal signal} is set, the `signal` passed to callbacks that are still running is aborted once the result is known
+ *
+ * @param {callback} callback function to test each element in the array
+ *
+ * `callback` accepts up to four arguments:
+ * - `currentValue` value of the current element being processed in the array
+ * - `index`*`(optional)`* index of `currentValue` in the array
+ * - `array`*`(optional)`* the array that findLastIndexAF is being applied to
+ * - `signal`*`(optional)`* the `AbortSignal` set with {@link AsyncAF#signal signal}, if any
+ * @param {Object=} thisArg value to use as `this` when executing `callback`
+ * @returns {Promise.<Number>} `Promise` that resolves to the index of the last element in the array that passes the test; otherwise, `-1`
+ * @example
+ *
+ * const inventory = [
+ *  {name: 'nuts', quantity: 2000},
+ *  {name: 'bolts', quantity: 5000},
+ *  {name: 'screws', quantity: 9001}
+ * ].map(part => Promise.resolve(part));
+ *
+ * AsyncAF(inventory).findLastIndexAF(part => part.quantity < 6000);
+ * // Promise that resolves to 1
+ * @since 7.1.0
+ * @see findLastIndex (alias)
+ * @see {@link AsyncAF#findIndexAF findIndexAF}
+ * @see {@link AsyncAF#series series.findLastIndexAF}
+ * @memberof AsyncAF#
+ */
+const findLastIndexAF = function (callback, thisArg = undefined) {
+  return this.then(data => fromIterable(data, this.abortSignal)).then(arr => {
+    if (!permissiveIsArrayLike(arr)) throw TypeError(
+      `findLastIndexAF cannot be called on ${arr}, only on an Array, array-like Object, or iterable`,
+    );
+    if (typeof callback !== 'function') throw TypeError(`${callback} is not a function`);
+    const link = linkSignal(!this.inSeries && this.abortSignal, 'findLastIndexAF');
+    const cb = wrapCallback(callback, this, {total: arr.length >>> 0, signal: link.signal});
+    const filled = Array.from(arr);
+    const length = filled.length >>> 0;
+    return this.inSeries
+      ? (!length && -1) || (function seriesFindLastIndexAF(arr, i) {
+        return Promise.resolve(arr[i]).then(el => {
+          arr[i] = el;
+          return Promise.resolve(cb.call(thisArg, el, i, arr)).then(bool => {
+            if (bool) return i;
+            if (i === 0) return -1;
+            return seriesFindLastIndexAF(arr, i - 1);
+          });
+        });
+      }(filled, length - 1))
+      : parallelFind(filled, cb, {
+        thisArg,
+        limit: this.concurrency,
+        test: Boolean,
+        inOrder: true,
+        fromEnd: true,
+        onSettle: link.abort,
+      });
+  });
+};
+
+export default findLastIndexAF;
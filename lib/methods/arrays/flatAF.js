@@ -0,0 +1,40 @@
+import permissiveIsArrayLike from '../_internal/permissiveIsArrayLike';
+import fromIterable from '../_internal/fromIterable';
+import flatten from '../_internal/flatten';
+
+/**
+ * creates a new `Array` with all sub-array elements concatenated into it recursively up to the specified depth
+ *
+ * if any elements, or any elements of the sub-arrays being flattened, are a `Promise`, they will be resolved at each level before that level is flattened, so promises nested up to `depth` levels deep are resolved too
+ *
+ * like native `flat`, holes in sparse arrays are removed and only `Array`s are flattened
+ *
+ * *Note*: if you'd rather resolve elements in series, consider using `series.flatAF` or its alias, `io.flatAF`
+ *
+ * @param {Number=} depth the depth level specifying how deep a nested array structure should be flattened; defaults to `1`
+ * @returns {Promise.<Array>} `Promise` that resolves to a new `Array` with the sub-array elements concatenated into it
+ * @example
+ *
+ * const nested = [1, Promise.resolve([2, Promise.resolve([3, [4]])])];
+ *
+ * AsyncAF(nested).flatAF(); // Promise that resolves to [1, 2, [3, [4]]]
+ *
+ * AsyncAF(nested).flatAF(2); // Promise that resolves to [1, 2, 3, [4]]
+ *
+ * AsyncAF(nested).flatAF(Infinity); // Promise that resolves to [1, 2, 3, 4]
+ * @since 7.1.0
+ * @see flat (alias)
+ * @see {@link AsyncAF#flatMapAF flatMapAF}
+ * @see {@link AsyncAF#series series.flatAF}
+ * @memberof AsyncAF#
+ */
+const flatAF = function (depth = 1) {
+  return this.then(data => fromIterable(data, this.abortSignal)).then(arr => {
+    if (!permissiveIsArrayLike(arr)) throw TypeError(
+      `flatAF cannot be called on ${arr}, only on an Array, array-like Object, or iterable`,
+    );
+    return flatten(arr, Number(depth), this.inSeries);
+  });
+};
+
+export default flatAF;
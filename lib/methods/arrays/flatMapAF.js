@@ -0,0 +1,62 @@
+import callback from '../_internal/commonCallback'; // eslint-disable-line no-unused-vars
+import permissiveIsArrayLike from '../_internal/permissiveIsArrayLike';
+import fromIterable from '../_internal/fromIterable';
+import wrapCallback from '../_internal/wrapCallback';
+import {countElements} from '../_internal/progress';
+import {parallel, serial} from '../_internal/resolve';
+import flatten from '../_internal/flatten';
+
+/**
+ * creates a new `Array` by calling a provided function on every element in the original array and then flattening the results by one level
+ *
+ * this is the same as {@link AsyncAF#mapAF mapAF} followed by {@link AsyncAF#flatAF flatAF} with a depth of `1`, but in a single step; if `callback` returns an `Array` that contains promises, they'll be resolved before it's flattened
+ *
+ * if any elements are a `Promise`, they will first be resolved in parallel and then processed
+ *
+ * *Note*: if you'd rather resolve and process elements in series, consider using `series.flatMapAF` or its alias, `io.flatMapAF`
+ *
+ * @param {callback} callback function that produces an element, or an `Array` of elements, of the new `Array`
+ *
+ * `callback` accepts up to four arguments:
+ * - `currentValue` value of the current element being processed in the array
+ * - `index`*`(optional)`* index of `currentValue` in the array
+ * - `array`*`(optional)`* the array that flatMapAF is being applied to
+ * - `signal`*`(optional)`* the `AbortSignal` set with {@link AsyncAF#signal signal}, if any
+ * @param {Object=} thisArg value to use as `this` when executing `callback`
+ * @returns {Promise.<Array>} `Promise` that resolves to a new `Array` with each element being the result of calling `callback` on each original element, flattened by one level
+ * @example
+ *
+ * const users = [1, 2].map(id => Promise.resolve({id}));
+ *
+ * // fetchPosts returns a Promise that resolves to an array of posts
+ * AsyncAF(users).flatMapAF(user => fetchPosts(user.id));
+ * // Promise that resolves to every post by user 1 followed by every post by user 2
+ *
+ * AsyncAF([1, 2]).flatMapAF(n => [n, Promise.resolve(n * 10)]);
+ * // Promise that resolves to [1, 10, 2, 20]
+ * @since 7.1.0
+ * @see flatMap (alias)
+ * @see {@link AsyncAF#flatAF flatAF}
+ * @see {@link AsyncAF#series series.flatMapAF}
+ * @memberof AsyncAF#
+ */
+const flatMapAF = function (callback, thisArg = undefined) {
+  return this.then(data => fromIterable(data, this.abortSignal)).then(arr => {
+    if (!permissiveIsArrayLike(arr)) throw TypeError(
+      `flatMapAF cannot be called on ${arr}, only on an Array, array-like Object, or iterable`,
+    );
+    if (typeof callback !== 'function') throw TypeError(`${callback} is not a function`);
+    const cb = wrapCallback(callback, this, {total: countElements(arr)});
+    return (this.inSeries
+      ? serial(arr).then(arr => arr.reduce((mapped, el, i, arr) => mapped.then(mapped => (
+        Promise.resolve(cb.call(thisArg, el, i, arr)).then(result => {
+          mapped[i] = result;
+          return mapped;
+        })
+      )), Promise.resolve(Array(arr.length >>> 0))))
+      : parallel(arr, cb, thisArg, this.concurrency)
+    ).then(mapped => flatten(mapped, 1, this.inSeries));
+  });
+};
+
+export default flatMapAF;
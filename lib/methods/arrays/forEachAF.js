@@ -1,22 +1,31 @@
 import callback from '../_internal/commonCallback'; // eslint-disable-line no-unused-vars
 import permissiveIsArrayLike from '../_internal/permissiveIsArrayLike';
-import {parallel, serial} from '../_internal/resolve';
+import fromIterable, {pullsInSeries, isPulled, pullSerially} from '../_internal/fromIterable';
+import wrapCallback from '../_internal/wrapCallback';
+import {countElements} from '../_internal/progress';
+import {fusable, pipe} from '../_internal/pipeline';
+import {parallel, serial, asCompleted} from '../_internal/resolve';
+import {settledMap, aggregateMap} from '../_internal/settle';
+import {isCollection, resolveCollection, collectionCallback} from '../_internal/collections';
 
 /**
  * executes a callback function on each element in an array
  *
  * if any elements are a `Promise`, they will first be resolved in parallel and then processed
  *
+ * when called on a `Map` or `Set`, `callback` is passed `(value, key, collection)` like the collection's own `forEach`, where a `Set`'s keys are its elements and `collection` is a copy with its values resolved
+ *
  * *Note*: if you'd rather resolve and process elements in series, consider using `series.forEachAF` or its alias, `io.forEachAF`
  *
  * @param {callback} callback function to execute for each element
  *
- * `callback` accepts three arguments:
+ * `callback` accepts up to four arguments:
  * - `currentValue` value of the current element being processed in the array
  * - `index`*`(optional)`* index of `currentValue` in the array
  * - `array`*`(optional)`* the array that forEachAF is being applied to
+ * - `signal`*`(optional)`* the `AbortSignal` set with {@link AsyncAF#signal signal}, if any
  * @param {Object=} thisArg value to use as `this` when executing `callback`
- * @returns {Promise.<undefined>} `Promise` that resolves to `undefined`
+ * @returns {Promise.<undefined>} `Promise` that resolves to `undefined` (or, with {@link AsyncAF#settled settled}, to an array of records describing each callback's outcome)
  * @example
  *
  * const promises = [1, 2].map(n => Promise.resolve(n));
@@ -28,19 +37,34 @@ import {parallel, serial} from '../_internal/resolve';
  * @since 3.0.0
  * @see forEach (alias)
  * @see {@link AsyncAF#series series.forEachAF}
+ * @see {@link AsyncAF#settled settled.forEachAF}
+ * @see {@link AsyncAF#aggregate aggregate.forEachAF}
+ * @see {@link AsyncAF#asCompleted asCompleted.forEachAF}
  * @memberof AsyncAF#
  */
 const forEachAF = function (callback, thisArg = undefined) {
-  return this.then(arr => {
-    if (!permissiveIsArrayLike(arr)) throw TypeError(
-      `forEachAF cannot be called on ${arr}, only on an Array or array-like Object`,
+  if (fusable(this)) return pipe(this, 'forEachAF', callback, thisArg);
+  return this.then(data => (isCollection(data)
+    ? resolveCollection(data, this.inSeries)
+    : fromIterable(data, this.abortSignal, {pull: pullsInSeries(this)}))).then(arr => {
+    if (!permissiveIsArrayLike(arr) && !isPulled(arr)) throw TypeError(
+      `forEachAF cannot be called on ${arr}, only on an Array, array-like Object, or iterable`,
     );
     if (typeof callback !== 'function') throw TypeError(`${callback} is not a function`);
+    if (isPulled(arr)) {
+      const cb = wrapCallback(callback, this);
+      return pullSerially(arr, (el, i) => Promise.resolve(cb.call(thisArg, el, i, undefined))
+        .then(() => {}), this.abortSignal).then(() => {});
+    }
+    const cb = wrapCallback(collectionCallback(arr, callback), this, {total: countElements(arr)});
+    if (this.settledMode) return settledMap(arr, cb, thisArg, this.inSeries, this.concurrency);
+    if (this.aggregateMode) return aggregateMap('forEachAF', arr, cb, thisArg, this.inSeries, this.concurrency)
+      .then(() => {});
     return (this.inSeries
       ? serial(arr).then(arr => arr.reduce((expr, el, i, arr) => expr.then(() => (
-        Promise.resolve(callback.call(thisArg, el, i, arr))
+        Promise.resolve(cb.call(thisArg, el, i, arr))
       )), Promise.resolve()))
-      : parallel(arr, callback, thisArg)
+      : (this.completionOrder ? asCompleted : parallel)(arr, cb, thisArg, this.concurrency)
     ).then(() => {});
   });
 };
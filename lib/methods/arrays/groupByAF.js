@@ -0,0 +1,71 @@
+import callback from '../_internal/commonCallback'; // eslint-disable-line no-unused-vars
+import permissiveIsArrayLike from '../_internal/permissiveIsArrayLike';
+import fromIterable from '../_internal/fromIterable';
+import wrapCallback from '../_internal/wrapCallback';
+import {countElements} from '../_internal/progress';
+import keyed from '../_internal/keyed';
+import {isObject} from '../_internal/objects';
+
+/**
+ * groups the elements of an array by the keys a provided function returns for them
+ *
+ * like native `Object.groupBy`, resolves to a null-prototype `Object` with a property for each key, whose value is an `Array` of the elements in that group in their original order; keys are converted to strings (or kept as symbols), so pass `{asMap: true}` to resolve to a `Map` instead when keys are objects or shouldn't be converted, like native `Map.groupBy`
+ *
+ * `callback` may return a `Promise` and is invoked exactly once per element; holes in sparse arrays are skipped, like {@link AsyncAF#filterAF filterAF}
+ *
+ * if any elements are a `Promise`, they will first be resolved in parallel and then processed
+ *
+ * *Note*: if you'd rather resolve and process elements in series, consider using `series.groupByAF` or its alias, `io.groupByAF`
+ *
+ * @param {callback} callback function that returns (or resolves to) the key of the group each element belongs in
+ *
+ * `callback` accepts up to four arguments:
+ * - `currentValue` value of the current element being processed in the array
+ * - `index`*`(optional)`* index of `currentValue` in the array
+ * - `array`*`(optional)`* the array that groupByAF is being applied to
+ * - `signal`*`(optional)`* the `AbortSignal` set with {@link AsyncAF#signal signal}, if any
+ * @param {Object=} thisArg value to use as `this` when executing `callback`
+ * @param {Object=} options an object that may contain the following property (since it comes after `thisArg`, pass `undefined` for `thisArg` when there isn't one):
+ * - `asMap` *`(optional)`* resolve to a `Map` keyed by the values `callback` returns instead of an `Object`; defaults to `false`
+ * @returns {Promise.<Object|Map>} `Promise` that resolves to an `Object` (or `Map`) of the groups
+ * @example
+ *
+ * // fetchTeam returns a Promise that resolves to the name of a user's team
+ * AsyncAF(users).groupByAF(user => fetchTeam(user.id));
+ * // Promise that resolves to {red: [...users on red], blue: [...users on blue]}
+ *
+ * AsyncAF([1, 2, Promise.resolve(3)]).groupByAF(n => (n % 2 ? 'odd' : 'even'));
+ * // Promise that resolves to {odd: [1, 3], even: [2]}
+ *
+ * // no thisArg is needed here, so undefined holds its place before the options
+ * AsyncAF(users).groupByAF(user => fetchTeam(user.id), undefined, {asMap: true});
+ * // Promise that resolves to Map {'red' => [...users on red], 'blue' => [...users on blue]}
+ * @since 7.1.0
+ * @see groupBy (alias)
+ * @see {@link AsyncAF#partitionAF partitionAF}
+ * @see {@link AsyncAF#series series.groupByAF}
+ * @memberof AsyncAF#
+ */
+const groupByAF = function (callback, thisArg = undefined, options = {}) {
+  return this.then(data => fromIterable(data, this.abortSignal)).then(arr => {
+    if (!permissiveIsArrayLike(arr)) throw TypeError(
+      `groupByAF cannot be called on ${arr}, only on an Array, array-like Object, or iterable`,
+    );
+    if (typeof callback !== 'function') throw TypeError(`${callback} is not a function`);
+    if (!isObject(options))
+      throw TypeError(`groupByAF's options must be an Object but was ${options}`);
+    const {asMap = false} = options;
+    const cb = wrapCallback(callback, this, {total: countElements(arr)});
+    const {inSeries, concurrency: limit} = this;
+    return keyed(arr, cb, thisArg, {inSeries, limit}).then(entries => entries.reduce((
+      groups, {el, key},
+    ) => {
+      if (!asMap) (groups[key] || (groups[key] = [])).push(el);
+      else if (groups.has(key)) groups.get(key).push(el);
+      else groups.set(key, [el]);
+      return groups;
+    }, asMap ? new Map() : Object.create(null)));
+  });
+};
+
+export default groupByAF;
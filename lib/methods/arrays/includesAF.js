@@ -1,4 +1,5 @@
 import permissiveIsArrayLike from '../_internal/permissiveIsArrayLike';
+import fromIterable from '../_internal/fromIterable';
 import {parallel} from '../_internal/resolve';
 
 const sameValueZero = (a, b) => a === b || (Number.isNaN(a) && Number.isNaN(b));
@@ -48,9 +49,9 @@ const sameValueZero = (a, b) => a === b || (Number.isNaN(a) && Number.isNaN(b));
  * @memberof AsyncAF#
  */
 const includesAF = function (searchItem, fromIndex = 0) {
-  return this.then(arrOrStr => {
+  return this.then(data => fromIterable(data, this.abortSignal, {strings: true})).then(arrOrStr => {
     if (!permissiveIsArrayLike(arrOrStr)) throw TypeError(
-      `includesAF cannot be called on ${arrOrStr}, only on an Array, String, or array-like Object`,
+      `includesAF cannot be called on ${arrOrStr}, only on an Array, String, array-like Object, or iterable`,
     );
     const length = arrOrStr.length >>> 0;
     const fromIdx = fromIndex | 0;
@@ -1,4 +1,5 @@
 import permissiveIsArrayLike from '../_internal/permissiveIsArrayLike';
+import fromIterable from '../_internal/fromIterable';
 import {parallel} from '../_internal/resolve';
 
 /**
@@ -46,9 +47,9 @@ import {parallel} from '../_internal/resolve';
  * @memberof AsyncAF#
  */
 const indexOfAF = function (searchItem, fromIndex = 0) {
-  return this.then(arrOrStr => {
+  return this.then(data => fromIterable(data, this.abortSignal, {strings: true})).then(arrOrStr => {
     if (!permissiveIsArrayLike(arrOrStr)) throw TypeError(
-      `indexOfAF cannot be called on ${arrOrStr}, only on an Array, String, or array-like Object`,
+      `indexOfAF cannot be called on ${arrOrStr}, only on an Array, String, array-like Object, or iterable`,
     );
     const length = arrOrStr.length >>> 0;
     const fromIdx = fromIndex | 0;
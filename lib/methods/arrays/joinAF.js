@@ -1,4 +1,5 @@
 import permissiveIsArrayLike from '../_internal/permissiveIsArrayLike';
+import fromIterable from '../_internal/fromIterable';
 import {parallel} from '../_internal/resolve';
 
 /**
@@ -37,9 +38,9 @@ import {parallel} from '../_internal/resolve';
  * @memberof AsyncAF#
  */
 const joinAF = function (separator = ',') {
-  return this.then(arr => {
+  return this.then(data => fromIterable(data, this.abortSignal)).then(arr => {
     if (!permissiveIsArrayLike(arr)) throw TypeError(
-      `joinAF cannot be called on ${arr}, only on an Array or array-like Object`,
+      `joinAF cannot be called on ${arr}, only on an Array, array-like Object, or iterable`,
     );
     return parallel(arr).then(arr => arr.join(separator));
   });
@@ -1,4 +1,5 @@
 import permissiveIsArrayLike from '../_internal/permissiveIsArrayLike';
+import fromIterable from '../_internal/fromIterable';
 import {parallel} from '../_internal/resolve';
 
 /**
@@ -45,9 +46,9 @@ import {parallel} from '../_internal/resolve';
  * @memberof AsyncAF#
  */
 const lastIndexOfAF = function (searchItem, fromIndex = undefined) {
-  return this.then(arrOrStr => {
+  return this.then(data => fromIterable(data, this.abortSignal, {strings: true})).then(arrOrStr => {
     if (!permissiveIsArrayLike(arrOrStr)) throw TypeError(
-      `lastIndexOfAF cannot be called on ${arrOrStr}, only on an Array, String, or array-like Object`,
+      `lastIndexOfAF cannot be called on ${arrOrStr}, only on an Array, String, array-like Object, or iterable`,
     );
     const len = arrOrStr.length >>> 0;
     let fromIdx = Number(fromIndex);
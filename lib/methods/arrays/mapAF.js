@@ -1,23 +1,38 @@
 import callback from '../_internal/commonCallback'; // eslint-disable-line no-unused-vars
 import permissiveIsArrayLike from '../_internal/permissiveIsArrayLike';
+import fromIterable, {pullsInSeries, isPulled, pullSerially} from '../_internal/fromIterable';
+import wrapCallback from '../_internal/wrapCallback';
+import {countElements} from '../_internal/progress';
+import {fusable, pipe} from '../_internal/pipeline';
 import promiseAllWithHoles from '../_internal/promiseAllWithHoles';
-import {parallel, serial} from '../_internal/resolve';
+import {parallel, serial, asCompleted} from '../_internal/resolve';
+import {settledMap, aggregateMap} from '../_internal/settle';
+import {
+  isCollection,
+  resolveCollection,
+  collectionCallback,
+  mappedCollection,
+  isCollectionEntries,
+} from '../_internal/collections';
 
 /**
  * creates a new `Array` with the results of calling a provided function on every element in the original array
  *
  * if any elements are a `Promise`, they will first be resolved in parallel and then processed
  *
+ * when called on a `Map` or `Set`, mapAF resolves to a new collection of the same type instead: a `Map` with the same keys and the mapped values, or a `Set` of the mapped values; `callback` is then passed `(value, key, collection)` like the collection's own `forEach`, where a `Set`'s keys are its elements and `collection` is a copy with its values resolved
+ *
  * *Note*: if you'd rather resolve and process elements in series, consider using `series.mapAF` or its alias, `io.mapAF`
  *
  * @param {callback} callback function that produces an element of the new `Array`
  *
- * `callback` accepts three arguments:
+ * `callback` accepts up to four arguments:
  * - `currentValue` value of the current element being processed in the array
  * - `index`*`(optional)`* index of `currentValue` in the array
  * - `array`*`(optional)`* the array that mapAF is being applied to
+ * - `signal`*`(optional)`* the `AbortSignal` set with {@link AsyncAF#signal signal}, if any
  * @param {Object=} thisArg value to use as `this` when executing `callback`
- * @returns {Promise.<Array>} `Promise` that resolves to a new `Array` with each element being the result of calling `callback` on each original element
+ * @returns {Promise.<Array|Map|Set>} `Promise` that resolves to a new `Array` (or `Map` or `Set`) with each element being the result of calling `callback` on each original element; with {@link AsyncAF#settled settled}, each element is instead a record describing the outcome
  * @example
  *
  * const promises = [1, 2].map(n => Promise.resolve(n));
@@ -44,23 +59,52 @@ import {parallel, serial} from '../_internal/resolve';
  *   );
  *   console.log(quadrupled); // logs [4, 8]
  * })();
+ *
+ *
+ * // on a Map
+ * const prices = new Map([['apple', Promise.resolve(1)], ['pear', 2]]);
+ *
+ * AsyncAF(prices).mapAF((price, fruit) => price * 2);
+ * // Promise that resolves to Map {'apple' => 2, 'pear' => 4}
  * @since 3.0.0
  * @see map (alias)
  * @see {@link AsyncAF#series series.mapAF}
+ * @see {@link AsyncAF#settled settled.mapAF}
+ * @see {@link AsyncAF#aggregate aggregate.mapAF}
+ * @see {@link AsyncAF#asCompleted asCompleted.mapAF}
  * @memberof AsyncAF#
  */
 const mapAF = function (callback, thisArg = undefined) {
-  return this.then(arr => {
-    if (!permissiveIsArrayLike(arr)) throw TypeError(
-      `mapAF cannot be called on ${arr}, only on an Array or array-like Object`,
+  if (fusable(this)) return pipe(this, 'mapAF', callback, thisArg);
+  return this.then(data => (isCollection(data)
+    ? resolveCollection(data, this.inSeries)
+    : fromIterable(data, this.abortSignal, {pull: pullsInSeries(this)}))).then(arr => {
+    if (!permissiveIsArrayLike(arr) && !isPulled(arr)) throw TypeError(
+      `mapAF cannot be called on ${arr}, only on an Array, array-like Object, or iterable`,
     );
     if (typeof callback !== 'function') throw TypeError(`${callback} is not a function`);
-    return this.inSeries
+    if (isPulled(arr)) {
+      const cb = wrapCallback(callback, this);
+      const mapped = [];
+      return pullSerially(arr, (el, i) => Promise.resolve(cb.call(thisArg, el, i, undefined))
+        .then(value => {
+          mapped[i] = value;
+        }), this.abortSignal).then(() => mapped);
+    }
+    const cb = wrapCallback(collectionCallback(arr, callback), this, {total: countElements(arr)});
+    if (this.settledMode) return settledMap(arr, cb, thisArg, this.inSeries, this.concurrency)
+      .then(records => mappedCollection(arr, records));
+    if (this.aggregateMode) return aggregateMap('mapAF', arr, cb, thisArg, this.inSeries, this.concurrency)
+      .then(([mapped]) => mappedCollection(arr, mapped));
+    if (this.completionOrder && !this.inSeries && !isCollectionEntries(arr))
+      return asCompleted(arr, cb, thisArg, this.concurrency);
+    return (this.inSeries
       ? serial(arr).then(arr => arr.reduce((map, el, i, arr) => map.then(map => {
-        map[i] = Promise.resolve(callback.call(thisArg, el, i, arr));
+        map[i] = Promise.resolve(cb.call(thisArg, el, i, arr));
         return promiseAllWithHoles(map);
       }), Promise.resolve(Array(arr.length >>> 0))))
-      : parallel(arr, callback, thisArg);
+      : parallel(arr, cb, thisArg, this.concurrency)
+    ).then(mapped => mappedCollection(arr, mapped));
   });
 };
 
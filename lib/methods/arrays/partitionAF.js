@@ -0,0 +1,57 @@
+import callback from '../_internal/commonCallback'; // eslint-disable-line no-unused-vars
+import permissiveIsArrayLike from '../_internal/permissiveIsArrayLike';
+import fromIterable from '../_internal/fromIterable';
+import wrapCallback from '../_internal/wrapCallback';
+import {countElements} from '../_internal/progress';
+import keyed from '../_internal/keyed';
+
+/**
+ * splits an array into two new `Array`s: one with the elements that pass the test implemented by the provided callback function, and one with the elements that fail it
+ *
+ * this is the same as calling {@link AsyncAF#filterAF filterAF} with `callback` and again with its negation, but `callback` is only invoked once per element; holes in sparse arrays are skipped, like filterAF
+ *
+ * if any elements are a `Promise`, they will first be resolved in parallel and then processed
+ *
+ * *Note*: if you'd rather resolve and process elements in series, consider using `series.partitionAF` or its alias, `io.partitionAF`
+ *
+ * @param {callback} callback function that tests each element of the array; return (or resolve to) `true` to put the element in the first `Array` or `false` to put it in the second
+ *
+ * `callback` accepts up to four arguments:
+ * - `currentValue` value of the current element being processed in the array
+ * - `index`*`(optional)`* index of `currentValue` in the array
+ * - `array`*`(optional)`* the array that partitionAF is being applied to
+ * - `signal`*`(optional)`* the `AbortSignal` set with {@link AsyncAF#signal signal}, if any
+ * @param {Object=} thisArg value to use as `this` when executing `callback`
+ * @returns {Promise.<Array>} `Promise` that resolves to `[pass, fail]`, two new `Array`s of the elements that passed and failed the test, in their original order
+ * @example
+ *
+ * // isActive returns a Promise that resolves to whether a user is active
+ * AsyncAF(users).partitionAF(user => isActive(user.id));
+ * // Promise that resolves to [[...active users], [...inactive users]]
+ *
+ * AsyncAF([1, 2, Promise.resolve(3)]).partitionAF(n => n % 2);
+ * // Promise that resolves to [[1, 3], [2]]
+ * @since 7.1.0
+ * @see partition (alias)
+ * @see {@link AsyncAF#groupByAF groupByAF}
+ * @see {@link AsyncAF#series series.partitionAF}
+ * @memberof AsyncAF#
+ */
+const partitionAF = function (callback, thisArg = undefined) {
+  return this.then(data => fromIterable(data, this.abortSignal)).then(arr => {
+    if (!permissiveIsArrayLike(arr)) throw TypeError(
+      `partitionAF cannot be called on ${arr}, only on an Array, array-like Object, or iterable`,
+    );
+    if (typeof callback !== 'function') throw TypeError(`${callback} is not a function`);
+    const cb = wrapCallback(callback, this, {total: countElements(arr)});
+    const {inSeries, concurrency: limit} = this;
+    return keyed(arr, cb, thisArg, {inSeries, limit}).then(entries => entries.reduce((
+      [pass, fail], {el, key: passed},
+    ) => {
+      (passed ? pass : fail).push(el);
+      return [pass, fail];
+    }, [[], []]));
+  });
+};
+
+export default partitionAF;
@@ -1,5 +1,8 @@
 import callback from '../_internal/reduceCallback'; // eslint-disable-line no-unused-vars
 import permissiveIsArrayLike from '../_internal/permissiveIsArrayLike';
+import fromIterable, {pullsInSeries, isPulled, pullSerially} from '../_internal/fromIterable';
+import wrapCallback from '../_internal/wrapCallback';
+import {countElements} from '../_internal/progress';
 import {parallel, serial} from '../_internal/resolve';
 
 /* eslint-disable prefer-rest-params */
@@ -12,11 +15,12 @@ import {parallel, serial} from '../_internal/resolve';
  *
  * @param {callback} callback function to execute for each element
  *
- * `callback` accepts up to four arguments:
+ * `callback` accepts up to five arguments:
  * - `accumulator` accumulates the callback's return values; the accumulated value previously returned in the last invocation of the callback, or initialValue, if supplied
  * - `currentValue` value of the current element being processed in the array
  * - `index`*`(optional)`* index of `currentValue` in the array
  * - `array`*`(optional)`* the array that `reduceAF` is being applied to
+ * - `signal`*`(optional)`* the `AbortSignal` set with {@link AsyncAF#signal signal}, if any
  * @param {any=} initialValue value to use as the first argument to the first call of the callback; if no initial value is supplied, the first element in the array will be used; note: calling reduceAF on an empty array with no initial value will throw an error
  * @returns {Promise.<any>} `Promise` that resolves to the reduced value
  * @example
@@ -53,29 +57,54 @@ import {parallel, serial} from '../_internal/resolve';
  * @memberof AsyncAF#
  */
 const reduceAF = function(callback,/* initialValue */) {
-  return this.then(arr => {
-    if (!permissiveIsArrayLike(arr)) throw TypeError(
-      `reduceAF cannot be called on ${arr}, only on an Array or array-like Object`,
+  const pull = pullsInSeries(this);
+  return this.then(data => fromIterable(data, this.abortSignal, {pull})).then(arr => {
+    if (!permissiveIsArrayLike(arr) && !isPulled(arr)) throw TypeError(
+      `reduceAF cannot be called on ${arr}, only on an Array, array-like Object, or iterable`,
     );
     if (typeof callback !== 'function') throw TypeError(`${callback} is not a function`);
+    if (isPulled(arr)) {
+      const cb = wrapCallback(callback, this, {elementArg: 1});
+      let started = arguments.length === 2;
+      let acc = arguments[1];
+      return pullSerially(arr, (el, i) => {
+        if (!started) {
+          started = true;
+          acc = el;
+          return;
+        }
+        return Promise.resolve(cb(acc, el, i, undefined)).then(result => {
+          acc = result;
+        });
+      }, this.abortSignal).then(() => {
+        if (!started) throw TypeError(
+          'reduceAF cannot be called on an empty array without an initial value'
+        );
+        return acc;
+      });
+    }
     const length = arr.length >>> 0;
-    if (!length && arguments.length === 1) throw TypeError(
+    const hole = i => !(i in arr);
+    let i = 0;
+    // an array of only holes counts as empty, like native reduce
+    if (arguments.length === 1) while (i < length && hole(i)) i++;
+    if (i === length && arguments.length === 1) throw TypeError(
       'reduceAF cannot be called on an empty array without an initial value'
     );
     if (!length) return arguments[1];
-    const hole = i => !(i in arr);
-    let i = 0;
+    const cb = wrapCallback(callback, this, {
+      elementArg: 1,
+      total: countElements(arr) - (arguments.length === 2 ? 0 : 1),
+    });
     let acc;
     if (arguments.length === 2)
       acc = arguments[1];
-    else {
-      while (hole(i)) i++;
+    else
       acc = arr[i++];
-    }
     return (this.inSeries ? serial(arr) : parallel(arr)).then(arr => {
       const reduceAF = (acc, i) => Promise.resolve(acc).then(acc => Promise.resolve(
-        !hole(i) ? callback(acc, arr[i], i, arr) : acc
-      ).then(acc => i === length - 1 ? acc : reduceAF(acc, i + 1)));
+        !hole(i) ? cb(acc, arr[i], i, arr) : acc
+      ).then(acc => i >= length - 1 ? acc : reduceAF(acc, i + 1)));
       return reduceAF(acc, i);
     });
   });
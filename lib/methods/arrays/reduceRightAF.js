@@ -0,0 +1,73 @@
+import callback from '../_internal/reduceCallback'; // eslint-disable-line no-unused-vars
+import permissiveIsArrayLike from '../_internal/permissiveIsArrayLike';
+import fromIterable from '../_internal/fromIterable';
+import wrapCallback from '../_internal/wrapCallback';
+import {countElements} from '../_internal/progress';
+import {parallel, serial} from '../_internal/resolve';
+
+/**
+ * applies a function against an accumulator and each element in an array (from right to left) to reduce it to a single value
+ *
+ * if any elements are a `Promise`, they will first be resolved in parallel and then processed in series
+ *
+ * *Note*: if this behavior is not desirable, consider using `series.reduceRightAF` or its alias, `io.reduceRightAF`; that way, if any elements are a `Promise`, they will both be resolved in series _and_ processed in series
+ *
+ * @param {callback} callback function to execute for each element
+ *
+ * `callback` accepts up to five arguments:
+ * - `accumulator` accumulates the callback's return values; the accumulated value previously returned in the last invocation of the callback, or initialValue, if supplied
+ * - `currentValue` value of the current element being processed in the array
+ * - `index`*`(optional)`* index of `currentValue` in the array
+ * - `array`*`(optional)`* the array that `reduceRightAF` is being applied to
+ * - `signal`*`(optional)`* the `AbortSignal` set with {@link AsyncAF#signal signal}, if any
+ * @param {any=} initialValue value to use as the first argument to the first call of the callback; if no initial value is supplied, the last element in the array will be used; note: calling reduceRightAF on an empty array with no initial value will throw an error
+ * @returns {Promise.<any>} `Promise` that resolves to the reduced value
+ * @example
+ *
+ * const promises = ['a', 'b', 'c'].map(str => Promise.resolve(str));
+ *
+ * AsyncAF(promises).reduceRightAF((str, char) => str + char); // Promise that resolves to 'cba'
+ *
+ * // using an initial value
+ * AsyncAF(promises).reduceRightAF((str, char) => str + char, '!'); // Promise that resolves to '!cba'
+ *
+ * // flattening from right to left
+ * AsyncAF([[1, 2], Promise.resolve([3])]).reduceRightAF((acc, arr) => acc.concat(arr), []);
+ * // Promise that resolves to [3, 1, 2]
+ * @since 7.1.0
+ * @see reduceRight (alias)
+ * @see {@link AsyncAF#reduceAF reduceAF}
+ * @see {@link AsyncAF#series series.reduceRightAF}
+ * @memberof AsyncAF#
+ */
+const reduceRightAF = function (callback, ...initialValue) {
+  return this.then(data => fromIterable(data, this.abortSignal)).then(arr => {
+    if (!permissiveIsArrayLike(arr)) throw TypeError(
+      `reduceRightAF cannot be called on ${arr}, only on an Array, array-like Object, or iterable`,
+    );
+    if (typeof callback !== 'function') throw TypeError(`${callback} is not a function`);
+    const hasInitialValue = initialValue.length > 0;
+    const length = arr.length >>> 0;
+    const hole = i => !(i in arr);
+    let i = length - 1;
+    // an array of only holes counts as empty, like native reduceRight
+    if (!hasInitialValue) while (i >= 0 && hole(i)) i--;
+    if (i < 0 && !hasInitialValue) throw TypeError(
+      'reduceRightAF cannot be called on an empty array without an initial value',
+    );
+    if (!length) return initialValue[0];
+    const cb = wrapCallback(callback, this, {
+      elementArg: 1,
+      total: countElements(arr) - (hasInitialValue ? 0 : 1),
+    });
+    return (this.inSeries ? serial(arr) : parallel(arr)).then(arr => {
+      const reduceRight = (acc, i) => Promise.resolve(acc).then(acc => Promise.resolve(
+        !hole(i) ? cb(acc, arr[i], i, arr) : acc,
+      ).then(acc => (i <= 0 ? acc : reduceRight(acc, i - 1))));
+      if (hasInitialValue) return reduceRight(initialValue[0], i);
+      return i <= 0 ? arr[i] : reduceRight(arr[i], i - 1);
+    });
+  });
+};
+
+export default reduceRightAF;
@@ -0,0 +1,32 @@
+import permissiveIsArrayLike from '../_internal/permissiveIsArrayLike';
+import fromIterable from '../_internal/fromIterable';
+import {parallel, serial} from '../_internal/resolve';
+
+/**
+ * creates a new `Array` with the elements of the original array in reverse order, without reversing the original array
+ *
+ * if any elements are a `Promise`, they will first be resolved in parallel; holes in sparse arrays are preserved
+ *
+ * *Note*: if you'd rather resolve elements in series, consider using `series.reverseAF` or its alias, `io.reverseAF`
+ *
+ * @returns {Promise.<Array>} `Promise` that resolves to a new `Array` with the resolved elements in reverse order
+ * @example
+ *
+ * const nums = [1, 2, 3].map(n => Promise.resolve(n));
+ *
+ * AsyncAF(nums).reverseAF(); // Promise that resolves to [3, 2, 1]
+ * @since 7.1.0
+ * @see reverse (alias)
+ * @see {@link AsyncAF#series series.reverseAF}
+ * @memberof AsyncAF#
+ */
+const reverseAF = function () {
+  return this.then(data => fromIterable(data, this.abortSignal)).then(arr => {
+    if (!permissiveIsArrayLike(arr)) throw TypeError(
+      `reverseAF cannot be called on ${arr}, only on an Array, array-like Object, or iterable`,
+    );
+    return (this.inSeries ? serial : parallel)(arr).then(arr => arr.reverse());
+  });
+};
+
+export default reverseAF;
@@ -0,0 +1,44 @@
+import permissiveIsArrayLike from '../_internal/permissiveIsArrayLike';
+import fromIterable from '../_internal/fromIterable';
+import {parallel, serial} from '../_internal/resolve';
+
+/**
+ * creates a new `Array` (or string) with a portion of the original array, string, or array-like object from `start` up to, but not including, `end`
+ *
+ * when called on an array or array-like object, only the elements in that portion are resolved, in parallel, if any of them are a `Promise`; holes in sparse arrays are preserved
+ *
+ * *Note*: if you'd rather resolve elements in series, consider using `series.sliceAF` or its alias, `io.sliceAF`
+ *
+ * @param {Number=} start the index at which to begin; a negative index counts back from the end of the array/string; defaults to `0`
+ * @param {Number=} end the index before which to end; a negative index counts back from the end of the array/string; defaults to its length
+ * @returns {Promise.<Array|String>} `Promise` that resolves to a new `Array` with the resolved elements from `start` up to `end`, or to a new string when called on a string
+ * @example
+ *
+ * const nums = [1, 2, 3, 4].map(n => Promise.resolve(n));
+ *
+ * AsyncAF(nums).sliceAF(1, 3); // Promise that resolves to [2, 3]
+ *
+ * AsyncAF(nums).sliceAF(-2); // Promise that resolves to [3, 4]
+ *
+ * const str = Promise.resolve('splitAF');
+ *
+ * AsyncAF(str).sliceAF(0, 5); // Promise that resolves to 'split'
+ * @since 7.1.0
+ * @see slice (alias)
+ * @see {@link AsyncAF#series series.sliceAF}
+ * @memberof AsyncAF#
+ */
+const sliceAF = function (start = 0, end = undefined) {
+  return this.then(data => fromIterable(data, this.abortSignal, {strings: true})).then(arrOrStr => {
+    if (!permissiveIsArrayLike(arrOrStr)) throw TypeError(
+      `sliceAF cannot be called on ${arrOrStr}, only on an Array, String, array-like Object, or iterable`,
+    );
+    return typeof arrOrStr === 'string'
+      ? arrOrStr.slice(start, end)
+      : (this.inSeries ? serial : parallel)(Array.prototype.slice.call(arrOrStr, start, end));
+  });
+};
+
+Object.defineProperty(sliceAF, 'length', {value: 2});
+
+export default sliceAF;
@@ -0,0 +1,53 @@
+import permissiveIsArrayLike from '../_internal/permissiveIsArrayLike';
+import fromIterable from '../_internal/fromIterable';
+import {sortElements} from '../_internal/mergeSort';
+
+/**
+ * sorts the elements of an array and resolves to a new, sorted `Array`; unlike native `sort`, `compareFn` may return a `Promise` that resolves to the usual negative, positive, or zero value, e.g., when elements are compared using the result of a remote lookup
+ *
+ * the sort is stable and uses a merge sort to keep the number of times `compareFn` is invoked down to at most *n* log₂ *n*; if the sort key of each element can be computed on its own, {@link AsyncAF#sortByAF sortByAF} needs only one invocation per element
+ *
+ * like native `sort`, `undefined` elements are moved to the end of the array without being passed to `compareFn`, followed by any holes; if `compareFn` is omitted, elements are sorted by comparing them as strings
+ *
+ * if any elements are a `Promise`, they will first be resolved in parallel and then sorted; invocations of `compareFn` that don't depend on each other are run in parallel too
+ *
+ * *Note*: if you'd rather resolve elements and invoke `compareFn` in series, consider using `series.sortAF` or its alias, `io.sortAF`
+ *
+ * @param {Function=} compareFn function that defines the sort order
+ *
+ * `compareFn` accepts up to three arguments:
+ * - `a` the first element for comparison
+ * - `b` the second element for comparison
+ * - `signal`*`(optional)`* the `AbortSignal` set with {@link AsyncAF#signal signal}, if any
+ *
+ * and returns (or resolves to) a negative number if `a` should come before `b`, a positive number if it should come after, or `0` to keep their original order
+ * @returns {Promise.<Array>} `Promise` that resolves to a new, sorted `Array`
+ * @example
+ *
+ * const ids = [3, 1, 2].map(id => Promise.resolve(id));
+ *
+ * AsyncAF(ids).sortAF((a, b) => a - b); // Promise that resolves to [1, 2, 3]
+ *
+ * // fetchRank returns a Promise that resolves to a user's rank
+ * AsyncAF(users).sortAF(async (a, b) => await fetchRank(a) - await fetchRank(b));
+ * // Promise that resolves to users sorted by rank
+ *
+ * AsyncAF([10, 9, undefined, 1]).sortAF(); // Promise that resolves to [1, 10, 9, undefined]
+ * @since 7.1.0
+ * @see sort (alias)
+ * @see {@link AsyncAF#sortByAF sortByAF}
+ * @see {@link AsyncAF#series series.sortAF}
+ * @memberof AsyncAF#
+ */
+const sortAF = function (compareFn) {
+  return this.then(data => fromIterable(data, this.abortSignal)).then(arr => {
+    if (!permissiveIsArrayLike(arr)) throw TypeError(
+      `sortAF cannot be called on ${arr}, only on an Array, array-like Object, or iterable`,
+    );
+    if (compareFn !== undefined && typeof compareFn !== 'function')
+      throw TypeError(`${compareFn} is not a function`);
+    return sortElements(arr, compareFn, this);
+  });
+};
+
+export default sortAF;
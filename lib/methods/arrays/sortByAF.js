@@ -0,0 +1,69 @@
+import callback from '../_internal/commonCallback'; // eslint-disable-line no-unused-vars
+import permissiveIsArrayLike from '../_internal/permissiveIsArrayLike';
+import fromIterable from '../_internal/fromIterable';
+import wrapCallback from '../_internal/wrapCallback';
+import {countElements} from '../_internal/progress';
+import keyed from '../_internal/keyed';
+
+// orders by key with undefined keys last, falling back to the original index to keep the sort stable
+const compareKeys = (a, b) => {
+  if (a.key !== b.key) {
+    if (a.key === undefined) return 1;
+    if (b.key === undefined) return -1;
+    if (a.key < b.key) return -1;
+    if (a.key > b.key) return 1;
+  }
+  return a.i - b.i;
+};
+
+/**
+ * sorts the elements of an array by the keys a provided function returns for them and resolves to a new, sorted `Array`
+ *
+ * `callback` is invoked exactly once per element and may return a `Promise`, so this is usually a better fit than {@link AsyncAF#sortAF sortAF} when each element's sort key has to be looked up, e.g., with a network request; keys are compared with `<` and `>`, so they should be all numbers, all strings, or all `Date`s
+ *
+ * the sort is stable; elements whose key is `undefined` are moved to the end of the array, followed by any holes
+ *
+ * if any elements are a `Promise`, they will first be resolved in parallel and then processed
+ *
+ * *Note*: if you'd rather resolve and process elements in series, consider using `series.sortByAF` or its alias, `io.sortByAF`
+ *
+ * @param {callback} callback function that returns (or resolves to) the key to sort each element by
+ *
+ * `callback` accepts up to four arguments:
+ * - `currentValue` value of the current element being processed in the array
+ * - `index`*`(optional)`* index of `currentValue` in the array
+ * - `array`*`(optional)`* the array that sortByAF is being applied to
+ * - `signal`*`(optional)`* the `AbortSignal` set with {@link AsyncAF#signal signal}, if any
+ * @param {Object=} thisArg value to use as `this` when executing `callback`
+ * @returns {Promise.<Array>} `Promise` that resolves to a new `Array` with the original elements sorted by their keys
+ * @example
+ *
+ * // fetchRank returns a Promise that resolves to a user's rank
+ * AsyncAF(users).sortByAF(user => fetchRank(user.id));
+ * // Promise that resolves to users sorted by rank, after fetching each user's rank just once
+ *
+ * AsyncAF(['ccc', 'a', Promise.resolve('bb')]).sortByAF(str => str.length);
+ * // Promise that resolves to ['a', 'bb', 'ccc']
+ * @since 7.1.0
+ * @see sortBy (alias)
+ * @see {@link AsyncAF#sortAF sortAF}
+ * @see {@link AsyncAF#series series.sortByAF}
+ * @memberof AsyncAF#
+ */
+const sortByAF = function (callback, thisArg = undefined) {
+  return this.then(data => fromIterable(data, this.abortSignal)).then(arr => {
+    if (!permissiveIsArrayLike(arr)) throw TypeError(
+      `sortByAF cannot be called on ${arr}, only on an Array, array-like Object, or iterable`,
+    );
+    if (typeof callback !== 'function') throw TypeError(`${callback} is not a function`);
+    const cb = wrapCallback(callback, this, {total: countElements(arr)});
+    const {inSeries, concurrency: limit} = this;
+    return keyed(arr, cb, thisArg, {inSeries, limit}).then(entries => {
+      const result = entries.sort(compareKeys).map(({el}) => el);
+      result.length = arr.length >>> 0;
+      return result;
+    });
+  });
+};
+
+export default sortByAF;
@@ -0,0 +1,36 @@
+import permissiveIsArrayLike from '../_internal/permissiveIsArrayLike';
+import fromIterable from '../_internal/fromIterable';
+import {sortElements} from '../_internal/mergeSort';
+
+/**
+ * creates a new, sorted `Array` like {@link AsyncAF#sortAF sortAF}, whose `compareFn` may also return a `Promise`
+ *
+ * sortAF already leaves the original array unchanged; toSortedAF differs only in that, like native `toSorted`, holes in sparse arrays are sorted to the end as `undefined` rather than preserved as holes
+ *
+ * *Note*: if you'd rather resolve elements and invoke `compareFn` in series, consider using `series.toSortedAF` or its alias, `io.toSortedAF`
+ *
+ * @param {Function=} compareFn function that defines the sort order; see {@link AsyncAF#sortAF sortAF}
+ * @returns {Promise.<Array>} `Promise` that resolves to a new, sorted `Array` without holes
+ * @example
+ *
+ * const nums = [3, , 1].map(n => Promise.resolve(n));
+ *
+ * AsyncAF(nums).toSortedAF((a, b) => a - b); // Promise that resolves to [1, 3, undefined]
+ * @since 7.1.0
+ * @see toSorted (alias)
+ * @see {@link AsyncAF#sortAF sortAF}
+ * @see {@link AsyncAF#series series.toSortedAF}
+ * @memberof AsyncAF#
+ */
+const toSortedAF = function (compareFn) {
+  return this.then(data => fromIterable(data, this.abortSignal)).then(arr => {
+    if (!permissiveIsArrayLike(arr)) throw TypeError(
+      `toSortedAF cannot be called on ${arr}, only on an Array, array-like Object, or iterable`,
+    );
+    if (compareFn !== undefined && typeof compareFn !== 'function')
+      throw TypeError(`${compareFn} is not a function`);
+    return sortElements(arr, compareFn, this).then(sorted => Array.from(sorted));
+  });
+};
+
+export default toSortedAF;
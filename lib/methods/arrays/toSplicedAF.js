@@ -0,0 +1,45 @@
+import permissiveIsArrayLike from '../_internal/permissiveIsArrayLike';
+import fromIterable from '../_internal/fromIterable';
+import {parallel, serial} from '../_internal/resolve';
+
+/**
+ * creates a new `Array` with some elements of the original array removed and/or replaced, without changing the original array
+ *
+ * if any of the remaining elements, or any `items` being added, are a `Promise`, they will be resolved in parallel; holes in sparse arrays are preserved
+ *
+ * *Note*: if you'd rather resolve elements in series, consider using `series.toSplicedAF` or its alias, `io.toSplicedAF`
+ *
+ * @param {Number} start the index at which to start removing elements; a negative index counts back from the end of the array
+ * @param {Number=} deleteCount the number of elements to remove; if omitted, every element from `start` to the end of the array is removed
+ * @param {...any} items elements to add to the array in place of the removed elements
+ * @returns {Promise.<Array>} `Promise` that resolves to a new `Array` with the elements removed and/or added
+ * @example
+ *
+ * const nums = [1, 2, 3, 4].map(n => Promise.resolve(n));
+ *
+ * AsyncAF(nums).toSplicedAF(1, 2); // Promise that resolves to [1, 4]
+ *
+ * AsyncAF(nums).toSplicedAF(-1, 1, Promise.resolve(5), 6); // Promise that resolves to [1, 2, 3, 5, 6]
+ *
+ * AsyncAF(nums).toSplicedAF(2); // Promise that resolves to [1, 2]
+ * @since 7.1.0
+ * @see toSpliced (alias)
+ * @see {@link AsyncAF#series series.toSplicedAF}
+ * @memberof AsyncAF#
+ */
+const toSplicedAF = function (...args) {
+  return this.then(data => fromIterable(data, this.abortSignal)).then(arr => {
+    if (!permissiveIsArrayLike(arr)) throw TypeError(
+      `toSplicedAF cannot be called on ${arr}, only on an Array, array-like Object, or iterable`,
+    );
+    const copy = Array.prototype.slice.call(arr);
+    copy.length = arr.length >>> 0;
+    // splice treats a missing deleteCount differently than an undefined one, so args are passed on as-is
+    copy.splice(...args);
+    return (this.inSeries ? serial : parallel)(copy);
+  });
+};
+
+Object.defineProperty(toSplicedAF, 'length', {value: 2});
+
+export default toSplicedAF;
@@ -0,0 +1,40 @@
+import permissiveIsArrayLike from '../_internal/permissiveIsArrayLike';
+import fromIterable from '../_internal/fromIterable';
+import {parallel, serial} from '../_internal/resolve';
+import uniqueBy from '../_internal/uniqueBy';
+
+/**
+ * creates a new `Array` with only the first occurrence of each element, in the order they first occur
+ *
+ * elements are compared using the SameValueZero algorithm like {@link AsyncAF#includesAF includesAF}, so `NaN` is a duplicate of `NaN` and `-0` is a duplicate of `+0`, but objects are only duplicates of themselves; to deduplicate by some other identity, see {@link AsyncAF#uniqByAF uniqByAF}
+ *
+ * holes in sparse arrays are removed, like {@link AsyncAF#filterAF filterAF}
+ *
+ * if any elements are a `Promise`, they will first be resolved in parallel and then deduplicated
+ *
+ * *Note*: if you'd rather resolve elements in series, consider using `series.uniqAF` or its alias, `io.uniqAF`
+ *
+ * @returns {Promise.<Array>} `Promise` that resolves to a new `Array` without duplicate elements
+ * @example
+ *
+ * const nums = [1, 2, 1, NaN, 3, NaN].map(n => Promise.resolve(n));
+ *
+ * AsyncAF(nums).uniqAF(); // Promise that resolves to [1, 2, NaN, 3]
+ * @since 7.1.0
+ * @see uniq (alias)
+ * @see {@link AsyncAF#uniqByAF uniqByAF}
+ * @see {@link AsyncAF#series series.uniqAF}
+ * @memberof AsyncAF#
+ */
+const uniqAF = function () {
+  return this.then(data => fromIterable(data, this.abortSignal)).then(arr => {
+    if (!permissiveIsArrayLike(arr)) throw TypeError(
+      `uniqAF cannot be called on ${arr}, only on an Array, array-like Object, or iterable`,
+    );
+    return (this.inSeries ? serial : parallel)(arr).then(arr => uniqueBy(
+      Array.prototype.filter.call(arr, () => true).map(el => ({el, key: el})),
+    ));
+  });
+};
+
+export default uniqAF;
@@ -0,0 +1,55 @@
+import callback from '../_internal/commonCallback'; // eslint-disable-line no-unused-vars
+import permissiveIsArrayLike from '../_internal/permissiveIsArrayLike';
+import fromIterable from '../_internal/fromIterable';
+import wrapCallback from '../_internal/wrapCallback';
+import {countElements} from '../_internal/progress';
+import keyed from '../_internal/keyed';
+import uniqueBy from '../_internal/uniqueBy';
+
+/**
+ * creates a new `Array` with only the first element for each key a provided function returns, in the order they first occur
+ *
+ * `callback` may return a `Promise` (e.g., when an element's canonical ID has to be looked up) and is invoked exactly once per element; keys are compared using the SameValueZero algorithm like {@link AsyncAF#uniqAF uniqAF}
+ *
+ * holes in sparse arrays are skipped, like {@link AsyncAF#filterAF filterAF}
+ *
+ * if any elements are a `Promise`, they will first be resolved in parallel and then processed
+ *
+ * *Note*: if you'd rather resolve and process elements in series, consider using `series.uniqByAF` or its alias, `io.uniqByAF`
+ *
+ * @param {callback} callback function that returns (or resolves to) the key that identifies each element
+ *
+ * `callback` accepts up to four arguments:
+ * - `currentValue` value of the current element being processed in the array
+ * - `index`*`(optional)`* index of `currentValue` in the array
+ * - `array`*`(optional)`* the array that uniqByAF is being applied to
+ * - `signal`*`(optional)`* the `AbortSignal` set with {@link AsyncAF#signal signal}, if any
+ * @param {Object=} thisArg value to use as `this` when executing `callback`
+ * @returns {Promise.<Array>} `Promise` that resolves to a new `Array` with the first element for each key
+ * @example
+ *
+ * // fetchCanonicalId returns a Promise that resolves to the ID a URL redirects to
+ * AsyncAF(urls).uniqByAF(url => fetchCanonicalId(url));
+ * // Promise that resolves to the first URL for each canonical ID
+ *
+ * AsyncAF(['a', 'bb', Promise.resolve('c')]).uniqByAF(str => str.length);
+ * // Promise that resolves to ['a', 'bb']
+ * @since 7.1.0
+ * @see uniqBy (alias)
+ * @see {@link AsyncAF#uniqAF uniqAF}
+ * @see {@link AsyncAF#series series.uniqByAF}
+ * @memberof AsyncAF#
+ */
+const uniqByAF = function (callback, thisArg = undefined) {
+  return this.then(data => fromIterable(data, this.abortSignal)).then(arr => {
+    if (!permissiveIsArrayLike(arr)) throw TypeError(
+      `uniqByAF cannot be called on ${arr}, only on an Array, array-like Object, or iterable`,
+    );
+    if (typeof callback !== 'function') throw TypeError(`${callback} is not a function`);
+    const cb = wrapCallback(callback, this, {total: countElements(arr)});
+    const {inSeries, concurrency: limit} = this;
+    return keyed(arr, cb, thisArg, {inSeries, limit}).then(uniqueBy);
+  });
+};
+
+export default uniqByAF;
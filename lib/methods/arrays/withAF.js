@@ -0,0 +1,46 @@
+import permissiveIsArrayLike from '../_internal/permissiveIsArrayLike';
+import fromIterable from '../_internal/fromIterable';
+import {parallel, serial} from '../_internal/resolve';
+import {toInteger} from '../_internal/relativeIndex';
+
+/**
+ * creates a new `Array` with the element at the given index replaced with `value`, without changing the original array
+ *
+ * if `value` or any of the other elements are a `Promise`, they will first be resolved in parallel; other holes in sparse arrays are preserved
+ *
+ * *Note*: if you'd rather resolve elements in series, consider using `series.withAF` or its alias, `io.withAF`
+ *
+ * @param {Number} index the index of the element to replace; a negative index counts back from the end of the array
+ * @param {any} value the value to put at `index`
+ * @returns {Promise.<Array>} `Promise` that resolves to a new `Array` with the element at `index` replaced; rejects with a `RangeError` if `index` is out of range, like native `with`
+ * @example
+ *
+ * const nums = [1, 2, 3].map(n => Promise.resolve(n));
+ *
+ * AsyncAF(nums).withAF(0, 'one'); // Promise that resolves to ['one', 2, 3]
+ *
+ * AsyncAF(nums).withAF(-1, Promise.resolve('three')); // Promise that resolves to [1, 2, 'three']
+ * @since 7.1.0
+ * @see with (alias)
+ * @see {@link AsyncAF#series series.withAF}
+ * @memberof AsyncAF#
+ */
+const withAF = function (index, value) {
+  return this.then(data => fromIterable(data, this.abortSignal)).then(arr => {
+    if (!permissiveIsArrayLike(arr)) throw TypeError(
+      `withAF cannot be called on ${arr}, only on an Array, array-like Object, or iterable`,
+    );
+    const length = arr.length >>> 0;
+    const relative = toInteger(index);
+    const i = relative < 0 ? length + relative : relative;
+    if (i < 0 || i >= length) throw RangeError(
+      `withAF's index must be within the bounds of an array of length ${length} but was ${index}`,
+    );
+    const copy = Array.prototype.slice.call(arr);
+    copy.length = length;
+    copy[i] = value;
+    return (this.inSeries ? serial : parallel)(copy);
+  });
+};
+
+export default withAF;
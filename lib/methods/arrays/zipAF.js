@@ -0,0 +1,42 @@
+import permissiveIsArrayLike from '../_internal/permissiveIsArrayLike';
+import fromIterable from '../_internal/fromIterable';
+import {splitOptions, zip} from '../_internal/zip';
+
+/**
+ * combines an array with one or more other arrays into a new `Array` of tuples, where the first tuple contains the first element of each array, the second contains the second element of each, and so on
+ *
+ * zipAF flexibly accepts arrays, array-like objects, iterables, promises that resolve to any of these, or other instances of AsyncAF; any elements that are a `Promise` are resolved in parallel too
+ *
+ * by default, the new `Array` is as long as the shortest array; to make it as long as the longest array instead, pass `{longest: true}` as the last argument, and the missing elements of shorter arrays will be `undefined`
+ *
+ * *Note*: if you'd rather resolve arrays and their elements in series, consider using `series.zipAF` or its alias, `io.zipAF`; to combine each tuple into a single value, see {@link AsyncAF#zipWithAF zipWithAF}
+ *
+ * @param {...any} others arrays to zip with the array, optionally followed by an options object that may contain the following property:
+ * - `longest` *`(optional)`* zip to the length of the longest array, filling in missing elements with `undefined`; defaults to `false`
+ * @returns {Promise.<Array>} `Promise` that resolves to a new `Array` of tuples
+ * @example
+ *
+ * const ids = Promise.resolve([1, 2, 3]);
+ * const names = ['a', Promise.resolve('b')];
+ *
+ * AsyncAF(ids).zipAF(names); // Promise that resolves to [[1, 'a'], [2, 'b']]
+ *
+ * AsyncAF(ids).zipAF(names, AsyncAF([true]), {longest: true});
+ * // Promise that resolves to [[1, 'a', true], [2, 'b', undefined], [3, undefined, undefined]]
+ * @since 7.1.0
+ * @see zip (alias)
+ * @see {@link AsyncAF#zipWithAF zipWithAF}
+ * @see {@link AsyncAF#series series.zipAF}
+ * @memberof AsyncAF#
+ */
+const zipAF = function (...others) {
+  const [arrays, options] = splitOptions(others);
+  return this.then(data => fromIterable(data, this.abortSignal)).then(arr => {
+    if (!permissiveIsArrayLike(arr)) throw TypeError(
+      `zipAF cannot be called on ${arr}, only on an Array, array-like Object, or iterable`,
+    );
+    return zip('zipAF', [arr, ...arrays], options, this);
+  });
+};
+
+export default zipAF;
@@ -0,0 +1,63 @@
+import permissiveIsArrayLike from '../_internal/permissiveIsArrayLike';
+import fromIterable from '../_internal/fromIterable';
+import wrapCallback from '../_internal/wrapCallback';
+import {parallel} from '../_internal/resolve';
+import {splitOptions, zip} from '../_internal/zip';
+
+/**
+ * combines an array with one or more other arrays like {@link AsyncAF#zipAF zipAF}, then creates a new `Array` with the results of calling a provided function on each tuple of elements
+ *
+ * if any arrays or elements are a `Promise`, they will first be resolved in parallel and then processed
+ *
+ * by default, the new `Array` is as long as the shortest array; to make it as long as the longest array instead, pass `{longest: true}` as the last argument, and the missing elements of shorter arrays will be `undefined`
+ *
+ * *Note*: if you'd rather resolve and process elements in series, consider using `series.zipWithAF` or its alias, `io.zipWithAF`
+ *
+ * @param {Function} combiner function that produces an element of the new `Array` from a tuple of elements
+ *
+ * `combiner` accepts up to four arguments:
+ * - `tuple` an `Array` with the element at the current index of each array, starting with the array zipWithAF is being applied to
+ * - `index`*`(optional)`* the current index
+ * - `tuples`*`(optional)`* the array of tuples
+ * - `signal`*`(optional)`* the `AbortSignal` set with {@link AsyncAF#signal signal}, if any
+ * @param {...any} others arrays to zip with the array, optionally followed by an options object that may contain the following property:
+ * - `longest` *`(optional)`* zip to the length of the longest array, filling in missing elements with `undefined`; defaults to `false`
+ * @returns {Promise.<Array>} `Promise` that resolves to a new `Array` with the result of calling `combiner` on each tuple
+ * @example
+ *
+ * const prices = Promise.resolve([10, 20]);
+ *
+ * // fetchQuantity returns a Promise that resolves to the quantity in stock for an item
+ * AsyncAF(prices).zipWithAF(([price, id]) => fetchQuantity(id).then(qty => price * qty), ids);
+ * // Promise that resolves to the value of stock for each item
+ *
+ * AsyncAF([1, 2, 3]).zipWithAF(([a, b = 0]) => a + b, [10, 20], {longest: true});
+ * // Promise that resolves to [11, 22, 3]
+ * @since 7.1.0
+ * @see zipWith (alias)
+ * @see {@link AsyncAF#zipAF zipAF}
+ * @see {@link AsyncAF#series series.zipWithAF}
+ * @memberof AsyncAF#
+ */
+const zipWithAF = function (combiner, ...others) {
+  const [arrays, options] = splitOptions(others);
+  return this.then(data => fromIterable(data, this.abortSignal)).then(arr => {
+    if (!permissiveIsArrayLike(arr)) throw TypeError(
+      `zipWithAF cannot be called on ${arr}, only on an Array, array-like Object, or iterable`,
+    );
+    if (typeof combiner !== 'function') throw TypeError(`${combiner} is not a function`);
+    return zip('zipWithAF', [arr, ...arrays], options, this).then(tuples => {
+      const cb = wrapCallback(combiner, this, {total: tuples.length});
+      return this.inSeries
+        ? tuples.reduce((results, tuple, i) => results.then(results => (
+          Promise.resolve(cb(tuple, i, tuples)).then(result => {
+            results[i] = result;
+            return results;
+          })
+        )), Promise.resolve(Array(tuples.length)))
+        : parallel(tuples, cb, undefined, this.concurrency);
+    });
+  });
+};
+
+export default zipWithAF;
@@ -0,0 +1,29 @@
+import {isObject, notAnObject, resolveEntries} from '../_internal/objects';
+
+/**
+ * resolves to an `Array` of an object's own enumerable string-keyed `[key, value]` pairs, like `Object.entries`
+ *
+ * values are resolved in parallel if any of them are a `Promise`
+ *
+ * *Note*: if you'd rather resolve values in series, consider using `series.entriesAF` or its alias, `io.entriesAF`
+ *
+ * @returns {Promise.<Array[]>} `Promise` that resolves to an `Array` of `[key, value]` pairs with each value resolved
+ * @example
+ *
+ * const totals = {east: Promise.resolve(2), west: 3};
+ *
+ * AsyncAF(totals).entriesAF(); // Promise that resolves to [['east', 2], ['west', 3]]
+ * @since 7.1.0
+ * @see entries (alias)
+ * @see {@link AsyncAF#fromEntriesAF fromEntriesAF}
+ * @see {@link AsyncAF#series series.entriesAF}
+ * @memberof AsyncAF#
+ */
+const entriesAF = function () {
+  return this.then(obj => {
+    if (!isObject(obj)) throw notAnObject('entriesAF', obj);
+    return resolveEntries(obj, this.inSeries);
+  });
+};
+
+export default entriesAF;
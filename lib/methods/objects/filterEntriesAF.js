@@ -0,0 +1,44 @@
+import {isObject, notAnObject, resolveEntries, toObject, mapEntries} from '../_internal/objects';
+
+/**
+ * creates a new `Object` with only the keys of the original whose values pass the test implemented by the provided callback function
+ *
+ * if any values are a `Promise`, they will first be resolved in parallel and then tested
+ *
+ * *Note*: if you'd rather resolve and test values in series, consider using `series.filterEntriesAF` or its alias, `io.filterEntriesAF`
+ *
+ * @param {Function} callback function that tests each value of the object; return (or resolve to) `true` to keep the key and its value or `false` to leave them out
+ *
+ * `callback` accepts up to four arguments:
+ * - `value` the resolved value of the current key being processed in the object
+ * - `key`*`(optional)`* the current key
+ * - `object`*`(optional)`* a copy of the object filterEntriesAF is being applied to, with its values resolved
+ * - `signal`*`(optional)`* the `AbortSignal` set with {@link AsyncAF#signal signal}, if any
+ * @param {Object=} thisArg value to use as `this` when executing `callback`
+ * @returns {Promise.<Object>} `Promise` that resolves to a new `Object` with the keys and resolved values that passed the test
+ * @example
+ *
+ * const flags = {beta: fetchFlag('beta'), darkMode: fetchFlag('darkMode')};
+ *
+ * AsyncAF(flags).filterEntriesAF(flag => flag.enabled);
+ * // Promise that resolves to an object with only the enabled flags
+ *
+ * AsyncAF({a: 1, _b: 2}).filterEntriesAF((value, key) => !key.startsWith('_'));
+ * // Promise that resolves to {a: 1}
+ * @since 7.1.0
+ * @see filterEntries (alias)
+ * @see {@link AsyncAF#series series.filterEntriesAF}
+ * @memberof AsyncAF#
+ */
+const filterEntriesAF = function (callback, thisArg = undefined) {
+  return this.then(obj => {
+    if (!isObject(obj)) throw notAnObject('filterEntriesAF', obj);
+    if (typeof callback !== 'function') throw TypeError(`${callback} is not a function`);
+    return resolveEntries(obj, this.inSeries).then(entries => (
+      mapEntries(entries, callback, thisArg, this)
+        .then(bools => toObject(entries.filter((entry, i) => bools[i])))
+    ));
+  });
+};
+
+export default filterEntriesAF;
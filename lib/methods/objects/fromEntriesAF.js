@@ -0,0 +1,50 @@
+import permissiveIsArrayLike from '../_internal/permissiveIsArrayLike';
+import fromIterable from '../_internal/fromIterable';
+import {parallel, serial} from '../_internal/resolve';
+import {isObject, toObject} from '../_internal/objects';
+
+/**
+ * creates a new `Object` from an array or iterable of `[key, value]` pairs, like `Object.fromEntries`
+ *
+ * if any pairs or values are a `Promise`, they will be resolved in parallel; keys are used as-is; holes in sparse arrays are skipped; if a key appears more than once, its last value is kept
+ *
+ * *Note*: if you'd rather resolve pairs and values in series, consider using `series.fromEntriesAF` or its alias, `io.fromEntriesAF`
+ *
+ * @returns {Promise.<Object>} `Promise` that resolves to a new `Object` with a key for each pair and its resolved value
+ * @example
+ *
+ * const ids = [1, 2];
+ *
+ * // fetchUser returns a Promise that resolves to a user
+ * AsyncAF(ids).mapAF(id => [id, fetchUser(id)]).fromEntriesAF();
+ * // Promise that resolves to {1: {...}, 2: {...}}
+ *
+ * AsyncAF(new Map([['a', Promise.resolve(1)]])).fromEntriesAF();
+ * // Promise that resolves to {a: 1}
+ * @since 7.1.0
+ * @see fromEntries (alias)
+ * @see {@link AsyncAF#entriesAF entriesAF}
+ * @see {@link AsyncAF#series series.fromEntriesAF}
+ * @memberof AsyncAF#
+ */
+const fromEntriesAF = function () {
+  const resolve = this.inSeries ? serial : parallel;
+  return this.then(data => fromIterable(data, this.abortSignal)).then(arr => {
+    if (!permissiveIsArrayLike(arr)) throw TypeError(
+      `fromEntriesAF cannot be called on ${arr}, only on an Array, array-like Object, or iterable`,
+    );
+    return resolve(arr);
+  }).then(resolved => {
+    const entries = [];
+    Array.prototype.forEach.call(resolved, entry => {
+      if (!isObject(entry)) throw TypeError(
+        `fromEntriesAF expects each element to be a [key, value] pair but got ${entry}`,
+      );
+      entries.push(entry);
+    });
+    return resolve(entries.map(entry => entry[1]))
+      .then(values => toObject(entries.map((entry, i) => [entry[0], values[i]])));
+  });
+};
+
+export default fromEntriesAF;
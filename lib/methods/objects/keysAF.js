@@ -0,0 +1,25 @@
+import {isObject, notAnObject} from '../_internal/objects';
+
+/**
+ * resolves to an `Array` of an object's own enumerable string keys, like `Object.keys`
+ *
+ * the object's values aren't resolved
+ *
+ * @returns {Promise.<String[]>} `Promise` that resolves to an `Array` of the object's keys
+ * @example
+ *
+ * const profile = Promise.resolve({user: fetchUser(id), posts: fetchPosts(id)});
+ *
+ * AsyncAF(profile).keysAF(); // Promise that resolves to ['user', 'posts']
+ * @since 7.1.0
+ * @see keys (alias)
+ * @memberof AsyncAF#
+ */
+const keysAF = function () {
+  return this.then(obj => {
+    if (!isObject(obj)) throw notAnObject('keysAF', obj);
+    return Object.keys(obj);
+  });
+};
+
+export default keysAF;
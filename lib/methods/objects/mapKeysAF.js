@@ -0,0 +1,43 @@
+import {isObject, notAnObject, resolveEntries, toObject, mapEntries} from '../_internal/objects';
+
+/**
+ * creates a new `Object` with the same values as the original and keys that are the results of calling a provided function on every value and key
+ *
+ * if more than one value maps to the same key, the last of them (in the original object's key order) is kept
+ *
+ * if any values are a `Promise`, they will first be resolved in parallel and then processed
+ *
+ * *Note*: if you'd rather resolve and process values in series, consider using `series.mapKeysAF` or its alias, `io.mapKeysAF`
+ *
+ * @param {Function} callback function that produces the new key for each value
+ *
+ * `callback` accepts up to four arguments:
+ * - `value` the resolved value of the current key being processed in the object
+ * - `key`*`(optional)`* the current key
+ * - `object`*`(optional)`* a copy of the object mapKeysAF is being applied to, with its values resolved
+ * - `signal`*`(optional)`* the `AbortSignal` set with {@link AsyncAF#signal signal}, if any
+ * @param {Object=} thisArg value to use as `this` when executing `callback`
+ * @returns {Promise.<Object>} `Promise` that resolves to a new `Object` with each value under the key `callback` produced for it
+ * @example
+ *
+ * const users = {1: fetchUser(1), 2: fetchUser(2)};
+ *
+ * AsyncAF(users).mapKeysAF(user => user.email);
+ * // Promise that resolves to {'ada@example.com': {...}, 'alan@example.com': {...}}
+ * @since 7.1.0
+ * @see mapKeys (alias)
+ * @see {@link AsyncAF#series series.mapKeysAF}
+ * @memberof AsyncAF#
+ */
+const mapKeysAF = function (callback, thisArg = undefined) {
+  return this.then(obj => {
+    if (!isObject(obj)) throw notAnObject('mapKeysAF', obj);
+    if (typeof callback !== 'function') throw TypeError(`${callback} is not a function`);
+    return resolveEntries(obj, this.inSeries).then(entries => (
+      mapEntries(entries, callback, thisArg, this)
+        .then(keys => toObject(entries.map(([, value], i) => [keys[i], value])))
+    ));
+  });
+};
+
+export default mapKeysAF;
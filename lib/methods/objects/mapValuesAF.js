@@ -0,0 +1,54 @@
+import {isObject, notAnObject, resolveEntries, toObject, mapEntries} from '../_internal/objects';
+import {
+  isCollection,
+  resolveCollection,
+  mappedCollection,
+  collectionOf,
+} from '../_internal/collections';
+
+/**
+ * creates a new `Object` with the same keys as the original and the results of calling a provided function on every value
+ *
+ * if any values are a `Promise`, they will first be resolved in parallel and then processed
+ *
+ * when called on a `Map`, mapValuesAF resolves to a new `Map` with the same keys and the mapped values instead, and `object` is a copy of the `Map` with its values resolved; a `Set`'s keys are its elements, so it resolves to a new `Set` of the mapped values, like {@link AsyncAF#mapAF mapAF}
+ *
+ * *Note*: if you'd rather resolve and process values in series, consider using `series.mapValuesAF` or its alias, `io.mapValuesAF`
+ *
+ * @param {Function} callback function that produces the value of each key in the new `Object`
+ *
+ * `callback` accepts up to four arguments:
+ * - `value` the resolved value of the current key being processed in the object
+ * - `key`*`(optional)`* the current key
+ * - `object`*`(optional)`* a copy of the object mapValuesAF is being applied to, with its values resolved
+ * - `signal`*`(optional)`* the `AbortSignal` set with {@link AsyncAF#signal signal}, if any
+ * @param {Object=} thisArg value to use as `this` when executing `callback`
+ * @returns {Promise.<Object|Map|Set>} `Promise` that resolves to a new `Object` (or `Map` or `Set`) with each value being the result of calling `callback` on the original value
+ * @example
+ *
+ * const ids = {author: Promise.resolve(1), editor: 2};
+ *
+ * // fetchUser returns a Promise that resolves to a user
+ * AsyncAF(ids).mapValuesAF(id => fetchUser(id));
+ * // Promise that resolves to {author: {...}, editor: {...}}
+ * @since 7.1.0
+ * @see mapValues (alias)
+ * @see {@link AsyncAF#series series.mapValuesAF}
+ * @memberof AsyncAF#
+ */
+const mapValuesAF = function (callback, thisArg = undefined) {
+  return this.then(obj => {
+    if (!isObject(obj)) throw notAnObject('mapValuesAF', obj);
+    if (typeof callback !== 'function') throw TypeError(`${callback} is not a function`);
+    if (isCollection(obj)) return resolveCollection(obj, this.inSeries).then(entries => (
+      mapEntries(entries, callback, thisArg, this, collectionOf(entries))
+        .then(values => mappedCollection(entries, values))
+    ));
+    return resolveEntries(obj, this.inSeries).then(entries => (
+      mapEntries(entries, callback, thisArg, this)
+        .then(values => toObject(entries.map(([key], i) => [key, values[i]])))
+    ));
+  });
+};
+
+export default mapValuesAF;
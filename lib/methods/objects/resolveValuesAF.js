@@ -0,0 +1,29 @@
+import {isObject, notAnObject, resolveEntries, toObject} from '../_internal/objects';
+
+/**
+ * resolves every value of an object, like `Promise.all` for an object's values instead of an array's elements
+ *
+ * values are resolved in parallel and the new object has the same own enumerable string keys as the original, in the same order
+ *
+ * *Note*: if you'd rather resolve values in series, consider using `series.resolveValuesAF` or its alias, `io.resolveValuesAF`
+ *
+ * @returns {Promise.<Object>} `Promise` that resolves to a new `Object` with each key's value resolved
+ * @example
+ *
+ * const profile = {user: fetchUser(id), posts: fetchPosts(id), visits: 3};
+ *
+ * AsyncAF(profile).resolveValuesAF();
+ * // Promise that resolves to {user: {...}, posts: [...], visits: 3}
+ * @since 7.1.0
+ * @see resolveValues (alias)
+ * @see {@link AsyncAF#series series.resolveValuesAF}
+ * @memberof AsyncAF#
+ */
+const resolveValuesAF = function () {
+  return this.then(obj => {
+    if (!isObject(obj)) throw notAnObject('resolveValuesAF', obj);
+    return resolveEntries(obj, this.inSeries).then(toObject);
+  });
+};
+
+export default resolveValuesAF;
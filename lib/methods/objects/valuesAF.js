@@ -0,0 +1,29 @@
+import {isObject, notAnObject, resolveEntries} from '../_internal/objects';
+
+/**
+ * resolves to an `Array` of an object's own enumerable string-keyed values, like `Object.values`
+ *
+ * values are resolved in parallel if any of them are a `Promise`
+ *
+ * *Note*: if you'd rather resolve values in series, consider using `series.valuesAF` or its alias, `io.valuesAF`
+ *
+ * @returns {Promise.<Array>} `Promise` that resolves to an `Array` of the object's resolved values
+ * @example
+ *
+ * const totals = {east: fetchTotal('east'), west: fetchTotal('west')};
+ *
+ * AsyncAF(totals).valuesAF().reduceAF((sum, total) => sum + total, 0);
+ * // Promise that resolves to the sum of every total
+ * @since 7.1.0
+ * @see values (alias)
+ * @see {@link AsyncAF#series series.valuesAF}
+ * @memberof AsyncAF#
+ */
+const valuesAF = function () {
+  return this.then(obj => {
+    if (!isObject(obj)) throw notAnObject('valuesAF', obj);
+    return resolveEntries(obj, this.inSeries).then(entries => entries.map(([, value]) => value));
+  });
+};
+
+export default valuesAF;
@@ -0,0 +1,47 @@
+const aggregateStore = new WeakMap();
+
+const aggregate = {
+  aggregateMode: {
+    get() {
+      return aggregateStore.get(this);
+    },
+  },
+  /**
+   * indicates that the next method invoked should run every element to completion and then, if any failed, reject with an `AggregateError` listing all of the failures rather than only the first one
+   *
+   * the `AggregateError` has:
+   * - `errors` every error, in index order
+   * - `failures` an array of `{index, element, error}` objects, one for each element whose callback threw or rejected (or that was itself a rejected `Promise`, in which case `element` is that `Promise`); when the method is called on a `Map` or `Set`, `element` is the value passed to the callback and each failure also has the `key` passed with it
+   *
+   * if nothing fails, the method resolves just as it would without `aggregate`
+   *
+   * `aggregate` can currently be chained with:
+   * - {@link AsyncAF#filterAF filterAF}
+   * - {@link AsyncAF#forEachAF forEachAF}
+   * - {@link AsyncAF#mapAF mapAF}
+   *
+   * and composes with {@link AsyncAF#series series}, {@link AsyncAF#limit limit}, {@link AsyncAF#timeoutEach timeoutEach}, and {@link AsyncAF#retry retry}; if {@link AsyncAF#settled settled} is also set, `settled` takes precedence
+   *
+   * @example
+   *
+   * AsyncAF(rows).aggregate.forEachAF(validateRow).catch(e => {
+   *   e.failures.forEach(({index, error}) => {
+   *     console.log(`row ${index + 1}: ${error.message}`);
+   *   });
+   * });
+   *
+   * @function aggregate
+   * @returns {AsyncAF.<any>} returns an instance of AsyncAF that will collect every failure in the next method invocation
+   * @since 7.1.0
+   * @see {@link AsyncAF#settled settled}
+   * @memberof AsyncAF#
+   */
+  aggregate: {
+    get() {
+      aggregateStore.set(this, true);
+      return this;
+    },
+  },
+};
+
+export default aggregate;
@@ -0,0 +1,48 @@
+const completionOrders = new WeakMap();
+
+const asCompleted = {
+  completionOrder: {
+    get() {
+      return completionOrders.get(this);
+    },
+  },
+  /**
+   * indicates that the next method invoked should process elements in the order they resolve rather than in index order
+   *
+   * with `asCompleted`, the callback is invoked for each element as soon as that element resolves instead of after every element has resolved, and {@link AsyncAF#mapAF mapAF} resolves to its results in the order its callbacks settle (first settled first); the `index` argument is still the element's index in the original array, but since the rest of the array may not have resolved yet, the `array` argument is `undefined`
+   *
+   * followed by a method in a {@link AsyncAF#lazy lazy} pipeline, `asCompleted` makes the pipeline yield each result as soon as it's ready instead of waiting for the results before it
+   *
+   * `asCompleted` has no effect in {@link AsyncAF#series series}, where elements are always processed in index order, and is ignored if {@link AsyncAF#settled settled} or {@link AsyncAF#aggregate aggregate} is also set
+   *
+   * `asCompleted` can currently be chained with:
+   * - {@link AsyncAF#forEachAF forEachAF}
+   * - {@link AsyncAF#mapAF mapAF}
+   *
+   * and composes with {@link AsyncAF#limit limit}, {@link AsyncAF#timeoutEach timeoutEach}, and {@link AsyncAF#retry retry}
+   *
+   * @example
+   *
+   * const slow = new Promise(resolve => setTimeout(resolve, 200, 'slow'));
+   * const fast = new Promise(resolve => setTimeout(resolve, 100, 'fast'));
+   *
+   * AsyncAF([slow, fast]).asCompleted.mapAF(s => s.toUpperCase());
+   * // Promise that resolves to ['FAST', 'SLOW']
+   *
+   * // update a progress UI with whichever job finishes first
+   * AsyncAF(jobs).asCompleted.forEachAF(job => ui.markDone(job.id));
+   *
+   * @function asCompleted
+   * @returns {AsyncAF.<any>} returns an instance of AsyncAF that will process elements in completion order in the next method invocation
+   * @since 7.1.0
+   * @memberof AsyncAF#
+   */
+  asCompleted: {
+    get() {
+      completionOrders.set(this, true);
+      return this;
+    },
+  },
+};
+
+export default asCompleted;
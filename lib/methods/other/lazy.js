@@ -0,0 +1,60 @@
+const pipelines = new WeakMap();
+
+const lazy = {
+  lazyPipeline: {
+    get() {
+      return pipelines.get(this);
+    },
+    set(pipeline) {
+      pipelines.set(this, pipeline);
+    },
+  },
+  /**
+   * indicates that the methods chained after it should be fused into a lazy pipeline that streams elements through one at a time instead of building a new array after each method
+   *
+   * nothing runs until the chain is awaited or iterated with `for await`; when iterated, each result is yielded as soon as it and every result before it are ready, so large or endless sources (such as an async generator reading a paginated API) never need to be held in memory all at once
+   *
+   * to let more than one element through at a time, chain {@link AsyncAF#limit limit} before a method; the smallest limit in the pipeline sets how many elements are in flight, and {@link AsyncAF#series series} is the same as `limit(1)`
+   *
+   * the following methods can be fused:
+   * - {@link AsyncAF#filterAF filterAF}
+   * - {@link AsyncAF#forEachAF forEachAF} (elements pass through unchanged, so it can be used to tap into the stream)
+   * - {@link AsyncAF#mapAF mapAF}
+   *
+   * any other method, or one of these preceded by {@link AsyncAF#settled settled} or {@link AsyncAF#aggregate aggregate}, ends the pipeline: the results so far are collected into an array and the method runs as usual; {@link AsyncAF#signal signal}, {@link AsyncAF#timeout timeout}, {@link AsyncAF#timeoutEach timeoutEach}, and {@link AsyncAF#retry retry} apply within a pipeline as well
+   *
+   * *Note*: in a pipeline, callbacks receive the element's index in the source rather than in the results of the previous method, and their `array` argument is `undefined` since no intermediate array is built; holes in sparse arrays are skipped. A `Map` or `Set` keeps its keys and type as it would without lazy, so its methods run one after another rather than streaming
+   *
+   * @example
+   *
+   * // every AsyncAF instance can be iterated with for await
+   * for await (const n of AsyncAF([1, Promise.resolve(2)]).mapAF(n => n * 2)) {
+   *   console.log(n); // logs 2 then 4 once both have been doubled
+   * }
+   *
+   * // but only a lazy pipeline yields each result as soon as it's ready
+   * const users = AsyncAF(fetchUserPages()).lazy.limit(4)
+   *   .mapAF(user => fetchProfile(user))
+   *   .filterAF(profile => profile.active);
+   *
+   * for await (const profile of users) {
+   *   render(profile);
+   * }
+   *
+   * @function lazy
+   * @returns {AsyncAF.<any>} returns an instance of AsyncAF whose next methods will be fused into a lazy pipeline
+   * @since 7.1.0
+   * @memberof AsyncAF#
+   */
+  lazy: {
+    get() {
+      if (!this.lazyPipeline) {
+        const source = new Promise((resolve, reject) => this.then(resolve, reject));
+        this.lazyPipeline = {source, stages: []};
+      }
+      return this;
+    },
+  },
+};
+
+export default lazy;
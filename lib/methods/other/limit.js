@@ -0,0 +1,86 @@
+const concurrency = new WeakMap();
+
+const limit = {
+  concurrency: {
+    get() {
+      return concurrency.get(this);
+    },
+  },
+  /**
+   * indicates that the next method invoked should run at most `n` callbacks at a time
+   *
+   * `limit` is a middle ground between the default parallel behavior and {@link AsyncAF#series series}; e.g.:
+   * ```js
+   * AsyncAF(urls).limit(5).mapAF(fetchJson)
+   * ```
+   *
+   * results keep their original order and holes in sparse arrays are preserved, the same as when running in parallel
+   *
+   * `limit` can currently be chained with:
+   * - {@link AsyncAF#batchMapAF batchMapAF}
+   * - {@link AsyncAF#everyAF everyAF}
+   * - {@link AsyncAF#filterAF filterAF}
+   * - {@link AsyncAF#filterEntriesAF filterEntriesAF}
+   * - {@link AsyncAF#findAF findAF}
+   * - {@link AsyncAF#findIndexAF findIndexAF}
+   * - {@link AsyncAF#findLastAF findLastAF}
+   * - {@link AsyncAF#findLastIndexAF findLastIndexAF}
+   * - {@link AsyncAF#flatMapAF flatMapAF}
+   * - {@link AsyncAF#forEachAF forEachAF}
+   * - {@link AsyncAF#groupByAF groupByAF}
+   * - {@link AsyncAF#mapAF mapAF}
+   * - {@link AsyncAF#mapKeysAF mapKeysAF}
+   * - {@link AsyncAF#mapValuesAF mapValuesAF}
+   * - {@link AsyncAF#partitionAF partitionAF}
+   * - {@link AsyncAF#replaceAF replaceAF}
+   * - {@link AsyncAF#replaceAllAF replaceAllAF}
+   * - {@link AsyncAF#someAF someAF}
+   * - {@link AsyncAF#sortByAF sortByAF}
+   * - {@link AsyncAF#uniqByAF uniqByAF}
+   * - {@link AsyncAF#zipWithAF zipWithAF}
+   *
+   * *Note*: if `series` is also set, the next method will be performed in series and `limit` will be ignored
+   *
+   * @example
+   * import delay from 'delay'; // {@link https://www.npmjs.com/package/delay}
+   *
+   * const nums = [3, 2, 1, 4];
+   *
+   * // run no more than two callbacks at once
+   * (async () => {
+   *   const start = Date.now();
+   *
+   *   await AsyncAF(nums).limit(2).forEachAF(async num => {
+   *     await delay(num * 1000);
+   *     console.log(num, `at ~${Date.now() - start} ms`);
+   *   });
+   *
+   *   console.log(`total: ~${Date.now() - start} ms`);
+   * })();
+   *
+   * // logs:
+   * // 2  'at ~2000 ms'
+   * // 3  'at ~3000 ms'
+   * // 1  'at ~3000 ms'
+   * // 4  'at ~7000 ms'
+   * // total: ~7000 ms
+   *
+   * @function limit
+   * @param {Number} n the maximum number of callbacks that may be pending at the same time; must be a positive integer or `Infinity`
+   * @returns {AsyncAF.<any>} returns an instance of AsyncAF that will run at most `n` callbacks at a time in the next method invocation
+   * @since 7.1.0
+   * @see {@link AsyncAF#series series}
+   * @memberof AsyncAF#
+   */
+  limit: {
+    value: function limit(n) {
+      if (!(n === Infinity || (Number.isInteger(n) && n > 0))) throw TypeError(
+        `limit must be a positive integer or Infinity but was ${n}`,
+      );
+      concurrency.set(this, n);
+      return this;
+    },
+  },
+};
+
+export default limit;
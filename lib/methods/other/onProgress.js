@@ -0,0 +1,66 @@
+const progressCallbacks = new WeakMap();
+
+const onProgress = {
+  progressCallback: {
+    get() {
+      return progressCallbacks.get(this);
+    },
+  },
+  /**
+   * sets a function to be called each time a callback settles in the next method invoked, so you can tell how far along a long-running method is
+   *
+   * `fn` receives an object with the following properties:
+   * - `done` the number of callbacks that have settled so far, including this one
+   * - `total` the number of callbacks the method expects to invoke (methods that can return early, such as {@link AsyncAF#someAF someAF}, may finish before `done` reaches `total`; in a {@link AsyncAF#lazy lazy} pipeline, the total isn't known and is `undefined`)
+   * - `index` the index of the element the callback was invoked on
+   * - `value` what the callback returned (or resolved to), or `error` instead if it threw or rejected
+   *
+   * with {@link AsyncAF#retry retry}, `fn` is only called once an element's final attempt settles
+   *
+   * `onProgress` can currently be chained with:
+   * - {@link AsyncAF#batchMapAF batchMapAF}
+   * - {@link AsyncAF#everyAF everyAF}
+   * - {@link AsyncAF#filterAF filterAF}
+   * - {@link AsyncAF#filterEntriesAF filterEntriesAF}
+   * - {@link AsyncAF#findAF findAF}
+   * - {@link AsyncAF#findIndexAF findIndexAF}
+   * - {@link AsyncAF#findLastAF findLastAF}
+   * - {@link AsyncAF#findLastIndexAF findLastIndexAF}
+   * - {@link AsyncAF#flatMapAF flatMapAF}
+   * - {@link AsyncAF#forEachAF forEachAF}
+   * - {@link AsyncAF#groupByAF groupByAF}
+   * - {@link AsyncAF#mapAF mapAF}
+   * - {@link AsyncAF#mapKeysAF mapKeysAF}
+   * - {@link AsyncAF#mapValuesAF mapValuesAF}
+   * - {@link AsyncAF#partitionAF partitionAF}
+   * - {@link AsyncAF#reduceAF reduceAF}
+   * - {@link AsyncAF#reduceRightAF reduceRightAF}
+   * - {@link AsyncAF#replaceAF replaceAF}
+   * - {@link AsyncAF#replaceAllAF replaceAllAF}
+   * - {@link AsyncAF#someAF someAF}
+   * - {@link AsyncAF#sortByAF sortByAF}
+   * - {@link AsyncAF#uniqByAF uniqByAF}
+   * - {@link AsyncAF#zipWithAF zipWithAF}
+   *
+   * @example
+   *
+   * AsyncAF(items).onProgress(({done, total}) => {
+   *   process.stdout.write(`\r${Math.round(done / total * 100)}%`);
+   * }).series.forEachAF(item => upload(item));
+   *
+   * @function onProgress
+   * @param {Function} fn the function to call each time a callback settles
+   * @returns {AsyncAF.<any>} returns an instance of AsyncAF that will report progress in the next method invocation
+   * @since 7.1.0
+   * @memberof AsyncAF#
+   */
+  onProgress: {
+    value: function onProgress(fn) {
+      if (typeof fn !== 'function') throw TypeError(`onProgress must be a function but was ${fn}`);
+      progressCallbacks.set(this, fn);
+      return this;
+    },
+  },
+};
+
+export default onProgress;
@@ -0,0 +1,98 @@
+const retryOptions = new WeakMap();
+
+const validate = ({attempts, backoff, jitter, retryIf}) => {
+  if (!(Number.isInteger(attempts) && attempts > 0)) throw TypeError(
+    `retry's attempts option must be a positive integer but was ${attempts}`,
+  );
+  if (!(typeof backoff === 'function' || (typeof backoff === 'number' && backoff >= 0)))
+    throw TypeError(`retry's backoff option must be a non-negative Number or a function but was ${backoff}`);
+  if (!(typeof jitter === 'boolean' || (typeof jitter === 'number' && jitter >= 0 && jitter <= 1)))
+    throw TypeError(`retry's jitter option must be a Boolean or a Number from 0 to 1 but was ${jitter}`);
+  if (typeof retryIf !== 'function') throw TypeError(
+    `retry's retryIf option must be a function but was ${retryIf}`,
+  );
+};
+
+const retry = {
+  retryOptions: {
+    get() {
+      return retryOptions.get(this);
+    },
+  },
+  /**
+   * indicates that a callback that throws or rejects in the next method invoked should be re-invoked for that element instead of rejecting the entire method
+   *
+   * each element gets its own attempts; if an element's last attempt fails (or `retryIf` returns a falsey value), the method rejects with that attempt's error
+   *
+   * the current attempt number (starting at `1`) is passed to the callback as an extra argument after `signal`; note that `signal` will be `undefined` if {@link AsyncAF#signal signal} wasn't set
+   *
+   * `retry` composes with {@link AsyncAF#series series}, {@link AsyncAF#limit limit}, {@link AsyncAF#timeoutEach timeoutEach} (each attempt is timed separately, so an attempt that times out can be retried), and {@link AsyncAF#signal signal} (no further attempts are made once the signal is aborted)
+   *
+   * `retry` can currently be chained with:
+   * - {@link AsyncAF#batchMapAF batchMapAF}
+   * - {@link AsyncAF#everyAF everyAF}
+   * - {@link AsyncAF#filterAF filterAF}
+   * - {@link AsyncAF#filterEntriesAF filterEntriesAF}
+   * - {@link AsyncAF#findAF findAF}
+   * - {@link AsyncAF#findIndexAF findIndexAF}
+   * - {@link AsyncAF#findLastAF findLastAF}
+   * - {@link AsyncAF#findLastIndexAF findLastIndexAF}
+   * - {@link AsyncAF#flatMapAF flatMapAF}
+   * - {@link AsyncAF#forEachAF forEachAF}
+   * - {@link AsyncAF#groupByAF groupByAF}
+   * - {@link AsyncAF#mapAF mapAF}
+   * - {@link AsyncAF#mapKeysAF mapKeysAF}
+   * - {@link AsyncAF#mapValuesAF mapValuesAF}
+   * - {@link AsyncAF#partitionAF partitionAF}
+   * - {@link AsyncAF#reduceAF reduceAF}
+   * - {@link AsyncAF#reduceRightAF reduceRightAF}
+   * - {@link AsyncAF#replaceAF replaceAF}
+   * - {@link AsyncAF#replaceAllAF replaceAllAF}
+   * - {@link AsyncAF#someAF someAF}
+   * - {@link AsyncAF#sortByAF sortByAF}
+   * - {@link AsyncAF#uniqByAF uniqByAF}
+   * - {@link AsyncAF#zipWithAF zipWithAF}
+   *
+   * @example
+   *
+   * // retry each failed request up to 4 times, waiting 100ms, 200ms, then 400ms (give or take) between attempts
+   * AsyncAF(urls).retry({attempts: 5, backoff: 100, jitter: 0.2}).series.mapAF(
+   *   (url, i, arr, signal, attempt) => {
+   *     console.log(`fetching ${url} (attempt #${attempt})`);
+   *     return fetchJson(url);
+   *   },
+   * );
+   *
+   * // only retry errors that are likely to be temporary
+   * AsyncAF(urls).retry({
+   *   retryIf: e => e.status >= 500,
+   * }).forEachAF(url => post(url));
+   *
+   * @function retry
+   * @param {Object=} options an object that may contain any of the following properties:
+   * - `attempts` *`(optional)`* the maximum number of times to invoke the callback for each element; defaults to `3`
+   * - `backoff` *`(optional)`* the number of milliseconds to wait before the first retry, doubling before each subsequent retry; or a function that receives the number of the failed attempt and its error and returns the number of milliseconds to wait; defaults to `0`
+   * - `jitter` *`(optional)`* randomly shortens each wait by up to this fraction (`0` to `1`) of it to keep retries from bunching up; `true` is the same as `1`; defaults to `false`
+   * - `retryIf` *`(optional)`* a function that receives the error and the number of the failed attempt and returns (or resolves to) whether to try again; defaults to always retrying
+   * @returns {AsyncAF.<any>} returns an instance of AsyncAF that will retry failed callbacks in the next method invocation
+   * @since 7.1.0
+   * @memberof AsyncAF#
+   */
+  retry: {
+    value: function retry({
+      attempts = 3,
+      backoff = 0,
+      jitter = false,
+      retryIf = () => true,
+    } = {}) {
+      const options = {
+        attempts, backoff, jitter, retryIf,
+      };
+      validate(options);
+      retryOptions.set(this, options);
+      return this;
+    },
+  },
+};
+
+export default retry;
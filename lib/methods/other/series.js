@@ -15,17 +15,47 @@ const series = {
    * ```
    *
    * `series` can currently be chained with:
+   * - {@link AsyncAF#batchMapAF batchMapAF}
+   * - {@link AsyncAF#chunkAF chunkAF}
+   * - {@link AsyncAF#entriesAF entriesAF}
    * - {@link AsyncAF#everyAF everyAF}
+   * - {@link AsyncAF#fillAF fillAF}
    * - {@link AsyncAF#filterAF filterAF}
+   * - {@link AsyncAF#filterEntriesAF filterEntriesAF}
    * - {@link AsyncAF#findAF findAF}
    * - {@link AsyncAF#findIndexAF findIndexAF}
+   * - {@link AsyncAF#findLastAF findLastAF}
+   * - {@link AsyncAF#findLastIndexAF findLastIndexAF}
+   * - {@link AsyncAF#flatAF flatAF}
+   * - {@link AsyncAF#flatMapAF flatMapAF}
    * - {@link AsyncAF#forEachAF forEachAF}
+   * - {@link AsyncAF#fromEntriesAF fromEntriesAF}
+   * - {@link AsyncAF#groupByAF groupByAF}
    * - {@link AsyncAF#includesAF includesAF}
    * - {@link AsyncAF#indexOfAF indexOfAF}
    * - {@link AsyncAF#lastIndexOfAF lastIndexOfAF}
    * - {@link AsyncAF#mapAF mapAF}
+   * - {@link AsyncAF#mapKeysAF mapKeysAF}
+   * - {@link AsyncAF#mapValuesAF mapValuesAF}
+   * - {@link AsyncAF#partitionAF partitionAF}
    * - {@link AsyncAF#reduceAF reduceAF}
+   * - {@link AsyncAF#reduceRightAF reduceRightAF}
+   * - {@link AsyncAF#replaceAF replaceAF}
+   * - {@link AsyncAF#replaceAllAF replaceAllAF}
+   * - {@link AsyncAF#resolveValuesAF resolveValuesAF}
+   * - {@link AsyncAF#reverseAF reverseAF}
+   * - {@link AsyncAF#sliceAF sliceAF}
    * - {@link AsyncAF#someAF someAF}
+   * - {@link AsyncAF#sortAF sortAF}
+   * - {@link AsyncAF#sortByAF sortByAF}
+   * - {@link AsyncAF#toSortedAF toSortedAF}
+   * - {@link AsyncAF#toSplicedAF toSplicedAF}
+   * - {@link AsyncAF#uniqAF uniqAF}
+   * - {@link AsyncAF#uniqByAF uniqByAF}
+   * - {@link AsyncAF#valuesAF valuesAF}
+   * - {@link AsyncAF#withAF withAF}
+   * - {@link AsyncAF#zipAF zipAF}
+   * - {@link AsyncAF#zipWithAF zipWithAF}
    *
    * @example
    * import delay from 'delay'; // {@link https://www.npmjs.com/package/delay}
@@ -71,6 +101,7 @@ const series = {
    * @returns {AsyncAF.<any>} returns an instance of AsyncAF that will perform the next method invocation serially
    * @since 7.0.0
    * @see {@link AsyncAF#io io} (alias)
+   * @see {@link AsyncAF#limit limit}
    * @memberof AsyncAF#
    */
   series: {
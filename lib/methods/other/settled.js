@@ -0,0 +1,56 @@
+const settledStore = new WeakMap();
+
+const settled = {
+  settledMode: {
+    get() {
+      return settledStore.get(this);
+    },
+  },
+  /**
+   * indicates that the next method invoked should report every element's outcome instead of rejecting on the first failure
+   *
+   * with `settled`, the method resolves to an array of records, one per index, in the same shape as `Promise.allSettled`:
+   * - `{status: 'fulfilled', value}` when the element and its callback both succeed
+   * - `{status: 'rejected', reason}` when the element is a rejected `Promise` (its callback isn't invoked) or its callback throws or rejects
+   *
+   * holes in sparse arrays are preserved and aren't passed to the callback; rejected elements are `undefined` in the `array` argument passed to callbacks
+   *
+   * `settled` can currently be chained with:
+   * - {@link AsyncAF#filterAF filterAF}, which only keeps records for the elements that pass the test (with the element itself as `value`) and for those that reject
+   * - {@link AsyncAF#forEachAF forEachAF}
+   * - {@link AsyncAF#mapAF mapAF}
+   *
+   * and composes with {@link AsyncAF#series series}, {@link AsyncAF#limit limit}, {@link AsyncAF#timeoutEach timeoutEach}, and {@link AsyncAF#retry retry}
+   *
+   * @example
+   *
+   * const promises = [Promise.resolve(1), Promise.reject(Error('nope')), 3];
+   *
+   * AsyncAF(promises).settled.mapAF(n => n * 2);
+   * // Promise that resolves to:
+   * // [
+   * //   {status: 'fulfilled', value: 2},
+   * //   {status: 'rejected', reason: Error('nope')},
+   * //   {status: 'fulfilled', value: 6},
+   * // ]
+   *
+   * // report partial successes of a batch job
+   * AsyncAF(rows).settled.series.forEachAF(importRow).then(results => {
+   *   const failed = results.filter(({status}) => status === 'rejected');
+   *   console.log(`imported ${results.length - failed.length} of ${results.length} rows`);
+   * });
+   *
+   * @function settled
+   * @returns {AsyncAF.<any>} returns an instance of AsyncAF that will resolve to settled records in the next method invocation
+   * @since 7.1.0
+   * @memberof AsyncAF#
+   */
+  settled: {
+    get() {
+      settledStore.set(this, true);
+      return this;
+    },
+  },
+};
+
+export default settled;
@@ -0,0 +1,82 @@
+const signals = new WeakMap();
+
+const isAbortSignal = signal => signal != null
+  && typeof signal.aborted === 'boolean'
+  && typeof signal.addEventListener === 'function';
+
+const signal = {
+  abortSignal: {
+    get() {
+      return signals.get(this);
+    },
+  },
+  /**
+   * makes the rest of the chain abortable with an `AbortSignal`
+   *
+   * once the signal is aborted:
+   * - serial loops (e.g., `series.forEachAF`) and {@link AsyncAF#limit limit}ed methods stop invoking further callbacks
+   * - any methods still pending in the chain reject with an `AbortError` (or with `signal.reason`, if the environment supports it)
+   *
+   * the signal is also passed to each callback as an extra argument after the usual ones, so it can be forwarded to cancellable APIs like `fetch`
+   *
+   * since parallel {@link AsyncAF#everyAF everyAF}, {@link AsyncAF#someAF someAF}, {@link AsyncAF#findAF findAF}, {@link AsyncAF#findIndexAF findIndexAF}, {@link AsyncAF#findLastAF findLastAF}, and {@link AsyncAF#findLastIndexAF findLastIndexAF} can settle before all of their callbacks have, their callbacks receive a signal that follows this one but is also aborted once the method has settled
+   *
+   * unlike {@link AsyncAF#series series}, `signal` applies to every method after it in the chain; a `catch` or a `then` with a rejection handler ends its reach, so an aborted chain can be recovered from
+   *
+   * `signal` can currently be chained with every prototype method; the following pass the signal to their callbacks:
+   * - {@link AsyncAF#batchMapAF batchMapAF}
+   * - {@link AsyncAF#everyAF everyAF}
+   * - {@link AsyncAF#filterAF filterAF}
+   * - {@link AsyncAF#filterEntriesAF filterEntriesAF}
+   * - {@link AsyncAF#findAF findAF}
+   * - {@link AsyncAF#findIndexAF findIndexAF}
+   * - {@link AsyncAF#findLastAF findLastAF}
+   * - {@link AsyncAF#findLastIndexAF findLastIndexAF}
+   * - {@link AsyncAF#flatMapAF flatMapAF}
+   * - {@link AsyncAF#forEachAF forEachAF}
+   * - {@link AsyncAF#groupByAF groupByAF}
+   * - {@link AsyncAF#mapAF mapAF}
+   * - {@link AsyncAF#mapKeysAF mapKeysAF}
+   * - {@link AsyncAF#mapValuesAF mapValuesAF}
+   * - {@link AsyncAF#partitionAF partitionAF}
+   * - {@link AsyncAF#reduceAF reduceAF}
+   * - {@link AsyncAF#reduceRightAF reduceRightAF}
+   * - {@link AsyncAF#replaceAF replaceAF}
+   * - {@link AsyncAF#replaceAllAF replaceAllAF}
+   * - {@link AsyncAF#someAF someAF}
+   * - {@link AsyncAF#sortAF sortAF}
+   * - {@link AsyncAF#sortByAF sortByAF}
+   * - {@link AsyncAF#toSortedAF toSortedAF}
+   * - {@link AsyncAF#uniqByAF uniqByAF}
+   * - {@link AsyncAF#zipWithAF zipWithAF}
+   *
+   * @example
+   * const controller = new AbortController();
+   *
+   * const users = AsyncAF(userIds)
+   *   .signal(controller.signal)
+   *   .series.mapAF((id, i, arr, signal) => fetch(`/users/${id}`, {signal}))
+   *   .mapAF(res => res.json());
+   *
+   * cancelButton.onclick = () => controller.abort();
+   *
+   * users.catch(e => {
+   *   if (e.name === 'AbortError') console.log('cancelled');
+   * });
+   *
+   * @function signal
+   * @param {AbortSignal} signal the `AbortSignal` that aborts the chain
+   * @returns {AsyncAF.<any>} returns an instance of AsyncAF whose chain may be aborted by `signal`
+   * @since 7.1.0
+   * @memberof AsyncAF#
+   */
+  signal: {
+    value: function signal(signal) {
+      if (!isAbortSignal(signal)) throw TypeError(`signal must be an AbortSignal but was ${signal}`);
+      signals.set(this, signal);
+      return this;
+    },
+  },
+};
+
+export default signal;
@@ -0,0 +1,109 @@
+const deadlines = new WeakMap();
+const itemTimeouts = new WeakMap();
+
+const validate = (name, ms) => {
+  if (!(typeof ms === 'number' && ms >= 0 && ms < Infinity)) throw TypeError(
+    `${name} must be a non-negative finite number of milliseconds but was ${ms}`,
+  );
+};
+
+const timeout = {
+  deadline: {
+    get() {
+      return deadlines.get(this);
+    },
+    set(deadline) {
+      deadlines.set(this, deadline);
+    },
+  },
+  itemTimeout: {
+    get() {
+      return itemTimeouts.get(this);
+    },
+  },
+  /**
+   * rejects the rest of the chain with a `TimeoutError` if it hasn't settled within `ms` milliseconds
+   *
+   * like {@link AsyncAF#signal signal}, `timeout` applies to every method after it in the chain, and a `catch` or a `then` with a rejection handler ends its reach; the clock starts when `timeout` is called
+   *
+   * this guards against a promise that never settles hanging the chain forever; to time out each callback individually instead, see {@link AsyncAF#timeoutEach timeoutEach}
+   *
+   * *Note*: a timeout does not stop callbacks that are already running; to cancel them, pass an `AbortSignal` to {@link AsyncAF#signal signal} and abort it when the `TimeoutError` is caught
+   *
+   * @example
+   *
+   * const neverSettles = new Promise(() => {});
+   *
+   * AsyncAF([1, neverSettles]).timeout(2000).mapAF(n => n * 2).catch(e => {
+   *   console.log(e.name, e.message); // logs 'TimeoutError' 'AsyncAF timed out after 2000 ms' after ~2 secs
+   * });
+   *
+   * @function timeout
+   * @param {Number} ms the number of milliseconds the rest of the chain has to settle
+   * @returns {AsyncAF.<any>} returns an instance of AsyncAF whose chain will reject if it takes longer than `ms`
+   * @since 7.1.0
+   * @see {@link AsyncAF#timeoutEach timeoutEach}
+   * @memberof AsyncAF#
+   */
+  timeout: {
+    value: function timeout(ms) {
+      validate('timeout', ms);
+      this.deadline = {ms, at: Date.now() + ms};
+      return this;
+    },
+  },
+  /**
+   * indicates that each callback in the next method invoked must settle within `ms` milliseconds
+   *
+   * if a callback (or the promise it returns) takes longer, the method rejects with a `TimeoutError` whose `index` and `element` properties identify the element the callback was processing
+   *
+   * `timeoutEach` can currently be chained with:
+   * - {@link AsyncAF#batchMapAF batchMapAF}
+   * - {@link AsyncAF#everyAF everyAF}
+   * - {@link AsyncAF#filterAF filterAF}
+   * - {@link AsyncAF#filterEntriesAF filterEntriesAF}
+   * - {@link AsyncAF#findAF findAF}
+   * - {@link AsyncAF#findIndexAF findIndexAF}
+   * - {@link AsyncAF#findLastAF findLastAF}
+   * - {@link AsyncAF#findLastIndexAF findLastIndexAF}
+   * - {@link AsyncAF#flatMapAF flatMapAF}
+   * - {@link AsyncAF#forEachAF forEachAF}
+   * - {@link AsyncAF#groupByAF groupByAF}
+   * - {@link AsyncAF#mapAF mapAF}
+   * - {@link AsyncAF#mapKeysAF mapKeysAF}
+   * - {@link AsyncAF#mapValuesAF mapValuesAF}
+   * - {@link AsyncAF#partitionAF partitionAF}
+   * - {@link AsyncAF#reduceAF reduceAF}
+   * - {@link AsyncAF#reduceRightAF reduceRightAF}
+   * - {@link AsyncAF#replaceAF replaceAF}
+   * - {@link AsyncAF#replaceAllAF replaceAllAF}
+   * - {@link AsyncAF#someAF someAF}
+   * - {@link AsyncAF#sortByAF sortByAF}
+   * - {@link AsyncAF#uniqByAF uniqByAF}
+   * - {@link AsyncAF#zipWithAF zipWithAF}
+   *
+   * @example
+   *
+   * const lookups = AsyncAF(ids).timeoutEach(500).mapAF(id => lookup(id));
+   *
+   * lookups.catch(e => {
+   *   if (e.name === 'TimeoutError') console.log(`lookup #${e.index} (${e.element}) hung`);
+   * });
+   *
+   * @function timeoutEach
+   * @param {Number} ms the number of milliseconds each callback has to settle
+   * @returns {AsyncAF.<any>} returns an instance of AsyncAF that will time out each callback in the next method invocation
+   * @since 7.1.0
+   * @see {@link AsyncAF#timeout timeout}
+   * @memberof AsyncAF#
+   */
+  timeoutEach: {
+    value: function timeoutEach(ms) {
+      validate('timeoutEach', ms);
+      itemTimeouts.set(this, ms);
+      return this;
+    },
+  },
+};
+
+export default timeout;
@@ -0,0 +1,26 @@
+/**
+ * determines whether a string ends with the characters of another string, returning true or false as appropriate
+ *
+ * @param {String} searchString the characters to search for at the end of the string
+ * @param {Number=} endPosition the position in the string at which `searchString` is expected to end; defaults to the string's length
+ * @returns {Promise.<Boolean>} `Promise` that resolves to `true` if the string ends with `searchString`; otherwise, `false`
+ * @example
+ *
+ * const str = Promise.resolve('splitAF');
+ *
+ * AsyncAF(str).endsWithAF('AF'); // Promise that resolves to true
+ *
+ * AsyncAF(str).endsWithAF('split', 5); // Promise that resolves to true
+ * @since 7.1.0
+ * @see endsWith (alias)
+ * @memberof AsyncAF#
+ */
+const endsWithAF = function (searchString, endPosition = undefined) {
+  return this.then(str => {
+    if (typeof str !== 'string')
+      throw TypeError(`endsWithAF may be called on a string but was called on ${str}`);
+    return String.prototype.endsWith.call(str, searchString, endPosition);
+  });
+};
+
+export default endsWithAF;
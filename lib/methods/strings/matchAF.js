@@ -0,0 +1,31 @@
+/**
+ * resolves to the result of matching a string against a regular expression
+ *
+ * @param {RegExp|String=} regexp a regular expression to match against; anything else is converted to one, like native `match`
+ * @returns {Promise.<Array|null>} `Promise` that resolves to:
+ * - if `regexp` has the global (`g`) flag, an `Array` of every full match
+ * - otherwise, the first match along with its capturing groups, `index`, `input`, and `groups` (and `indices`, if `regexp` has the `d` flag), like native `match`
+ * - `null` if there are no matches
+ * @example
+ *
+ * const str = Promise.resolve('id=1&id=22');
+ *
+ * AsyncAF(str).matchAF(/id=(\d+)/); // Promise that resolves to ['id=1', '1'] (with index 0)
+ *
+ * AsyncAF(str).matchAF(/\d+/g); // Promise that resolves to ['1', '22']
+ *
+ * AsyncAF(str).matchAF(/nope/); // Promise that resolves to null
+ * @since 7.1.0
+ * @see match (alias)
+ * @see {@link AsyncAF#matchAllAF matchAllAF}
+ * @memberof AsyncAF#
+ */
+const matchAF = function (regexp) {
+  return this.then(str => {
+    if (typeof str !== 'string')
+      throw TypeError(`matchAF may be called on a string but was called on ${str}`);
+    return String.prototype.match.call(str, regexp);
+  });
+};
+
+export default matchAF;
@@ -0,0 +1,50 @@
+// the index after an empty match, stepping over a whole surrogate pair in unicode mode
+const advance = (str, i, unicode) => (
+  unicode && str.codePointAt(i) > 0xFFFF ? i + 2 : i + 1
+);
+
+/**
+ * resolves to an `Array` of every match of a regular expression against a string, with each match's capturing groups, `index`, `input`, and `groups` (and `indices`, if the regular expression has the `d` flag)
+ *
+ * unlike native `matchAll`, which returns an iterator, `matchAllAF` resolves to an `Array` so other AsyncAF methods can be chained directly
+ *
+ * @param {RegExp|String} regexp a regular expression with the global (`g`) flag, or a string that's converted to one; a regular expression without the global flag rejects with a `TypeError`, like native `matchAll`
+ * @returns {Promise.<Array[]>} `Promise` that resolves to an `Array` of match records, which is empty if there are no matches
+ * @example
+ *
+ * // fetchText returns a Promise that resolves to a string
+ * AsyncAF(fetchText()).matchAllAF(/id=(\d+)/g).mapAF(match => load(match[1]));
+ * // Promise that resolves to the result of loading each id
+ *
+ * const str = Promise.resolve('a1b22');
+ *
+ * AsyncAF(str).matchAllAF(/\d+/g).mapAF(({0: digits, index}) => `${digits}@${index}`);
+ * // Promise that resolves to ['1@1', '22@3']
+ * @since 7.1.0
+ * @see matchAll (alias)
+ * @see {@link AsyncAF#matchAF matchAF}
+ * @memberof AsyncAF#
+ */
+const matchAllAF = function (regexp) {
+  return this.then(str => {
+    if (typeof str !== 'string')
+      throw TypeError(`matchAllAF may be called on a string but was called on ${str}`);
+    if (regexp instanceof RegExp && !regexp.global)
+      throw TypeError(`matchAllAF must be called with a global RegExp but was called with ${regexp}`);
+    // a copy, so the caller's lastIndex is neither used nor changed
+    const pattern = regexp instanceof RegExp
+      ? RegExp(regexp.source, regexp.flags)
+      : RegExp(regexp, 'g');
+    if (regexp instanceof RegExp) pattern.lastIndex = regexp.lastIndex;
+    const matches = [];
+    let match = pattern.exec(str);
+    while (match) {
+      matches.push(match);
+      if (!match[0]) pattern.lastIndex = advance(str, pattern.lastIndex, pattern.unicode);
+      match = pattern.exec(str);
+    }
+    return matches;
+  });
+};
+
+export default matchAllAF;
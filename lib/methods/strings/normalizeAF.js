@@ -0,0 +1,25 @@
+/**
+ * resolves to the Unicode Normalization Form of a string
+ *
+ * @param {String=} form one of `'NFC'`, `'NFD'`, `'NFKC'`, or `'NFKD'`; defaults to `'NFC'`; any other value rejects with a `RangeError`, like native `normalize`
+ * @returns {Promise.<String>} `Promise` that resolves to the normalized string
+ * @example
+ *
+ * const str = Promise.resolve('\u0041\u030A');
+ *
+ * AsyncAF(str).normalizeAF(); // Promise that resolves to '\u00C5'
+ *
+ * AsyncAF(str).normalizeAF('NFD'); // Promise that resolves to '\u0041\u030A'
+ * @since 7.1.0
+ * @see normalize (alias)
+ * @memberof AsyncAF#
+ */
+const normalizeAF = function (form = undefined) {
+  return this.then(str => {
+    if (typeof str !== 'string')
+      throw TypeError(`normalizeAF may be called on a string but was called on ${str}`);
+    return String.prototype.normalize.call(str, form);
+  });
+};
+
+export default normalizeAF;
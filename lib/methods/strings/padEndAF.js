@@ -0,0 +1,24 @@
+/**
+ * pads the end of a string with another string (repeated, if needed) until it reaches the given length
+ *
+ * @param {Number} targetLength the length of the resulting string once padded; if it's less than or equal to the string's length, the string is returned as-is
+ * @param {String=} padString the string to pad with, truncated if it's too long to fit; defaults to `' '`
+ * @returns {Promise.<String>} `Promise` that resolves to a string of `targetLength` padded at the end
+ * @example
+ *
+ * const str = Promise.resolve('splat');
+ *
+ * AsyncAF(str).padEndAF(8, '!'); // Promise that resolves to 'splat!!!'
+ * @since 7.1.0
+ * @see padEnd (alias)
+ * @memberof AsyncAF#
+ */
+const padEndAF = function (targetLength, padString = undefined) {
+  return this.then(str => {
+    if (typeof str !== 'string')
+      throw TypeError(`padEndAF may be called on a string but was called on ${str}`);
+    return String.prototype.padEnd.call(str, targetLength, padString);
+  });
+};
+
+export default padEndAF;
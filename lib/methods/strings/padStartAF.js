@@ -0,0 +1,26 @@
+/**
+ * pads the beginning of a string with another string (repeated, if needed) until it reaches the given length
+ *
+ * @param {Number} targetLength the length of the resulting string once padded; if it's less than or equal to the string's length, the string is returned as-is
+ * @param {String=} padString the string to pad with, truncated if it's too long to fit; defaults to `' '`
+ * @returns {Promise.<String>} `Promise` that resolves to a string of `targetLength` padded at the beginning
+ * @example
+ *
+ * const str = Promise.resolve('7');
+ *
+ * AsyncAF(str).padStartAF(3, '0'); // Promise that resolves to '007'
+ *
+ * AsyncAF(str).padStartAF(3); // Promise that resolves to '  7'
+ * @since 7.1.0
+ * @see padStart (alias)
+ * @memberof AsyncAF#
+ */
+const padStartAF = function (targetLength, padString = undefined) {
+  return this.then(str => {
+    if (typeof str !== 'string')
+      throw TypeError(`padStartAF may be called on a string but was called on ${str}`);
+    return String.prototype.padStart.call(str, targetLength, padString);
+  });
+};
+
+export default padStartAF;
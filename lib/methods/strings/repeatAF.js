@@ -0,0 +1,23 @@
+/**
+ * creates a new string containing the given number of copies of a string concatenated together
+ *
+ * @param {Number} count the number of times to repeat the string; must be a non-negative, finite number or `repeatAF` rejects with a `RangeError`, like native `repeat`
+ * @returns {Promise.<String>} `Promise` that resolves to a new string containing `count` copies of the string
+ * @example
+ *
+ * const str = Promise.resolve('af');
+ *
+ * AsyncAF(str).repeatAF(3); // Promise that resolves to 'afafaf'
+ * @since 7.1.0
+ * @see repeat (alias)
+ * @memberof AsyncAF#
+ */
+const repeatAF = function (count) {
+  return this.then(str => {
+    if (typeof str !== 'string')
+      throw TypeError(`repeatAF may be called on a string but was called on ${str}`);
+    return String.prototype.repeat.call(str, count);
+  });
+};
+
+export default repeatAF;
@@ -0,0 +1,44 @@
+import replaceMatches from '../_internal/replace';
+
+/**
+ * resolves to a new string with some or all matches of a pattern replaced by a replacement, where the replacement may be a function that returns a `Promise`
+ *
+ * if `pattern` is a string, only its first occurrence is replaced; to replace every occurrence, use a global regular expression or {@link AsyncAF#replaceAllAF replaceAllAF}
+ *
+ * when `replacement` is a function, it's called for every match in parallel, and once they've all resolved, each result is spliced back into the string where its match was
+ *
+ * *Note*: if you'd rather call `replacement` for each match in series, consider using `series.replaceAF` or its alias, `io.replaceAF`
+ *
+ * @param {String|RegExp} pattern the string or regular expression to replace
+ * @param {String|Function} replacement the string that replaces each match, which may contain the same special replacement patterns as native `replace` (e.g., `$1`); or a function that returns (or resolves to) the replacement for each match
+ *
+ * `replacement` is passed the same arguments as with native `replace`:
+ * - `match` the matched substring
+ * - `p1, p2, ...` the strings matched by any capturing groups
+ * - `offset` the index of the match in the string
+ * - `string` the whole string
+ * - `groups` an object of named capturing groups, if the pattern has any
+ *
+ * followed by the `AbortSignal` set with {@link AsyncAF#signal signal}, if any
+ * @returns {Promise.<String>} `Promise` that resolves to a new string with the matches replaced
+ * @example
+ *
+ * const template = Promise.resolve('Hello, {{user}}! You have {{count}} new messages.');
+ *
+ * // lookup returns a Promise that resolves to the value stored for a key
+ * AsyncAF(template).replaceAF(/{{(\w+)}}/g, (match, key) => lookup(key));
+ * // Promise that resolves to 'Hello, Ada! You have 3 new messages.'
+ *
+ * AsyncAF(template).replaceAF('{{user}}', 'Ada');
+ * // Promise that resolves to 'Hello, Ada! You have {{count}} new messages.'
+ * @since 7.1.0
+ * @see replace (alias)
+ * @see {@link AsyncAF#replaceAllAF replaceAllAF}
+ * @see {@link AsyncAF#series series.replaceAF}
+ * @memberof AsyncAF#
+ */
+const replaceAF = function (pattern, replacement) {
+  return this.then(str => replaceMatches('replaceAF', str, pattern, replacement, {}, this));
+};
+
+export default replaceAF;
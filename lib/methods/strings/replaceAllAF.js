@@ -0,0 +1,41 @@
+import replaceMatches from '../_internal/replace';
+
+/**
+ * resolves to a new string with every match of a pattern replaced by a replacement, where the replacement may be a function that returns a `Promise`
+ *
+ * `replaceAllAF` works like {@link AsyncAF#replaceAF replaceAF}, except that a string `pattern` has all of its occurrences replaced, and a regular expression `pattern` must have the global (`g`) flag or `replaceAllAF` rejects with a `TypeError`, like native `replaceAll`
+ *
+ * *Note*: if you'd rather call `replacement` for each match in series, consider using `series.replaceAllAF` or its alias, `io.replaceAllAF`
+ *
+ * @param {String|RegExp} pattern the string or global regular expression to replace
+ * @param {String|Function} replacement the string that replaces each match, which may contain the same special replacement patterns as native `replaceAll` (e.g., `$&`); or a function that returns (or resolves to) the replacement for each match
+ *
+ * `replacement` is passed the same arguments as with native `replaceAll`:
+ * - `match` the matched substring
+ * - `p1, p2, ...` the strings matched by any capturing groups
+ * - `offset` the index of the match in the string
+ * - `string` the whole string
+ * - `groups` an object of named capturing groups, if the pattern has any
+ *
+ * followed by the `AbortSignal` set with {@link AsyncAF#signal signal}, if any
+ * @returns {Promise.<String>} `Promise` that resolves to a new string with every match replaced
+ * @example
+ *
+ * const letter = Promise.resolve('Dear {{name}}, ... Thanks again, {{name}}!');
+ *
+ * // fetchName returns a Promise that resolves to a customer's name
+ * AsyncAF(letter).replaceAllAF('{{name}}', () => fetchName(id));
+ * // Promise that resolves to 'Dear Ada, ... Thanks again, Ada!'
+ *
+ * AsyncAF('a-b-c').replaceAllAF('-', '+'); // Promise that resolves to 'a+b+c'
+ * @since 7.1.0
+ * @see replaceAll (alias)
+ * @see {@link AsyncAF#replaceAF replaceAF}
+ * @see {@link AsyncAF#series series.replaceAllAF}
+ * @memberof AsyncAF#
+ */
+const replaceAllAF = function (pattern, replacement) {
+  return this.then(str => replaceMatches('replaceAllAF', str, pattern, replacement, {all: true}, this));
+};
+
+export default replaceAllAF;
@@ -0,0 +1,26 @@
+/**
+ * determines whether a string begins with the characters of another string, returning true or false as appropriate
+ *
+ * @param {String} searchString the characters to search for at the start of the string
+ * @param {Number=} position the position in the string at which to begin searching; defaults to `0`
+ * @returns {Promise.<Boolean>} `Promise` that resolves to `true` if the string begins with `searchString`; otherwise, `false`
+ * @example
+ *
+ * const str = Promise.resolve('splitAF');
+ *
+ * AsyncAF(str).startsWithAF('split'); // Promise that resolves to true
+ *
+ * AsyncAF(str).startsWithAF('AF', 5); // Promise that resolves to true
+ * @since 7.1.0
+ * @see startsWith (alias)
+ * @memberof AsyncAF#
+ */
+const startsWithAF = function (searchString, position = undefined) {
+  return this.then(str => {
+    if (typeof str !== 'string')
+      throw TypeError(`startsWithAF may be called on a string but was called on ${str}`);
+    return String.prototype.startsWith.call(str, searchString, position);
+  });
+};
+
+export default startsWithAF;
@@ -0,0 +1,22 @@
+/**
+ * converts a string to lower case
+ *
+ * @returns {Promise.<String>} `Promise` that resolves to a new string converted to lower case
+ * @example
+ *
+ * const str = Promise.resolve('SPLAT');
+ *
+ * AsyncAF(str).toLowerCaseAF(); // Promise that resolves to 'splat'
+ * @since 7.1.0
+ * @see toLowerCase (alias)
+ * @memberof AsyncAF#
+ */
+const toLowerCaseAF = function () {
+  return this.then(str => {
+    if (typeof str !== 'string')
+      throw TypeError(`toLowerCaseAF may be called on a string but was called on ${str}`);
+    return String.prototype.toLowerCase.call(str);
+  });
+};
+
+export default toLowerCaseAF;
@@ -0,0 +1,22 @@
+/**
+ * converts a string to upper case
+ *
+ * @returns {Promise.<String>} `Promise` that resolves to a new string converted to upper case
+ * @example
+ *
+ * const str = Promise.resolve('splat');
+ *
+ * AsyncAF(str).toUpperCaseAF(); // Promise that resolves to 'SPLAT'
+ * @since 7.1.0
+ * @see toUpperCase (alias)
+ * @memberof AsyncAF#
+ */
+const toUpperCaseAF = function () {
+  return this.then(str => {
+    if (typeof str !== 'string')
+      throw TypeError(`toUpperCaseAF may be called on a string but was called on ${str}`);
+    return String.prototype.toUpperCase.call(str);
+  });
+};
+
+export default toUpperCaseAF;
@@ -0,0 +1,22 @@
+/**
+ * removes whitespace from both ends of a string
+ *
+ * @returns {Promise.<String>} `Promise` that resolves to a new string with whitespace removed from both ends
+ * @example
+ *
+ * const str = Promise.resolve('  splat  ');
+ *
+ * AsyncAF(str).trimAF(); // Promise that resolves to 'splat'
+ * @since 7.1.0
+ * @see trim (alias)
+ * @memberof AsyncAF#
+ */
+const trimAF = function () {
+  return this.then(str => {
+    if (typeof str !== 'string')
+      throw TypeError(`trimAF may be called on a string but was called on ${str}`);
+    return String.prototype.trim.call(str);
+  });
+};
+
+export default trimAF;
@@ -0,0 +1,22 @@
+/**
+ * removes whitespace from the end of a string
+ *
+ * @returns {Promise.<String>} `Promise` that resolves to a new string with whitespace removed from its end
+ * @example
+ *
+ * const str = Promise.resolve('  splat  ');
+ *
+ * AsyncAF(str).trimEndAF(); // Promise that resolves to '  splat'
+ * @since 7.1.0
+ * @see trimEnd (alias)
+ * @memberof AsyncAF#
+ */
+const trimEndAF = function () {
+  return this.then(str => {
+    if (typeof str !== 'string')
+      throw TypeError(`trimEndAF may be called on a string but was called on ${str}`);
+    return String.prototype.trimEnd.call(str);
+  });
+};
+
+export default trimEndAF;
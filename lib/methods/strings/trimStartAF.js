@@ -0,0 +1,22 @@
+/**
+ * removes whitespace from the beginning of a string
+ *
+ * @returns {Promise.<String>} `Promise` that resolves to a new string with whitespace removed from its beginning
+ * @example
+ *
+ * const str = Promise.resolve('  splat  ');
+ *
+ * AsyncAF(str).trimStartAF(); // Promise that resolves to 'splat  '
+ * @since 7.1.0
+ * @see trimStart (alias)
+ * @memberof AsyncAF#
+ */
+const trimStartAF = function () {
+  return this.then(str => {
+    if (typeof str !== 'string')
+      throw TypeError(`trimStartAF may be called on a string but was called on ${str}`);
+    return String.prototype.trimStart.call(str);
+  });
+};
+
+export default trimStartAF;
@@ -40,30 +40,74 @@ import mapAF from './lib/methods/arrays/mapAF';
 import forEachAF from './lib/methods/arrays/forEachAF';
 import filterAF from './lib/methods/arrays/filterAF';
 import reduceAF from './lib/methods/arrays/reduceAF';
+import reduceRightAF from './lib/methods/arrays/reduceRightAF';
 import everyAF from './lib/methods/arrays/everyAF';
 import someAF from './lib/methods/arrays/someAF';
 import includesAF from './lib/methods/arrays/includesAF';
 import findAF from './lib/methods/arrays/findAF';
 import findIndexAF from './lib/methods/arrays/findIndexAF';
+import findLastAF from './lib/methods/arrays/findLastAF';
+import findLastIndexAF from './lib/methods/arrays/findLastIndexAF';
 import indexOfAF from './lib/methods/arrays/indexOfAF';
 import lastIndexOfAF from './lib/methods/arrays/lastIndexOfAF';
 import joinAF from './lib/methods/arrays/joinAF';
 import concatAF from './lib/methods/arrays/concatAF';
+import flatAF from './lib/methods/arrays/flatAF';
+import flatMapAF from './lib/methods/arrays/flatMapAF';
+import sortAF from './lib/methods/arrays/sortAF';
+import sortByAF from './lib/methods/arrays/sortByAF';
+import groupByAF from './lib/methods/arrays/groupByAF';
+import partitionAF from './lib/methods/arrays/partitionAF';
+import uniqAF from './lib/methods/arrays/uniqAF';
+import uniqByAF from './lib/methods/arrays/uniqByAF';
+import chunkAF from './lib/methods/arrays/chunkAF';
+import batchMapAF from './lib/methods/arrays/batchMapAF';
+import zipAF from './lib/methods/arrays/zipAF';
+import zipWithAF from './lib/methods/arrays/zipWithAF';
+import sliceAF from './lib/methods/arrays/sliceAF';
+import reverseAF from './lib/methods/arrays/reverseAF';
+import atAF from './lib/methods/arrays/atAF';
+import fillAF from './lib/methods/arrays/fillAF';
+import withAF from './lib/methods/arrays/withAF';
+import toSplicedAF from './lib/methods/arrays/toSplicedAF';
+import toSortedAF from './lib/methods/arrays/toSortedAF';
 
 const arrayMethods = [
   name(mapAF, 'mapAF'),
   name(forEachAF, 'forEachAF'),
   name(filterAF, 'filterAF'),
   name(reduceAF, 'reduceAF'),
+  name(reduceRightAF, 'reduceRightAF'),
   name(everyAF, 'everyAF'),
   name(someAF, 'someAF'),
   name(includesAF, 'includesAF'),
   name(findAF, 'findAF'),
   name(findIndexAF, 'findIndexAF'),
+  name(findLastAF, 'findLastAF'),
+  name(findLastIndexAF, 'findLastIndexAF'),
   name(indexOfAF, 'indexOfAF'),
   name(lastIndexOfAF, 'lastIndexOfAF'),
   name(joinAF, 'joinAF'),
   name(concatAF, 'concatAF'),
+  name(flatAF, 'flatAF'),
+  name(flatMapAF, 'flatMapAF'),
+  name(sortAF, 'sortAF'),
+  name(sortByAF, 'sortByAF'),
+  name(groupByAF, 'groupByAF'),
+  name(partitionAF, 'partitionAF'),
+  name(uniqAF, 'uniqAF'),
+  name(uniqByAF, 'uniqByAF'),
+  name(chunkAF, 'chunkAF'),
+  name(batchMapAF, 'batchMapAF'),
+  name(zipAF, 'zipAF'),
+  name(zipWithAF, 'zipWithAF'),
+  name(sliceAF, 'sliceAF'),
+  name(reverseAF, 'reverseAF'),
+  name(atAF, 'atAF'),
+  name(fillAF, 'fillAF'),
+  name(withAF, 'withAF'),
+  name(toSplicedAF, 'toSplicedAF'),
+  name(toSortedAF, 'toSortedAF'),
 ].map(method => [
   method,
   `${libPath}methods/arrays/${method.name}`,
@@ -72,18 +116,74 @@ const arrayMethods = [
 
 // strings
 import splitAF from './lib/methods/strings/splitAF';
+import trimAF from './lib/methods/strings/trimAF';
+import trimStartAF from './lib/methods/strings/trimStartAF';
+import trimEndAF from './lib/methods/strings/trimEndAF';
+import padStartAF from './lib/methods/strings/padStartAF';
+import padEndAF from './lib/methods/strings/padEndAF';
+import toUpperCaseAF from './lib/methods/strings/toUpperCaseAF';
+import toLowerCaseAF from './lib/methods/strings/toLowerCaseAF';
+import startsWithAF from './lib/methods/strings/startsWithAF';
+import endsWithAF from './lib/methods/strings/endsWithAF';
+import repeatAF from './lib/methods/strings/repeatAF';
+import normalizeAF from './lib/methods/strings/normalizeAF';
+import replaceAF from './lib/methods/strings/replaceAF';
+import replaceAllAF from './lib/methods/strings/replaceAllAF';
+import matchAF from './lib/methods/strings/matchAF';
+import matchAllAF from './lib/methods/strings/matchAllAF';
 
 const stringMethods = [
   name(splitAF, 'splitAF'),
+  name(trimAF, 'trimAF'),
+  name(trimStartAF, 'trimStartAF'),
+  name(trimEndAF, 'trimEndAF'),
+  name(padStartAF, 'padStartAF'),
+  name(padEndAF, 'padEndAF'),
+  name(toUpperCaseAF, 'toUpperCaseAF'),
+  name(toLowerCaseAF, 'toLowerCaseAF'),
+  name(startsWithAF, 'startsWithAF'),
+  name(endsWithAF, 'endsWithAF'),
+  name(repeatAF, 'repeatAF'),
+  name(normalizeAF, 'normalizeAF'),
+  name(replaceAF, 'replaceAF'),
+  name(replaceAllAF, 'replaceAllAF'),
+  name(matchAF, 'matchAF'),
+  name(matchAllAF, 'matchAllAF'),
 ].map(method => [
   method,
   `${libPath}methods/strings/${method.name}`,
   makeScoped(method.name),
 ]);
 
+// objects
+import resolveValuesAF from './lib/methods/objects/resolveValuesAF';
+import keysAF from './lib/methods/objects/keysAF';
+import valuesAF from './lib/methods/objects/valuesAF';
+import entriesAF from './lib/methods/objects/entriesAF';
+import mapValuesAF from './lib/methods/objects/mapValuesAF';
+import mapKeysAF from './lib/methods/objects/mapKeysAF';
+import filterEntriesAF from './lib/methods/objects/filterEntriesAF';
+import fromEntriesAF from './lib/methods/objects/fromEntriesAF';
+
+const objectMethods = [
+  name(resolveValuesAF, 'resolveValuesAF'),
+  name(keysAF, 'keysAF'),
+  name(valuesAF, 'valuesAF'),
+  name(entriesAF, 'entriesAF'),
+  name(mapValuesAF, 'mapValuesAF'),
+  name(mapKeysAF, 'mapKeysAF'),
+  name(filterEntriesAF, 'filterEntriesAF'),
+  name(fromEntriesAF, 'fromEntriesAF'),
+].map(method => [
+  method,
+  `${libPath}methods/objects/${method.name}`,
+  makeScoped(method.name),
+]);
+
 const prototypeMethods = [
   ...arrayMethods,
   ...stringMethods,
+  ...objectMethods,
 ];
 
 /* ____________________________
@@ -0,0 +1,186 @@
+/* global AbortController */
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import delay from 'delay';
+
+import fromIterable from '../../lib/methods/_internal/fromIterable';
+import AsyncAF from '../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+// an async iterable without relying on async generator syntax
+const asyncIterableOf = (values, pulled = []) => ({
+  [Symbol.asyncIterator]() {
+    let i = 0;
+    return {
+      next() {
+        return delay(20).then(() => {
+          if (i >= values.length) return {done: true};
+          pulled.push(values[i]);
+          return {done: false, value: values[i++]};
+        });
+      },
+      return() {
+        this.closed = true;
+        pulled.push('closed');
+        return Promise.resolve({done: true});
+      },
+    };
+  },
+});
+
+describe('fromIterable', () => {
+  it('should return arrays and array-likes as is', () => {
+    const arr = [1, 2];
+    const arrayLike = {length: 1, 0: 'a'};
+    expect(fromIterable(arr)).to.equal(arr);
+    expect(fromIterable(arrayLike)).to.equal(arrayLike);
+  });
+
+  it('should split strings into their characters unless the method handles strings', () => {
+    expect(fromIterable('a😀')).to.eql(['a', '😀']);
+    expect(fromIterable('a😀', undefined, {strings: true})).to.equal('a😀');
+  });
+
+  it('should return non-iterables as is', () => {
+    for (const value of [null, undefined, {}, true, 2]) expect(fromIterable(value)).to.equal(value);
+  });
+
+  it('should convert sync iterables to arrays', () => {
+    expect(fromIterable(new Set([1, 2]))).to.eql([1, 2]);
+    expect(fromIterable(new Map([['a', 1]]))).to.eql([['a', 1]]);
+    expect(fromIterable(function* gen() { yield 1; yield 2; }())).to.eql([1, 2]);
+  });
+
+  it('should read async iterables one value at a time into an array', async () => {
+    const pulled = [];
+    const result = fromIterable(asyncIterableOf([1, 2, 3], pulled));
+    expect(pulled).to.eql([]);
+    expect(await result).to.eql([1, 2, 3]);
+    expect(pulled).to.eql([1, 2, 3]);
+  });
+
+  it('should stop reading and close the iterator once the signal is aborted', async () => {
+    const controller = new AbortController();
+    const pulled = [];
+    const result = fromIterable(asyncIterableOf([1, 2, 3, 4], pulled), controller.signal);
+    setTimeout(() => controller.abort(), 30);
+    await expect(result).to.eventually.be.rejected.and.have.property('name', 'AbortError');
+    expect(pulled).to.eql([1, 2, 'closed']);
+  });
+});
+
+describe('array methods on iterables', () => {
+  it('should work on a Set, a Map and a generator', async () => {
+    expect(await AsyncAF(new Set([1, 2, 2, 3])).mapAF(n => n * 2)).to.eql(new Set([2, 4, 6]));
+    expect(await AsyncAF(new Map([['a', 1], ['b', 2]])).filterAF(v => v > 1))
+      .to.eql(new Map([['b', 2]]));
+    expect(await AsyncAF(function* gen() { yield 1; yield 2; }()).reduceAF((a, b) => a + b))
+      .to.equal(3);
+  });
+
+  it('should work on strings', async () => {
+    expect(await AsyncAF('ab').mapAF(s => s.toUpperCase())).to.eql(['A', 'B']);
+    expect(await AsyncAF('ab').series.filterAF(s => s === 'b')).to.eql(['b']);
+    expect(await AsyncAF('ab').io.forEachAF(s => s)).to.be.undefined;
+    expect(await AsyncAF('ab').everyAF(s => s < 'c')).to.be.true;
+    expect(await AsyncAF('ab').series.someAF(s => s === 'c')).to.be.false;
+    expect(await AsyncAF('ab').joinAF('-')).to.equal('a-b');
+    expect(await AsyncAF('ab').series.reduceAF((acc, s) => s + acc)).to.equal('ba');
+    expect(await AsyncAF('a😀').indexOfAF('😀')).to.equal(1);
+    expect(await AsyncAF('a😀').sliceAF(1)).to.equal('😀');
+  });
+
+  it('should resolve promises yielded by sync iterables', async () => {
+    expect(await AsyncAF(new Set([Promise.resolve(1), 2])).someAF(n => n === 1)).to.be.true;
+    expect(await AsyncAF(new Set([Promise.resolve(1), 2])).series.mapAF(n => n + 1))
+      .to.eql(new Set([2, 3]));
+  });
+
+  it('should work on an async iterable', async () => {
+    expect(await AsyncAF(asyncIterableOf([1, 2, 3])).findAF(n => n > 1)).to.equal(2);
+    expect(await AsyncAF(asyncIterableOf([1, 2, 3])).series.findIndexAF(n => n > 1)).to.equal(1);
+    expect(await AsyncAF(asyncIterableOf([1, 2])).everyAF(n => n > 0)).to.be.true;
+    expect(await AsyncAF(asyncIterableOf(['a', 'b'])).joinAF('-')).to.equal('a-b');
+    expect(await AsyncAF(asyncIterableOf([1, 2])).includesAF(2)).to.be.true;
+    expect(await AsyncAF(asyncIterableOf([1, 2, 1])).lastIndexOfAF(1)).to.equal(2);
+  });
+
+  it('should work on a promise that resolves to an iterable', async () => {
+    expect(await AsyncAF(Promise.resolve(new Set([1, 2]))).indexOfAF(2)).to.equal(1);
+  });
+
+  it('should not read an iterable until its method is reached', async () => {
+    const pulled = [];
+    const chain = AsyncAF(asyncIterableOf([1, 2], pulled));
+    await delay(20);
+    expect(pulled).to.eql([]);
+    await chain.forEachAF(n => n);
+    expect(pulled).to.eql([1, 2]);
+  });
+});
+
+describe('series methods on async iterables', () => {
+  it('should pull the next value only once the previous callback settles', async () => {
+    const pulled = [];
+    const order = [];
+    const result = await AsyncAF(asyncIterableOf([1, 2, 3], pulled)).series.mapAF(n => {
+      order.push(`start ${n}`, `pulled ${pulled.join()}`);
+      return delay(30).then(() => n * 2);
+    });
+    expect(result).to.eql([2, 4, 6]);
+    expect(order).to.eql([
+      'start 1', 'pulled 1', 'start 2', 'pulled 1,2', 'start 3', 'pulled 1,2,3',
+    ]);
+  });
+
+  it('should pass undefined as the array to callbacks while pulling', async () => {
+    const arrays = [];
+    await AsyncAF(asyncIterableOf([1, 2])).series.forEachAF((n, i, arr) => arrays.push(arr));
+    expect(arrays).to.eql([undefined, undefined]);
+  });
+
+  it('should stop pulling and close the iterator once the result is known', async () => {
+    const pull = async (method, ...args) => {
+      const pulled = [];
+      const result = await AsyncAF(asyncIterableOf([1, 2, 3, 4], pulled)).series[method](...args);
+      return [result, pulled];
+    };
+    expect(await pull('findAF', n => n === 2)).to.eql([2, [1, 2, 'closed']]);
+    expect(await pull('findIndexAF', n => n === 3)).to.eql([2, [1, 2, 3, 'closed']]);
+    expect(await pull('someAF', n => n === 1)).to.eql([true, [1, 'closed']]);
+    expect(await pull('everyAF', n => n < 2)).to.eql([false, [1, 2, 'closed']]);
+    expect(await pull('findAF', n => n > 4)).to.eql([undefined, [1, 2, 3, 4]]);
+  });
+
+  it('should filter and reduce one value at a time', async () => {
+    const iterable = () => asyncIterableOf([1, 2, 3, 4]);
+    expect(await AsyncAF(iterable()).series.filterAF(n => n % 2)).to.eql([1, 3]);
+    expect(await AsyncAF(iterable()).series.reduceAF((a, b) => a + b)).to.equal(10);
+    expect(await AsyncAF(iterable()).series.reduceAF((a, b) => a + b, 5)).to.equal(15);
+    expect(await AsyncAF(asyncIterableOf([])).series.reduceAF((a, b) => a + b, 5)).to.equal(5);
+    await expect(AsyncAF(asyncIterableOf([])).series.reduceAF((a, b) => a + b))
+      .to.eventually.be.rejectedWith(TypeError, 'empty array without an initial value');
+  });
+
+  it('should close the iterator when a callback rejects', async () => {
+    const pulled = [];
+    await expect(AsyncAF(asyncIterableOf([1, 2, 3], pulled)).series.forEachAF(n => {
+      if (n === 2) throw Error('oops');
+    })).to.eventually.be.rejectedWith('oops');
+    expect(pulled).to.eql([1, 2, 'closed']);
+  });
+
+  it('should stop pulling once the signal is aborted', async () => {
+    const controller = new AbortController();
+    const pulled = [];
+    const visited = [];
+    const result = AsyncAF(asyncIterableOf([1, 2, 3, 4], pulled))
+      .signal(controller.signal).series.forEachAF(n => visited.push(n) && delay(30));
+    setTimeout(() => controller.abort(), 60);
+    await expect(result).to.eventually.be.rejected.and.have.property('name', 'AbortError');
+    await delay(50);
+    expect(visited).to.eql([1]);
+    expect(pulled).to.eql([1, 2, 'closed']);
+  });
+});
@@ -0,0 +1,19 @@
+import delay from 'delay';
+
+/*
+ * thenables for values, each slower to resolve than the ones after it; unlike promises they only
+ * start once something resolves them, so `resolved` lists the values in the order they were
+ * resolved one at a time (the order given), or fastest first when resolved all at once
+ */
+const slowToFast = values => {
+  const resolved = [];
+  const thenables = values.map((value, i) => ({
+    then: (resolve, reject) => delay((values.length - i) * 10).then(() => {
+      resolved.push(value);
+      return value;
+    }).then(resolve, reject),
+  }));
+  return {thenables, resolved};
+};
+
+export default slowToFast;
@@ -0,0 +1,60 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('atAF method', () => {
+  const nums = [1, 2, 3];
+  const promises = nums.map(n => Promise.resolve(n));
+
+  it('should have the same arity as native at', () => {
+    expect(AsyncAF([]).atAF.length).to.equal(1);
+  });
+
+  it('should be aliased as at', () => {
+    expect(AsyncAF([]).at).to.equal(AsyncAF([]).atAF);
+  });
+
+  it('should resolve to the element at the given index', async () => {
+    const expected = {0: 1, 1: 2, 2: 3, 3: undefined, '-1': 3, '-3': 1, '-4': undefined};
+    for (const [index, value] of Object.entries(expected))
+      expect(await AsyncAF(promises).atAF(Number(index))).to.equal(value);
+  });
+
+  it('should convert the index to an integer like native methods', async () => {
+    expect(await AsyncAF(nums).atAF(1.7)).to.equal(2);
+    expect(await AsyncAF(nums).atAF('2')).to.equal(3);
+    expect(await AsyncAF(nums).atAF(NaN)).to.equal(1);
+    expect(await AsyncAF(nums).atAF()).to.equal(1);
+  });
+
+  it('should only resolve the element at the given index', async () => {
+    const rejected = Promise.reject(Error('nope'));
+    rejected.catch(() => {});
+    expect(await AsyncAF([rejected, Promise.resolve(2)]).atAF(-1)).to.equal(2);
+  });
+
+  it('should work on array-like objects and iterables', async () => {
+    expect(await AsyncAF({0: 'a', 1: 'b', length: 2}).atAF(-1)).to.equal('b');
+    expect(await AsyncAF(new Set([1, 2, 3])).atAF(1)).to.equal(2);
+  });
+
+  it('should resolve to the character at the given index of a string', async () => {
+    const str = Promise.resolve('splitAF');
+    expect(await AsyncAF(str).atAF(0)).to.equal('s');
+    expect(await AsyncAF(str).atAF(-2)).to.equal('A');
+    expect(await AsyncAF(str).atAF(7)).to.be.undefined;
+  });
+
+  it('should reject with TypeError when called on non-array-like objects', async () => {
+    for (const value of [null, undefined, {}, true, 2])
+      await AsyncAF(value).atAF(0).catch(e => {
+        expect(e).to.be.an.instanceOf(TypeError).and.have.property(
+          'message',
+          `atAF cannot be called on ${value}, only on an Array, String, array-like Object, or iterable`,
+        );
+      });
+  });
+});
@@ -0,0 +1,118 @@
+/* global AbortController */
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('batchMapAF method', () => {
+  const double = batch => batch.map(n => n * 2);
+
+  it('should be aliased as batchMap', () => {
+    expect(AsyncAF([]).batchMap).to.equal(AsyncAF([]).batchMapAF);
+  });
+
+  context('should work on an array of non-promises', () => {
+    const nums = [1, 2, 3, 4, 5];
+    it('and invoke callback once per batch', async () => {
+      const batches = [];
+      expect(await AsyncAF(nums).batchMapAF(2, batch => {
+        batches.push(batch);
+        return double(batch);
+      })).to.eql([2, 4, 6, 8, 10]);
+      expect(batches).to.eql([[1, 2], [3, 4], [5]]);
+    });
+    it('and resolve to an empty array without invoking callback for an empty array', async () => {
+      let calls = 0;
+      expect(await AsyncAF([]).batchMapAF(2, () => { calls++; })).to.eql([]);
+      expect(calls).to.equal(0);
+    });
+  });
+
+  context('should work on an array of promises', () => {
+    const promises = [1, 2, 3].map(n => Promise.resolve(n));
+    it('and pass its resolved elements to callback', async () => {
+      expect(await AsyncAF(promises).batchMapAF(2, double)).to.eql([2, 4, 6]);
+    });
+  });
+
+  it('should keep results in per-element order when batches resolve out of order', async () => {
+    expect(await AsyncAF([1, 2, 3, 4]).batchMapAF(2, async batch => {
+      await delay(batch[0] === 1 ? 30 : 0);
+      return double(batch);
+    })).to.eql([2, 4, 6, 8]);
+  });
+
+  it('should pass index, batches and thisArg to callback', async () => {
+    const thisArg = {n: 1};
+    expect(await AsyncAF([1, 2, 3]).batchMapAF(2, function (batch, i, batches) {
+      return batch.map(() => [this.n, i, batches.length]);
+    }, thisArg)).to.eql([[1, 0, 2], [1, 0, 2], [1, 1, 2]]);
+  });
+
+  it('should invoke callbacks in parallel', async () => {
+    const start = Date.now();
+    await AsyncAF([100, 100, 100]).batchMapAF(1, batch => delay(100).then(() => batch));
+    expect(Date.now() - start).to.be.below(250);
+  });
+
+  it('should work with limit and signal', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const {signal} = new AbortController();
+    expect(await AsyncAF([1, 2, 3]).limit(1).signal(signal).batchMapAF(1, async (...args) => {
+      maxRunning = Math.max(maxRunning, ++running);
+      await delay(10);
+      running--;
+      return [args[3] === signal];
+    })).to.eql([true, true, true]);
+    expect(maxRunning).to.equal(1);
+  });
+
+  it('should reject when callback doesn\'t resolve to an array with a result for each element', async () => {
+    await expect(AsyncAF([1, 2, 3]).batchMapAF(2, batch => batch.slice(1)))
+      .to.eventually.be.rejected.and.have.property(
+        'message',
+        'batchMapAF\'s callback must resolve to an Array with a result for each of the 2 elements in its batch but resolved to 2 for the batch at index 0',
+      );
+    await expect(AsyncAF([1]).batchMapAF(1, async () => 'nope'))
+      .to.eventually.be.rejectedWith(TypeError, 'but resolved to nope for the batch at index 0');
+  });
+
+  it('should reject when a callback rejects', async () => {
+    await expect(AsyncAF([1]).batchMapAF(1, () => Promise.reject(Error('nope'))))
+      .to.eventually.be.rejectedWith('nope');
+  });
+
+  it('should reject with TypeError when size is not a positive integer', async () => {
+    for (const size of [0, 1.5, undefined])
+      await expect(AsyncAF([1]).batchMapAF(size, double)).to.eventually.be.rejected
+        .and.have.property('message', `batchMapAF's size must be a positive integer but was ${size}`);
+  });
+
+  it('should reject with TypeError: undefined is not a function', async () => {
+    await expect(AsyncAF([]).batchMapAF(1)).to.eventually.be.rejected.and.has.property(
+      'message',
+      'undefined is not a function',
+    );
+  });
+
+  it('should split strings into their characters', async () => {
+    const upper = batch => batch.map(s => s.toUpperCase());
+    expect(await AsyncAF('cab').batchMapAF(2, upper)).to.eql(['C', 'A', 'B']);
+    expect(await AsyncAF('cab').series.batchMapAF(2, async batch => upper(batch)))
+      .to.eql(['C', 'A', 'B']);
+  });
+
+  it('should reject with TypeError when called on non-array-like objects', async () => {
+    for (const value of [null, undefined, {}, true, 2])
+      await AsyncAF(value).batchMapAF(1, double).catch(e => {
+        expect(e).to.be.an.instanceOf(TypeError).and.have.property(
+          'message',
+          `batchMapAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
+        );
+      });
+  });
+});
@@ -0,0 +1,60 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('chunkAF method', () => {
+  it('should be aliased as chunk', () => {
+    expect(AsyncAF([]).chunk).to.equal(AsyncAF([]).chunkAF);
+  });
+
+  context('should work on an array of non-promises', () => {
+    const nums = [1, 2, 3, 4, 5];
+    it('and split it into chunks of the given size', async () => {
+      expect(await AsyncAF(nums).chunkAF(2)).to.eql([[1, 2], [3, 4], [5]]);
+      expect(await AsyncAF(nums).chunkAF(5)).to.eql([nums]);
+      expect(await AsyncAF(nums).chunkAF(10)).to.eql([nums]);
+      expect(await AsyncAF(nums).chunkAF(1)).to.eql(nums.map(n => [n]));
+    });
+    it('and resolve to an empty array for an empty array', async () => {
+      expect(await AsyncAF([]).chunkAF(3)).to.eql([]);
+    });
+  });
+
+  context('should work on an array of promises', () => {
+    const promises = [1, 2, 3].map(n => Promise.resolve(n));
+    it('and chunk its resolved elements', async () => {
+      expect(await AsyncAF(promises).chunkAF(2)).to.eql([[1, 2], [3]]);
+    });
+  });
+
+  it('should work on array-like objects and iterables', async () => {
+    expect(await AsyncAF({0: 'a', 1: 'b', length: 2}).chunkAF(1)).to.eql([['a'], ['b']]);
+    expect(await AsyncAF(new Set([1, 2, 3])).chunkAF(2)).to.eql([[1, 2], [3]]);
+  });
+
+  it('should reject with TypeError when size is not a positive integer', async () => {
+    for (const size of [0, -1, 1.5, NaN, '2', undefined])
+      await expect(AsyncAF([1]).chunkAF(size)).to.eventually.be.rejected.and.have.property(
+        'message',
+        `chunkAF's size must be a positive integer but was ${size}`,
+      );
+  });
+
+  it('should split strings into their characters', async () => {
+    expect(await AsyncAF('cab').chunkAF(2)).to.eql([['c', 'a'], ['b']]);
+    expect(await AsyncAF('cab').series.chunkAF(2)).to.eql([['c', 'a'], ['b']]);
+  });
+
+  it('should reject with TypeError when called on non-array-like objects', async () => {
+    for (const value of [null, undefined, {}, true, 2])
+      await AsyncAF(value).chunkAF(1).catch(e => {
+        expect(e).to.be.an.instanceOf(TypeError).and.have.property(
+          'message',
+          `chunkAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
+        );
+      });
+  });
+});
@@ -1,3 +1,4 @@
+/* global AbortController */
 import chai, {expect} from 'chai';
 import chaiAsPromised from 'chai-as-promised';
 import sinon from 'sinon';
@@ -140,6 +141,16 @@ describe('everyAF method', () => {
     expect(await AsyncAF([, 1, , 2, , 3, , , ]).everyAF((_, i) => i % 2)).to.be.true;
   }); /* eslint-enable */
 
+  it('should pass the callback (value, key, collection) on a Map or Set', async () => {
+    const map = new Map([['a', Promise.resolve(1)], ['b', 2]]);
+    expect(await AsyncAF(map).everyAF((value, key) => typeof key === 'string' && value > 0))
+      .to.be.true;
+    expect(await AsyncAF(map).everyAF((value, key, collection) => collection.get(key) === 2))
+      .to.be.false;
+    expect(await AsyncAF(new Set([Promise.resolve(1)])).everyAF((value, key) => key === value))
+      .to.be.true;
+  });
+
   it('should reject with TypeError: undefined is not a function', async () => {
     await expect(AsyncAF([]).everyAF()).to.eventually.be.rejected.and.has.property(
       'message',
@@ -151,8 +162,37 @@ describe('everyAF method', () => {
       await AsyncAF(value).everyAF(() => {}).catch(e => {
         expect(e).to.be.an.instanceOf(TypeError).and.have.property(
           'message',
-          `everyAF cannot be called on ${value}, only on an Array or array-like Object`,
+          `everyAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
         );
       });
   });
+
+  context('should resolve as soon as the result is known', () => {
+    it('without waiting for slower callbacks', async () => {
+      const start = Date.now();
+      expect(await AsyncAF([1000, 10, 1000]).everyAF(ms => delay(ms).then(() => ms > 100)))
+        .to.be.false;
+      expect(Date.now() - start).to.be.below(500);
+    });
+    it('and not start further callbacks when limited', async () => {
+      const called = [];
+      expect(await AsyncAF([1, 2, 3, 4]).limit(1).everyAF(async n => {
+        called.push(n);
+        return n < 2;
+      })).to.be.false;
+      await delay(50);
+      expect(called).to.eql([1, 2]);
+    });
+    it('and abort the signal passed to callbacks that are still running', async () => {
+      const {signal} = new AbortController();
+      let slowSignal;
+      expect(await AsyncAF([1, 2]).signal(signal).everyAF((n, i, arr, s) => {
+        if (n === 1) return false;
+        slowSignal = s;
+        return delay(1000);
+      })).to.be.false;
+      expect(slowSignal.aborted).to.be.true;
+      expect(signal.aborted).to.be.false;
+    });
+  });
 });
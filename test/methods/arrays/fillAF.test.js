@@ -0,0 +1,56 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('fillAF method', () => {
+  const nums = [1, 2, 3, 4];
+  const promises = nums.map(n => Promise.resolve(n));
+
+  it('should have the same arity as native fill', () => {
+    expect(AsyncAF([]).fillAF.length).to.equal([].fill.length);
+  });
+
+  it('should be aliased as fill', () => {
+    expect(AsyncAF([]).fill).to.equal(AsyncAF([]).fillAF);
+  });
+
+  it('should resolve to the same array as native fill', async () => {
+    for (const args of [[0], [0, 1], [0, 1, 3], [0, -2], [0, -3, -1], [0, 3, 1], [0, NaN, '2']])
+      expect(await AsyncAF(promises).fillAF(...args)).to.eql([...nums].fill(...args));
+  });
+
+  it('should resolve a value that is a promise', async () => {
+    expect(await AsyncAF(promises).fillAF(Promise.resolve(9), 1, -1)).to.eql([1, 9, 9, 4]);
+  });
+
+  it('should not change the original array', async () => {
+    const arr = [1, 2, 3];
+    await AsyncAF(arr).fillAF(0);
+    expect(arr).to.eql([1, 2, 3]);
+  });
+
+  it('should preserve holes outside the filled portion', async () => {
+    const filled = await AsyncAF([1, , 3, , 5]).fillAF(0, 2);
+    expect(filled).to.have.lengthOf(5);
+    expect(1 in filled).to.be.false;
+    expect(filled.slice(2)).to.eql([0, 0, 0]);
+  });
+
+  it('should work on array-like objects and iterables', async () => {
+    expect(await AsyncAF({0: 'a', 1: 'b', length: 2}).fillAF('c', 1)).to.eql(['a', 'c']);
+    expect(await AsyncAF(new Set([1, 2, 3])).fillAF(0, -1)).to.eql([1, 2, 0]);
+  });
+
+  it('should reject with TypeError when called on non-array-like objects', async () => {
+    for (const value of [null, undefined, {}, true, 2])
+      await AsyncAF(value).fillAF(0).catch(e => {
+        expect(e).to.be.an.instanceOf(TypeError).and.have.property(
+          'message',
+          `fillAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
+        );
+      });
+  });
+});
@@ -144,6 +144,26 @@ describe('filterAF method', () => {
     expect(await AsyncAF(before).filterAF(el => el === undefined)).to.eql(after);
   }); /* eslint-enable */
 
+  context('on a Map or Set', () => {
+    it('should resolve to a Map with only the entries that pass the test', async () => {
+      const stock = Promise.resolve(new Map([['apple', Promise.resolve(0)], ['pear', 2]]));
+      const inStock = await AsyncAF(stock).filterAF(count => delay(10).then(() => count > 0));
+      expect(inStock).to.eql(new Map([['pear', 2]]));
+    });
+
+    it('should resolve to a Set with only the elements that pass the test', async () => {
+      expect(await AsyncAF(new Set([1, 2, 3].map(n => Promise.resolve(n)))).filterAF(n => n % 2))
+        .to.eql(new Set([1, 3]));
+    });
+
+    it('should pass the callback (value, key, collection)', async () => {
+      const map = new Map([['a', 1], ['b', 2]]);
+      expect(await AsyncAF(map).filterAF((value, key, collection) => (
+        key === 'b' && collection.get('a') === 1
+      ))).to.eql(new Map([['b', 2]]));
+    });
+  });
+
   it('should reject with TypeError: undefined is not a function', async () => {
     await expect(AsyncAF([]).filterAF()).to.eventually.be.rejected.and.has.property(
       'message',
@@ -155,7 +175,7 @@ describe('filterAF method', () => {
       await AsyncAF(value).filterAF(() => {}).catch(e => {
         expect(e).to.be.an.instanceOf(TypeError).and.have.property(
           'message',
-          `filterAF cannot be called on ${value}, only on an Array or array-like Object`,
+          `filterAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
         );
       });
   });
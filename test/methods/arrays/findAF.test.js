@@ -1,3 +1,4 @@
+/* global AbortController */
 import chai, {expect} from 'chai';
 import chaiAsPromised from 'chai-as-promised';
 import sinon from 'sinon';
@@ -142,8 +143,34 @@ describe('findAF method', () => {
       await AsyncAF(value).findAF(() => true).catch(e => {
         expect(e).to.be.an.instanceOf(TypeError).and.have.property(
           'message',
-          `findAF cannot be called on ${value}, only on an Array or array-like Object`,
+          `findAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
         );
       });
   });
+
+  context('should resolve as soon as the result is known', () => {
+    it('once every element before the first match has been tested', async () => {
+      const start = Date.now();
+      expect(await AsyncAF([100, 200, 50, 1000]).findAF(ms => delay(ms).then(() => ms >= 200)))
+        .to.equal(200);
+      const elapsed = Date.now() - start;
+      expect(elapsed).to.be.at.least(150).and.below(600);
+    });
+    it('and not let a later match win over an earlier one that is slower', async () => {
+      expect(await AsyncAF([200, 10]).findAF(ms => delay(ms).then(() => true))).to.equal(200);
+    });
+    it('and treat truthy values as a match like native find', async () => {
+      expect(await AsyncAF([1, 2]).findAF(n => (n === 2 ? 'yes' : 0))).to.equal(2);
+    });
+    it('and abort the signal passed to callbacks that are still running', async () => {
+      const {signal} = new AbortController();
+      let slowSignal;
+      expect(await AsyncAF([1, 2]).signal(signal).findAF((n, i, arr, s) => {
+        if (n === 1) return true;
+        slowSignal = s;
+        return delay(1000);
+      })).to.equal(1);
+      expect(slowSignal.aborted).to.be.true;
+    });
+  });
 });
@@ -141,8 +141,33 @@ describe('findIndexAF method', () => {
       await AsyncAF(value).findIndexAF(() => {}).catch(e => {
         expect(e).to.be.an.instanceOf(TypeError).and.have.property(
           'message',
-          `findIndexAF cannot be called on ${value}, only on an Array or array-like Object`,
+          `findIndexAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
         );
       });
   });
+
+  context('should resolve as soon as the result is known', () => {
+    it('once every index before the first match has been tested', async () => {
+      const start = Date.now();
+      expect(await AsyncAF([100, 200, 50, 1000])
+        .findIndexAF(ms => delay(ms).then(() => ms >= 200))).to.equal(1);
+      const elapsed = Date.now() - start;
+      expect(elapsed).to.be.at.least(150).and.below(600);
+    });
+    it('and not let a later match win over an earlier one that is slower', async () => {
+      expect(await AsyncAF([200, 10]).findIndexAF(ms => delay(ms).then(() => true))).to.equal(0);
+    });
+    it('and treat truthy values as a match like native findIndex', async () => {
+      expect(await AsyncAF([1, 2]).findIndexAF(n => (n === 2 ? 'yes' : 0))).to.equal(1);
+    });
+    it('and not start further callbacks when limited', async () => {
+      const called = [];
+      expect(await AsyncAF([1, 2, 3, 4]).limit(1).findIndexAF(n => {
+        called.push(n);
+        return n === 2;
+      })).to.equal(1);
+      await delay(50);
+      expect(called).to.eql([1, 2]);
+    });
+  });
 });
@@ -0,0 +1,105 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('findLastAF method', () => {
+  it('should have the same arity as native findLast', () => {
+    expect(AsyncAF([]).findLastAF.length).to.equal([].findLast.length);
+  });
+
+  it('should be aliased as findLast', () => {
+    expect(AsyncAF([]).findLast).to.equal(AsyncAF([]).findLastAF);
+  });
+
+  context('should work on an array of non-promises', () => {
+    const nums = [1, 2, 3, 4];
+    it('and resolve to the last value that satisfies the callback', async () => {
+      expect(await AsyncAF(nums).findLastAF(n => n < 4)).to.equal(3);
+      expect(await AsyncAF(nums).findLastAF(n => n % 2 === 1)).to.equal(3);
+    });
+    it('and resolve to undefined if nothing satisfies the callback', async () => {
+      expect(await AsyncAF(nums).findLastAF(n => n === 5)).to.be.undefined;
+    });
+    it('and pass index, array and thisArg to callback', async () => {
+      const thisArg = {index: 1};
+      expect(await AsyncAF(nums).findLastAF(function (n, i, arr) {
+        return i === this.index && arr.length === 4;
+      }, thisArg)).to.equal(2);
+    });
+  });
+
+  context('should work on an array of promises', () => {
+    const nums = [1, 2, 3, 4].map(n => Promise.resolve(n));
+    it('and resolve to the last value that satisfies the callback', async () => {
+      expect(await AsyncAF(nums).findLastAF(n => n < 3)).to.equal(2);
+    });
+  });
+
+  it('should process elements in parallel', async () => {
+    const clock = sinon.useFakeTimers({shouldAdvanceTime: true});
+    const nums = [];
+    await AsyncAF([1, 2, 3]).findLastAF(async n => {
+      await delay(n * 100);
+      nums.push(n);
+    });
+    expect(nums).to.eql([1, 2, 3]);
+    expect(Date.now()).to.equal(300);
+    clock.restore();
+  });
+
+  it('should treat holes in sparse arrays as undefined', async () => {
+    expect(await AsyncAF([1, , 2]).findLastAF(n => n === undefined)).to.be.undefined;
+    expect(await AsyncAF([1, , 2]).findLastAF((n, i) => i === 1)).to.be.undefined;
+  });
+
+  it('should resolve to undefined given an empty array', async () => {
+    expect(await AsyncAF([]).findLastAF(() => true)).to.be.undefined;
+  });
+
+  context('should resolve as soon as the result is known', () => {
+    it('once every index after the last match has been tested', async () => {
+      const start = Date.now();
+      expect(await AsyncAF([1000, 50, 200, 100])
+        .findLastAF(ms => delay(ms).then(() => ms >= 200))).to.equal(200);
+      const elapsed = Date.now() - start;
+      expect(elapsed).to.be.at.least(150).and.below(600);
+    });
+    it('and not let an earlier match win over a later one that is slower', async () => {
+      expect(await AsyncAF([10, 200]).findLastAF(ms => delay(ms).then(() => true))).to.equal(200);
+    });
+    it('and treat truthy values as a match like native findLast', async () => {
+      expect(await AsyncAF([1, 2]).findLastAF(n => (n === 1 ? 'yes' : 0))).to.equal(1);
+    });
+    it('and start callbacks from the end, not starting further ones when limited', async () => {
+      const called = [];
+      expect(await AsyncAF([1, 2, 3, 4]).limit(1).findLastAF(n => {
+        called.push(n);
+        return n === 3;
+      })).to.equal(3);
+      await delay(50);
+      expect(called).to.eql([4, 3]);
+    });
+  });
+
+  it('should reject with TypeError: undefined is not a function', async () => {
+    await expect(AsyncAF([]).findLastAF()).to.eventually.be.rejected.and.has.property(
+      'message',
+      'undefined is not a function',
+    );
+  });
+
+  it('should reject with TypeError when called on non-array-like objects', async () => {
+    for (const value of [null, undefined, {}, true, 2])
+      await AsyncAF(value).findLastAF(n => n).catch(e => {
+        expect(e).to.be.an.instanceOf(TypeError).and.have.property(
+          'message',
+          `findLastAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
+        );
+      });
+  });
+});
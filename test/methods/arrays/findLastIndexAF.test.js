@@ -0,0 +1,106 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('findLastIndexAF method', () => {
+  it('should have the same arity as native findLastIndex', () => {
+    expect(AsyncAF([]).findLastIndexAF.length).to.equal([].findLastIndex.length);
+  });
+
+  it('should be aliased as findLastIndex', () => {
+    expect(AsyncAF([]).findLastIndex).to.equal(AsyncAF([]).findLastIndexAF);
+  });
+
+  context('should work on an array of non-promises', () => {
+    const nums = [1, 2, 3, 4];
+    it('and resolve to the last index that satisfies the callback', async () => {
+      expect(await AsyncAF(nums).findLastIndexAF(n => n < 4)).to.equal(2);
+      expect(await AsyncAF(nums).findLastIndexAF(n => n % 2 === 1)).to.equal(2);
+    });
+    it('and resolve to -1 if nothing satisfies the callback', async () => {
+      expect(await AsyncAF(nums).findLastIndexAF(n => n === 5)).to.equal(-1);
+    });
+    it('and pass index, array and thisArg to callback', async () => {
+      const thisArg = {index: 1};
+      expect(await AsyncAF(nums).findLastIndexAF(function (n, i, arr) {
+        return i === this.index && arr.length === 4;
+      }, thisArg)).to.equal(1);
+    });
+  });
+
+  context('should work on an array of promises', () => {
+    const nums = [1, 2, 3, 4].map(n => Promise.resolve(n));
+    it('and resolve to the last index that satisfies the callback', async () => {
+      expect(await AsyncAF(nums).findLastIndexAF(n => n < 3)).to.equal(1);
+    });
+  });
+
+  it('should process elements in parallel', async () => {
+    const clock = sinon.useFakeTimers({shouldAdvanceTime: true});
+    const nums = [];
+    await AsyncAF([1, 2, 3]).findLastIndexAF(async n => {
+      await delay(n * 100);
+      nums.push(n);
+    });
+    expect(nums).to.eql([1, 2, 3]);
+    expect(Date.now()).to.equal(300);
+    clock.restore();
+  });
+
+  it('should treat holes in sparse arrays as undefined', async () => {
+    expect(await AsyncAF([1, , 2]).findLastIndexAF(n => n === undefined)).to.equal(1);
+    expect(await AsyncAF([1, , 2]).findLastIndexAF((n, i) => i === 1)).to.equal(1);
+  });
+
+  it('should resolve to -1 given an empty array', async () => {
+    expect(await AsyncAF([]).findLastIndexAF(() => true)).to.equal(-1);
+  });
+
+  context('should resolve as soon as the result is known', () => {
+    it('once every index after the last match has been tested', async () => {
+      const start = Date.now();
+      expect(await AsyncAF([1000, 50, 200, 100])
+        .findLastIndexAF(ms => delay(ms).then(() => ms >= 200))).to.equal(2);
+      const elapsed = Date.now() - start;
+      expect(elapsed).to.be.at.least(150).and.below(600);
+    });
+    it('and not let an earlier match win over a later one that is slower', async () => {
+      expect(await AsyncAF([10, 200]).findLastIndexAF(ms => delay(ms).then(() => true)))
+        .to.equal(1);
+    });
+    it('and treat truthy values as a match like native findLastIndex', async () => {
+      expect(await AsyncAF([1, 2]).findLastIndexAF(n => (n === 1 ? 'yes' : 0))).to.equal(0);
+    });
+    it('and start callbacks from the end, not starting further ones when limited', async () => {
+      const called = [];
+      expect(await AsyncAF([1, 2, 3, 4]).limit(1).findLastIndexAF(n => {
+        called.push(n);
+        return n === 3;
+      })).to.equal(2);
+      await delay(50);
+      expect(called).to.eql([4, 3]);
+    });
+  });
+
+  it('should reject with TypeError: undefined is not a function', async () => {
+    await expect(AsyncAF([]).findLastIndexAF()).to.eventually.be.rejected.and.has.property(
+      'message',
+      'undefined is not a function',
+    );
+  });
+
+  it('should reject with TypeError when called on non-array-like objects', async () => {
+    for (const value of [null, undefined, {}, true, 2])
+      await AsyncAF(value).findLastIndexAF(n => n).catch(e => {
+        expect(e).to.be.an.instanceOf(TypeError).and.have.property(
+          'message',
+          `findLastIndexAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
+        );
+      });
+  });
+});
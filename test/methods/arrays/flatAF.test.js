@@ -0,0 +1,83 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('flatAF method', () => {
+  it('should have the same arity as native flat', () => {
+    expect(AsyncAF([]).flatAF.length).to.equal([].flat.length);
+  });
+
+  it('should be aliased as flat', () => {
+    expect(AsyncAF([]).flat).to.equal(AsyncAF([]).flatAF);
+  });
+
+  context('should work on an array of non-promises', () => {
+    const nested = [1, [2, [3, [4]]]];
+    it('and flatten one level by default', async () => {
+      expect(await AsyncAF(nested).flatAF()).to.eql(nested.flat());
+    });
+    it('and flatten to the given depth', async () => {
+      expect(await AsyncAF(nested).flatAF(2)).to.eql(nested.flat(2));
+      expect(await AsyncAF(nested).flatAF(Infinity)).to.eql([1, 2, 3, 4]);
+    });
+    it('and not flatten with a depth below 1', async () => {
+      for (const depth of [0, -1, NaN, 'nope'])
+        expect(await AsyncAF(nested).flatAF(depth)).to.eql(nested.flat(depth));
+    });
+  });
+
+  context('should resolve promises at each level being flattened', () => {
+    const nested = [Promise.resolve(1), Promise.resolve([2, Promise.resolve([3, [4]])])];
+    it('to a depth of 1', async () => {
+      expect(await AsyncAF(nested).flatAF()).to.eql([1, 2, [3, [4]]]);
+    });
+    it('to a depth of 2', async () => {
+      expect(await AsyncAF(nested).flatAF(2)).to.eql([1, 2, 3, [4]]);
+    });
+    it('to any depth', async () => {
+      expect(await AsyncAF(nested).flatAF(Infinity)).to.eql([1, 2, 3, 4]);
+    });
+    it('when the array itself is a promise', async () => {
+      expect(await AsyncAF(Promise.resolve(nested)).flatAF(Infinity)).to.eql([1, 2, 3, 4]);
+    });
+  });
+
+  it('should remove holes in sparse arrays like native flat', async () => {
+    const sparse = [1, , [2, , 3]];
+    expect(await AsyncAF(sparse).flatAF()).to.eql(sparse.flat());
+  });
+
+  it('should only flatten arrays', async () => {
+    const arrayLike = {length: 1, 0: 'a'};
+    expect(await AsyncAF([arrayLike, 'bc', new Set([1])]).flatAF())
+      .to.eql([arrayLike, 'bc', new Set([1])]);
+  });
+
+  it('should work on array-like objects and iterables', async () => {
+    expect(await AsyncAF({length: 2, 0: [1], 1: 2}).flatAF()).to.eql([1, 2]);
+    expect(await AsyncAF(new Set([[1], [2]])).flatAF()).to.eql([1, 2]);
+  });
+
+  it('should reject with the reason of a rejected nested promise', async () => {
+    await expect(AsyncAF([[Promise.reject(Error('nope'))]]).flatAF())
+      .to.eventually.be.rejectedWith('nope');
+  });
+
+  it('should split strings into their characters', async () => {
+    expect(await AsyncAF('cab').flatAF()).to.eql(['c', 'a', 'b']);
+    expect(await AsyncAF('cab').series.flatAF()).to.eql(['c', 'a', 'b']);
+  });
+
+  it('should reject with TypeError when called on non-array-like objects', async () => {
+    for (const value of [null, undefined, {}, true, 2])
+      await AsyncAF(value).flatAF().catch(e => {
+        expect(e).to.be.an.instanceOf(TypeError).and.have.property(
+          'message',
+          `flatAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
+        );
+      });
+  });
+});
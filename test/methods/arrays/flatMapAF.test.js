@@ -0,0 +1,106 @@
+/* global AbortController */
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('flatMapAF method', () => {
+  it('should have the same arity as native flatMap', () => {
+    expect(AsyncAF([]).flatMapAF.length).to.equal([].flatMap.length);
+  });
+
+  it('should be aliased as flatMap', () => {
+    expect(AsyncAF([]).flatMap).to.equal(AsyncAF([]).flatMapAF);
+  });
+
+  context('should work on an array of non-promises', () => {
+    const nums = [1, 2, 3];
+    it('and map and flatten its elements by one level', async () => {
+      const cb = n => [n, [n * 10]];
+      expect(await AsyncAF(nums).flatMapAF(cb)).to.eql(nums.flatMap(cb));
+    });
+    it('and keep results that are not arrays', async () => {
+      expect(await AsyncAF(nums).flatMapAF(n => (n % 2 ? n : []))).to.eql([1, 3]);
+    });
+  });
+
+  context('should work on an array of promises', () => {
+    const promises = [1, 2].map(n => Promise.resolve(n));
+    it('and map and flatten its resolved elements', async () => {
+      expect(await AsyncAF(promises).flatMapAF(n => [n, n])).to.eql([1, 1, 2, 2]);
+    });
+  });
+
+  it('should resolve callbacks that return promises', async () => {
+    expect(await AsyncAF([1, 2]).flatMapAF(async n => [n, n * 10])).to.eql([1, 10, 2, 20]);
+  });
+
+  it('should resolve promises inside the arrays returned by callbacks', async () => {
+    expect(await AsyncAF([1, 2]).flatMapAF(n => [n, Promise.resolve(n * 10)]))
+      .to.eql([1, 10, 2, 20]);
+    expect(await AsyncAF([1]).flatMapAF(n => Promise.resolve([Promise.resolve([n])])))
+      .to.eql([[1]]);
+  });
+
+  it('should pass index, array and thisArg like native flatMap', async () => {
+    const thisArg = {n: 1};
+    expect(await AsyncAF([1, 2]).flatMapAF(function (n, i, arr) {
+      return [n + this.n, i, arr.length];
+    }, thisArg)).to.eql([2, 0, 2, 3, 1, 2]);
+  });
+
+  it('should skip holes in sparse arrays', async () => {
+    const sparse = [1, , 2];
+    const cb = n => [n];
+    expect(await AsyncAF(sparse).flatMapAF(cb)).to.eql(sparse.flatMap(cb));
+  });
+
+  it('should invoke callbacks in parallel', async () => {
+    const start = Date.now();
+    await AsyncAF([100, 100, 100]).flatMapAF(ms => delay(ms).then(() => [ms]));
+    expect(Date.now() - start).to.be.below(250);
+  });
+
+  it('should work with limit and signal', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const {signal} = new AbortController();
+    expect(await AsyncAF([1, 2, 3]).limit(1).signal(signal).flatMapAF(async (n, i, arr, s) => {
+      maxRunning = Math.max(maxRunning, ++running);
+      await delay(10);
+      running--;
+      return [s === signal];
+    })).to.eql([true, true, true]);
+    expect(maxRunning).to.equal(1);
+  });
+
+  it('should reject when a callback rejects', async () => {
+    await expect(AsyncAF([1]).flatMapAF(() => Promise.reject(Error('nope'))))
+      .to.eventually.be.rejectedWith('nope');
+  });
+
+  it('should reject with TypeError: undefined is not a function', async () => {
+    await expect(AsyncAF([]).flatMapAF()).to.eventually.be.rejected.and.has.property(
+      'message',
+      'undefined is not a function',
+    );
+  });
+
+  it('should split strings into their characters', async () => {
+    expect(await AsyncAF('ab').flatMapAF(s => [s, s.toUpperCase()])).to.eql(['a', 'A', 'b', 'B']);
+    expect(await AsyncAF('ab').series.flatMapAF(async s => [s])).to.eql(['a', 'b']);
+  });
+
+  it('should reject with TypeError when called on non-array-like objects', async () => {
+    for (const value of [null, undefined, {}, true, 2])
+      await AsyncAF(value).flatMapAF(n => n).catch(e => {
+        expect(e).to.be.an.instanceOf(TypeError).and.have.property(
+          'message',
+          `flatMapAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
+        );
+      });
+  });
+});
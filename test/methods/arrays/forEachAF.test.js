@@ -136,6 +136,15 @@ describe('forEachAF method', () => {
     expect(oddIndexedValues).to.eql([1, 2, 3]);
   }); /* eslint-enable */
 
+  it('should pass the callback (value, key, collection) on a Map or Set', async () => {
+    const received = [];
+    expect(await AsyncAF(new Map([['a', Promise.resolve(1)]])).forEachAF((...args) => {
+      received.push(args);
+    })).to.be.undefined;
+    await AsyncAF(new Set([2])).forEachAF((...args) => received.push(args));
+    expect(received).to.eql([[1, 'a', new Map([['a', 1]])], [2, 2, new Set([2])]]);
+  });
+
   it('should reject with TypeError: undefined is not a function', async () => {
     await expect(AsyncAF([]).forEachAF()).to.eventually.be.rejectedWith(TypeError)
       .and.has.property(
@@ -149,7 +158,7 @@ describe('forEachAF method', () => {
       await AsyncAF(value).forEachAF().catch(e => {
         expect(e).to.be.an.instanceOf(TypeError).and.have.property(
           'message',
-          `forEachAF cannot be called on ${value}, only on an Array or array-like Object`,
+          `forEachAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
         );
       });
   });
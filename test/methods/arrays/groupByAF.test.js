@@ -0,0 +1,130 @@
+/* global AbortController */
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('groupByAF method', () => {
+  const parity = n => (n % 2 ? 'odd' : 'even');
+
+  it('should be aliased as groupBy', () => {
+    expect(AsyncAF([]).groupBy).to.equal(AsyncAF([]).groupByAF);
+  });
+
+  context('should work on an array of non-promises', () => {
+    const nums = [1, 2, 3, 4, 5];
+    it('and group its elements in a null-prototype object', async () => {
+      const groups = await AsyncAF(nums).groupByAF(parity);
+      expect(Object.getPrototypeOf(groups)).to.be.null;
+      expect({...groups}).to.eql({odd: [1, 3, 5], even: [2, 4]});
+      expect(Object.keys(groups)).to.eql(['odd', 'even']);
+    });
+    it('and resolve to an empty object for an empty array', async () => {
+      expect({...await AsyncAF([]).groupByAF(parity)}).to.eql({});
+    });
+  });
+
+  context('should work on an array of promises', () => {
+    const promises = [1, 2, 3].map(n => Promise.resolve(n));
+    it('and group its resolved elements', async () => {
+      expect({...await AsyncAF(promises).groupByAF(parity)}).to.eql({odd: [1, 3], even: [2]});
+    });
+  });
+
+  it('should resolve keys that are promises, keeping elements in their original order', async () => {
+    const groups = await AsyncAF([30, 20, 10]).groupByAF(ms => delay(ms).then(() => ms > 15));
+    expect({...groups}).to.eql({true: [30, 20], false: [10]});
+  });
+
+  it('should resolve to a Map keyed by the unconverted keys with asMap', async () => {
+    const odd = {odd: true};
+    const even = {odd: false};
+    const groups = await AsyncAF([1, 2, 3]).groupByAF(
+      async n => (n % 2 ? odd : even), undefined, {asMap: true},
+    );
+    expect(groups).to.be.an.instanceOf(Map);
+    expect([...groups]).to.eql([[odd, [1, 3]], [even, [2]]]);
+    expect(groups.get(odd)).to.eql([1, 3]);
+  });
+
+  it('should invoke callback exactly once per element', async () => {
+    let calls = 0;
+    await AsyncAF([1, 2, 3]).groupByAF(n => {
+      calls++;
+      return parity(n);
+    });
+    expect(calls).to.equal(3);
+  });
+
+  it('should pass index, array and thisArg to callback', async () => {
+    const thisArg = {size: 2};
+    const groups = await AsyncAF(['a', 'b', 'c']).groupByAF(function (str, i, arr) {
+      return `${Math.floor(i / this.size)} of ${arr.length}`;
+    }, thisArg);
+    expect({...groups}).to.eql({'0 of 3': ['a', 'b'], '1 of 3': ['c']});
+  });
+
+  it('should skip holes in sparse arrays', async () => {
+    expect({...await AsyncAF([1, , 2]).groupByAF(parity)}).to.eql({odd: [1], even: [2]});
+  });
+
+  it('should invoke callbacks in parallel', async () => {
+    const start = Date.now();
+    await AsyncAF([100, 100, 100]).groupByAF(ms => delay(ms).then(() => ms));
+    expect(Date.now() - start).to.be.below(250);
+  });
+
+  it('should work with limit and signal', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const {signal} = new AbortController();
+    const groups = await AsyncAF([1, 2, 3]).limit(1).signal(signal).groupByAF(async (...args) => {
+      maxRunning = Math.max(maxRunning, ++running);
+      await delay(10);
+      running--;
+      return args[3] === signal;
+    });
+    expect({...groups}).to.eql({true: [1, 2, 3]});
+    expect(maxRunning).to.equal(1);
+  });
+
+  it('should reject when a callback rejects', async () => {
+    await expect(AsyncAF([1]).groupByAF(() => Promise.reject(Error('nope'))))
+      .to.eventually.be.rejectedWith('nope');
+  });
+
+  it('should reject with TypeError when options is not an Object', async () => {
+    for (const options of [null, true, 'asMap'])
+      await expect(AsyncAF([1]).groupByAF(parity, undefined, options))
+        .to.eventually.be.rejectedWith(
+          TypeError,
+          `groupByAF's options must be an Object but was ${options}`,
+        );
+  });
+
+  it('should reject with TypeError: undefined is not a function', async () => {
+    await expect(AsyncAF([]).groupByAF()).to.eventually.be.rejected.and.has.property(
+      'message',
+      'undefined is not a function',
+    );
+  });
+
+  it('should split strings into their characters', async () => {
+    expect({...await AsyncAF('cab').groupByAF(s => (s === 'a' ? 'vowel' : 'consonant'))})
+      .to.eql({consonant: ['c', 'b'], vowel: ['a']});
+    expect({...await AsyncAF('aa').series.groupByAF(async s => s)}).to.eql({a: ['a', 'a']});
+  });
+
+  it('should reject with TypeError when called on non-array-like objects', async () => {
+    for (const value of [null, undefined, {}, true, 2])
+      await AsyncAF(value).groupByAF(n => n).catch(e => {
+        expect(e).to.be.an.instanceOf(TypeError).and.have.property(
+          'message',
+          `groupByAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
+        );
+      });
+  });
+});
@@ -145,7 +145,7 @@ describe('includesAF method', () => {
       await AsyncAF(value).includesAF(2).catch(e => {
         expect(e).to.be.an.instanceOf(TypeError).and.have.property(
           'message',
-          `includesAF cannot be called on ${value}, only on an Array, String, or array-like Object`,
+          `includesAF cannot be called on ${value}, only on an Array, String, array-like Object, or iterable`,
         );
       });
   });
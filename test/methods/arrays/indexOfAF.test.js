@@ -147,7 +147,7 @@ describe('indexOfAF method', () => {
       await AsyncAF(value).indexOfAF(() => {}).catch(e => {
         expect(e).to.be.an.instanceOf(TypeError).and.have.property(
           'message',
-          `indexOfAF cannot be called on ${value}, only on an Array, String, or array-like Object`,
+          `indexOfAF cannot be called on ${value}, only on an Array, String, array-like Object, or iterable`,
         );
       });
   });
@@ -103,7 +103,7 @@ describe('joinAF method', () => {
       await AsyncAF(value).joinAF('').catch(e => {
         expect(e).to.be.an.instanceOf(TypeError).and.have.property(
           'message',
-          `joinAF cannot be called on ${value}, only on an Array or array-like Object`,
+          `joinAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
         );
       });
   });
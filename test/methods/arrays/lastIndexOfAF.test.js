@@ -147,7 +147,7 @@ describe('lastIndexOfAF method', () => {
       await AsyncAF(value).lastIndexOfAF(2).catch(e => {
         expect(e).to.be.an.instanceOf(TypeError).and.have.property(
           'message',
-          `lastIndexOfAF cannot be called on ${value}, only on an Array, String, or array-like Object`,
+          `lastIndexOfAF cannot be called on ${value}, only on an Array, String, array-like Object, or iterable`,
         );
       });
   });
@@ -145,6 +145,55 @@ describe('mapAF method', () => {
     expect(oddIndexedValues).to.eql([1, 2, 3]);
   }); /* eslint-enable */
 
+  context('on a Map or Set', () => {
+    const prices = new Map([['apple', Promise.resolve(1)], ['pear', 2]]);
+
+    it('should resolve to a Map with the same keys and mapped values', async () => {
+      const doubled = await AsyncAF(Promise.resolve(prices))
+        .mapAF(price => delay(10).then(() => price * 2));
+      expect(doubled).to.be.an.instanceOf(Map);
+      expect([...doubled]).to.eql([['apple', 2], ['pear', 4]]);
+    });
+
+    it('should resolve to a Set of the mapped values', async () => {
+      expect(await AsyncAF(new Set([Promise.resolve(1), 2, 3])).mapAF(n => n % 2))
+        .to.eql(new Set([1, 0]));
+    });
+
+    it('should pass the callback (value, key, collection) with values resolved', async () => {
+      const received = [];
+      await AsyncAF(prices).mapAF((...args) => received.push(args));
+      expect(received).to.eql([
+        [1, 'apple', new Map([['apple', 1], ['pear', 2]])],
+        [2, 'pear', new Map([['apple', 1], ['pear', 2]])],
+      ]);
+      const elements = [];
+      await AsyncAF(new Set([Promise.resolve('a')])).mapAF((...args) => elements.push(args));
+      expect(elements).to.eql([['a', 'a', new Set(['a'])]]);
+    });
+
+    it('should not change the original collection', async () => {
+      const map = new Map([['a', 1]]);
+      await AsyncAF(map).mapAF(n => n + 1);
+      expect([...map]).to.eql([['a', 1]]);
+    });
+
+    it('should resolve to a Map of records with settled', async () => {
+      const records = await AsyncAF(new Map([['ok', 1], ['bad', 2]])).settled.mapAF(n => {
+        if (n === 2) throw Error('nope');
+        return n;
+      });
+      expect(records.get('ok')).to.eql({status: 'fulfilled', value: 1});
+      expect(records.get('bad')).to.have.property('status', 'rejected');
+    });
+
+    it('should keep the Map\'s key order with asCompleted', async () => {
+      const map = new Map([['slow', 30], ['fast', 10]]);
+      const mapped = await AsyncAF(map).asCompleted.mapAF(ms => delay(ms).then(() => ms));
+      expect([...mapped]).to.eql([['slow', 30], ['fast', 10]]);
+    });
+  });
+
   it('should reject with TypeError: undefined is not a function', async () => {
     await expect(AsyncAF([]).mapAF()).to.eventually.be.rejectedWith(TypeError)
       .and.has.property(
@@ -158,7 +207,7 @@ describe('mapAF method', () => {
       await AsyncAF(value).mapAF().catch(e => {
         expect(e).to.be.an.instanceOf(TypeError).and.have.property(
           'message',
-          `mapAF cannot be called on ${value}, only on an Array or array-like Object`,
+          `mapAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
         );
       });
   });
@@ -0,0 +1,106 @@
+/* global AbortController */
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('partitionAF method', () => {
+  const isOdd = n => n % 2;
+
+  it('should be aliased as partition', () => {
+    expect(AsyncAF([]).partition).to.equal(AsyncAF([]).partitionAF);
+  });
+
+  context('should work on an array of non-promises', () => {
+    const nums = [1, 2, 3, 4, 5];
+    it('and split its elements into those that pass and those that fail', async () => {
+      expect(await AsyncAF(nums).partitionAF(isOdd)).to.eql([[1, 3, 5], [2, 4]]);
+    });
+    it('and resolve to two empty arrays for an empty array', async () => {
+      expect(await AsyncAF([]).partitionAF(isOdd)).to.eql([[], []]);
+    });
+  });
+
+  context('should work on an array of promises', () => {
+    const promises = [1, 2, 3].map(n => Promise.resolve(n));
+    it('and split its resolved elements', async () => {
+      expect(await AsyncAF(promises).partitionAF(isOdd)).to.eql([[1, 3], [2]]);
+    });
+  });
+
+  it('should resolve callbacks that return promises, keeping elements in their original order', async () => {
+    expect(await AsyncAF([30, 20, 10]).partitionAF(ms => delay(ms).then(() => ms > 15)))
+      .to.eql([[30, 20], [10]]);
+  });
+
+  it('should invoke callback exactly once per element', async () => {
+    let calls = 0;
+    await AsyncAF([1, 2, 3]).partitionAF(n => {
+      calls++;
+      return isOdd(n);
+    });
+    expect(calls).to.equal(3);
+  });
+
+  it('should pass index, array and thisArg to callback', async () => {
+    const thisArg = {min: 1};
+    expect(await AsyncAF(['a', 'b', 'c']).partitionAF(function (str, i, arr) {
+      return i >= this.min && arr.length === 3;
+    }, thisArg)).to.eql([['b', 'c'], ['a']]);
+  });
+
+  it('should skip holes in sparse arrays', async () => {
+    expect(await AsyncAF([1, , 2]).partitionAF(n => n === undefined || isOdd(n)))
+      .to.eql([[1], [2]]);
+  });
+
+  it('should invoke callbacks in parallel', async () => {
+    const start = Date.now();
+    await AsyncAF([100, 100, 100]).partitionAF(ms => delay(ms).then(() => true));
+    expect(Date.now() - start).to.be.below(250);
+  });
+
+  it('should work with limit and signal', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const {signal} = new AbortController();
+    expect(await AsyncAF([1, 2, 3]).limit(1).signal(signal).partitionAF(async (n, i, arr, s) => {
+      maxRunning = Math.max(maxRunning, ++running);
+      await delay(10);
+      running--;
+      return s === signal;
+    })).to.eql([[1, 2, 3], []]);
+    expect(maxRunning).to.equal(1);
+  });
+
+  it('should reject when a callback rejects', async () => {
+    await expect(AsyncAF([1]).partitionAF(() => Promise.reject(Error('nope'))))
+      .to.eventually.be.rejectedWith('nope');
+  });
+
+  it('should reject with TypeError: undefined is not a function', async () => {
+    await expect(AsyncAF([]).partitionAF()).to.eventually.be.rejected.and.has.property(
+      'message',
+      'undefined is not a function',
+    );
+  });
+
+  it('should split strings into their characters', async () => {
+    expect(await AsyncAF('cab').partitionAF(s => s === 'a')).to.eql([['a'], ['c', 'b']]);
+    expect(await AsyncAF('cab').series.partitionAF(async s => s !== 'a'))
+      .to.eql([['c', 'b'], ['a']]);
+  });
+
+  it('should reject with TypeError when called on non-array-like objects', async () => {
+    for (const value of [null, undefined, {}, true, 2])
+      await AsyncAF(value).partitionAF(n => n).catch(e => {
+        expect(e).to.be.an.instanceOf(TypeError).and.have.property(
+          'message',
+          `partitionAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
+        );
+      });
+  });
+});
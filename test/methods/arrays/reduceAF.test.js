@@ -88,6 +88,14 @@ describe('reduceAF method', () => {
       .to.equal('undefined1');
   });
 
+  it('should resolve to the only element without invoking callback when there\'s no initialValue', async () => {
+    let calls = 0;
+    const cb = () => { calls++; };
+    expect(await AsyncAF([1]).reduceAF(cb)).to.equal(1);
+    expect(await AsyncAF([, 2, , ]).reduceAF(cb)).to.equal(2); // eslint-disable-line array-bracket-spacing
+    expect(calls).to.equal(0);
+  });
+
   it('should return initialValue given an empty array or array full of holes', async () => {
     expect(await AsyncAF([]).reduceAF(() => {}, 1)).to.equal(1);
     expect(await AsyncAF(Array(5)).reduceAF(() => {}, 1)).to.equal(1);
@@ -109,7 +117,7 @@ describe('reduceAF method', () => {
       await AsyncAF(value).reduceAF(() => {}).catch(e => {
         expect(e).to.be.an.instanceOf(TypeError).and.have.property(
           'message',
-          `reduceAF cannot be called on ${value}, only on an Array or array-like Object`,
+          `reduceAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
         );
       });
   });
@@ -119,4 +127,12 @@ describe('reduceAF method', () => {
       'reduceAF cannot be called on an empty array without an initial value',
     );
   });
+  it('should reject when given an array full of holes and no initial value', async () => {
+    await expect(AsyncAF(Array(5)).reduceAF((_, el) => el)).to.eventually.be.rejected
+      .and.be.an.instanceOf(TypeError).and.has.property(
+        'message',
+        'reduceAF cannot be called on an empty array without an initial value',
+      );
+    expect(await AsyncAF([, , 3]).reduceAF((acc, el) => acc + el)).to.equal(3);
+  });
 });
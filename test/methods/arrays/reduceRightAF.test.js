@@ -0,0 +1,125 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('reduceRightAF method', () => {
+  it('should have the same arity as native reduceRight', () => {
+    expect(AsyncAF([]).reduceRightAF.length).to.equal([].reduceRight.length);
+  });
+
+  it('should be aliased as reduceRight', () => {
+    expect(AsyncAF([]).reduceRight).to.equal(AsyncAF([]).reduceRightAF);
+  });
+
+  context('should work on an array of non-promises', () => {
+    const strs = ['a', 'b', 'c'];
+    it('and apply a function to each from right to left', async () => {
+      const visited = [];
+      await AsyncAF(strs).reduceRightAF((_, str, i) => {
+        visited.push([str, i]);
+      }, '');
+      expect(visited).to.eql([['c', 2], ['b', 1], ['a', 0]]);
+    });
+    it('and resolve to the same value as native reduceRight', async () => {
+      const cb = (acc, str) => acc + str;
+      expect(await AsyncAF(strs).reduceRightAF(cb)).to.equal(strs.reduceRight(cb));
+    });
+    it('and work with an initialValue', async () => {
+      expect(await AsyncAF(strs).reduceRightAF((acc, str, i) => [...acc, [i, str]], []))
+        .to.eql([[2, 'c'], [1, 'b'], [0, 'a']]);
+    });
+  });
+
+  context('should work on an array of promises', () => {
+    const strs = ['a', 'b', 'c'].map(str => Promise.resolve(str));
+    it('and resolve to the reduced value', async () => {
+      expect(await AsyncAF(strs).reduceRightAF((acc, str) => acc + str)).to.equal('cba');
+      expect(await AsyncAF(strs).reduceRightAF((acc, str) => acc + str, '!')).to.equal('!cba');
+    });
+  });
+
+  it('should process elements in series', async () => {
+    const clock = sinon.useFakeTimers({shouldAdvanceTime: true});
+    const nums = [];
+    await AsyncAF([1, 2, 3]).reduceRightAF(async (_, n) => {
+      await delay(n * 100);
+      nums.push(n);
+    }, 0);
+    expect(nums).to.eql([3, 2, 1]);
+    expect(Date.now()).to.equal(600);
+    clock.restore();
+  });
+
+  it('should resolve accumulators that are promises', async () => {
+    expect(await AsyncAF([1, 2, 3]).reduceRightAF(async (acc, n) => ((await acc) * 10) + n))
+      .to.equal(321);
+  });
+
+  it('should ignore holes in sparse arrays', async () => {
+    const cb = (a, b) => a + b;
+    expect(await AsyncAF(['1', undefined, , ]).reduceRightAF(cb)) // eslint-disable-line array-bracket-spacing
+      .to.equal(['1', undefined, , ].reduceRight(cb)); // eslint-disable-line array-bracket-spacing
+  });
+
+  it('should resolve to the only element without invoking callback when there\'s no initialValue', async () => {
+    let calls = 0;
+    const cb = () => { calls++; };
+    expect(await AsyncAF([1]).reduceRightAF(cb)).to.equal(1);
+    expect(await AsyncAF([, 2, , ]).reduceRightAF(cb)).to.equal(2); // eslint-disable-line array-bracket-spacing
+    expect(calls).to.equal(0);
+  });
+
+  it('should return initialValue given an empty array or array full of holes', async () => {
+    expect(await AsyncAF([]).reduceRightAF(() => {}, 1)).to.equal(1);
+    expect(await AsyncAF(Array(5)).reduceRightAF(() => {}, 1)).to.equal(1);
+  });
+
+  it('should accept nullish arguments for initialValue', async () => {
+    expect(await AsyncAF([]).reduceRightAF(acc => acc, undefined)).to.be.undefined;
+    expect(await AsyncAF([]).reduceRightAF(acc => acc, null)).to.be.null;
+  });
+
+  it('should reject with TypeError: undefined is not a function', async () => {
+    await expect(AsyncAF([1, 2]).reduceRightAF()).to.eventually.be.rejected.and.has.property(
+      'message',
+      'undefined is not a function',
+    );
+  });
+
+  it('should split strings into their characters', async () => {
+    expect(await AsyncAF('cab').reduceRightAF((acc, s) => acc + s)).to.equal('bac');
+    expect(await AsyncAF('cab').series.reduceRightAF((acc, s) => acc + s, '!')).to.equal('!bac');
+  });
+
+  it('should reject with TypeError when called on non-array-like objects', async () => {
+    for (const value of [null, undefined, {}, true, 2])
+      await AsyncAF(value).reduceRightAF(() => {}).catch(e => {
+        expect(e).to.be.an.instanceOf(TypeError).and.have.property(
+          'message',
+          `reduceRightAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
+        );
+      });
+  });
+
+  it('should reject when given an empty array and no initial value', async () => {
+    await expect(AsyncAF([]).reduceRightAF((_, el) => el)).to.eventually.be.rejected
+      .and.has.property(
+        'message',
+        'reduceRightAF cannot be called on an empty array without an initial value',
+      );
+  });
+
+  it('should reject when given an array full of holes and no initial value', async () => {
+    await expect(AsyncAF(Array(5)).reduceRightAF((_, el) => el)).to.eventually.be.rejected
+      .and.be.an.instanceOf(TypeError).and.has.property(
+        'message',
+        'reduceRightAF cannot be called on an empty array without an initial value',
+      );
+    expect(await AsyncAF([1, , , 2].slice(0, 3)).reduceRightAF((acc, el) => acc + el)).to.equal(1);
+  });
+});
@@ -0,0 +1,51 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('reverseAF method', () => {
+  it('should be aliased as reverse', () => {
+    expect(AsyncAF([]).reverse).to.equal(AsyncAF([]).reverseAF);
+  });
+
+  it('should resolve to the elements in reverse order', async () => {
+    expect(await AsyncAF([1, 2, 3]).reverseAF()).to.eql([3, 2, 1]);
+    expect(await AsyncAF([1, 2, 3].map(n => Promise.resolve(n))).reverseAF()).to.eql([3, 2, 1]);
+    expect(await AsyncAF([]).reverseAF()).to.eql([]);
+  });
+
+  it('should not change the original array', async () => {
+    const arr = [1, 2, 3];
+    await AsyncAF(arr).reverseAF();
+    expect(arr).to.eql([1, 2, 3]);
+  });
+
+  it('should preserve holes in sparse arrays', async () => {
+    const reversed = await AsyncAF([1, , 3, 4]).reverseAF();
+    expect(reversed).to.have.lengthOf(4);
+    expect(2 in reversed).to.be.false;
+    expect(reversed[0]).to.equal(4);
+  });
+
+  it('should work on array-like objects and iterables', async () => {
+    expect(await AsyncAF({0: 'a', 1: 'b', length: 2}).reverseAF()).to.eql(['b', 'a']);
+    expect(await AsyncAF(new Set([1, 2, 3])).reverseAF()).to.eql([3, 2, 1]);
+  });
+
+  it('should split strings into their characters', async () => {
+    expect(await AsyncAF('cab').reverseAF()).to.eql(['b', 'a', 'c']);
+    expect(await AsyncAF('cab').series.reverseAF()).to.eql(['b', 'a', 'c']);
+  });
+
+  it('should reject with TypeError when called on non-array-like objects', async () => {
+    for (const value of [null, undefined, {}, true, 2])
+      await AsyncAF(value).reverseAF().catch(e => {
+        expect(e).to.be.an.instanceOf(TypeError).and.have.property(
+          'message',
+          `reverseAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
+        );
+      });
+  });
+});
@@ -0,0 +1,29 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('series.batchMapAF method', () => {
+  it('should map batches like batchMapAF', async () => {
+    const double = batch => batch.map(n => n * 2);
+    expect(await AsyncAF([1, Promise.resolve(2), 3]).series.batchMapAF(2, double))
+      .to.eql([2, 4, 6]);
+    expect(await AsyncAF([1, 2]).io.batchMapAF(1, async batch => batch)).to.eql([1, 2]);
+  });
+
+  it('should process batches one after another', async () => {
+    const clock = sinon.useFakeTimers({shouldAdvanceTime: true});
+    const batches = [];
+    await AsyncAF([3, 3, 2, 2, 1]).series.batchMapAF(2, async batch => {
+      await delay(batch[0] * 100);
+      batches.push(batch);
+      return batch;
+    });
+    expect(batches).to.eql([[3, 3], [2, 2], [1]]);
+    clock.restore();
+  });
+});
@@ -0,0 +1,35 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+import slowToFast from '../../helpers/slowToFast';
+
+chai.use(chaiAsPromised);
+
+describe('series.chunkAF method', () => {
+  it('io (inOrder) should be an alias for series', () => {
+    expect(AsyncAF().io.chunkAF).to.equal(AsyncAF().series.chunkAF);
+  });
+
+  it('should chunk like chunkAF', async () => {
+    expect(await AsyncAF([1, Promise.resolve(2), 3]).series.chunkAF(2)).to.eql([[1, 2], [3]]);
+    expect(await AsyncAF([1, 2]).io.chunkAF(3)).to.eql([[1, 2]]);
+    expect(await AsyncAF([]).io.chunkAF(1)).to.eql([]);
+  });
+
+  it('should work on array-like objects and iterables', async () => {
+    expect(await AsyncAF({0: 'a', 1: Promise.resolve('b'), length: 2}).io.chunkAF(1))
+      .to.eql([['a'], ['b']]);
+    expect(await AsyncAF(new Set([1, 2, 3])).io.chunkAF(2)).to.eql([[1, 2], [3]]);
+  });
+
+  it('should reject with TypeError when size is not a positive integer', async () => {
+    await expect(AsyncAF([1]).io.chunkAF(0)).to.eventually.be.rejectedWith(TypeError);
+  });
+
+  it('should resolve elements in series', async () => {
+    const {thenables, resolved} = slowToFast([1, 2, 3]);
+    expect(await AsyncAF(thenables).series.chunkAF(2)).to.eql([[1, 2], [3]]);
+    expect(resolved).to.eql([1, 2, 3]);
+  });
+});
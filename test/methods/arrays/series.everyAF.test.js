@@ -181,7 +181,7 @@ describe('series.everyAF method', () => {
       await AsyncAF(value).io.everyAF(() => {}).catch(e => {
         expect(e).to.be.an.instanceOf(TypeError).and.have.property(
           'message',
-          `everyAF cannot be called on ${value}, only on an Array or array-like Object`,
+          `everyAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
         );
       });
   });
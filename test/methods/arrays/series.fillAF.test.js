@@ -0,0 +1,39 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+import slowToFast from '../../helpers/slowToFast';
+
+chai.use(chaiAsPromised);
+
+describe('series.fillAF method', () => {
+  it('io (inOrder) should be an alias for series', () => {
+    expect(AsyncAF().io.fillAF).to.equal(AsyncAF().series.fillAF);
+  });
+
+  it('should fill like native fill, including with negative indices', async () => {
+    const nums = [1, 2, 3, 4];
+    for (const args of [[0], [0, 1, 3], [0, -2], [0, -3, -1], [0, 3, 1]])
+      expect(await AsyncAF(nums.map(n => Promise.resolve(n))).series.fillAF(...args))
+        .to.eql([...nums].fill(...args));
+  });
+
+  it('should work on array-like objects and iterables', async () => {
+    expect(await AsyncAF({0: 'a', 1: Promise.resolve('b'), length: 2}).io.fillAF('c', -1))
+      .to.eql(['a', 'c']);
+    expect(await AsyncAF(new Set([1, 2, 3])).io.fillAF(0, 1, 2)).to.eql([1, 0, 3]);
+  });
+
+  it('should preserve holes outside the filled portion', async () => {
+    const filled = await AsyncAF([1, , 3, , 5]).io.fillAF(0, -2);
+    expect(filled).to.have.lengthOf(5);
+    expect(1 in filled).to.be.false;
+    expect(filled.slice(3)).to.eql([0, 0]);
+  });
+
+  it('should resolve the elements left after filling in series', async () => {
+    const {thenables, resolved} = slowToFast([1, 2, 3, 4]);
+    expect(await AsyncAF(thenables).series.fillAF(0, 1, -1)).to.eql([1, 0, 0, 4]);
+    expect(resolved).to.eql([1, 4]);
+  });
+});
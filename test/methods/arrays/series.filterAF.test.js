@@ -156,12 +156,25 @@ describe('series.filterAF method', () => {
       'undefined is not a function',
     );
   });
+  it('should test a Set\'s elements in series and resolve to a Set', async () => {
+    const clock = sinon.useFakeTimers({shouldAdvanceTime: true});
+    const order = [];
+    const filtered = await AsyncAF(new Set([3, 2, 1])).io.filterAF(async n => {
+      await delay(n * 100);
+      order.push(n);
+      return n > 1;
+    });
+    expect(order).to.eql([3, 2, 1]);
+    expect(filtered).to.eql(new Set([3, 2]));
+    clock.restore();
+  });
+
   it('should reject with TypeError when called on non-array-like objects', async () => {
     for (const value of [null, undefined, {}, true, 2])
       await AsyncAF(value).io.filterAF(() => {}).catch(e => {
         expect(e).to.be.an.instanceOf(TypeError).and.have.property(
           'message',
-          `filterAF cannot be called on ${value}, only on an Array or array-like Object`,
+          `filterAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
         );
       });
   });
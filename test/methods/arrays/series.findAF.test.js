@@ -166,7 +166,7 @@ describe('series.findAF method', () => {
       await AsyncAF(value).io.findAF(() => true).catch(e => {
         expect(e).to.be.an.instanceOf(TypeError).and.have.property(
           'message',
-          `findAF cannot be called on ${value}, only on an Array or array-like Object`,
+          `findAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
         );
       });
   });
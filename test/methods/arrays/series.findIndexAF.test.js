@@ -167,7 +167,7 @@ describe('series.findIndexAF method', () => {
       await AsyncAF(value).io.findIndexAF(() => {}).catch(e => {
         expect(e).to.be.an.instanceOf(TypeError).and.have.property(
           'message',
-          `findIndexAF cannot be called on ${value}, only on an Array or array-like Object`,
+          `findIndexAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
         );
       });
   });
@@ -0,0 +1,48 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('series.findLastAF method', () => {
+  it('should find like findLastAF', async () => {
+    const nums = [1, Promise.resolve(2), 3];
+    expect(await AsyncAF(nums).series.findLastAF(n => n < 3)).to.equal(2);
+    expect(await AsyncAF(nums).io.findLastAF(n => n > 3)).to.be.undefined;
+  });
+
+  it('should process elements in series from the end', async () => {
+    const clock = sinon.useFakeTimers({shouldAdvanceTime: true});
+    const nums = [];
+    await AsyncAF([1, 2, 3]).series.findLastAF(async n => {
+      await delay(n * 100);
+      nums.push(n);
+    });
+    expect(nums).to.eql([3, 2, 1]);
+    expect(Date.now()).to.equal(600);
+    clock.restore();
+  });
+
+  it('should stop at the first match from the end', async () => {
+    const called = [];
+    expect(await AsyncAF([1, 2, 3, 4]).io.findLastAF(n => {
+      called.push(n);
+      return n % 2 === 1;
+    })).to.equal(3);
+    expect(called).to.eql([4, 3]);
+  });
+
+  it('should resolve elements from the end as they are needed', async () => {
+    const resolved = [];
+    const later = value => ({then: resolve => resolve(resolved.push(value) && value)});
+    await AsyncAF([later(1), later(2), later(3)]).series.findLastAF(n => n === 2);
+    expect(resolved).to.eql([3, 2]);
+  });
+
+  it('should resolve to undefined given an empty array', async () => {
+    expect(await AsyncAF([]).io.findLastAF(() => true)).to.be.undefined;
+  });
+});
@@ -0,0 +1,48 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('series.findLastIndexAF method', () => {
+  it('should find like findLastIndexAF', async () => {
+    const nums = [1, Promise.resolve(2), 3];
+    expect(await AsyncAF(nums).series.findLastIndexAF(n => n < 3)).to.equal(1);
+    expect(await AsyncAF(nums).io.findLastIndexAF(n => n > 3)).to.equal(-1);
+  });
+
+  it('should process elements in series from the end', async () => {
+    const clock = sinon.useFakeTimers({shouldAdvanceTime: true});
+    const nums = [];
+    await AsyncAF([1, 2, 3]).series.findLastIndexAF(async n => {
+      await delay(n * 100);
+      nums.push(n);
+    });
+    expect(nums).to.eql([3, 2, 1]);
+    expect(Date.now()).to.equal(600);
+    clock.restore();
+  });
+
+  it('should stop at the first match from the end', async () => {
+    const called = [];
+    expect(await AsyncAF([1, 2, 3, 4]).io.findLastIndexAF(n => {
+      called.push(n);
+      return n % 2 === 1;
+    })).to.equal(2);
+    expect(called).to.eql([4, 3]);
+  });
+
+  it('should resolve elements from the end as they are needed', async () => {
+    const resolved = [];
+    const later = value => ({then: resolve => resolve(resolved.push(value) && value)});
+    await AsyncAF([later(1), later(2), later(3)]).series.findLastIndexAF(n => n === 2);
+    expect(resolved).to.eql([3, 2]);
+  });
+
+  it('should resolve to -1 given an empty array', async () => {
+    expect(await AsyncAF([]).io.findLastIndexAF(() => true)).to.equal(-1);
+  });
+});
@@ -0,0 +1,42 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+import slowToFast from '../../helpers/slowToFast';
+
+chai.use(chaiAsPromised);
+
+describe('series.flatAF method', () => {
+  it('io (inOrder) should be an alias for series', () => {
+    expect(AsyncAF().io.flatAF).to.equal(AsyncAF().series.flatAF);
+  });
+
+  it('should resolve promises at each level being flattened', async () => {
+    const nested = [Promise.resolve(1), Promise.resolve([2, Promise.resolve([3, [4]])])];
+    expect(await AsyncAF(nested).series.flatAF()).to.eql([1, 2, [3, [4]]]);
+    expect(await AsyncAF(nested).io.flatAF(2)).to.eql([1, 2, 3, [4]]);
+    expect(await AsyncAF(Promise.resolve(nested)).io.flatAF(Infinity)).to.eql([1, 2, 3, 4]);
+  });
+
+  it('should not flatten with a depth below 1', async () => {
+    const nested = [1, [2, [3]]];
+    for (const depth of [0, -1, NaN])
+      expect(await AsyncAF(nested).io.flatAF(depth)).to.eql(nested.flat(depth));
+  });
+
+  it('should remove holes in sparse arrays like native flat', async () => {
+    const sparse = [1, , [2, , 3]];
+    expect(await AsyncAF(sparse).io.flatAF()).to.eql(sparse.flat());
+  });
+
+  it('should work on array-like objects and iterables', async () => {
+    expect(await AsyncAF({length: 2, 0: [1], 1: Promise.resolve(2)}).io.flatAF()).to.eql([1, 2]);
+    expect(await AsyncAF(new Set([[1], [2]])).io.flatAF()).to.eql([1, 2]);
+  });
+
+  it('should resolve each level in series before the one below it', async () => {
+    const {thenables: [one, two, three], resolved} = slowToFast([1, 2, 3]);
+    expect(await AsyncAF([one, [two], three]).series.flatAF()).to.eql([1, 2, 3]);
+    expect(resolved).to.eql([1, 3, 2]);
+  });
+});
@@ -0,0 +1,28 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('series.flatMapAF method', () => {
+  it('should map and flatten like flatMapAF', async () => {
+    expect(await AsyncAF([1, Promise.resolve(2)]).series.flatMapAF(n => [n, Promise.resolve(n)]))
+      .to.eql([1, 1, 2, 2]);
+    expect(await AsyncAF([1, 2]).io.flatMapAF(n => [[n]])).to.eql([[1], [2]]);
+  });
+
+  it('should process elements in series', async () => {
+    const clock = sinon.useFakeTimers({shouldAdvanceTime: true});
+    const nums = [];
+    await AsyncAF([3, 2, 1]).series.flatMapAF(async n => {
+      await delay(n * 100);
+      nums.push(n);
+      return [n];
+    });
+    expect(nums).to.eql([3, 2, 1]);
+    clock.restore();
+  });
+});
@@ -144,7 +144,7 @@ describe('series.forEachAF method', () => {
       await AsyncAF(value).series.forEachAF().catch(e => {
         expect(e).to.be.an.instanceOf(TypeError).and.have.property(
           'message',
-          `forEachAF cannot be called on ${value}, only on an Array or array-like Object`,
+          `forEachAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
         );
       });
   });
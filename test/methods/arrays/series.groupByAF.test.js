@@ -0,0 +1,30 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('series.groupByAF method', () => {
+  it('should group like groupByAF', async () => {
+    const parity = n => (n % 2 ? 'odd' : 'even');
+    expect({...await AsyncAF([1, Promise.resolve(2), 3]).series.groupByAF(parity)})
+      .to.eql({odd: [1, 3], even: [2]});
+    expect([...await AsyncAF([1, 2]).io.groupByAF(parity, undefined, {asMap: true})])
+      .to.eql([['odd', [1]], ['even', [2]]]);
+  });
+
+  it('should process elements in series', async () => {
+    const clock = sinon.useFakeTimers({shouldAdvanceTime: true});
+    const nums = [];
+    await AsyncAF([3, 2, 1]).series.groupByAF(async n => {
+      await delay(n * 100);
+      nums.push(n);
+      return n;
+    });
+    expect(nums).to.eql([3, 2, 1]);
+    clock.restore();
+  });
+});
@@ -109,7 +109,7 @@ describe('series.includesAF method', () => {
       await AsyncAF(value).io.includesAF(2).catch(e => {
         expect(e).to.be.an.instanceOf(TypeError).and.have.property(
           'message',
-          `includesAF cannot be called on ${value}, only on an Array, String, or array-like Object`,
+          `includesAF cannot be called on ${value}, only on an Array, String, array-like Object, or iterable`,
         );
       });
   });
@@ -111,7 +111,7 @@ describe('series.indexOfAF method', () => {
       await AsyncAF(value).io.indexOfAF(() => {}).catch(e => {
         expect(e).to.be.an.instanceOf(TypeError).and.have.property(
           'message',
-          `indexOfAF cannot be called on ${value}, only on an Array, String, or array-like Object`,
+          `indexOfAF cannot be called on ${value}, only on an Array, String, array-like Object, or iterable`,
         );
       });
   });
@@ -111,7 +111,7 @@ describe('series.lastIndexOfAF method', () => {
       await AsyncAF(value).io.lastIndexOfAF(2).catch(e => {
         expect(e).to.be.an.instanceOf(TypeError).and.have.property(
           'message',
-          `lastIndexOfAF cannot be called on ${value}, only on an Array, String, or array-like Object`,
+          `lastIndexOfAF cannot be called on ${value}, only on an Array, String, array-like Object, or iterable`,
         );
       });
   });
@@ -179,12 +179,26 @@ describe('series.mapAF method', () => {
       );
   });
 
+  it('should process a Map\'s values in series and resolve to a Map', async () => {
+    const clock = sinon.useFakeTimers({shouldAdvanceTime: true});
+    const order = [];
+    const map = new Map([['a', 3], ['b', 2], ['c', 1]]);
+    const mapped = await AsyncAF(map).series.mapAF(async (n, key) => {
+      await delay(n * 100);
+      order.push(key);
+      return n * 2;
+    });
+    expect(order).to.eql(['a', 'b', 'c']);
+    expect(mapped).to.eql(new Map([['a', 6], ['b', 4], ['c', 2]]));
+    clock.restore();
+  });
+
   it('should reject with TypeError when called on non-array-like objects', async () => {
     for (const value of [null, undefined, {}, true, 2])
       await AsyncAF(value).series.mapAF().catch(e => {
         expect(e).to.be.an.instanceOf(TypeError).and.have.property(
           'message',
-          `mapAF cannot be called on ${value}, only on an Array or array-like Object`,
+          `mapAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
         );
       });
   });
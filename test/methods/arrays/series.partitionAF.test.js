@@ -0,0 +1,29 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('series.partitionAF method', () => {
+  it('should split like partitionAF', async () => {
+    const isOdd = n => n % 2;
+    expect(await AsyncAF([1, Promise.resolve(2), 3]).series.partitionAF(isOdd))
+      .to.eql([[1, 3], [2]]);
+    expect(await AsyncAF([1, 2]).io.partitionAF(isOdd)).to.eql([[1], [2]]);
+  });
+
+  it('should process elements in series', async () => {
+    const clock = sinon.useFakeTimers({shouldAdvanceTime: true});
+    const nums = [];
+    await AsyncAF([3, 2, 1]).series.partitionAF(async n => {
+      await delay(n * 100);
+      nums.push(n);
+      return true;
+    });
+    expect(nums).to.eql([3, 2, 1]);
+    clock.restore();
+  });
+});
@@ -108,7 +108,7 @@ describe('series.reduceAF method', () => {
       await AsyncAF(value).io.reduceAF(() => {}).catch(e => {
         expect(e).to.be.an.instanceOf(TypeError).and.have.property(
           'message',
-          `reduceAF cannot be called on ${value}, only on an Array or array-like Object`,
+          `reduceAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
         );
       });
   });
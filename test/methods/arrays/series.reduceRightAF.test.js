@@ -0,0 +1,43 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+import slowToFast from '../../helpers/slowToFast';
+
+chai.use(chaiAsPromised);
+
+describe('series.reduceRightAF method', () => {
+  it('io (inOrder) should be an alias for series', () => {
+    expect(AsyncAF().io.reduceRightAF).to.equal(AsyncAF().series.reduceRightAF);
+  });
+
+  it('should reduce like reduceRightAF', async () => {
+    const strs = ['a', Promise.resolve('b'), 'c'];
+    expect(await AsyncAF(strs).series.reduceRightAF((acc, str) => acc + str)).to.equal('cba');
+    expect(await AsyncAF(strs).io.reduceRightAF((acc, str) => acc + str, '!')).to.equal('!cba');
+  });
+
+  it('should work on array-like objects and iterables', async () => {
+    const cb = (acc, str) => acc + str;
+    expect(await AsyncAF({0: 'a', 1: Promise.resolve('b'), length: 2}).io.reduceRightAF(cb))
+      .to.equal('ba');
+    expect(await AsyncAF(new Set(['a', 'b'])).io.reduceRightAF(cb)).to.equal('ba');
+  });
+
+  it('should ignore holes in sparse arrays', async () => {
+    const cb = (a, b) => a + b;
+    const sparse = ['1', , '2', , ]; // eslint-disable-line array-bracket-spacing
+    expect(await AsyncAF(sparse).io.reduceRightAF(cb)).to.equal(sparse.reduceRight(cb));
+    expect(await AsyncAF(Array(3)).io.reduceRightAF(cb, '0')).to.equal('0');
+    await expect(AsyncAF(Array(3)).io.reduceRightAF(cb)).to.eventually.be.rejectedWith(TypeError);
+  });
+
+  it('should resolve elements in series before reducing from the right', async () => {
+    const {thenables, resolved} = slowToFast([1, 2, 3]);
+    const visited = [];
+    expect(await AsyncAF(thenables).series.reduceRightAF((acc, n) => visited.push(n) && acc + n))
+      .to.equal(6);
+    expect(resolved).to.eql([1, 2, 3]);
+    expect(visited).to.eql([2, 1]);
+  });
+});
@@ -0,0 +1,37 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+import slowToFast from '../../helpers/slowToFast';
+
+chai.use(chaiAsPromised);
+
+describe('series.reverseAF method', () => {
+  it('io (inOrder) should be an alias for series', () => {
+    expect(AsyncAF().io.reverseAF).to.equal(AsyncAF().series.reverseAF);
+  });
+
+  it('should reverse arrays of promises and non-promises', async () => {
+    expect(await AsyncAF([1, Promise.resolve(2), 3]).series.reverseAF()).to.eql([3, 2, 1]);
+    expect(await AsyncAF([]).io.reverseAF()).to.eql([]);
+  });
+
+  it('should work on array-like objects and iterables', async () => {
+    expect(await AsyncAF({0: 'a', 1: Promise.resolve('b'), length: 2}).io.reverseAF())
+      .to.eql(['b', 'a']);
+    expect(await AsyncAF(new Set([1, 2, 3])).io.reverseAF()).to.eql([3, 2, 1]);
+  });
+
+  it('should preserve holes in sparse arrays', async () => {
+    const reversed = await AsyncAF([1, , 3]).io.reverseAF();
+    expect(reversed).to.have.lengthOf(3);
+    expect(1 in reversed).to.be.false;
+    expect([reversed[0], reversed[2]]).to.eql([3, 1]);
+  });
+
+  it('should resolve elements in series from the start', async () => {
+    const {thenables, resolved} = slowToFast([1, 2, 3]);
+    expect(await AsyncAF(thenables).series.reverseAF()).to.eql([3, 2, 1]);
+    expect(resolved).to.eql([1, 2, 3]);
+  });
+});
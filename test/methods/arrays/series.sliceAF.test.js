@@ -0,0 +1,40 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+import slowToFast from '../../helpers/slowToFast';
+
+chai.use(chaiAsPromised);
+
+describe('series.sliceAF method', () => {
+  it('io (inOrder) should be an alias for series', () => {
+    expect(AsyncAF().io.sliceAF).to.equal(AsyncAF().series.sliceAF);
+  });
+
+  it('should slice like native slice, including with negative indices', async () => {
+    const nums = [1, 2, 3, 4];
+    for (const args of [[], [1], [1, 3], [-2], [-3, -1], [3, 1]])
+      expect(await AsyncAF(nums.map(n => Promise.resolve(n))).series.sliceAF(...args))
+        .to.eql(nums.slice(...args));
+  });
+
+  it('should work on strings, array-like objects and iterables', async () => {
+    expect(await AsyncAF('slice').io.sliceAF(-3)).to.equal('ice');
+    expect(await AsyncAF({0: 'a', 1: Promise.resolve('b'), length: 2}).io.sliceAF(1))
+      .to.eql(['b']);
+    expect(await AsyncAF(new Set([1, 2, 3])).io.sliceAF(0, -1)).to.eql([1, 2]);
+  });
+
+  it('should preserve holes in sparse arrays', async () => {
+    const sliced = await AsyncAF([1, , 3]).io.sliceAF(-2);
+    expect(sliced).to.have.lengthOf(2);
+    expect(0 in sliced).to.be.false;
+    expect(sliced[1]).to.equal(3);
+  });
+
+  it('should resolve only the sliced elements, in series', async () => {
+    const {thenables, resolved} = slowToFast([1, 2, 3, 4]);
+    expect(await AsyncAF(thenables).series.sliceAF(1, -1)).to.eql([2, 3]);
+    expect(resolved).to.eql([2, 3]);
+  });
+});
@@ -187,7 +187,7 @@ describe('series.someAF method', () => {
       await AsyncAF(value).io.someAF(() => {}).catch(e => {
         expect(e).to.be.an.instanceOf(TypeError).and.have.property(
           'message',
-          `someAF cannot be called on ${value}, only on an Array or array-like Object`,
+          `someAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
         );
       });
   });
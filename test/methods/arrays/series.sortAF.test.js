@@ -0,0 +1,27 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('series.sortAF method', () => {
+  it('should sort like sortAF', async () => {
+    expect(await AsyncAF([3, Promise.resolve(1), 2]).series.sortAF(async (a, b) => a - b))
+      .to.eql([1, 2, 3]);
+    expect(await AsyncAF([10, 9, 1]).io.sortAF()).to.eql([1, 10, 9]);
+  });
+
+  it('should invoke the comparator in series', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    expect(await AsyncAF([4, 3, 2, 1]).series.sortAF(async (a, b) => {
+      maxRunning = Math.max(maxRunning, ++running);
+      await delay(10);
+      running--;
+      return a - b;
+    })).to.eql([1, 2, 3, 4]);
+    expect(maxRunning).to.equal(1);
+  });
+});
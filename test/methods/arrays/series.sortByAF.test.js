@@ -0,0 +1,28 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('series.sortByAF method', () => {
+  it('should sort like sortByAF', async () => {
+    expect(await AsyncAF(['ccc', Promise.resolve('a'), 'bb']).series.sortByAF(str => str.length))
+      .to.eql(['a', 'bb', 'ccc']);
+    expect(await AsyncAF([3, 1, 2]).io.sortByAF(async n => n)).to.eql([1, 2, 3]);
+  });
+
+  it('should process elements in series', async () => {
+    const clock = sinon.useFakeTimers({shouldAdvanceTime: true});
+    const nums = [];
+    await AsyncAF([3, 2, 1]).series.sortByAF(async n => {
+      await delay(n * 100);
+      nums.push(n);
+      return n;
+    });
+    expect(nums).to.eql([3, 2, 1]);
+    clock.restore();
+  });
+});
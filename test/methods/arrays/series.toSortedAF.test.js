@@ -0,0 +1,41 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+import slowToFast from '../../helpers/slowToFast';
+
+chai.use(chaiAsPromised);
+
+describe('series.toSortedAF method', () => {
+  it('io (inOrder) should be an alias for series', () => {
+    expect(AsyncAF().io.toSortedAF).to.equal(AsyncAF().series.toSortedAF);
+  });
+
+  it('should sort like toSortedAF', async () => {
+    expect(await AsyncAF([3, Promise.resolve(1), 10]).series.toSortedAF(async (a, b) => a - b))
+      .to.eql([1, 3, 10]);
+    expect(await AsyncAF(new Set([10, 9, 1])).io.toSortedAF()).to.eql([1, 10, 9]);
+    expect(await AsyncAF({0: 'b', 1: 'a', length: 2}).io.toSortedAF()).to.eql(['a', 'b']);
+  });
+
+  it('should sort holes to the end as undefined', async () => {
+    const sorted = await AsyncAF([3, , 1]).io.toSortedAF((a, b) => a - b);
+    expect(sorted).to.eql([1, 3, undefined]);
+    expect(2 in sorted).to.be.true;
+  });
+
+  it('should resolve elements and then invoke the comparator in series', async () => {
+    const {thenables, resolved} = slowToFast([3, 2, 1]);
+    let running = 0;
+    let maxRunning = 0;
+    expect(await AsyncAF(thenables).series.toSortedAF(async (a, b) => {
+      maxRunning = Math.max(maxRunning, ++running);
+      await delay(10);
+      running--;
+      return a - b;
+    })).to.eql([1, 2, 3]);
+    expect(resolved).to.eql([3, 2, 1]);
+    expect(maxRunning).to.equal(1);
+  });
+});
@@ -0,0 +1,42 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+import slowToFast from '../../helpers/slowToFast';
+
+chai.use(chaiAsPromised);
+
+describe('series.toSplicedAF method', () => {
+  it('io (inOrder) should be an alias for series', () => {
+    expect(AsyncAF().io.toSplicedAF).to.equal(AsyncAF().series.toSplicedAF);
+  });
+
+  it('should splice like native splice, including with negative indices', async () => {
+    const nums = [1, 2, 3, 4];
+    for (const args of [[1], [1, 2], [-2, 1], [-1, 0, 'a', 'b'], [0, -1, 'a']]) {
+      const spliced = [...nums];
+      spliced.splice(...args);
+      expect(await AsyncAF(nums.map(n => Promise.resolve(n))).series.toSplicedAF(...args))
+        .to.eql(spliced);
+    }
+  });
+
+  it('should work on array-like objects and iterables', async () => {
+    expect(await AsyncAF({0: 'a', 1: Promise.resolve('b'), length: 2}).io.toSplicedAF(0, 1))
+      .to.eql(['b']);
+    expect(await AsyncAF(new Set([1, 2, 3])).io.toSplicedAF(-1, 1, 4)).to.eql([1, 2, 4]);
+  });
+
+  it('should preserve holes in sparse arrays', async () => {
+    const spliced = await AsyncAF([1, , 3]).io.toSplicedAF(0, 1);
+    expect(spliced).to.have.lengthOf(2);
+    expect(0 in spliced).to.be.false;
+    expect(spliced[1]).to.equal(3);
+  });
+
+  it('should resolve the remaining and inserted elements in series', async () => {
+    const {thenables: [one, two, three, four], resolved} = slowToFast([1, 2, 3, 4]);
+    expect(await AsyncAF([one, two, three]).series.toSplicedAF(1, 1, four)).to.eql([1, 4, 3]);
+    expect(resolved).to.eql([1, 4, 3]);
+  });
+});
@@ -0,0 +1,34 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+import slowToFast from '../../helpers/slowToFast';
+
+chai.use(chaiAsPromised);
+
+describe('series.uniqAF method', () => {
+  it('io (inOrder) should be an alias for series', () => {
+    expect(AsyncAF().io.uniqAF).to.equal(AsyncAF().series.uniqAF);
+  });
+
+  it('should deduplicate like uniqAF', async () => {
+    expect(await AsyncAF([1, Promise.resolve(1), 2]).series.uniqAF()).to.eql([1, 2]);
+    expect(await AsyncAF([NaN, NaN, 0, -0]).io.uniqAF()).to.have.lengthOf(2);
+  });
+
+  it('should remove holes in sparse arrays but keep one undefined', async () => {
+    expect(await AsyncAF([1, , undefined, 1, undefined]).io.uniqAF()).to.eql([1, undefined]);
+  });
+
+  it('should work on array-like objects and iterables', async () => {
+    expect(await AsyncAF({0: 'a', 1: Promise.resolve('a'), length: 2}).io.uniqAF())
+      .to.eql(['a']);
+    expect(await AsyncAF(new Set([1, 2])).io.uniqAF()).to.eql([1, 2]);
+  });
+
+  it('should resolve elements in series and keep the first of each', async () => {
+    const {thenables, resolved} = slowToFast(['a', 'b', 'a', 'c']);
+    expect(await AsyncAF(thenables).series.uniqAF()).to.eql(['a', 'b', 'c']);
+    expect(resolved).to.eql(['a', 'b', 'a', 'c']);
+  });
+});
@@ -0,0 +1,28 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('series.uniqByAF method', () => {
+  it('should deduplicate like uniqByAF', async () => {
+    expect(await AsyncAF(['a', Promise.resolve('b'), 'cc']).series.uniqByAF(str => str.length))
+      .to.eql(['a', 'cc']);
+    expect(await AsyncAF([1, 2]).io.uniqByAF(async () => 'same')).to.eql([1]);
+  });
+
+  it('should process elements in series', async () => {
+    const clock = sinon.useFakeTimers({shouldAdvanceTime: true});
+    const nums = [];
+    await AsyncAF([3, 2, 1]).series.uniqByAF(async n => {
+      await delay(n * 100);
+      nums.push(n);
+      return n;
+    });
+    expect(nums).to.eql([3, 2, 1]);
+    clock.restore();
+  });
+});
@@ -0,0 +1,41 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+import slowToFast from '../../helpers/slowToFast';
+
+chai.use(chaiAsPromised);
+
+describe('series.withAF method', () => {
+  it('io (inOrder) should be an alias for series', () => {
+    expect(AsyncAF().io.withAF).to.equal(AsyncAF().series.withAF);
+  });
+
+  it('should replace the element at the given index, counting back from the end if negative', async () => {
+    const promises = [1, 2, 3].map(n => Promise.resolve(n));
+    expect(await AsyncAF(promises).series.withAF(0, 'one')).to.eql(['one', 2, 3]);
+    expect(await AsyncAF(promises).io.withAF(-1, 'three')).to.eql([1, 2, 'three']);
+  });
+
+  it('should work on array-like objects and iterables', async () => {
+    expect(await AsyncAF({0: 'a', 1: Promise.resolve('b'), length: 2}).io.withAF(0, 'z'))
+      .to.eql(['z', 'b']);
+    expect(await AsyncAF(new Set([1, 2, 3])).io.withAF(-2, 0)).to.eql([1, 0, 3]);
+  });
+
+  it('should preserve other holes in sparse arrays', async () => {
+    const replaced = await AsyncAF([1, , , 4]).io.withAF(-3, 2);
+    expect(replaced.slice(0, 2)).to.eql([1, 2]);
+    expect(2 in replaced).to.be.false;
+  });
+
+  it('should reject with RangeError when the index is out of range', async () => {
+    await expect(AsyncAF([1, 2, 3]).io.withAF(-4, 0)).to.eventually.be.rejectedWith(RangeError);
+  });
+
+  it('should resolve every element but the replaced one in series', async () => {
+    const {thenables, resolved} = slowToFast([1, 2, 3]);
+    expect(await AsyncAF(thenables).series.withAF(1, 'two')).to.eql([1, 'two', 3]);
+    expect(resolved).to.eql([1, 3]);
+  });
+});
@@ -0,0 +1,36 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+import slowToFast from '../../helpers/slowToFast';
+
+chai.use(chaiAsPromised);
+
+describe('series.zipAF method', () => {
+  it('io (inOrder) should be an alias for series', () => {
+    expect(AsyncAF().io.zipAF).to.equal(AsyncAF().series.zipAF);
+  });
+
+  it('should zip like zipAF', async () => {
+    expect(await AsyncAF([1, Promise.resolve(2)]).series.zipAF(Promise.resolve(['a', 'b'])))
+      .to.eql([[1, 'a'], [2, 'b']]);
+    expect(await AsyncAF([1, 2, 3]).io.zipAF(['a'])).to.eql([[1, 'a']]);
+    expect(await AsyncAF([1]).io.zipAF([], {longest: true})).to.eql([[1, undefined]]);
+  });
+
+  it('should zip with array-like objects and iterables', async () => {
+    expect(await AsyncAF(new Set([1, 2])).io.zipAF({0: 'x', 1: 'y', length: 2}))
+      .to.eql([[1, 'x'], [2, 'y']]);
+  });
+
+  it('should treat holes in sparse arrays as undefined', async () => {
+    expect(await AsyncAF([1, , 3]).io.zipAF(['a', 'b', 'c']))
+      .to.eql([[1, 'a'], [undefined, 'b'], [3, 'c']]);
+  });
+
+  it('should resolve each array\'s elements in series, one array after another', async () => {
+    const {thenables: [one, two, a, b], resolved} = slowToFast([1, 2, 'a', 'b']);
+    expect(await AsyncAF([one, two]).series.zipAF([a, b])).to.eql([[1, 'a'], [2, 'b']]);
+    expect(resolved).to.eql([1, 2, 'a', 'b']);
+  });
+});
@@ -0,0 +1,28 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('series.zipWithAF method', () => {
+  it('should combine like zipWithAF', async () => {
+    const join = tuple => tuple.join('');
+    expect(await AsyncAF([1, Promise.resolve(2)]).series.zipWithAF(join, Promise.resolve(['a', 'b'])))
+      .to.eql(['1a', '2b']);
+    expect(await AsyncAF([1]).io.zipWithAF(join, [], {longest: true})).to.eql(['1']);
+  });
+
+  it('should process tuples in series', async () => {
+    const clock = sinon.useFakeTimers({shouldAdvanceTime: true});
+    const nums = [];
+    await AsyncAF([3, 2, 1]).series.zipWithAF(async ([n]) => {
+      await delay(n * 100);
+      nums.push(n);
+    }, [1, 2, 3]);
+    expect(nums).to.eql([3, 2, 1]);
+    clock.restore();
+  });
+});
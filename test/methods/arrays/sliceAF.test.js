@@ -0,0 +1,64 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('sliceAF method', () => {
+  const nums = [1, 2, 3, 4, 5];
+  const promises = nums.map(n => Promise.resolve(n));
+
+  it('should have the same arity as native slice', () => {
+    expect(AsyncAF([]).sliceAF.length).to.equal([].slice.length);
+  });
+
+  it('should be aliased as slice', () => {
+    expect(AsyncAF([]).slice).to.equal(AsyncAF([]).sliceAF);
+  });
+
+  it('should resolve to the same portion as native slice', async () => {
+    for (const args of [[], [1], [1, 3], [-2], [-3, -1], [3, 1], [0, 100], [NaN, '2']])
+      expect(await AsyncAF(promises).sliceAF(...args)).to.eql(nums.slice(...args));
+  });
+
+  it('should only resolve the elements in the portion', async () => {
+    const rejected = Promise.reject(Error('nope'));
+    rejected.catch(() => {});
+    expect(await AsyncAF([rejected, Promise.resolve(2)]).sliceAF(1)).to.eql([2]);
+  });
+
+  it('should not change the original array', async () => {
+    const arr = [1, 2, 3];
+    await AsyncAF(arr).sliceAF(1);
+    expect(arr).to.eql([1, 2, 3]);
+  });
+
+  it('should preserve holes in sparse arrays', async () => {
+    const sliced = await AsyncAF([1, , 3, 4]).sliceAF(0, 3);
+    expect(sliced).to.have.lengthOf(3);
+    expect(1 in sliced).to.be.false;
+  });
+
+  it('should work on array-like objects and iterables', async () => {
+    expect(await AsyncAF({0: 'a', 1: 'b', length: 2}).sliceAF(1)).to.eql(['b']);
+    expect(await AsyncAF(new Set([1, 2, 3])).sliceAF(-1)).to.eql([3]);
+  });
+
+  it('should resolve to a new string when called on a string', async () => {
+    const str = Promise.resolve('splitAF');
+    expect(await AsyncAF(str).sliceAF(0, 5)).to.equal('split');
+    expect(await AsyncAF(str).sliceAF(-2)).to.equal('AF');
+    expect(await AsyncAF(str).sliceAF()).to.equal('splitAF');
+  });
+
+  it('should reject with TypeError when called on non-array-like objects', async () => {
+    for (const value of [null, undefined, {}, true, 2])
+      await AsyncAF(value).sliceAF().catch(e => {
+        expect(e).to.be.an.instanceOf(TypeError).and.have.property(
+          'message',
+          `sliceAF cannot be called on ${value}, only on an Array, String, array-like Object, or iterable`,
+        );
+      });
+  });
+});
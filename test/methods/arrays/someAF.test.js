@@ -1,3 +1,4 @@
+/* global AbortController */
 import chai, {expect} from 'chai';
 import chaiAsPromised from 'chai-as-promised';
 import sinon from 'sinon';
@@ -140,6 +141,15 @@ describe('someAF method', () => {
     expect(await AsyncAF([, 1, , 2, , 3, , , ]).someAF((_, i) => !(i % 2))).to.be.false;
   }); /* eslint-enable */
 
+  it('should pass the callback (value, key, collection) on a Map or Set', async () => {
+    const map = new Map([['a', Promise.resolve(1)], ['b', 2]]);
+    expect(await AsyncAF(map).someAF((value, key) => key === 'b' && value === 2)).to.be.true;
+    expect(await AsyncAF(map).someAF((value, key, collection) => collection.has(value)))
+      .to.be.false;
+    expect(await AsyncAF(new Set([Promise.resolve(1)])).someAF((value, key) => key === 1))
+      .to.be.true;
+  });
+
   it('should reject with TypeError: undefined is not a function', async () => {
     await expect(AsyncAF([]).someAF()).to.eventually.be.rejected.and.has.property(
       'message',
@@ -151,8 +161,39 @@ describe('someAF method', () => {
       await AsyncAF(value).someAF(() => {}).catch(e => {
         expect(e).to.be.an.instanceOf(TypeError).and.have.property(
           'message',
-          `someAF cannot be called on ${value}, only on an Array or array-like Object`,
+          `someAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
         );
       });
   });
+
+  context('should resolve as soon as the result is known', () => {
+    it('without waiting for slower callbacks', async () => {
+      const start = Date.now();
+      expect(await AsyncAF([1000, 10, 1000]).someAF(ms => delay(ms).then(() => ms < 100)))
+        .to.be.true;
+      expect(Date.now() - start).to.be.below(500);
+    });
+    it('and not start further callbacks when limited', async () => {
+      const called = [];
+      expect(await AsyncAF([1, 2, 3, 4]).limit(1).someAF(async n => {
+        called.push(n);
+        await delay(10);
+        return n === 2;
+      })).to.be.true;
+      await delay(50);
+      expect(called).to.eql([1, 2]);
+    });
+    it('and abort the signal passed to callbacks that are still running', async () => {
+      const {signal} = new AbortController();
+      let slowSignal;
+      expect(await AsyncAF([1, 2]).signal(signal).someAF((n, i, arr, s) => {
+        if (n === 1) return true;
+        slowSignal = s;
+        return delay(1000);
+      })).to.be.true;
+      expect(slowSignal.aborted).to.be.true;
+      expect(slowSignal.reason).to.have.property('message', 'someAF has already settled');
+      expect(signal.aborted).to.be.false;
+    });
+  });
 });
@@ -0,0 +1,128 @@
+/* global AbortController */
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('sortAF method', () => {
+  const numerically = (a, b) => a - b;
+
+  it('should have the same arity as native sort', () => {
+    expect(AsyncAF([]).sortAF.length).to.equal([].sort.length);
+  });
+
+  it('should be aliased as sort', () => {
+    expect(AsyncAF([]).sort).to.equal(AsyncAF([]).sortAF);
+  });
+
+  context('should work on an array of non-promises', () => {
+    const nums = [5, 1, 10, 3, 2, 4];
+    it('and sort its elements with a comparator', async () => {
+      expect(await AsyncAF(nums).sortAF(numerically)).to.eql([...nums].sort(numerically));
+    });
+    it('and sort its elements as strings when no comparator is given', async () => {
+      expect(await AsyncAF(nums).sortAF()).to.eql([...nums].sort());
+    });
+    it('and resolve to a new array rather than sorting it in place', async () => {
+      await AsyncAF(nums).sortAF(numerically);
+      expect(nums).to.eql([5, 1, 10, 3, 2, 4]);
+    });
+  });
+
+  context('should work on an array of promises', () => {
+    const promises = [3, 1, 2].map(n => Promise.resolve(n));
+    it('and sort its resolved elements', async () => {
+      expect(await AsyncAF(promises).sortAF(numerically)).to.eql([1, 2, 3]);
+    });
+  });
+
+  it('should resolve comparators that return promises', async () => {
+    expect(await AsyncAF([3, 1, 2]).sortAF(async (a, b) => {
+      await delay(a + b);
+      return b - a;
+    })).to.eql([3, 2, 1]);
+  });
+
+  it('should be stable', async () => {
+    const people = [
+      {name: 'a', age: 30}, {name: 'b', age: 20}, {name: 'c', age: 30},
+      {name: 'd', age: 20}, {name: 'e', age: 30},
+    ];
+    expect((await AsyncAF(people).sortAF(async (a, b) => a.age - b.age)).map(({name}) => name))
+      .to.eql(['b', 'd', 'a', 'c', 'e']);
+  });
+
+  it('should invoke the comparator at most n * log2(n) times', async () => {
+    const nums = Array.from({length: 64}, (_, i) => (i * 37) % 64);
+    let calls = 0;
+    expect(await AsyncAF(nums).sortAF((a, b) => {
+      calls++;
+      return Promise.resolve(a - b);
+    })).to.eql([...nums].sort(numerically));
+    expect(calls).to.be.at.most(64 * 6);
+  });
+
+  it('should move undefined elements and holes to the end without comparing them', async () => {
+    const compared = [];
+    const sorted = await AsyncAF([3, , undefined, 1]).sortAF((a, b) => {
+      compared.push(a, b);
+      return a - b;
+    });
+    expect(sorted.slice(0, 3)).to.eql([1, 3, undefined]);
+    expect(sorted).to.have.lengthOf(4);
+    expect(3 in sorted).to.be.false;
+    expect(compared).to.not.include(undefined);
+  });
+
+  it('should invoke independent comparisons in parallel', async () => {
+    const start = Date.now();
+    await AsyncAF([4, 3, 2, 1]).sortAF(async (a, b) => {
+      await delay(50);
+      return a - b;
+    });
+    // three rounds of comparisons: one per pair, then at most two to merge the pairs
+    expect(Date.now() - start).to.be.below(230);
+  });
+
+  it('should pass the signal to the comparator and stop comparing once it\'s aborted', async () => {
+    const controller = new AbortController();
+    const signals = [];
+    await expect(AsyncAF([4, 3, 2, 1]).signal(controller.signal).sortAF((a, b, signal) => {
+      signals.push(signal);
+      controller.abort();
+      return a - b;
+    })).to.eventually.be.rejected.and.have.property('name', 'AbortError');
+    expect(signals).to.eql([controller.signal]);
+  });
+
+  it('should reject when the comparator rejects', async () => {
+    await expect(AsyncAF([2, 1]).sortAF(() => Promise.reject(Error('nope'))))
+      .to.eventually.be.rejectedWith('nope');
+  });
+
+  it('should reject with TypeError when passed a comparator that is not a function', async () => {
+    await expect(AsyncAF([]).sortAF(null)).to.eventually.be.rejected.and.has.property(
+      'message',
+      'null is not a function',
+    );
+  });
+
+  it('should split strings into their characters', async () => {
+    expect(await AsyncAF('cab').sortAF()).to.eql(['a', 'b', 'c']);
+    expect(await AsyncAF('cab').series.sortAF(async (a, b) => (a < b ? 1 : -1)))
+      .to.eql(['c', 'b', 'a']);
+  });
+
+  it('should reject with TypeError when called on non-array-like objects', async () => {
+    for (const value of [null, undefined, {}, true, 2])
+      await AsyncAF(value).sortAF().catch(e => {
+        expect(e).to.be.an.instanceOf(TypeError).and.have.property(
+          'message',
+          `sortAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
+        );
+      });
+  });
+});
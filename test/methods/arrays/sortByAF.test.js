@@ -0,0 +1,130 @@
+/* global AbortController */
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('sortByAF method', () => {
+  it('should be aliased as sortBy', () => {
+    expect(AsyncAF([]).sortBy).to.equal(AsyncAF([]).sortByAF);
+  });
+
+  context('should work on an array of non-promises', () => {
+    const strs = ['ccc', 'a', 'bb'];
+    it('and sort its elements by their keys', async () => {
+      expect(await AsyncAF(strs).sortByAF(str => str.length)).to.eql(['a', 'bb', 'ccc']);
+      expect(await AsyncAF(strs).sortByAF(str => str)).to.eql(['a', 'bb', 'ccc']);
+    });
+    it('and resolve to a new array rather than sorting it in place', async () => {
+      await AsyncAF(strs).sortByAF(str => str.length);
+      expect(strs).to.eql(['ccc', 'a', 'bb']);
+    });
+  });
+
+  context('should work on an array of promises', () => {
+    const promises = ['ccc', 'a', 'bb'].map(str => Promise.resolve(str));
+    it('and sort its resolved elements by their keys', async () => {
+      expect(await AsyncAF(promises).sortByAF(str => str.length)).to.eql(['a', 'bb', 'ccc']);
+    });
+  });
+
+  it('should resolve keys that are promises and compare numbers numerically', async () => {
+    expect(await AsyncAF([10, 9, 100]).sortByAF(async n => delay(n).then(() => -n)))
+      .to.eql([100, 10, 9]);
+  });
+
+  it('should invoke callback exactly once per element', async () => {
+    const called = [];
+    await AsyncAF([5, 3, 4, 1, 2]).sortByAF(async n => {
+      called.push(n);
+      return n;
+    });
+    expect(called.sort()).to.eql([1, 2, 3, 4, 5]);
+  });
+
+  it('should be stable', async () => {
+    const people = [
+      {name: 'a', age: 30}, {name: 'b', age: 20}, {name: 'c', age: 30},
+      {name: 'd', age: 20}, {name: 'e', age: 30},
+    ];
+    expect((await AsyncAF(people).sortByAF(async ({age}) => age)).map(({name}) => name))
+      .to.eql(['b', 'd', 'a', 'c', 'e']);
+  });
+
+  it('should keep the original order of elements whose keys are incomparable', async () => {
+    expect(await AsyncAF(['a', 'b', 'c', 'd']).sortByAF(s => (s === 'c' ? 0 : NaN)))
+      .to.eql(['a', 'b', 'c', 'd']);
+    expect(await AsyncAF([1, 2, 3]).sortByAF(n => [NaN, {}, NaN][n - 1]))
+      .to.eql([1, 2, 3]);
+  });
+
+  it('should pass index, array and thisArg to callback', async () => {
+    const thisArg = {sign: -1};
+    const args = [];
+    expect(await AsyncAF([1, 2]).sortByAF(function (n, i, arr) {
+      args.push([i, arr.length]);
+      return n * this.sign;
+    }, thisArg)).to.eql([2, 1]);
+    expect(args).to.eql([[0, 2], [1, 2]]);
+  });
+
+  it('should move elements with undefined keys, then holes, to the end', async () => {
+    const sorted = await AsyncAF([3, , 0, 1]).sortByAF(n => n || undefined);
+    expect(sorted.slice(0, 3)).to.eql([1, 3, 0]);
+    expect(sorted).to.have.lengthOf(4);
+    expect(3 in sorted).to.be.false;
+  });
+
+  it('should invoke callbacks in parallel', async () => {
+    const start = Date.now();
+    await AsyncAF([100, 100, 100]).sortByAF(ms => delay(ms).then(() => ms));
+    expect(Date.now() - start).to.be.below(250);
+  });
+
+  it('should work with limit and signal', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const {signal} = new AbortController();
+    const signals = [];
+    expect(await AsyncAF([3, 1, 2]).limit(1).signal(signal).sortByAF(async (n, i, arr, s) => {
+      maxRunning = Math.max(maxRunning, ++running);
+      signals.push(s);
+      await delay(10);
+      running--;
+      return n;
+    })).to.eql([1, 2, 3]);
+    expect(maxRunning).to.equal(1);
+    expect(signals).to.eql([signal, signal, signal]);
+  });
+
+  it('should reject when a callback rejects', async () => {
+    await expect(AsyncAF([1]).sortByAF(() => Promise.reject(Error('nope'))))
+      .to.eventually.be.rejectedWith('nope');
+  });
+
+  it('should reject with TypeError: undefined is not a function', async () => {
+    await expect(AsyncAF([]).sortByAF()).to.eventually.be.rejected.and.has.property(
+      'message',
+      'undefined is not a function',
+    );
+  });
+
+  it('should split strings into their characters', async () => {
+    expect(await AsyncAF('cab').sortByAF(s => s)).to.eql(['a', 'b', 'c']);
+    expect(await AsyncAF('cab').series.sortByAF(async s => -s.charCodeAt(0)))
+      .to.eql(['c', 'b', 'a']);
+  });
+
+  it('should reject with TypeError when called on non-array-like objects', async () => {
+    for (const value of [null, undefined, {}, true, 2])
+      await AsyncAF(value).sortByAF(n => n).catch(e => {
+        expect(e).to.be.an.instanceOf(TypeError).and.have.property(
+          'message',
+          `sortByAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
+        );
+      });
+  });
+});
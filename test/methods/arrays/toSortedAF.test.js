@@ -0,0 +1,50 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('toSortedAF method', () => {
+  it('should have the same arity as native sort', () => {
+    expect(AsyncAF([]).toSortedAF.length).to.equal([].sort.length);
+  });
+
+  it('should be aliased as toSorted', () => {
+    expect(AsyncAF([]).toSorted).to.equal(AsyncAF([]).toSortedAF);
+  });
+
+  it('should sort like sortAF', async () => {
+    const promises = [3, 1, 10, 2].map(n => Promise.resolve(n));
+    expect(await AsyncAF(promises).toSortedAF(async (a, b) => a - b)).to.eql([1, 2, 3, 10]);
+    expect(await AsyncAF(promises).toSortedAF()).to.eql([1, 10, 2, 3]);
+  });
+
+  it('should sort holes to the end as undefined', async () => {
+    const sorted = await AsyncAF([3, , undefined, 1]).toSortedAF((a, b) => a - b);
+    expect(sorted).to.eql([1, 3, undefined, undefined]);
+    expect(3 in sorted).to.be.true;
+  });
+
+  it('should reject with TypeError when passed a comparator that is not a function', async () => {
+    await expect(AsyncAF([]).toSortedAF(null)).to.eventually.be.rejected.and.has.property(
+      'message',
+      'null is not a function',
+    );
+  });
+
+  it('should split strings into their characters', async () => {
+    expect(await AsyncAF('cab').toSortedAF()).to.eql(['a', 'b', 'c']);
+    expect(await AsyncAF('cab').series.toSortedAF()).to.eql(['a', 'b', 'c']);
+  });
+
+  it('should reject with TypeError when called on non-array-like objects', async () => {
+    for (const value of [null, undefined, {}, true, 2])
+      await AsyncAF(value).toSortedAF().catch(e => {
+        expect(e).to.be.an.instanceOf(TypeError).and.have.property(
+          'message',
+          `toSortedAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
+        );
+      });
+  });
+});
@@ -0,0 +1,57 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('toSplicedAF method', () => {
+  const nums = [1, 2, 3, 4];
+  const promises = nums.map(n => Promise.resolve(n));
+  // native toSpliced isn't available everywhere, but splicing a copy is equivalent
+  const toSpliced = (arr, ...args) => {
+    const copy = [...arr];
+    copy.splice(...args);
+    return copy;
+  };
+
+  it('should have the same arity as native toSpliced', () => {
+    expect(AsyncAF([]).toSplicedAF.length).to.equal(2);
+  });
+
+  it('should be aliased as toSpliced', () => {
+    expect(AsyncAF([]).toSpliced).to.equal(AsyncAF([]).toSplicedAF);
+  });
+
+  it('should remove and add elements like native splice on a copy', async () => {
+    const argsList = [[], [2], [1, 2], [-1, 1, 5, 6], [1, 0, 'a'], [1, undefined], [10, 1, 'z']];
+    for (const args of argsList)
+      expect(await AsyncAF(promises).toSplicedAF(...args)).to.eql(toSpliced(nums, ...args));
+  });
+
+  it('should resolve items that are promises', async () => {
+    expect(await AsyncAF(promises).toSplicedAF(1, 2, Promise.resolve('a'))).to.eql([1, 'a', 4]);
+  });
+
+  it('should not change the original array', async () => {
+    const arr = [1, 2, 3];
+    await AsyncAF(arr).toSplicedAF(0, 1);
+    expect(arr).to.eql([1, 2, 3]);
+  });
+
+  it('should preserve holes in sparse arrays', async () => {
+    const spliced = await AsyncAF([1, , 3, 4]).toSplicedAF(2, 1);
+    expect(spliced).to.have.lengthOf(3);
+    expect(1 in spliced).to.be.false;
+  });
+
+  it('should reject with TypeError when called on non-array-like objects', async () => {
+    for (const value of [null, undefined, {}, true, 2])
+      await AsyncAF(value).toSplicedAF(0).catch(e => {
+        expect(e).to.be.an.instanceOf(TypeError).and.have.property(
+          'message',
+          `toSplicedAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
+        );
+      });
+  });
+});
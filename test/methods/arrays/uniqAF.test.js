@@ -0,0 +1,64 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('uniqAF method', () => {
+  it('should be aliased as uniq', () => {
+    expect(AsyncAF([]).uniq).to.equal(AsyncAF([]).uniqAF);
+  });
+
+  context('should work on an array of non-promises', () => {
+    it('and keep the first occurrence of each element in order', async () => {
+      expect(await AsyncAF([3, 1, 3, 2, 1]).uniqAF()).to.eql([3, 1, 2]);
+      expect(await AsyncAF([]).uniqAF()).to.eql([]);
+    });
+    it('and compare elements using SameValueZero', async () => {
+      const obj = {};
+      const result = await AsyncAF([NaN, 0, NaN, -0, obj, {}, obj, '1', 1]).uniqAF();
+      expect(result).to.have.lengthOf(6);
+      expect(result[0]).to.be.NaN;
+      expect(result.slice(1)).to.eql([0, obj, {}, '1', 1]);
+      expect(result[2]).to.equal(obj);
+    });
+  });
+
+  context('should work on an array of promises', () => {
+    it('and deduplicate its resolved elements', async () => {
+      const promises = [1, 2, 1, 3, 2].map(n => delay(10 * n).then(() => n));
+      expect(await AsyncAF(promises).uniqAF()).to.eql([1, 2, 3]);
+    });
+  });
+
+  it('should remove holes in sparse arrays but keep one undefined', async () => {
+    expect(await AsyncAF([1, , undefined, 1, undefined]).uniqAF()).to.eql([1, undefined]);
+  });
+
+  it('should work on array-like objects and iterables', async () => {
+    expect(await AsyncAF({0: 'a', 1: 'a', length: 2}).uniqAF()).to.eql(['a']);
+    expect(await AsyncAF(new Set([1, 2])).uniqAF()).to.eql([1, 2]);
+  });
+
+  it('should reject when an element rejects', async () => {
+    await expect(AsyncAF([1, Promise.reject(Error('nope'))]).uniqAF())
+      .to.eventually.be.rejectedWith('nope');
+  });
+
+  it('should split strings into their characters', async () => {
+    expect(await AsyncAF('abba').uniqAF()).to.eql(['a', 'b']);
+    expect(await AsyncAF('abba').series.uniqAF()).to.eql(['a', 'b']);
+  });
+
+  it('should reject with TypeError when called on non-array-like objects', async () => {
+    for (const value of [null, undefined, {}, true, 2])
+      await AsyncAF(value).uniqAF().catch(e => {
+        expect(e).to.be.an.instanceOf(TypeError).and.have.property(
+          'message',
+          `uniqAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
+        );
+      });
+  });
+});
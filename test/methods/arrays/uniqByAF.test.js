@@ -0,0 +1,104 @@
+/* global AbortController */
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('uniqByAF method', () => {
+  it('should be aliased as uniqBy', () => {
+    expect(AsyncAF([]).uniqBy).to.equal(AsyncAF([]).uniqByAF);
+  });
+
+  context('should work on an array of non-promises', () => {
+    const strs = ['a', 'bb', 'c', 'dd', 'eee'];
+    it('and keep the first element for each key in order', async () => {
+      expect(await AsyncAF(strs).uniqByAF(str => str.length)).to.eql(['a', 'bb', 'eee']);
+    });
+    it('and compare keys using SameValueZero', async () => {
+      expect(await AsyncAF([1, 2, 3, 4]).uniqByAF(n => (n < 3 ? NaN : -0 * n)))
+        .to.eql([1, 3]);
+    });
+  });
+
+  context('should work on an array of promises', () => {
+    const promises = ['a', 'b', 'cc'].map(str => Promise.resolve(str));
+    it('and deduplicate its resolved elements', async () => {
+      expect(await AsyncAF(promises).uniqByAF(str => str.length)).to.eql(['a', 'cc']);
+    });
+  });
+
+  it('should resolve keys that are promises, keeping the first occurrence even if it resolves last', async () => {
+    const users = [{id: 1, ms: 40}, {id: 2, ms: 10}, {id: 3, ms: 20}];
+    const canonicalId = ({id, ms}) => delay(ms).then(() => (id === 2 ? 'a' : 'b'));
+    expect(await AsyncAF(users).uniqByAF(canonicalId)).to.eql([users[0], users[1]]);
+  });
+
+  it('should invoke callback exactly once per element', async () => {
+    let calls = 0;
+    await AsyncAF([1, 1, 1]).uniqByAF(n => {
+      calls++;
+      return n;
+    });
+    expect(calls).to.equal(3);
+  });
+
+  it('should pass index, array and thisArg to callback', async () => {
+    const thisArg = {size: 2};
+    expect(await AsyncAF(['a', 'b', 'c']).uniqByAF(function (str, i, arr) {
+      return Math.floor(i / this.size) + arr.length;
+    }, thisArg)).to.eql(['a', 'c']);
+  });
+
+  it('should skip holes in sparse arrays', async () => {
+    expect(await AsyncAF([1, , 2]).uniqByAF(n => n === undefined)).to.eql([1]);
+  });
+
+  it('should invoke callbacks in parallel', async () => {
+    const start = Date.now();
+    await AsyncAF([100, 100, 100]).uniqByAF(ms => delay(ms).then(() => ms));
+    expect(Date.now() - start).to.be.below(250);
+  });
+
+  it('should work with limit and signal', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const {signal} = new AbortController();
+    expect(await AsyncAF([1, 2, 3]).limit(1).signal(signal).uniqByAF(async (n, i, arr, s) => {
+      maxRunning = Math.max(maxRunning, ++running);
+      await delay(10);
+      running--;
+      return s === signal && n;
+    })).to.eql([1, 2, 3]);
+    expect(maxRunning).to.equal(1);
+  });
+
+  it('should reject when a callback rejects', async () => {
+    await expect(AsyncAF([1]).uniqByAF(() => Promise.reject(Error('nope'))))
+      .to.eventually.be.rejectedWith('nope');
+  });
+
+  it('should reject with TypeError: undefined is not a function', async () => {
+    await expect(AsyncAF([]).uniqByAF()).to.eventually.be.rejected.and.has.property(
+      'message',
+      'undefined is not a function',
+    );
+  });
+
+  it('should split strings into their characters', async () => {
+    expect(await AsyncAF('aAb').uniqByAF(s => s.toLowerCase())).to.eql(['a', 'b']);
+    expect(await AsyncAF('aAb').series.uniqByAF(async s => s.toLowerCase())).to.eql(['a', 'b']);
+  });
+
+  it('should reject with TypeError when called on non-array-like objects', async () => {
+    for (const value of [null, undefined, {}, true, 2])
+      await AsyncAF(value).uniqByAF(n => n).catch(e => {
+        expect(e).to.be.an.instanceOf(TypeError).and.have.property(
+          'message',
+          `uniqByAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
+        );
+      });
+  });
+});
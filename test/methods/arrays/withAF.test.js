@@ -0,0 +1,60 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('withAF method', () => {
+  const nums = [1, 2, 3];
+  const promises = nums.map(n => Promise.resolve(n));
+
+  it('should have the same arity as native with', () => {
+    expect(AsyncAF([]).withAF.length).to.equal(2);
+  });
+
+  it('should be aliased as with', () => {
+    expect(AsyncAF([]).with).to.equal(AsyncAF([]).withAF);
+  });
+
+  it('should replace the element at the given index', async () => {
+    expect(await AsyncAF(promises).withAF(0, 'one')).to.eql(['one', 2, 3]);
+    expect(await AsyncAF(promises).withAF(-1, 'three')).to.eql([1, 2, 'three']);
+    expect(await AsyncAF(promises).withAF('1.5', 'two')).to.eql([1, 'two', 3]);
+  });
+
+  it('should resolve a value that is a promise', async () => {
+    expect(await AsyncAF(promises).withAF(1, Promise.resolve('two'))).to.eql([1, 'two', 3]);
+  });
+
+  it('should not change the original array', async () => {
+    const arr = [1, 2, 3];
+    await AsyncAF(arr).withAF(0, 0);
+    expect(arr).to.eql([1, 2, 3]);
+  });
+
+  it('should preserve other holes in sparse arrays', async () => {
+    const replaced = await AsyncAF([1, , , 4]).withAF(1, 2);
+    expect(replaced.slice(0, 2)).to.eql([1, 2]);
+    expect(replaced).to.have.lengthOf(4);
+    expect(2 in replaced).to.be.false;
+  });
+
+  it('should reject with RangeError when the index is out of range', async () => {
+    for (const index of [3, -4])
+      await expect(AsyncAF(nums).withAF(index, 0)).to.eventually.be.rejectedWith(
+        RangeError,
+        `withAF's index must be within the bounds of an array of length 3 but was ${index}`,
+      );
+  });
+
+  it('should reject with TypeError when called on non-array-like objects', async () => {
+    for (const value of [null, undefined, {}, true, 2])
+      await AsyncAF(value).withAF(0, 0).catch(e => {
+        expect(e).to.be.an.instanceOf(TypeError).and.have.property(
+          'message',
+          `withAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
+        );
+      });
+  });
+});
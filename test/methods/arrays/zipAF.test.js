@@ -0,0 +1,85 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('zipAF method', () => {
+  it('should be aliased as zip', () => {
+    expect(AsyncAF([]).zip).to.equal(AsyncAF([]).zipAF);
+  });
+
+  context('should work on an array of non-promises', () => {
+    const nums = [1, 2, 3];
+    it('and zip it with other arrays', async () => {
+      expect(await AsyncAF(nums).zipAF(['a', 'b', 'c'])).to.eql([[1, 'a'], [2, 'b'], [3, 'c']]);
+      expect(await AsyncAF(nums).zipAF(['a', 'b', 'c'], [true, false, null]))
+        .to.eql([[1, 'a', true], [2, 'b', false], [3, 'c', null]]);
+    });
+    it('and wrap each element in a tuple when there\'s nothing to zip with', async () => {
+      expect(await AsyncAF(nums).zipAF()).to.eql([[1], [2], [3]]);
+    });
+  });
+
+  context('should work on an array of promises', () => {
+    const promises = [1, 2].map(n => Promise.resolve(n));
+    it('and zip its resolved elements with the resolved elements of other arrays', async () => {
+      expect(await AsyncAF(promises).zipAF([Promise.resolve('a'), delay(10).then(() => 'b')]))
+        .to.eql([[1, 'a'], [2, 'b']]);
+    });
+  });
+
+  it('should resolve promises of arrays, instances of AsyncAF, array-likes and iterables', async () => {
+    expect(await AsyncAF(Promise.resolve([1, 2])).zipAF(
+      Promise.resolve(['a', 'b']),
+      AsyncAF([Promise.resolve(true), false]),
+      {0: 'x', 1: 'y', length: 2},
+      new Set(['s', 't']),
+    )).to.eql([[1, 'a', true, 'x', 's'], [2, 'b', false, 'y', 't']]);
+  });
+
+  it('should stop at the shortest array by default', async () => {
+    expect(await AsyncAF([1, 2, 3]).zipAF(['a'], [true, false])).to.eql([[1, 'a', true]]);
+    expect(await AsyncAF([1, 2]).zipAF([])).to.eql([]);
+  });
+
+  it('should fill in undefined up to the longest array with {longest: true}', async () => {
+    expect(await AsyncAF([1]).zipAF(['a', 'b'], [], {longest: true}))
+      .to.eql([[1, 'a', undefined], [undefined, 'b', undefined]]);
+  });
+
+  it('should treat holes in sparse arrays as undefined', async () => {
+    expect(await AsyncAF([1, , 3]).zipAF(['a', 'b', 'c']))
+      .to.eql([[1, 'a'], [undefined, 'b'], [3, 'c']]);
+  });
+
+  it('should reject when another array rejects', async () => {
+    await expect(AsyncAF([1]).zipAF(Promise.reject(Error('nope'))))
+      .to.eventually.be.rejectedWith('nope');
+  });
+
+  it('should reject with TypeError when passed something other than an array to zip', async () => {
+    for (const value of [null, undefined, true, 2])
+      await expect(AsyncAF([1]).zipAF(value)).to.eventually.be.rejected.and.have.property(
+        'message',
+        `zipAF cannot zip ${value}, only Arrays, array-like Objects, or iterables`,
+      );
+  });
+
+  it('should split strings into their characters', async () => {
+    expect(await AsyncAF('ab').zipAF('xy')).to.eql([['a', 'x'], ['b', 'y']]);
+    expect(await AsyncAF('ab').series.zipAF([1, 2])).to.eql([['a', 1], ['b', 2]]);
+  });
+
+  it('should reject with TypeError when called on non-array-like objects', async () => {
+    for (const value of [null, undefined, {}, true, 2])
+      await AsyncAF(value).zipAF([]).catch(e => {
+        expect(e).to.be.an.instanceOf(TypeError).and.have.property(
+          'message',
+          `zipAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
+        );
+      });
+  });
+});
@@ -0,0 +1,107 @@
+/* global AbortController */
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('zipWithAF method', () => {
+  const sum = tuple => tuple.reduce((sum, n = 0) => sum + n, 0);
+
+  it('should be aliased as zipWith', () => {
+    expect(AsyncAF([]).zipWith).to.equal(AsyncAF([]).zipWithAF);
+  });
+
+  context('should work on an array of non-promises', () => {
+    it('and combine each tuple with combiner', async () => {
+      expect(await AsyncAF([1, 2]).zipWithAF(sum, [10, 20], [100, 200])).to.eql([111, 222]);
+    });
+  });
+
+  context('should work on an array of promises', () => {
+    const promises = [1, 2].map(n => Promise.resolve(n));
+    it('and combine its resolved elements with those of other arrays', async () => {
+      expect(await AsyncAF(promises).zipWithAF(sum, Promise.resolve([10, Promise.resolve(20)])))
+        .to.eql([11, 22]);
+    });
+  });
+
+  it('should resolve combiners that return promises', async () => {
+    expect(await AsyncAF([30, 10]).zipWithAF(async ([ms, str]) => {
+      await delay(ms);
+      return str.repeat(2);
+    }, AsyncAF(['a', 'b']))).to.eql(['aa', 'bb']);
+  });
+
+  it('should pass index and tuples to combiner', async () => {
+    expect(await AsyncAF(['a', 'b']).zipWithAF(
+      (tuple, i, tuples) => [...tuple, i, tuples.length],
+      ['c', 'd'],
+    )).to.eql([['a', 'c', 0, 2], ['b', 'd', 1, 2]]);
+  });
+
+  it('should stop at the shortest array by default', async () => {
+    expect(await AsyncAF([1, 2, 3]).zipWithAF(sum, [10])).to.eql([11]);
+  });
+
+  it('should fill in undefined up to the longest array with {longest: true}', async () => {
+    expect(await AsyncAF([1, 2, 3]).zipWithAF(sum, [10], {longest: true})).to.eql([11, 2, 3]);
+  });
+
+  it('should invoke combiners in parallel', async () => {
+    const start = Date.now();
+    await AsyncAF([100, 100, 100]).zipWithAF(([ms]) => delay(ms), [1, 2, 3]);
+    expect(Date.now() - start).to.be.below(250);
+  });
+
+  it('should work with limit and signal', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const {signal} = new AbortController();
+    expect(await AsyncAF([1, 2, 3]).limit(1).signal(signal).zipWithAF(async (...args) => {
+      maxRunning = Math.max(maxRunning, ++running);
+      await delay(10);
+      running--;
+      return args[3] === signal;
+    }, [4, 5, 6])).to.eql([true, true, true]);
+    expect(maxRunning).to.equal(1);
+  });
+
+  it('should reject when a combiner rejects', async () => {
+    await expect(AsyncAF([1]).zipWithAF(() => Promise.reject(Error('nope')), [2]))
+      .to.eventually.be.rejectedWith('nope');
+  });
+
+  it('should reject with TypeError: undefined is not a function', async () => {
+    await expect(AsyncAF([]).zipWithAF()).to.eventually.be.rejected.and.has.property(
+      'message',
+      'undefined is not a function',
+    );
+  });
+
+  it('should reject with TypeError when passed something other than an array to zip', async () => {
+    await expect(AsyncAF([1]).zipWithAF(sum, 2)).to.eventually.be.rejected.and.have.property(
+      'message',
+      'zipWithAF cannot zip 2, only Arrays, array-like Objects, or iterables',
+    );
+  });
+
+  it('should split strings into their characters', async () => {
+    const join = pair => pair.join('');
+    expect(await AsyncAF('ab').zipWithAF(join, 'xy')).to.eql(['ax', 'by']);
+    expect(await AsyncAF('ab').series.zipWithAF(async pair => join(pair), [1, 2]))
+      .to.eql(['a1', 'b2']);
+  });
+
+  it('should reject with TypeError when called on non-array-like objects', async () => {
+    for (const value of [null, undefined, {}, true, 2])
+      await AsyncAF(value).zipWithAF(sum, []).catch(e => {
+        expect(e).to.be.an.instanceOf(TypeError).and.have.property(
+          'message',
+          `zipWithAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
+        );
+      });
+  });
+});
@@ -0,0 +1,37 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('entriesAF method', () => {
+  it('should have the same arity as Object.entries (without the object)', () => {
+    expect(AsyncAF({}).entriesAF.length).to.equal(0);
+  });
+
+  it('should be aliased as entries', () => {
+    expect(AsyncAF({}).entries).to.equal(AsyncAF({}).entriesAF);
+  });
+
+  it('should resolve to the object\'s [key, value] pairs with each value resolved', async () => {
+    expect(await AsyncAF(Promise.resolve({b: Promise.resolve(1), a: 2})).entriesAF())
+      .to.eql([['b', 1], ['a', 2]]);
+    expect(await AsyncAF({}).entriesAF()).to.eql([]);
+  });
+
+  it('should round trip with fromEntriesAF', async () => {
+    const obj = {a: Promise.resolve(1), b: 2};
+    expect(await AsyncAF(obj).entriesAF().fromEntriesAF()).to.eql({a: 1, b: 2});
+  });
+
+  it('should reject with TypeError when called on non-objects', async () => {
+    for (const value of [null, undefined, true, 2, 'str'])
+      await AsyncAF(value).entriesAF().catch(e => {
+        expect(e).to.be.an.instanceOf(TypeError).and.have.property(
+          'message',
+          `entriesAF cannot be called on ${value}, only on an Object`,
+        );
+      });
+  });
+});
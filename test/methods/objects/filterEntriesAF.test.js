@@ -0,0 +1,49 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('filterEntriesAF method', () => {
+  it('should have the same arity as filterAF', () => {
+    expect(AsyncAF({}).filterEntriesAF.length).to.equal(1);
+  });
+
+  it('should be aliased as filterEntries', () => {
+    expect(AsyncAF({}).filterEntries).to.equal(AsyncAF({}).filterEntriesAF);
+  });
+
+  it('should keep only the keys whose resolved values pass the test', async () => {
+    const filtered = await AsyncAF(Promise.resolve({c: 3, a: Promise.resolve(1), b: 2}))
+      .filterEntriesAF(n => delay(10).then(() => n !== 2));
+    expect(filtered).to.eql({c: 3, a: 1});
+    expect(Object.keys(filtered)).to.eql(['c', 'a']);
+  });
+
+  it('should pass the callback the value, key, and resolved object', async () => {
+    expect(await AsyncAF({a: 1, $b: Promise.resolve(2)})
+      .filterEntriesAF((value, key, obj) => !key.startsWith('$') && obj.$b === 2))
+      .to.eql({a: 1});
+  });
+
+  it('should resolve to an empty object if nothing passes', async () => {
+    expect(await AsyncAF({a: 1}).filterEntriesAF(() => false)).to.eql({});
+  });
+
+  it('should reject with TypeError when passed a non-function callback', async () => {
+    await expect(AsyncAF({a: 1}).filterEntriesAF({})).to.eventually.be.rejected
+      .and.have.property('message', '[object Object] is not a function');
+  });
+
+  it('should reject with TypeError when called on non-objects', async () => {
+    for (const value of [null, undefined, true, 2, 'str'])
+      await AsyncAF(value).filterEntriesAF(n => n).catch(e => {
+        expect(e).to.be.an.instanceOf(TypeError).and.have.property(
+          'message',
+          `filterEntriesAF cannot be called on ${value}, only on an Object`,
+        );
+      });
+  });
+});
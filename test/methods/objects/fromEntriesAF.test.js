@@ -0,0 +1,58 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('fromEntriesAF method', () => {
+  it('should have the same arity as Object.fromEntries (without the entries)', () => {
+    expect(AsyncAF([]).fromEntriesAF.length).to.equal(0);
+  });
+
+  it('should be aliased as fromEntries', () => {
+    expect(AsyncAF([]).fromEntries).to.equal(AsyncAF([]).fromEntriesAF);
+  });
+
+  it('should create an object from [key, value] pairs, resolving pairs and values', async () => {
+    const entries = [['a', delay(10).then(() => 1)], Promise.resolve(['b', 2])];
+    expect(await AsyncAF(Promise.resolve(entries)).fromEntriesAF()).to.eql({a: 1, b: 2});
+  });
+
+  it('should work on iterables such as Maps', async () => {
+    expect(await AsyncAF(new Map([['a', Promise.resolve(1)], ['b', 2]])).fromEntriesAF())
+      .to.eql({a: 1, b: 2});
+  });
+
+  it('should keep the last value for a repeated key and skip holes', async () => {
+    expect(await AsyncAF([['a', 1], , ['a', 2]]).fromEntriesAF()).to.eql({a: 2});
+  });
+
+  it('should accept array-like entries', async () => {
+    expect(await AsyncAF([{0: 'a', 1: 1, length: 2}]).fromEntriesAF()).to.eql({a: 1});
+  });
+
+  it('should reject with TypeError when an element isn\'t an entry', async () => {
+    await expect(AsyncAF([['a', 1], 'b']).fromEntriesAF()).to.eventually.be.rejected
+      .and.have.property('message', 'fromEntriesAF expects each element to be a [key, value] pair but got b');
+  });
+
+  it('should reject with TypeError when called on a string, whose characters aren\'t entries', async () => {
+    for (const aaf of [AsyncAF('ab'), AsyncAF('ab').series])
+      await expect(aaf.fromEntriesAF()).to.eventually.be.rejectedWith(
+        TypeError,
+        'fromEntriesAF expects each element to be a [key, value] pair but got a',
+      );
+  });
+
+  it('should reject with TypeError when called on non-array-like objects', async () => {
+    for (const value of [null, undefined, {}, true, 2])
+      await AsyncAF(value).fromEntriesAF().catch(e => {
+        expect(e).to.be.an.instanceOf(TypeError).and.have.property(
+          'message',
+          `fromEntriesAF cannot be called on ${value}, only on an Array, array-like Object, or iterable`,
+        );
+      });
+  });
+});
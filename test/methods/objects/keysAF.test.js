@@ -0,0 +1,38 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('keysAF method', () => {
+  it('should have the same arity as Object.keys (without the object)', () => {
+    expect(AsyncAF({}).keysAF.length).to.equal(0);
+  });
+
+  it('should be aliased as keys', () => {
+    expect(AsyncAF({}).keys).to.equal(AsyncAF({}).keysAF);
+  });
+
+  it('should resolve to the object\'s own enumerable string keys', async () => {
+    const obj = Object.create({inherited: 1});
+    Object.assign(obj, {b: Promise.resolve(1), a: 2});
+    expect(await AsyncAF(Promise.resolve(obj)).keysAF()).to.eql(['b', 'a']);
+  });
+
+  it('should not resolve the object\'s values', async () => {
+    const rejected = Promise.reject(Error('nope'));
+    rejected.catch(() => {});
+    expect(await AsyncAF({a: rejected}).keysAF()).to.eql(['a']);
+  });
+
+  it('should reject with TypeError when called on non-objects', async () => {
+    for (const value of [null, undefined, true, 2, 'str'])
+      await AsyncAF(value).keysAF().catch(e => {
+        expect(e).to.be.an.instanceOf(TypeError).and.have.property(
+          'message',
+          `keysAF cannot be called on ${value}, only on an Object`,
+        );
+      });
+  });
+});
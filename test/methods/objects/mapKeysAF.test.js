@@ -0,0 +1,51 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('mapKeysAF method', () => {
+  it('should have the same arity as mapAF', () => {
+    expect(AsyncAF({}).mapKeysAF.length).to.equal(1);
+  });
+
+  it('should be aliased as mapKeys', () => {
+    expect(AsyncAF({}).mapKeys).to.equal(AsyncAF({}).mapKeysAF);
+  });
+
+  it('should move each resolved value to the key the callback resolves to', async () => {
+    const ada = {email: 'ada@example.com'};
+    const alan = {email: 'alan@example.com'};
+    const users = Promise.resolve({1: Promise.resolve(ada), 2: alan});
+    expect(await AsyncAF(users).mapKeysAF(user => delay(10).then(() => user.email)))
+      .to.eql({'ada@example.com': ada, 'alan@example.com': alan});
+  });
+
+  it('should pass the callback the value, key, and resolved object', async () => {
+    const received = [];
+    await AsyncAF({a: Promise.resolve(1)}).mapKeysAF((...args) => received.push(args));
+    expect(received).to.eql([[1, 'a', {a: 1}]]);
+  });
+
+  it('should keep the last value when more than one maps to the same key', async () => {
+    expect(await AsyncAF({a: 1, b: 2, c: 3}).mapKeysAF(n => (n % 2 ? 'odd' : 'even')))
+      .to.eql({odd: 3, even: 2});
+  });
+
+  it('should reject with TypeError when passed a non-function callback', async () => {
+    await expect(AsyncAF({a: 1}).mapKeysAF()).to.eventually.be.rejected
+      .and.have.property('message', 'undefined is not a function');
+  });
+
+  it('should reject with TypeError when called on non-objects', async () => {
+    for (const value of [null, undefined, true, 2, 'str'])
+      await AsyncAF(value).mapKeysAF(n => n).catch(e => {
+        expect(e).to.be.an.instanceOf(TypeError).and.have.property(
+          'message',
+          `mapKeysAF cannot be called on ${value}, only on an Object`,
+        );
+      });
+  });
+});
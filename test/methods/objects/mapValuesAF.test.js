@@ -0,0 +1,103 @@
+/* global AbortController */
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('mapValuesAF method', () => {
+  it('should have the same arity as mapAF', () => {
+    expect(AsyncAF({}).mapValuesAF.length).to.equal(1);
+  });
+
+  it('should be aliased as mapValues', () => {
+    expect(AsyncAF({}).mapValues).to.equal(AsyncAF({}).mapValuesAF);
+  });
+
+  it('should map each resolved value, keeping the keys in order', async () => {
+    const mapped = await AsyncAF(Promise.resolve({b: Promise.resolve(1), a: 2}))
+      .mapValuesAF(n => delay(10).then(() => n * 2));
+    expect(mapped).to.eql({b: 2, a: 4});
+    expect(Object.keys(mapped)).to.eql(['b', 'a']);
+  });
+
+  it('should pass the callback the value, key, resolved object, and signal', async () => {
+    const {signal} = new AbortController();
+    const received = [];
+    await AsyncAF({a: Promise.resolve(1)}).signal(signal)
+      .mapValuesAF((...args) => received.push(args));
+    expect(received).to.eql([[1, 'a', {a: 1}, signal]]);
+  });
+
+  it('should call the callback with thisArg', async () => {
+    const thisArg = {};
+    const self = await AsyncAF({a: 1}).mapValuesAF(function () { return this; }, thisArg);
+    expect(self.a).to.equal(thisArg);
+  });
+
+  it('should process values in parallel', async () => {
+    const clock = sinon.useFakeTimers({shouldAdvanceTime: true});
+    const order = [];
+    await AsyncAF({a: 3, b: 2, c: 1}).mapValuesAF(async n => {
+      await delay(n * 100);
+      order.push(n);
+    });
+    expect(order).to.eql([1, 2, 3]);
+    clock.restore();
+  });
+
+  it('should respect limit', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    await AsyncAF({a: 1, b: 2, c: 3}).limit(2).mapValuesAF(async () => {
+      maxRunning = Math.max(maxRunning, ++running);
+      await delay(10);
+      running--;
+    });
+    expect(maxRunning).to.equal(2);
+  });
+
+  it('should map a Map\'s resolved values to a new Map with the same keys', async () => {
+    const key = {};
+    const map = new Map([['a', Promise.resolve(1)], [key, 2]]);
+    const calls = [];
+    const mapped = await AsyncAF(map).mapValuesAF((value, k, copy) => {
+      calls.push([value, k, copy]);
+      return value * 2;
+    });
+    expect(mapped).to.be.an.instanceOf(Map).and.not.equal(map);
+    expect([...mapped]).to.eql([['a', 2], [key, 4]]);
+    expect(calls.map(([value, k]) => [value, k])).to.eql([[1, 'a'], [2, key]]);
+    expect(calls[0][2]).to.be.an.instanceOf(Map).and.not.equal(map);
+    expect([...calls[0][2]]).to.eql([['a', 1], [key, 2]]);
+  });
+
+  it('should map a Map\'s values in series', async () => {
+    const mapped = await AsyncAF(new Map([['a', 1], ['b', 2]])).series.mapValuesAF(async n => n + 1);
+    expect([...mapped]).to.eql([['a', 2], ['b', 3]]);
+  });
+
+  it('should map a Set\'s resolved elements to a new Set', async () => {
+    const mapped = await AsyncAF(new Set([1, Promise.resolve(2)])).mapValuesAF(n => n * 2);
+    expect(mapped).to.be.an.instanceOf(Set);
+    expect([...mapped]).to.eql([2, 4]);
+  });
+
+  it('should reject with TypeError when passed a non-function callback', async () => {
+    await expect(AsyncAF({a: 1}).mapValuesAF(2)).to.eventually.be.rejected
+      .and.have.property('message', '2 is not a function');
+  });
+
+  it('should reject with TypeError when called on non-objects', async () => {
+    for (const value of [null, undefined, true, 2, 'str'])
+      await AsyncAF(value).mapValuesAF(n => n).catch(e => {
+        expect(e).to.be.an.instanceOf(TypeError).and.have.property(
+          'message',
+          `mapValuesAF cannot be called on ${value}, only on an Object`,
+        );
+      });
+  });
+});
@@ -0,0 +1,68 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('resolveValuesAF method', () => {
+  it('should have the same arity as Promise.all', () => {
+    expect(AsyncAF({}).resolveValuesAF.length).to.equal(0);
+  });
+
+  it('should be aliased as resolveValues', () => {
+    expect(AsyncAF({}).resolveValues).to.equal(AsyncAF({}).resolveValuesAF);
+  });
+
+  it('should resolve every value, keeping the keys in order', async () => {
+    const resolved = await AsyncAF(Promise.resolve({
+      b: delay(20).then(() => 2),
+      a: Promise.resolve(1),
+      c: 3,
+    })).resolveValuesAF();
+    expect(resolved).to.eql({b: 2, a: 1, c: 3});
+    expect(Object.keys(resolved)).to.eql(['b', 'a', 'c']);
+  });
+
+  it('should resolve values in parallel', async () => {
+    const start = Date.now();
+    await AsyncAF({a: delay(100), b: delay(100)}).resolveValuesAF();
+    expect(Date.now() - start).to.be.below(190);
+  });
+
+  it('should not change the original object', async () => {
+    const promise = Promise.resolve(1);
+    const obj = {a: promise};
+    await AsyncAF(obj).resolveValuesAF();
+    expect(obj.a).to.equal(promise);
+  });
+
+  it('should only include own enumerable string keys', async () => {
+    const obj = Object.create({inherited: 1}, {hidden: {value: 2}});
+    obj.own = 3;
+    obj[Symbol('sym')] = 4;
+    expect(await AsyncAF(obj).resolveValuesAF()).to.eql({own: 3});
+  });
+
+  it('should keep __proto__ as an own key', async () => {
+    const resolved = await AsyncAF(JSON.parse('{"__proto__": {"polluted": true}}')).resolveValuesAF();
+    expect(Object.keys(resolved)).to.eql(['__proto__']);
+    expect(resolved.polluted).to.be.undefined;
+  });
+
+  it('should reject with the reason of the first value that rejects', async () => {
+    await expect(AsyncAF({a: 1, b: Promise.reject(Error('nope'))}).resolveValuesAF())
+      .to.eventually.be.rejectedWith('nope');
+  });
+
+  it('should reject with TypeError when called on non-objects', async () => {
+    for (const value of [null, undefined, true, 2, 'str'])
+      await AsyncAF(value).resolveValuesAF().catch(e => {
+        expect(e).to.be.an.instanceOf(TypeError).and.have.property(
+          'message',
+          `resolveValuesAF cannot be called on ${value}, only on an Object`,
+        );
+      });
+  });
+});
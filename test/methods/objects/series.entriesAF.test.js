@@ -0,0 +1,30 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+import slowToFast from '../../helpers/slowToFast';
+
+chai.use(chaiAsPromised);
+
+describe('series.entriesAF method', () => {
+  it('io (inOrder) should be an alias for series', () => {
+    expect(AsyncAF().io.entriesAF).to.equal(AsyncAF().series.entriesAF);
+  });
+
+  it('should resolve like entriesAF', async () => {
+    expect(await AsyncAF(Promise.resolve({b: Promise.resolve(1), a: 2})).series.entriesAF())
+      .to.eql([['b', 1], ['a', 2]]);
+    expect(await AsyncAF({}).io.entriesAF()).to.eql([]);
+  });
+
+  it('should round trip with series.fromEntriesAF', async () => {
+    const obj = {a: Promise.resolve(1), b: 2};
+    expect(await AsyncAF(obj).io.entriesAF().fromEntriesAF()).to.eql({a: 1, b: 2});
+  });
+
+  it('should resolve values in series', async () => {
+    const {thenables: [a, b, c], resolved} = slowToFast([1, 2, 3]);
+    expect(await AsyncAF({a, b, c}).series.entriesAF()).to.eql([['a', 1], ['b', 2], ['c', 3]]);
+    expect(resolved).to.eql([1, 2, 3]);
+  });
+});
@@ -0,0 +1,27 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('series.filterEntriesAF method', () => {
+  it('should work like filterEntriesAF', async () => {
+    const obj = {a: Promise.resolve(1), b: 2};
+    expect(await AsyncAF(obj).series.filterEntriesAF(n => n > 1)).to.eql({b: 2});
+    expect(await AsyncAF(obj).io.filterEntriesAF(n => n > 1)).to.eql({b: 2});
+  });
+
+  it('should process values in series', async () => {
+    const clock = sinon.useFakeTimers({shouldAdvanceTime: true});
+    const order = [];
+    await AsyncAF({a: 3, b: 2, c: 1}).series.filterEntriesAF(async n => {
+      await delay(n * 100);
+      order.push(n);
+    });
+    expect(order).to.eql([3, 2, 1]);
+    clock.restore();
+  });
+});
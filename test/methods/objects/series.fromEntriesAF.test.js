@@ -0,0 +1,36 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+import slowToFast from '../../helpers/slowToFast';
+
+chai.use(chaiAsPromised);
+
+describe('series.fromEntriesAF method', () => {
+  it('io (inOrder) should be an alias for series', () => {
+    expect(AsyncAF().io.fromEntriesAF).to.equal(AsyncAF().series.fromEntriesAF);
+  });
+
+  it('should resolve like fromEntriesAF', async () => {
+    const entries = [['a', Promise.resolve(1)], Promise.resolve(['b', 2])];
+    expect(await AsyncAF(entries).series.fromEntriesAF()).to.eql({a: 1, b: 2});
+  });
+
+  it('should work on Maps and array-like entries', async () => {
+    expect(await AsyncAF(new Map([['a', Promise.resolve(1)], ['b', 2]])).io.fromEntriesAF())
+      .to.eql({a: 1, b: 2});
+    expect(await AsyncAF([{0: 'a', 1: 1, length: 2}]).io.fromEntriesAF()).to.eql({a: 1});
+  });
+
+  it('should keep the last value for a repeated key and skip holes', async () => {
+    expect(await AsyncAF([['a', 1], , ['a', Promise.resolve(2)]]).io.fromEntriesAF())
+      .to.eql({a: 2});
+  });
+
+  it('should resolve each pair and then its value in series', async () => {
+    const {thenables: [pair, one, two], resolved} = slowToFast([['a', null], 1, 2]);
+    expect(await AsyncAF([pair, ['b', one], ['c', two]]).series.fromEntriesAF())
+      .to.eql({a: null, b: 1, c: 2});
+    expect(resolved).to.eql([['a', null], 1, 2]);
+  });
+});
@@ -0,0 +1,27 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('series.mapValuesAF method', () => {
+  it('should work like mapValuesAF', async () => {
+    const obj = {a: Promise.resolve(1), b: 2};
+    expect(await AsyncAF(obj).series.mapValuesAF(n => n * 2)).to.eql({a: 2, b: 4});
+    expect(await AsyncAF(obj).io.mapValuesAF(n => n * 2)).to.eql({a: 2, b: 4});
+  });
+
+  it('should process values in series', async () => {
+    const clock = sinon.useFakeTimers({shouldAdvanceTime: true});
+    const order = [];
+    await AsyncAF({a: 3, b: 2, c: 1}).series.mapValuesAF(async n => {
+      await delay(n * 100);
+      order.push(n);
+    });
+    expect(order).to.eql([3, 2, 1]);
+    clock.restore();
+  });
+});
@@ -0,0 +1,41 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+import slowToFast from '../../helpers/slowToFast';
+
+chai.use(chaiAsPromised);
+
+describe('series.resolveValuesAF method', () => {
+  it('io (inOrder) should be an alias for series', () => {
+    expect(AsyncAF().io.resolveValuesAF).to.equal(AsyncAF().series.resolveValuesAF);
+  });
+
+  it('should resolve like resolveValuesAF, keeping the keys in order', async () => {
+    const resolved = await AsyncAF(Promise.resolve({b: Promise.resolve(2), a: 1}))
+      .series.resolveValuesAF();
+    expect(resolved).to.eql({b: 2, a: 1});
+    expect(Object.keys(resolved)).to.eql(['b', 'a']);
+  });
+
+  it('should only include own enumerable string keys', async () => {
+    const obj = Object.create({inherited: 1}, {hidden: {value: 2}});
+    obj.own = Promise.resolve(3);
+    obj[Symbol('sym')] = 4;
+    expect(await AsyncAF(obj).io.resolveValuesAF()).to.eql({own: 3});
+  });
+
+  it('should stop at the first value that rejects', async () => {
+    const {thenables: [a, c], resolved} = slowToFast(['a', 'c']);
+    const b = {then: (resolve, reject) => reject(Error('nope'))};
+    await expect(AsyncAF({a, b, c}).io.resolveValuesAF())
+      .to.eventually.be.rejectedWith('nope');
+    expect(resolved).to.eql(['a']);
+  });
+
+  it('should resolve values in series', async () => {
+    const {thenables: [a, b, c], resolved} = slowToFast(['a', 'b', 'c']);
+    expect(await AsyncAF({a, b, c}).series.resolveValuesAF()).to.eql({a: 'a', b: 'b', c: 'c'});
+    expect(resolved).to.eql(['a', 'b', 'c']);
+  });
+});
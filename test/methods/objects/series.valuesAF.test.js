@@ -0,0 +1,30 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+import slowToFast from '../../helpers/slowToFast';
+
+chai.use(chaiAsPromised);
+
+describe('series.valuesAF method', () => {
+  it('io (inOrder) should be an alias for series', () => {
+    expect(AsyncAF().io.valuesAF).to.equal(AsyncAF().series.valuesAF);
+  });
+
+  it('should resolve like valuesAF', async () => {
+    expect(await AsyncAF(Promise.resolve({b: Promise.resolve(1), a: 2})).series.valuesAF())
+      .to.eql([1, 2]);
+    expect(await AsyncAF({}).io.valuesAF()).to.eql([]);
+  });
+
+  it('should allow the resulting array to be chained with other series methods', async () => {
+    expect(await AsyncAF({a: Promise.resolve('a'), b: 'b'}).io.valuesAF()
+      .reduceRightAF((acc, str) => acc + str)).to.equal('ba');
+  });
+
+  it('should resolve values in series', async () => {
+    const {thenables: [a, b, c], resolved} = slowToFast([1, 2, 3]);
+    expect(await AsyncAF({a, b, c}).series.valuesAF()).to.eql([1, 2, 3]);
+    expect(resolved).to.eql([1, 2, 3]);
+  });
+});
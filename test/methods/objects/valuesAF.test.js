@@ -0,0 +1,36 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('valuesAF method', () => {
+  it('should have the same arity as Object.values (without the object)', () => {
+    expect(AsyncAF({}).valuesAF.length).to.equal(0);
+  });
+
+  it('should be aliased as values', () => {
+    expect(AsyncAF({}).values).to.equal(AsyncAF({}).valuesAF);
+  });
+
+  it('should resolve to the object\'s resolved values', async () => {
+    expect(await AsyncAF(Promise.resolve({b: Promise.resolve(1), a: 2})).valuesAF()).to.eql([1, 2]);
+    expect(await AsyncAF({}).valuesAF()).to.eql([]);
+  });
+
+  it('should allow the resulting array to be chained with other methods', async () => {
+    expect(await AsyncAF({a: Promise.resolve(1), b: 2}).valuesAF().reduceAF((sum, n) => sum + n))
+      .to.equal(3);
+  });
+
+  it('should reject with TypeError when called on non-objects', async () => {
+    for (const value of [null, undefined, true, 2, 'str'])
+      await AsyncAF(value).valuesAF().catch(e => {
+        expect(e).to.be.an.instanceOf(TypeError).and.have.property(
+          'message',
+          `valuesAF cannot be called on ${value}, only on an Object`,
+        );
+      });
+  });
+});
@@ -0,0 +1,114 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('aggregate method', () => {
+  const failOdds = n => {
+    if (n % 2) throw Error(`odd ${n}`);
+    return n * 2;
+  };
+
+  it('should return the same instance of AsyncAF', () => {
+    const aaf = AsyncAF([]);
+    expect(aaf.aggregate).to.equal(aaf);
+  });
+
+  it('should resolve as usual when nothing fails', async () => {
+    expect(await AsyncAF([2, 4]).aggregate.mapAF(failOdds)).to.eql([4, 8]);
+    expect(await AsyncAF([2, 4]).aggregate.forEachAF(failOdds)).to.be.undefined;
+    expect(await AsyncAF([2, 4, 6]).aggregate.filterAF(n => n > 2)).to.eql([4, 6]);
+  });
+
+  it('should reject with an AggregateError listing every failure', async () => {
+    const e = await AsyncAF([1, 2, 3, 4]).aggregate.mapAF(failOdds).catch(e => e);
+    expect(e).to.have.property('name', 'AggregateError');
+    expect(e).to.have.property('message', 'mapAF failed for 2 of 4 elements (at indices 0, 2)');
+    expect(e.errors.map(({message}) => message)).to.eql(['odd 1', 'odd 3']);
+    expect(e.failures.map(({index, element, error}) => [index, element, error]))
+      .to.eql([[0, 1, e.errors[0]], [2, 3, e.errors[1]]]);
+  });
+
+  it('should report the value and key callbacks received for a Map or Set', async () => {
+    const e = await AsyncAF(new Map([['a', 1], ['b', 2], ['c', Promise.resolve(3)]]))
+      .aggregate.mapAF(failOdds).catch(e => e);
+    expect(e).to.have.property('message', 'mapAF failed for 2 of 3 elements (at indices 0, 2)');
+    expect(e.failures.map(({index, key, element}) => [index, key, element]))
+      .to.eql([[0, 'a', 1], [2, 'c', 3]]);
+    const {failures} = await AsyncAF(new Set([2, 3])).aggregate.filterAF(failOdds).catch(e => e);
+    expect(failures.map(({key, element}) => [key, element])).to.eql([[3, 3]]);
+  });
+
+  it('should use the singular in the message for a single failure', async () => {
+    await expect(AsyncAF([1, 2]).aggregate.forEachAF(failOdds)).to.eventually.be.rejected
+      .and.have.property('message', 'forEachAF failed for 1 of 2 elements (at index 0)');
+  });
+
+  it('should run every callback to completion before rejecting', async () => {
+    const finished = [];
+    await expect(AsyncAF([1, 2, 3]).aggregate.mapAF(async n => {
+      if (n === 1) throw Error();
+      await delay(20);
+      finished.push(n);
+    })).to.eventually.be.rejected;
+    expect(finished).to.eql([2, 3]);
+  });
+
+  it('should include rejected elements as failures without invoking the callback for them', async () => {
+    const error = Error('nope');
+    const rejected = Promise.reject(error);
+    const called = [];
+    const e = await AsyncAF([rejected, 2]).aggregate.filterAF(n => called.push(n)).catch(e => e);
+    expect(called).to.eql([2]);
+    expect(e.failures).to.eql([{index: 0, element: rejected, error}]);
+  });
+
+  it('should compose with series', async () => {
+    const order = [];
+    const e = await AsyncAF([1, 2, 3]).aggregate.series.forEachAF(async n => {
+      await delay(30 - (n * 10));
+      order.push(n);
+      failOdds(n);
+    }).catch(e => e);
+    expect(order).to.eql([1, 2, 3]);
+    expect(e.failures.map(({index}) => index)).to.eql([0, 2]);
+  });
+
+  it('should compose with limit', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const e = await AsyncAF([1, 2, 3, 4]).aggregate.limit(2).mapAF(async n => {
+      maxRunning = Math.max(maxRunning, ++running);
+      await delay(10);
+      running--;
+      return failOdds(n);
+    }).catch(e => e);
+    expect(maxRunning).to.equal(2);
+    expect(e.failures.map(({index}) => index)).to.eql([0, 2]);
+  });
+
+  it('should only collect failures that remain after retry', async () => {
+    const calls = {};
+    const e = await AsyncAF([1, 2, 3]).aggregate.retry({attempts: 2}).mapAF((n, i) => {
+      calls[i] = (calls[i] || 0) + 1;
+      if (n === 3 || calls[i] < 2) throw Error(`failed ${n}`);
+      return n;
+    }).catch(e => e);
+    expect(e.failures.map(({index}) => index)).to.eql([2]);
+    expect(calls).to.eql({0: 2, 1: 2, 2: 2});
+  });
+
+  it('should give settled precedence when both are set', async () => {
+    const records = await AsyncAF([1, 2]).aggregate.settled.mapAF(failOdds);
+    expect(records.map(({status}) => status)).to.eql(['rejected', 'fulfilled']);
+    expect(records[1]).to.eql({status: 'fulfilled', value: 4});
+  });
+
+  it('should apply to the next method invoked, not the entire chain', async () => {
+    await expect(AsyncAF([2, 4]).aggregate.mapAF(n => n).mapAF(n => failOdds(n + 1)))
+      .to.eventually.be.rejected.and.have.property('message', 'odd 3');
+  });
+});
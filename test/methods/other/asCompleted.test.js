@@ -0,0 +1,89 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('asCompleted method', () => {
+  const after = (ms, value) => delay(ms).then(() => value);
+
+  it('should return the same instance of AsyncAF', () => {
+    const aaf = AsyncAF([]);
+    expect(aaf.asCompleted).to.equal(aaf);
+  });
+
+  it('should resolve mapAF to results in the order their callbacks settle', async () => {
+    expect(await AsyncAF([300, 100, 200]).asCompleted.mapAF(ms => after(ms, ms)))
+      .to.eql([100, 200, 300]);
+  });
+
+  it('should invoke callbacks as soon as each element resolves', async () => {
+    const called = [];
+    await AsyncAF([after(200, 'slow'), after(10, 'fast')]).asCompleted.forEachAF((s, i) => {
+      called.push([s, i]);
+    });
+    expect(called).to.eql([['fast', 1], ['slow', 0]]);
+  });
+
+  it('should not wait for slow elements before invoking callbacks on fast ones', async () => {
+    let firstCalledAt;
+    const start = Date.now();
+    await AsyncAF([after(200, 1), 2]).asCompleted.forEachAF(() => {
+      if (firstCalledAt === undefined) firstCalledAt = Date.now() - start;
+    });
+    expect(firstCalledAt).to.be.below(100);
+  });
+
+  it('should pass an undefined array argument to callbacks', async () => {
+    expect(await AsyncAF([1]).asCompleted.mapAF((n, i, arr) => arr)).to.eql([undefined]);
+  });
+
+  it('should skip holes in sparse arrays', async () => {
+    expect(await AsyncAF([, 1, , 2]).asCompleted.mapAF(n => n)).to.eql([1, 2]);
+  });
+
+  it('should reject as soon as a callback fails', async () => {
+    await expect(AsyncAF([1, 2]).asCompleted.mapAF(n => {
+      if (n === 2) throw Error('nope');
+      return n;
+    })).to.eventually.be.rejectedWith('nope');
+    await expect(AsyncAF([1, Promise.reject(Error('rejected'))]).asCompleted.forEachAF(n => n))
+      .to.eventually.be.rejectedWith('rejected');
+  });
+
+  it('should compose with limit', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const results = await AsyncAF([300, 100, 150]).asCompleted.limit(2).mapAF(async ms => {
+      maxRunning = Math.max(maxRunning, ++running);
+      await delay(ms);
+      running--;
+      return ms;
+    });
+    expect(maxRunning).to.equal(2);
+    expect(results).to.eql([100, 150, 300]);
+  });
+
+  it('should have no effect in series', async () => {
+    expect(await AsyncAF([30, 10, 20]).asCompleted.series.mapAF(ms => after(ms, ms)))
+      .to.eql([30, 10, 20]);
+  });
+
+  it('should apply to the next method invoked, not the entire chain', async () => {
+    expect(await AsyncAF([30, 10]).asCompleted.mapAF(n => n).mapAF(ms => after(ms, ms)))
+      .to.eql([30, 10]);
+  });
+
+  it('should make a lazy pipeline yield results as soon as they are ready', async () => {
+    const iterator = AsyncAF([300, 100, 200]).lazy.limit(3).asCompleted
+      .mapAF(ms => after(ms, ms))[Symbol.asyncIterator]();
+    const yielded = [];
+    for (let {done, value} = await iterator.next(); !done; {done, value} = await iterator.next())
+      yielded.push(value);
+    expect(yielded).to.eql([100, 200, 300]);
+    expect(await AsyncAF([300, 100, 200]).lazy.limit(3).asCompleted.mapAF(ms => after(ms, ms))
+      .filterAF(ms => ms > 100)).to.eql([200, 300]);
+  });
+});
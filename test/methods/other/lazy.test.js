@@ -0,0 +1,218 @@
+/* global AbortController */
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+// eslint's parser predates for await...of, so these tests drive the iterators by hand
+const collect = async (aaf, onValue = () => {}) => {
+  const iterator = aaf[Symbol.asyncIterator]();
+  const results = [];
+  for (let {done, value} = await iterator.next(); !done; {done, value} = await iterator.next()) {
+    results.push(value);
+    if (onValue(value, results) === false) {
+      await iterator.return();
+      break;
+    }
+  }
+  return results;
+};
+
+describe('lazy method', () => {
+  // an endless async generator that records how many values have been pulled from it
+  const counter = pulled => ({
+    [Symbol.asyncIterator]() {
+      let n = 0;
+      return {
+        next: () => delay(1).then(() => {
+          pulled.push(++n);
+          return {done: false, value: n};
+        }),
+        return() {
+          pulled.push('closed');
+          return Promise.resolve({done: true});
+        },
+      };
+    },
+  });
+
+  it('should return the same instance of AsyncAF', () => {
+    const aaf = AsyncAF([]);
+    expect(aaf.lazy).to.equal(aaf);
+  });
+
+  it('should reuse the pipeline when chained after lazy', async () => {
+    const called = [];
+    const aaf = AsyncAF([1, 2]).lazy;
+    const {lazyPipeline} = aaf;
+    expect(aaf.lazy).to.equal(aaf);
+    expect(aaf.lazyPipeline).to.equal(lazyPipeline);
+    const chain = aaf.lazy.mapAF(n => called.push(n) && n * 2).lazy.filterAF(n => n > 2);
+    expect(chain.lazyPipeline.stages).to.have.lengthOf(2);
+    expect(await chain).to.eql([4]);
+    expect(called).to.eql([1, 2]);
+  });
+
+  it('should resolve to the same results as an eager chain when awaited', async () => {
+    const nums = [1, Promise.resolve(2), 3, 4];
+    expect(await AsyncAF(nums).lazy.mapAF(n => n * 2).filterAF(n => n > 2)).to.eql([4, 6, 8]);
+    expect(await AsyncAF(nums).lazy.mapAF(n => n * 2).filterAF(n => n > 2)
+      .reduceAF((a, b) => a + b)).to.equal(18);
+    expect(await AsyncAF(nums).lazy.forEachAF(n => n)).to.be.undefined;
+    expect(await AsyncAF(nums).lazy).to.equal(nums);
+  });
+
+  it('should not invoke any callbacks until awaited or iterated', async () => {
+    const called = [];
+    const chain = AsyncAF([1, 2]).lazy.mapAF(n => called.push(n));
+    await delay(20);
+    expect(called).to.eql([]);
+    await chain;
+    expect(called).to.eql([1, 2]);
+  });
+
+  it('should only run the pipeline once however many times it is awaited', async () => {
+    let calls = 0;
+    const chain = AsyncAF([1, 2]).lazy.mapAF(n => {
+      calls++;
+      return n;
+    });
+    await chain;
+    await chain;
+    expect(calls).to.equal(2);
+  });
+
+  it('should send each element through every method before starting the next one', async () => {
+    const order = [];
+    await AsyncAF([1, 2]).lazy
+      .mapAF(async n => { order.push(`map ${n}`); return n; })
+      .filterAF(n => order.push(`filter ${n}`))
+      .forEachAF(n => order.push(`forEach ${n}`));
+    expect(order).to.eql(['map 1', 'filter 1', 'forEach 1', 'map 2', 'filter 2', 'forEach 2']);
+  });
+
+  it('should yield each result as soon as it is ready when iterated', async () => {
+    const yielded = [];
+    const start = Date.now();
+    await collect(AsyncAF([1, 2, 3]).lazy.mapAF(n => delay(100).then(() => n)), n => {
+      yielded.push([n, Math.round((Date.now() - start) / 100)]);
+    });
+    expect(yielded).to.eql([[1, 1], [2, 2], [3, 3]]);
+  });
+
+  it('should keep up to the smallest limit of elements in flight', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const track = async n => {
+      maxRunning = Math.max(maxRunning, ++running);
+      await delay(10 * (4 - n));
+      running--;
+      return n;
+    };
+    expect(await collect(AsyncAF([1, 2, 3]).lazy.limit(3).mapAF(track)
+      .limit(2).mapAF(n => n * 2))).to.eql([2, 4, 6]);
+    expect(maxRunning).to.equal(2);
+  });
+
+  it('should treat series as a limit of 1', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    await AsyncAF([1, 2, 3]).lazy.limit(3).series.mapAF(async () => {
+      maxRunning = Math.max(maxRunning, ++running);
+      await delay(10);
+      running--;
+    });
+    expect(maxRunning).to.equal(1);
+  });
+
+  it('should pull from endless sources only as needed and close them when iteration stops', async () => {
+    const pulled = [];
+    const found = await collect(
+      AsyncAF(counter(pulled)).lazy.filterAF(n => n % 2).mapAF(n => n * 10),
+      (n, found) => found.length < 2,
+    );
+    await delay(10);
+    expect(found).to.eql([10, 30]);
+    expect(pulled).to.eql([1, 2, 3, 'closed']);
+  });
+
+  it('should pass the source index and an undefined array to callbacks', async () => {
+    const args = [];
+    await AsyncAF(['a', 'b', 'c']).lazy.filterAF(s => s !== 'a')
+      .mapAF((...rest) => args.push(rest));
+    expect(args).to.eql([['b', 1, undefined], ['c', 2, undefined]]);
+  });
+
+  it('should reject when a callback fails and close the source', async () => {
+    const pulled = [];
+    await expect(AsyncAF(counter(pulled)).lazy.mapAF(n => {
+      if (n === 2) throw Error('nope');
+    })).to.eventually.be.rejectedWith('nope');
+    await delay(10);
+    expect(pulled).to.eql([1, 2, 'closed']);
+  });
+
+  it('should reject with TypeError for non-iterable data or a non-function callback', async () => {
+    await expect(AsyncAF(2).lazy.mapAF(n => n)).to.eventually.be.rejected
+      .and.have.property('message', 'mapAF cannot be called on 2, only on an Array, array-like Object, or iterable');
+    await expect(AsyncAF([1]).lazy.filterAF()).to.eventually.be.rejectedWith(
+      TypeError, 'undefined is not a function',
+    );
+  });
+
+  it('should stop pulling once the signal is aborted', async () => {
+    const controller = new AbortController();
+    const pulled = [];
+    await expect(AsyncAF(counter(pulled)).signal(controller.signal).lazy.forEachAF(n => {
+      if (n === 3) controller.abort();
+    })).to.eventually.be.rejected.and.have.property('name', 'AbortError');
+    await delay(10);
+    expect(pulled).to.eql([1, 2, 3, 'closed']);
+  });
+
+  it('should apply retry and timeoutEach to callbacks in the pipeline', async () => {
+    const calls = {};
+    expect(await AsyncAF([1, 2]).lazy.retry().mapAF((n, i) => {
+      calls[i] = (calls[i] || 0) + 1;
+      if (calls[i] < 2) throw Error();
+      return n;
+    })).to.eql([1, 2]);
+    await expect(AsyncAF([1]).lazy.timeoutEach(10).mapAF(() => new Promise(() => {})))
+      .to.eventually.be.rejected.and.have.property('name', 'TimeoutError');
+  });
+
+  it('should keep the keys and type of a Map or Set source', async () => {
+    const map = new Map([['a', 1], ['b', 2], ['c', 3]]);
+    const keys = [];
+    expect(await AsyncAF(map).lazy.mapAF((v, k) => keys.push(k) && v * 2).filterAF(v => v > 2)
+      .forEachAF(v => v)).to.be.undefined;
+    expect(keys).to.eql(['a', 'b', 'c']);
+    expect(await AsyncAF(map).lazy.mapAF(v => v * 2).filterAF(v => v > 2))
+      .to.eql(new Map([['b', 4], ['c', 6]]));
+    expect(await AsyncAF(Promise.resolve(new Set([1, Promise.resolve(2)]))).lazy.series
+      .mapAF(n => n * 2)).to.eql(new Set([2, 4]));
+    expect(await collect(AsyncAF(new Map([['a', 1]])).lazy.mapAF(v => v + 1)
+      .forEachAF(v => v))).to.eql([['a', 2]]);
+  });
+
+  it('should end the pipeline with settled or aggregate', async () => {
+    const records = await AsyncAF([1, 2]).lazy.mapAF(n => n * 2).settled.mapAF(n => {
+      if (n === 2) throw Error('nope');
+      return n;
+    });
+    expect(records.map(({status}) => status)).to.eql(['rejected', 'fulfilled']);
+  });
+});
+
+describe('AsyncAF instances as async iterables', () => {
+  it('should yield each element of the resolved data in order', async () => {
+    expect(await collect(AsyncAF([1, Promise.resolve(2)]).mapAF(n => n * 2))).to.eql([2, 4]);
+  });
+
+  it('should throw TypeError when the data is not iterable', async () => {
+    await expect(collect(AsyncAF(2))).to.eventually.be.rejectedWith(TypeError, '2 is not iterable');
+  });
+});
@@ -0,0 +1,126 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('limit method', () => {
+  const trackConcurrency = () => {
+    const tracker = {running: 0, max: 0};
+    tracker.callback = async n => {
+      tracker.max = Math.max(tracker.max, ++tracker.running);
+      await delay(n * 100);
+      tracker.running--;
+      return n * 2;
+    };
+    return tracker;
+  };
+
+  it('should return the same instance of AsyncAF', () => {
+    const aaf = AsyncAF([]);
+    expect(aaf.limit(2)).to.equal(aaf);
+  });
+
+  it('should throw TypeError when not passed a positive integer or Infinity', () => {
+    for (const value of [0, -1, 1.5, NaN, '2', undefined, null]) expect(() => AsyncAF([]).limit(value))
+      .to.throw(TypeError, `limit must be a positive integer or Infinity but was ${value}`);
+    expect(() => AsyncAF([]).limit(Infinity)).not.to.throw();
+  });
+
+  it('should run at most n callbacks at a time', async () => {
+    const clock = sinon.useFakeTimers({shouldAdvanceTime: true});
+    const tracker = trackConcurrency();
+    expect(await AsyncAF([3, 2, 1, 4]).limit(2).mapAF(tracker.callback)).to.eql([6, 4, 2, 8]);
+    expect(tracker.max).to.equal(2);
+    expect(Date.now()).to.equal(700);
+    clock.restore();
+  });
+
+  it('should start the next callback as soon as one settles', async () => {
+    const clock = sinon.useFakeTimers({shouldAdvanceTime: true});
+    const started = [];
+    await AsyncAF([3, 1, 1, 1]).limit(2).forEachAF(async (n, i) => {
+      started.push([i, Date.now()]);
+      await delay(n * 100);
+    });
+    expect(started).to.eql([[0, 0], [1, 0], [2, 100], [3, 200]]);
+    clock.restore();
+  });
+
+  it('should resolve promises in the array before running callbacks', async () => {
+    const promises = [1, 2, 3].map(n => Promise.resolve(n));
+    expect(await AsyncAF(promises).limit(1).mapAF(n => n * 2)).to.eql([2, 4, 6]);
+  });
+
+  it('should apply to the next method invoked, not the entire chain', async () => {
+    const first = trackConcurrency();
+    const second = trackConcurrency();
+    await AsyncAF([1, 1, 1, 1]).limit(2).mapAF(first.callback).forEachAF(second.callback);
+    expect(first.max).to.equal(2);
+    expect(second.max).to.equal(4);
+  });
+
+  it('should defer to series when both are set', async () => {
+    const tracker = trackConcurrency();
+    await AsyncAF([1, 1, 1]).limit(2).series.forEachAF(tracker.callback);
+    expect(tracker.max).to.equal(1);
+  });
+
+  it('should preserve holes in sparse arrays', async () => {
+    /* eslint-disable array-bracket-spacing */
+    let count = 0;
+    expect(await AsyncAF([, , 1, , 2, , , ]).limit(1).mapAF(n => {
+      count++;
+      return n * 2;
+    })).to.eql([, , 2, , 4, , , ]);
+    expect(count).to.equal(2); /* eslint-enable */
+  });
+
+  it('should resolve an empty array', async () => {
+    expect(await AsyncAF([]).limit(3).mapAF(n => n)).to.eql([]);
+  });
+
+  it('should reject as soon as a callback rejects and stop starting new callbacks', async () => {
+    const called = [];
+    await expect(AsyncAF([1, 2, 3, 4]).limit(1).mapAF(n => {
+      called.push(n);
+      if (n === 2) throw Error('nope');
+      return n;
+    })).to.eventually.be.rejectedWith('nope');
+    expect(called).to.eql([1, 2]);
+  });
+
+  context('should work with', () => {
+    const nums = [1, 2, 3, 4];
+    it('mapAF', async () => {
+      const tracker = trackConcurrency();
+      expect(await AsyncAF(nums).limit(2).mapAF(tracker.callback)).to.eql([2, 4, 6, 8]);
+      expect(tracker.max).to.equal(2);
+    });
+    it('forEachAF', async () => {
+      const tracker = trackConcurrency();
+      expect(await AsyncAF(nums).limit(2).forEachAF(tracker.callback)).to.be.undefined;
+      expect(tracker.max).to.equal(2);
+    });
+    it('filterAF', async () => {
+      expect(await AsyncAF(nums).limit(2).filterAF(n => n % 2)).to.eql([1, 3]);
+    });
+    it('everyAF', async () => {
+      expect(await AsyncAF(nums).limit(2).everyAF(n => n < 5)).to.be.true;
+      expect(await AsyncAF(nums).limit(2).everyAF(n => n < 4)).to.be.false;
+    });
+    it('someAF', async () => {
+      expect(await AsyncAF(nums).limit(2).someAF(n => n > 3)).to.be.true;
+      expect(await AsyncAF(nums).limit(2).someAF(n => n > 4)).to.be.false;
+    });
+    it('findAF', async () => {
+      expect(await AsyncAF(nums).limit(2).findAF(n => n > 2)).to.equal(3);
+    });
+    it('findIndexAF', async () => {
+      expect(await AsyncAF(nums).limit(2).findIndexAF(n => n > 2)).to.equal(2);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('onProgress method', () => {
+  it('should return the same instance of AsyncAF', () => {
+    const aaf = AsyncAF([]);
+    expect(aaf.onProgress(() => {})).to.equal(aaf);
+  });
+
+  it('should throw TypeError when not passed a function', () => {
+    for (const value of [undefined, null, {}, 'fn'])
+      expect(() => AsyncAF([]).onProgress(value))
+        .to.throw(TypeError, `onProgress must be a function but was ${value}`);
+  });
+
+  it('should report each callback as it settles', async () => {
+    const reports = [];
+    await AsyncAF([300, 100, 200]).onProgress(report => reports.push(report))
+      .mapAF(ms => delay(ms).then(() => ms / 100));
+    expect(reports).to.eql([
+      {done: 1, total: 3, index: 1, value: 1},
+      {done: 2, total: 3, index: 2, value: 2},
+      {done: 3, total: 3, index: 0, value: 3},
+    ]);
+  });
+
+  it('should report progress before the method resolves in series', async () => {
+    const reports = [];
+    const done = AsyncAF([1, 2, 3]).onProgress(({done}) => reports.push(done))
+      .series.forEachAF(() => delay(100));
+    await delay(250);
+    expect(reports).to.eql([1, 2]);
+    await done;
+    expect(reports).to.eql([1, 2, 3]);
+  });
+
+  it('should report callbacks that fail with an error instead of a value', async () => {
+    const reports = [];
+    const error = Error('nope');
+    await AsyncAF([1, 2]).onProgress(report => reports.push(report)).settled.mapAF(n => {
+      if (n === 1) throw error;
+      return n;
+    });
+    expect(reports).to.eql([
+      {done: 1, total: 2, index: 0, error},
+      {done: 2, total: 2, index: 1, value: 2},
+    ]);
+  });
+
+  it('should leave holes out of the total for methods that skip them', async () => {
+    const totals = [];
+    await AsyncAF([1, , 2]).onProgress(({total}) => totals.push(total)).filterAF(Boolean);
+    await AsyncAF([1, , 2]).onProgress(({total}) => totals.push(total)).findAF(() => false);
+    expect(totals).to.eql([2, 2, 3, 3, 3]);
+  });
+
+  it('should only report once per element with retry', async () => {
+    const reports = [];
+    let calls = 0;
+    await AsyncAF([1]).onProgress(report => reports.push(report)).retry().mapAF(n => {
+      if (++calls < 3) throw Error();
+      return n;
+    });
+    expect(reports).to.eql([{done: 1, total: 1, index: 0, value: 1}]);
+  });
+
+  it('should apply to the next method invoked, not the entire chain', async () => {
+    let reports = 0;
+    await AsyncAF([1, 2]).onProgress(() => reports++).mapAF(n => n).mapAF(n => n);
+    expect(reports).to.equal(2);
+  });
+
+  context('should work with', () => {
+    const nums = [1, 2, 3];
+    const track = () => {
+      const reports = [];
+      return [reports, report => reports.push(report.index)];
+    };
+    it('mapAF', async () => {
+      const [reports, fn] = track();
+      await AsyncAF(nums).onProgress(fn).mapAF(n => n);
+      expect(reports).to.eql([0, 1, 2]);
+    });
+    it('forEachAF', async () => {
+      const [reports, fn] = track();
+      await AsyncAF(nums).onProgress(fn).io.forEachAF(n => n);
+      expect(reports).to.eql([0, 1, 2]);
+    });
+    it('filterAF', async () => {
+      const [reports, fn] = track();
+      await AsyncAF(nums).onProgress(fn).filterAF(n => n);
+      expect(reports).to.eql([0, 1, 2]);
+    });
+    it('reduceAF', async () => {
+      const reports = [];
+      await AsyncAF(nums).onProgress(report => reports.push(report)).reduceAF((a, b) => a + b);
+      expect(reports).to.eql([
+        {done: 1, total: 2, index: 1, value: 3},
+        {done: 2, total: 2, index: 2, value: 6},
+      ]);
+    });
+    it('everyAF', async () => {
+      const [reports, fn] = track();
+      await AsyncAF(nums).onProgress(fn).series.everyAF(n => n < 2);
+      expect(reports).to.eql([0, 1]);
+    });
+    it('someAF', async () => {
+      const [reports, fn] = track();
+      await AsyncAF(nums).onProgress(fn).someAF(n => n > 2);
+      expect(reports).to.eql([0, 1, 2]);
+    });
+    it('findAF', async () => {
+      const [reports, fn] = track();
+      await AsyncAF(nums).onProgress(fn).series.findAF(n => n > 1);
+      expect(reports).to.eql([0, 1]);
+    });
+    it('findIndexAF', async () => {
+      const [reports, fn] = track();
+      await AsyncAF(nums).onProgress(fn).findIndexAF(n => n > 1);
+      expect(reports).to.eql([0, 1, 2]);
+    });
+  });
+});
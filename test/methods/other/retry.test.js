@@ -0,0 +1,195 @@
+/* global AbortController */
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('retry method', () => {
+  // fails the first `failures` times it's called for each element
+  const flaky = (failures, calls = {}) => (n, i) => {
+    calls[i] = (calls[i] || 0) + 1;
+    if (calls[i] <= failures) throw Error(`failed ${n}`);
+    return n * 2;
+  };
+
+  it('should return the same instance of AsyncAF', () => {
+    const aaf = AsyncAF([]);
+    expect(aaf.retry()).to.equal(aaf);
+  });
+
+  it('should throw TypeError when passed invalid options', () => {
+    const invalid = [
+      [{attempts: 0}, 'retry\'s attempts option must be a positive integer but was 0'],
+      [{attempts: 1.5}, 'retry\'s attempts option must be a positive integer but was 1.5'],
+      [{backoff: -1}, 'retry\'s backoff option must be a non-negative Number or a function but was -1'],
+      [{jitter: 2}, 'retry\'s jitter option must be a Boolean or a Number from 0 to 1 but was 2'],
+      [{retryIf: true}, 'retry\'s retryIf option must be a function but was true'],
+    ];
+    for (const [options, message] of invalid)
+      expect(() => AsyncAF([]).retry(options)).to.throw(TypeError, message);
+  });
+
+  it('should re-invoke a failing callback for that element only', async () => {
+    const calls = {};
+    expect(await AsyncAF([1, 2, 3]).retry().mapAF((n, i) => {
+      calls[i] = (calls[i] || 0) + 1;
+      if (n === 2 && calls[i] < 3) throw Error('flaky');
+      return n * 2;
+    })).to.eql([2, 4, 6]);
+    expect(calls).to.eql({0: 1, 1: 3, 2: 1});
+  });
+
+  it('should default to 3 attempts and reject with the last error', async () => {
+    const calls = {};
+    await expect(AsyncAF([1]).retry().mapAF(flaky(3, calls)))
+      .to.eventually.be.rejectedWith('failed 1');
+    expect(calls[0]).to.equal(3);
+  });
+
+  it('should make at most the given number of attempts', async () => {
+    const calls = {};
+    expect(await AsyncAF([1, 2]).retry({attempts: 5}).mapAF(flaky(4, calls))).to.eql([2, 4]);
+    expect(calls).to.eql({0: 5, 1: 5});
+  });
+
+  it('should pass the attempt number to the callback after the signal slot', async () => {
+    const received = [];
+    await AsyncAF([1]).retry().mapAF((...args) => {
+      received.push(args.slice(3));
+      if (args[4] < 3) throw Error();
+    });
+    expect(received).to.eql([[undefined, 1], [undefined, 2], [undefined, 3]]);
+
+    const {signal} = new AbortController();
+    const withSignal = [];
+    await AsyncAF([1]).signal(signal).retry({attempts: 2}).forEachAF((...args) => {
+      withSignal.push(args.slice(3));
+      if (args[4] < 2) throw Error();
+    });
+    expect(withSignal).to.eql([[signal, 1], [signal, 2]]);
+  });
+
+  it('should wait with an exponential backoff between attempts', async () => {
+    const clock = sinon.useFakeTimers({shouldAdvanceTime: true});
+    const times = [];
+    await AsyncAF([1]).retry({attempts: 4, backoff: 100}).mapAF(() => {
+      times.push(Date.now());
+      if (times.length < 4) throw Error();
+    });
+    expect(times).to.eql([0, 100, 300, 700]);
+    clock.restore();
+  });
+
+  it('should accept a backoff function', async () => {
+    const clock = sinon.useFakeTimers({shouldAdvanceTime: true});
+    const times = [];
+    const backoff = sinon.spy(attempt => attempt * 100);
+    const error = Error();
+    await AsyncAF([1]).retry({backoff}).mapAF(() => {
+      times.push(Date.now());
+      if (times.length < 3) throw error;
+    });
+    expect(times).to.eql([0, 100, 300]);
+    expect(backoff.args).to.eql([[1, error], [2, error]]);
+    clock.restore();
+  });
+
+  it('should shorten waits randomly with jitter', async () => {
+    const clock = sinon.useFakeTimers({shouldAdvanceTime: true});
+    const random = sinon.stub(Math, 'random').returns(0.5);
+    const times = [];
+    await AsyncAF([1]).retry({backoff: 200, jitter: true}).mapAF(() => {
+      times.push(Date.now());
+      if (times.length < 3) throw Error();
+    });
+    expect(times).to.eql([0, 100, 300]);
+    random.restore();
+    clock.restore();
+  });
+
+  it('should only retry when retryIf returns (or resolves to) a truthy value', async () => {
+    const calls = {};
+    const retryIf = sinon.spy(async (e, attempt) => attempt < 2);
+    await expect(AsyncAF([1]).retry({attempts: 5, retryIf}).mapAF(flaky(Infinity, calls)))
+      .to.eventually.be.rejectedWith('failed 1');
+    expect(calls[0]).to.equal(2);
+    expect(retryIf.args.map(([e, attempt]) => [e.message, attempt]))
+      .to.eql([['failed 1', 1], ['failed 1', 2]]);
+  });
+
+  it('should compose with series', async () => {
+    const order = [];
+    const calls = {};
+    expect(await AsyncAF([1, 2, 3]).retry().series.mapAF((n, i) => {
+      order.push(n);
+      return flaky(1, calls)(n, i);
+    })).to.eql([2, 4, 6]);
+    expect(order).to.eql([1, 1, 2, 2, 3, 3]);
+  });
+
+  it('should compose with io and forEachAF', async () => {
+    const calls = {};
+    await AsyncAF([1, 2]).retry().io.forEachAF(flaky(2, calls));
+    expect(calls).to.eql({0: 3, 1: 3});
+  });
+
+  it('should retry attempts that time out with timeoutEach', async () => {
+    let calls = 0;
+    expect(await AsyncAF([1]).timeoutEach(20).retry().mapAF(n => {
+      calls++;
+      return calls < 2 ? new Promise(() => {}) : n;
+    })).to.eql([1]);
+    expect(calls).to.equal(2);
+  });
+
+  it('should stop retrying once the signal is aborted', async () => {
+    const controller = new AbortController();
+    let calls = 0;
+    await expect(AsyncAF([1]).signal(controller.signal).retry({backoff: 10}).mapAF(() => {
+      calls++;
+      controller.abort();
+      throw Error();
+    })).to.eventually.be.rejected.and.have.property('name', 'AbortError');
+    await delay(30);
+    expect(calls).to.equal(1);
+  });
+
+  it('should apply to the next method invoked, not the entire chain', async () => {
+    await expect(AsyncAF([1]).retry().mapAF(flaky(1)).mapAF(flaky(1)))
+      .to.eventually.be.rejectedWith('failed 2');
+  });
+
+  context('should work with', () => {
+    const nums = [1, 2];
+    it('filterAF', async () => {
+      expect(await AsyncAF(nums).retry().filterAF(flaky(1))).to.eql(nums);
+    });
+    it('everyAF', async () => {
+      expect(await AsyncAF(nums).retry().everyAF(flaky(2))).to.be.true;
+    });
+    it('someAF', async () => {
+      expect(await AsyncAF(nums).retry().someAF(flaky(2))).to.be.true;
+    });
+    it('findAF', async () => {
+      const test = flaky(1);
+      expect(await AsyncAF(nums).retry().findAF((n, i) => test(n, i) > 2)).to.equal(2);
+    });
+    it('findIndexAF', async () => {
+      const test = flaky(1);
+      expect(await AsyncAF(nums).retry().findIndexAF((n, i) => test(n, i) > 2)).to.equal(1);
+    });
+    it('reduceAF', async () => {
+      let calls = 0;
+      expect(await AsyncAF(nums).retry().reduceAF((acc, n, i, arr, signal, attempt) => {
+        calls++;
+        if (attempt < 2) throw Error();
+        return acc + n;
+      }, 0)).to.equal(3);
+      expect(calls).to.equal(4);
+    });
+  });
+});
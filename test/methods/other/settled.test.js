@@ -0,0 +1,185 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('settled modifier', () => {
+  const err = Error('nope');
+  const rejectLater = () => Promise.reject(err);
+
+  it('should return the same instance of AsyncAF', () => {
+    const aaf = AsyncAF([]);
+    expect(aaf.settled).to.equal(aaf);
+  });
+
+  context('with mapAF', () => {
+    it('should resolve to fulfilled records when nothing fails', async () => {
+      expect(await AsyncAF([1, 2]).settled.mapAF(n => n * 2)).to.eql([
+        {status: 'fulfilled', value: 2},
+        {status: 'fulfilled', value: 4},
+      ]);
+    });
+
+    it('should record rejected elements without invoking the callback for them', async () => {
+      const called = [];
+      expect(await AsyncAF([1, rejectLater(), 3]).settled.mapAF(n => {
+        called.push(n);
+        return n * 2;
+      })).to.eql([
+        {status: 'fulfilled', value: 2},
+        {status: 'rejected', reason: err},
+        {status: 'fulfilled', value: 6},
+      ]);
+      expect(called).to.eql([1, 3]);
+    });
+
+    it('should record callbacks that throw or reject', async () => {
+      expect(await AsyncAF([1, 2, 3]).settled.mapAF(async n => {
+        if (n === 1) throw err;
+        return n;
+      })).to.eql([
+        {status: 'rejected', reason: err},
+        {status: 'fulfilled', value: 2},
+        {status: 'fulfilled', value: 3},
+      ]);
+      expect(await AsyncAF([1]).settled.mapAF(() => { throw err; }))
+        .to.eql([{status: 'rejected', reason: err}]);
+    });
+
+    it('should pass rejected elements as undefined in the array argument', async () => {
+      expect(await AsyncAF([1, rejectLater()]).settled.mapAF((n, i, arr) => arr))
+        .to.eql([{status: 'fulfilled', value: [1, undefined]}, {status: 'rejected', reason: err}]);
+    });
+
+    it('should preserve holes in sparse arrays', async () => {
+      /* eslint-disable array-bracket-spacing */
+      let count = 0;
+      expect(await AsyncAF([, 1, , rejectLater(), , ]).settled.mapAF(n => {
+        count++;
+        return n;
+      })).to.eql([, {status: 'fulfilled', value: 1}, , {status: 'rejected', reason: err}, , ]);
+      expect(count).to.equal(1); /* eslint-enable */
+    });
+
+    it('should resolve an empty array', async () => {
+      expect(await AsyncAF([]).settled.mapAF(n => n)).to.eql([]);
+    });
+
+    it('should compose with series', async () => {
+      const clock = sinon.useFakeTimers({shouldAdvanceTime: true});
+      const order = [];
+      expect(await AsyncAF([3, 2, 1]).settled.series.mapAF(async n => {
+        await delay(n * 100);
+        order.push(n);
+        if (n === 2) throw err;
+        return n;
+      })).to.eql([
+        {status: 'fulfilled', value: 3},
+        {status: 'rejected', reason: err},
+        {status: 'fulfilled', value: 1},
+      ]);
+      expect(order).to.eql([3, 2, 1]);
+      expect(Date.now()).to.equal(600);
+      clock.restore();
+    });
+
+    it('should compose with limit', async () => {
+      let running = 0;
+      let max = 0;
+      const results = await AsyncAF([1, 2, 3, 4]).settled.limit(2).mapAF(async n => {
+        max = Math.max(max, ++running);
+        await delay(10);
+        running--;
+        if (n % 2) throw err;
+        return n;
+      });
+      expect(results.map(({status}) => status))
+        .to.eql(['rejected', 'fulfilled', 'rejected', 'fulfilled']);
+      expect(max).to.equal(2);
+    });
+
+    it('should compose with retry', async () => {
+      let calls = 0;
+      expect(await AsyncAF([1]).settled.retry({attempts: 2}).mapAF(() => {
+        calls++;
+        throw err;
+      })).to.eql([{status: 'rejected', reason: err}]);
+      expect(calls).to.equal(2);
+    });
+
+    it('should apply to the next method invoked, not the entire chain', async () => {
+      await expect(AsyncAF([1]).settled.mapAF(n => n).mapAF(() => { throw err; }))
+        .to.eventually.be.rejectedWith(err);
+    });
+  });
+
+  context('with forEachAF', () => {
+    it('should resolve to records of each callback\'s outcome', async () => {
+      expect(await AsyncAF([1, rejectLater(), 3]).settled.forEachAF(n => {
+        if (n === 3) throw err;
+      })).to.eql([
+        {status: 'fulfilled', value: undefined},
+        {status: 'rejected', reason: err},
+        {status: 'rejected', reason: err},
+      ]);
+    });
+
+    it('should compose with io', async () => {
+      const order = [];
+      const results = await AsyncAF([2, 1]).settled.io.forEachAF(async n => {
+        await delay(n * 10);
+        order.push(n);
+      });
+      expect(order).to.eql([2, 1]);
+      expect(results).to.have.lengthOf(2);
+    });
+  });
+
+  context('with filterAF', () => {
+    it('should keep records for elements that pass the test and for failures', async () => {
+      expect(await AsyncAF([1, rejectLater(), 3, 4, 5]).settled.filterAF(n => {
+        if (n === 4) throw err;
+        return n !== 3;
+      })).to.eql([
+        {status: 'fulfilled', value: 1},
+        {status: 'rejected', reason: err},
+        {status: 'rejected', reason: err},
+        {status: 'fulfilled', value: 5},
+      ]);
+    });
+
+    it('should skip holes in sparse arrays', async () => {
+      expect(await AsyncAF([1, , 2]).settled.filterAF(() => true)).to.eql([
+        {status: 'fulfilled', value: 1},
+        {status: 'fulfilled', value: 2},
+      ]);
+    });
+
+    it('should compose with series', async () => {
+      const order = [];
+      expect(await AsyncAF([2, 1]).settled.series.filterAF(async n => {
+        await delay(n * 10);
+        order.push(n);
+        if (n === 1) throw err;
+        return true;
+      })).to.eql([{status: 'fulfilled', value: 2}, {status: 'rejected', reason: err}]);
+      expect(order).to.eql([2, 1]);
+    });
+
+    it('should keep the keys and type of a Map or Set', async () => {
+      expect(await AsyncAF(new Map([['a', 1], ['b', 2], ['c', 3]])).settled.filterAF(n => {
+        if (n === 3) throw err;
+        return n > 1;
+      })).to.eql(new Map([
+        ['b', {status: 'fulfilled', value: 2}],
+        ['c', {status: 'rejected', reason: err}],
+      ]));
+      expect(await AsyncAF(new Set([1, 2])).settled.filterAF(n => n > 1))
+        .to.eql(new Set([{status: 'fulfilled', value: 2}]));
+    });
+  });
+});
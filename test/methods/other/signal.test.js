@@ -0,0 +1,200 @@
+/* global AbortController, AbortSignal */
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('signal method', () => {
+  it('should return the same instance of AsyncAF', () => {
+    const aaf = AsyncAF([]);
+    expect(aaf.signal(new AbortController().signal)).to.equal(aaf);
+  });
+
+  it('should throw TypeError when not passed an AbortSignal', () => {
+    for (const value of [undefined, null, {}, true, new AbortController()])
+      expect(() => AsyncAF([]).signal(value))
+        .to.throw(TypeError, `signal must be an AbortSignal but was ${value}`);
+  });
+
+  it('should not change the result of a chain that is never aborted', async () => {
+    const {signal} = new AbortController();
+    expect(await AsyncAF([1, 2, 3]).signal(signal).mapAF(n => n * 2).filterAF(n => n > 2))
+      .to.eql([4, 6]);
+  });
+
+  it('should reject with an AbortError when already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    let called = false;
+    await expect(AsyncAF([1, 2]).signal(controller.signal).mapAF(() => { called = true; }))
+      .to.eventually.be.rejected.and.have.property('name', 'AbortError');
+    expect(called).to.be.false;
+  });
+
+  it('should reject pending methods with an AbortError once aborted', async () => {
+    const controller = new AbortController();
+    const pending = AsyncAF([1, 2]).signal(controller.signal).mapAF(() => delay(1000));
+    setTimeout(() => controller.abort(), 10);
+    const start = Date.now();
+    await expect(pending).to.eventually.be.rejected.and.have.property('name', 'AbortError');
+    expect(Date.now() - start).to.be.below(500);
+  });
+
+  it('should reject with signal.reason when one is given', async () => {
+    const controller = new AbortController();
+    const reason = Error('stop');
+    controller.abort(reason);
+    await expect(AsyncAF([1]).signal(controller.signal).forEachAF(n => n))
+      .to.eventually.be.rejectedWith(reason);
+  });
+
+  it('should stop a serial loop from invoking further callbacks', async () => {
+    const controller = new AbortController();
+    const called = [];
+    await expect(AsyncAF([1, 2, 3, 4]).signal(controller.signal).series.forEachAF(n => {
+      called.push(n);
+      if (n === 2) controller.abort();
+    })).to.eventually.be.rejected.and.have.property('name', 'AbortError');
+    await delay(10);
+    expect(called).to.eql([1, 2]);
+  });
+
+  it('should stop recursive serial loops such as series.someAF', async () => {
+    const controller = new AbortController();
+    const called = [];
+    await expect(AsyncAF([1, 2, 3, 4]).signal(controller.signal).series.someAF(n => {
+      called.push(n);
+      if (n === 2) controller.abort();
+      return false;
+    })).to.eventually.be.rejected.and.have.property('name', 'AbortError');
+    await delay(10);
+    expect(called).to.eql([1, 2]);
+  });
+
+  it('should stop a limited method from starting further callbacks', async () => {
+    const controller = new AbortController();
+    const called = [];
+    await expect(AsyncAF([1, 2, 3, 4]).signal(controller.signal).limit(1).mapAF(async n => {
+      called.push(n);
+      if (n === 2) controller.abort();
+    })).to.eventually.be.rejected.and.have.property('name', 'AbortError');
+    await delay(10);
+    expect(called).to.eql([1, 2]);
+  });
+
+  it('should apply to every method after it in the chain', async () => {
+    const controller = new AbortController();
+    const called = [];
+    await expect(AsyncAF([1, 2]).signal(controller.signal).mapAF(n => {
+      controller.abort();
+      return n;
+    }).forEachAF(n => called.push(n)))
+      .to.eventually.be.rejected.and.have.property('name', 'AbortError');
+    expect(called).to.eql([]);
+  });
+
+  it('should allow an aborted chain to be recovered with catch', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    expect(await AsyncAF([1, 2]).signal(controller.signal).mapAF(n => n)
+      .catch(() => [3, 4])
+      .mapAF(n => n * 2)).to.eql([6, 8]);
+  });
+
+  it('should reject finally with an AbortError once aborted and still call onFinally', async () => {
+    const controller = new AbortController();
+    const calls = [];
+    const result = AsyncAF(new Promise(() => {})).signal(controller.signal)
+      .finally(() => calls.push('finally'));
+    setTimeout(() => controller.abort(), 20);
+    await expect(result).to.eventually.be.rejected.and.have.property('name', 'AbortError');
+    expect(calls).to.eql(['finally']);
+  });
+
+  context('should pass the signal to callbacks as an extra argument in', () => {
+    const {signal} = new AbortController();
+    const nums = [1, 2];
+    // methods that can settle early in parallel pass a signal linked to the one set
+    const isLinked = s => s instanceof AbortSignal && s !== signal && !s.aborted;
+    it('mapAF', async () => {
+      expect(await AsyncAF(nums).signal(signal).mapAF((n, i, arr, s) => s))
+        .to.eql([signal, signal]);
+      expect(await AsyncAF(nums).signal(signal).io.mapAF((n, i, arr, s) => s))
+        .to.eql([signal, signal]);
+    });
+    it('forEachAF', async () => {
+      const signals = [];
+      await AsyncAF(nums).signal(signal).forEachAF((n, i, arr, s) => signals.push(s));
+      await AsyncAF(nums).signal(signal).io.forEachAF((n, i, arr, s) => signals.push(s));
+      expect(signals).to.eql(Array(4).fill(signal));
+    });
+    it('filterAF', async () => {
+      expect(await AsyncAF(nums).signal(signal).filterAF((n, i, arr, s) => s === signal))
+        .to.eql(nums);
+      expect(await AsyncAF(nums).signal(signal).io.filterAF((n, i, arr, s) => s === signal))
+        .to.eql(nums);
+    });
+    it('everyAF', async () => {
+      expect(await AsyncAF(nums).signal(signal).everyAF((n, i, arr, s) => isLinked(s))).to.be.true;
+      expect(await AsyncAF(nums).signal(signal).io.everyAF((n, i, arr, s) => s === signal))
+        .to.be.true;
+    });
+    it('someAF', async () => {
+      expect(await AsyncAF(nums).signal(signal).someAF((n, i, arr, s) => isLinked(s))).to.be.true;
+      expect(await AsyncAF(nums).signal(signal).io.someAF((n, i, arr, s) => s === signal))
+        .to.be.true;
+    });
+    it('findAF', async () => {
+      expect(await AsyncAF(nums).signal(signal).findAF((n, i, arr, s) => isLinked(s))).to.equal(1);
+      expect(await AsyncAF(nums).signal(signal).io.findAF((n, i, arr, s) => s === signal))
+        .to.equal(1);
+    });
+    it('findIndexAF', async () => {
+      expect(await AsyncAF(nums).signal(signal).findIndexAF((n, i, arr, s) => isLinked(s)))
+        .to.equal(0);
+      expect(await AsyncAF(nums).signal(signal).io.findIndexAF((n, i, arr, s) => s === signal))
+        .to.equal(0);
+    });
+    it('findLastAF', async () => {
+      expect(await AsyncAF(nums).signal(signal).findLastAF((n, i, arr, s) => isLinked(s)))
+        .to.equal(2);
+      expect(await AsyncAF(nums).signal(signal).io.findLastAF((n, i, arr, s) => s === signal))
+        .to.equal(2);
+    });
+    it('findLastIndexAF', async () => {
+      expect(await AsyncAF(nums).signal(signal).findLastIndexAF((n, i, arr, s) => isLinked(s)))
+        .to.equal(1);
+      expect(await AsyncAF(nums).signal(signal).io.findLastIndexAF((...args) => args[3] === signal))
+        .to.equal(1);
+    });
+    it('reduceAF', async () => {
+      expect(await AsyncAF(nums).signal(signal).reduceAF(
+        (acc, n, i, arr, s) => acc && s === signal,
+        true,
+      )).to.be.true;
+    });
+  });
+
+  it('should abort signals linked by methods that settle early along with the signal set', async () => {
+    const controller = new AbortController();
+    const reason = Error('stop');
+    let linked;
+    await expect(AsyncAF([1]).signal(controller.signal).someAF((n, i, arr, s) => {
+      linked = s;
+      controller.abort(reason);
+    })).to.eventually.be.rejectedWith(reason);
+    expect(linked.aborted).to.be.true;
+    expect(linked.reason).to.equal(reason);
+  });
+
+  it('should keep thisArg when forwarding the signal', async () => {
+    const {signal} = new AbortController();
+    const thisArg = {n: 10};
+    expect(await AsyncAF([1, 2]).signal(signal).mapAF(function (n) {
+      return n + this.n;
+    }, thisArg)).to.eql([11, 12]);
+  });
+});
@@ -0,0 +1,118 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('timeout method', () => {
+  const neverSettles = () => new Promise(() => {});
+
+  it('should return the same instance of AsyncAF', () => {
+    const aaf = AsyncAF([]);
+    expect(aaf.timeout(10)).to.equal(aaf);
+  });
+
+  it('should throw TypeError when not passed a non-negative finite number', () => {
+    for (const value of [-1, NaN, Infinity, '10', undefined, null]) expect(() => AsyncAF([]).timeout(value))
+      .to.throw(TypeError, `timeout must be a non-negative finite number of milliseconds but was ${value}`);
+  });
+
+  it('should not change the result of a chain that settles in time', async () => {
+    expect(await AsyncAF([1, 2, 3]).timeout(1000).mapAF(n => n * 2).filterAF(n => n > 2))
+      .to.eql([4, 6]);
+  });
+
+  it('should reject with a TimeoutError when an element never settles', async () => {
+    const e = await AsyncAF([1, neverSettles()]).timeout(20).mapAF(n => n).catch(e => e);
+    expect(e).to.have.property('name', 'TimeoutError');
+    expect(e).to.have.property('message', 'AsyncAF timed out after 20 ms');
+  });
+
+  it('should reject with a TimeoutError when a callback never settles', async () => {
+    await expect(AsyncAF([1, 2]).timeout(20).forEachAF(neverSettles))
+      .to.eventually.be.rejected.and.have.property('name', 'TimeoutError');
+  });
+
+  it('should apply to every method after it in the chain', async () => {
+    await expect(AsyncAF([1, 2]).timeout(50).mapAF(n => delay(30).then(() => n))
+      .forEachAF(() => delay(30)))
+      .to.eventually.be.rejected.and.have.property('name', 'TimeoutError');
+  });
+
+  it('should reject finally with a TimeoutError and still call onFinally', async () => {
+    const calls = [];
+    await expect(AsyncAF(neverSettles()).timeout(20).finally(() => calls.push('finally')))
+      .to.eventually.be.rejected.and.have.property('name', 'TimeoutError');
+    expect(calls).to.eql(['finally']);
+  });
+
+  it('should allow a timed out chain to be recovered with catch', async () => {
+    expect(await AsyncAF([neverSettles()]).timeout(10).mapAF(n => n)
+      .catch(() => [1, 2])
+      .mapAF(n => delay(20).then(() => n * 2))).to.eql([2, 4]);
+  });
+});
+
+describe('timeoutEach method', () => {
+  const neverSettles = () => new Promise(() => {});
+
+  it('should return the same instance of AsyncAF', () => {
+    const aaf = AsyncAF([]);
+    expect(aaf.timeoutEach(10)).to.equal(aaf);
+  });
+
+  it('should throw TypeError when not passed a non-negative finite number', () => {
+    for (const value of [-1, NaN, Infinity, '10', undefined, null]) expect(() => AsyncAF([]).timeoutEach(value))
+      .to.throw(TypeError, `timeoutEach must be a non-negative finite number of milliseconds but was ${value}`);
+  });
+
+  it('should not change the result when every callback settles in time', async () => {
+    expect(await AsyncAF([1, 2, 3]).timeoutEach(1000).mapAF(n => delay(n).then(() => n * 2)))
+      .to.eql([2, 4, 6]);
+  });
+
+  it('should reject with a TimeoutError carrying the index and element', async () => {
+    const e = await AsyncAF([1, 2, 3]).timeoutEach(20)
+      .mapAF(n => (n === 2 ? neverSettles() : n))
+      .catch(e => e);
+    expect(e).to.have.property('name', 'TimeoutError');
+    expect(e).to.have.property('message', 'callback timed out after 20 ms at index 1');
+    expect(e).to.include({index: 1, element: 2});
+  });
+
+  it('should time each callback separately rather than the whole method', async () => {
+    expect(await AsyncAF([1, 2, 3]).timeoutEach(40).series.mapAF(n => delay(25).then(() => n)))
+      .to.eql([1, 2, 3]);
+  });
+
+  it('should apply to the next method invoked, not the entire chain', async () => {
+    expect(await AsyncAF([1]).timeoutEach(10).mapAF(n => n)
+      .mapAF(n => delay(20).then(() => n))).to.eql([1]);
+  });
+
+  it('should still reject with errors thrown by callbacks', async () => {
+    await expect(AsyncAF([1]).timeoutEach(100).mapAF(() => { throw Error('nope'); }))
+      .to.eventually.be.rejectedWith('nope');
+  });
+
+  context('should work with', () => {
+    const timesOut = async promise => expect(await promise.catch(e => e))
+      .to.have.property('name', 'TimeoutError');
+    it('mapAF', () => timesOut(AsyncAF([1]).timeoutEach(10).mapAF(neverSettles)));
+    it('series.mapAF', () => timesOut(AsyncAF([1]).timeoutEach(10).series.mapAF(neverSettles)));
+    it('forEachAF', () => timesOut(AsyncAF([1]).timeoutEach(10).forEachAF(neverSettles)));
+    it('filterAF', () => timesOut(AsyncAF([1]).timeoutEach(10).filterAF(neverSettles)));
+    it('everyAF', () => timesOut(AsyncAF([1]).timeoutEach(10).everyAF(neverSettles)));
+    it('someAF', () => timesOut(AsyncAF([1]).timeoutEach(10).someAF(neverSettles)));
+    it('findAF', () => timesOut(AsyncAF([1]).timeoutEach(10).findAF(neverSettles)));
+    it('findIndexAF', () => timesOut(AsyncAF([1]).timeoutEach(10).findIndexAF(neverSettles)));
+    it('reduceAF', async () => {
+      const e = await AsyncAF([1, 2, 3]).timeoutEach(10)
+        .reduceAF((acc, n) => (n === 3 ? neverSettles() : acc + n))
+        .catch(e => e);
+      expect(e).to.include({name: 'TimeoutError', index: 2, element: 3});
+    });
+  });
+});
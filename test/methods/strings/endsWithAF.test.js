@@ -0,0 +1,63 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('endsWithAF method', () => {
+  it('should have the same arity as native endsWith', () => {
+    expect(AsyncAF('').endsWithAF.length).to.equal(String.prototype.endsWith.length);
+    expect(AsyncAF('').endsWithAF.length).to.equal(1);
+  });
+
+  it('should be aliased as endsWith', () => {
+    expect(AsyncAF('').endsWith).to.equal(AsyncAF('').endsWithAF);
+  });
+
+  const tests = [
+    ['and resolve to true if it ends with the search string',
+      'splitAF', ['AF'],
+      true],
+    ['and resolve to false if it doesn\'t',
+      'splitAF', ['split'],
+      false],
+    ['and treat the given position as the end of the string',
+      'splitAF', ['split', 5],
+      true],
+    ['and resolve to true for an empty search string',
+      'splitAF', [''],
+      true],
+  ];
+
+  context('should work on a string', () => {
+    tests.forEach(([msg, str, args, expected]) => {
+      it(msg, async () => expect(await AsyncAF(str).endsWithAF(...args)).to.equal(expected));
+    });
+  });
+
+  context('should work on a promise that resolves to a string', () => {
+    tests.forEach(([msg, str, args, expected]) => {
+      it(msg, async () => expect(await AsyncAF(Promise.resolve(str)).endsWithAF(...args))
+        .to.equal(expected));
+    });
+  });
+
+  it('should reject with TypeError when called on invalid objects/null', () => {
+    [
+      [null, 'null'],
+      [undefined, 'undefined'],
+      [{}, '[object Object]'],
+      [true, 'true'],
+      [2, '2'],
+      [() => {}, 'function () {}'],
+      [NaN, 'NaN'],
+      [['a', 'b'], 'a,b'],
+    ].forEach(async ([obj, objToString]) => {
+      await expect(AsyncAF(obj).endsWithAF()).to.eventually.be.rejected.and.has.property(
+        'message',
+        `endsWithAF may be called on a string but was called on ${objToString}`,
+      );
+    });
+  });
+});
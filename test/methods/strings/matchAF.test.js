@@ -0,0 +1,65 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('matchAF method', () => {
+  it('should have the same arity as native match', () => {
+    expect(AsyncAF('').matchAF.length).to.equal(String.prototype.match.length);
+  });
+
+  it('should be aliased as match', () => {
+    expect(AsyncAF('').match).to.equal(AsyncAF('').matchAF);
+  });
+
+  const tests = [
+    ['and resolve to the first match with its groups for a non-global regex',
+      'id=1&id=22', [/id=(\d+)/]],
+    ['and resolve to every full match for a global regex',
+      'id=1&id=22', [/\d+/g]],
+    ['and convert a string to a regex',
+      'a.b', ['.']],
+    ['and resolve to null if there are no matches',
+      'splat', [/\d/]],
+  ];
+
+  context('should work like native match on a string', () => {
+    tests.forEach(([msg, str, args]) => {
+      it(msg, async () => expect(await AsyncAF(str).matchAF(...args))
+        .to.eql(str.match(...args)));
+    });
+  });
+
+  context('should work like native match on a promise that resolves to a string', () => {
+    tests.forEach(([msg, str, args]) => {
+      it(msg, async () => expect(await AsyncAF(Promise.resolve(str)).matchAF(...args))
+        .to.eql(str.match(...args)));
+    });
+  });
+
+  it('should include index and input on a non-global match', async () => {
+    const match = await AsyncAF('id=1&id=22').matchAF(/id=(\d+)/);
+    expect(match).to.have.property('index', 0);
+    expect(match).to.have.property('input', 'id=1&id=22');
+  });
+
+  it('should reject with TypeError when called on invalid objects/null', () => {
+    [
+      [null, 'null'],
+      [undefined, 'undefined'],
+      [{}, '[object Object]'],
+      [true, 'true'],
+      [2, '2'],
+      [() => {}, 'function () {}'],
+      [NaN, 'NaN'],
+      [['a', 'b'], 'a,b'],
+    ].forEach(async ([obj, objToString]) => {
+      await expect(AsyncAF(obj).matchAF(/a/)).to.eventually.be.rejected.and.has.property(
+        'message',
+        `matchAF may be called on a string but was called on ${objToString}`,
+      );
+    });
+  });
+});
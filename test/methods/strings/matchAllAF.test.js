@@ -0,0 +1,96 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('matchAllAF method', () => {
+  it('should have the same arity as native match', () => {
+    expect(AsyncAF('').matchAllAF.length).to.equal(String.prototype.match.length);
+  });
+
+  it('should be aliased as matchAll', () => {
+    expect(AsyncAF('').matchAll).to.equal(AsyncAF('').matchAllAF);
+  });
+
+  it('should resolve to an array of every match record', async () => {
+    const str = 'id=1&id=22';
+    const matches = await AsyncAF(Promise.resolve(str)).matchAllAF(/id=(\d+)/g);
+    expect(matches).to.be.an('array').with.lengthOf(2);
+    expect(matches.map(match => [...match])).to.eql([['id=1', '1'], ['id=22', '22']]);
+    expect(matches.map(({index, input}) => [index, input])).to.eql([[0, str], [5, str]]);
+  });
+
+  it('should match the records of native matchAll', async () => {
+    const str = 'x1y22z';
+    const pattern = /(\d)(\d)?/g;
+    expect(await AsyncAF(str).matchAllAF(pattern)).to.eql([...str.matchAll(pattern)]);
+  });
+
+  it('should include named groups and indices', async () => {
+    const withIndices = 'gd';
+    const [match] = await AsyncAF('v=42').matchAllAF(RegExp('v=(?<value>\\d+)', withIndices));
+    expect(match.groups).to.eql({value: '42'});
+    expect(match.indices).to.eql([[0, 4], [2, 4]]);
+  });
+
+  it('should allow the resulting array to be chained with other methods', async () => {
+    const load = id => delay(10).then(() => `item ${id}`);
+    expect(await AsyncAF(Promise.resolve('id=1&id=22')).matchAllAF(/id=(\d+)/g)
+      .mapAF(match => load(match[1]))).to.eql(['item 1', 'item 22']);
+  });
+
+  it('should convert a string to a global regex', async () => {
+    const matches = await AsyncAF('a1b2').matchAllAF('\\d');
+    expect(matches.map(([digit]) => digit)).to.eql(['1', '2']);
+  });
+
+  it('should resolve to an empty array if there are no matches', async () => {
+    expect(await AsyncAF('splat').matchAllAF(/\d/g)).to.eql([]);
+  });
+
+  it('should step over empty matches like native matchAll', async () => {
+    const str = 'a😀b';
+    for (const pattern of [/x*/g, /x*/gu]) expect(await AsyncAF(str).matchAllAF(pattern))
+      .to.eql([...str.matchAll(pattern)]);
+  });
+
+  it('should never split a surrogate pair when stepping over empty matches in unicode mode', async () => {
+    // built with RegExp so the u flag isn't transpiled away
+    const matches = await AsyncAF('😀').matchAllAF(RegExp('(?:)', 'gu'));
+    expect(matches.map(({index}) => index)).to.eql([0, 2]);
+  });
+
+  it('should start at the regex\'s lastIndex without changing it', async () => {
+    const pattern = /\d/g;
+    pattern.lastIndex = 2;
+    const matches = await AsyncAF('1234').matchAllAF(pattern);
+    expect(matches.map(([digit]) => digit)).to.eql(['3', '4']);
+    expect(pattern.lastIndex).to.equal(2);
+  });
+
+  it('should reject with TypeError when passed a non-global regex', async () => {
+    await expect(AsyncAF('a1').matchAllAF(/\d/)).to.eventually.be.rejected
+      .and.have.property('message', 'matchAllAF must be called with a global RegExp but was called with /\\d/');
+  });
+
+  it('should reject with TypeError when called on invalid objects/null', () => {
+    [
+      [null, 'null'],
+      [undefined, 'undefined'],
+      [{}, '[object Object]'],
+      [true, 'true'],
+      [2, '2'],
+      [() => {}, 'function () {}'],
+      [NaN, 'NaN'],
+      [['a', 'b'], 'a,b'],
+    ].forEach(async ([obj, objToString]) => {
+      await expect(AsyncAF(obj).matchAllAF(/a/g)).to.eventually.be.rejected.and.has.property(
+        'message',
+        `matchAllAF may be called on a string but was called on ${objToString}`,
+      );
+    });
+  });
+});
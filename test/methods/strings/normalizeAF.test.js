@@ -0,0 +1,67 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('normalizeAF method', () => {
+  it('should have the same arity as native normalize', () => {
+    expect(AsyncAF('').normalizeAF.length).to.equal(String.prototype.normalize.length);
+    expect(AsyncAF('').normalizeAF.length).to.equal(0);
+  });
+
+  it('should be aliased as normalize', () => {
+    expect(AsyncAF('').normalize).to.equal(AsyncAF('').normalizeAF);
+  });
+
+  const tests = [
+    ['and default to NFC',
+      '\u0041\u030A', [],
+      '\u00C5'],
+    ['and decompose with NFD',
+      '\u00C5', ['NFD'],
+      '\u0041\u030A'],
+    ['and compose compatibility characters with NFKC',
+      '\uFB01', ['NFKC'],
+      'fi'],
+    ['and decompose compatibility characters with NFKD',
+      '\u1E9B\u0323', ['NFKD'],
+      '\u0073\u0323\u0307'],
+  ];
+
+  context('should work on a string', () => {
+    tests.forEach(([msg, str, args, expected]) => {
+      it(msg, async () => expect(await AsyncAF(str).normalizeAF(...args)).to.equal(expected));
+    });
+  });
+
+  context('should work on a promise that resolves to a string', () => {
+    tests.forEach(([msg, str, args, expected]) => {
+      it(msg, async () => expect(await AsyncAF(Promise.resolve(str)).normalizeAF(...args))
+        .to.equal(expected));
+    });
+  });
+
+  it('should reject with RangeError when passed an invalid form', async () => {
+    await expect(AsyncAF('splat').normalizeAF('nope')).to.eventually.be.rejectedWith(RangeError);
+  });
+
+  it('should reject with TypeError when called on invalid objects/null', () => {
+    [
+      [null, 'null'],
+      [undefined, 'undefined'],
+      [{}, '[object Object]'],
+      [true, 'true'],
+      [2, '2'],
+      [() => {}, 'function () {}'],
+      [NaN, 'NaN'],
+      [['a', 'b'], 'a,b'],
+    ].forEach(async ([obj, objToString]) => {
+      await expect(AsyncAF(obj).normalizeAF()).to.eventually.be.rejected.and.has.property(
+        'message',
+        `normalizeAF may be called on a string but was called on ${objToString}`,
+      );
+    });
+  });
+});
@@ -0,0 +1,63 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('padEndAF method', () => {
+  it('should have the same arity as native padEnd', () => {
+    expect(AsyncAF('').padEndAF.length).to.equal(String.prototype.padEnd.length);
+    expect(AsyncAF('').padEndAF.length).to.equal(1);
+  });
+
+  it('should be aliased as padEnd', () => {
+    expect(AsyncAF('').padEnd).to.equal(AsyncAF('').padEndAF);
+  });
+
+  const tests = [
+    ['and pad with the given string',
+      'splat', [8, '!'],
+      'splat!!!'],
+    ['and pad with spaces if no string is given',
+      '7', [3],
+      '7  '],
+    ['and repeat and truncate the pad string to fit',
+      'af', [7, 'abc'],
+      'afabcab'],
+    ['and not pad if the target length isn\'t greater than the string\'s length',
+      'splat', [3, '-'],
+      'splat'],
+  ];
+
+  context('should work on a string', () => {
+    tests.forEach(([msg, str, args, expected]) => {
+      it(msg, async () => expect(await AsyncAF(str).padEndAF(...args)).to.equal(expected));
+    });
+  });
+
+  context('should work on a promise that resolves to a string', () => {
+    tests.forEach(([msg, str, args, expected]) => {
+      it(msg, async () => expect(await AsyncAF(Promise.resolve(str)).padEndAF(...args))
+        .to.equal(expected));
+    });
+  });
+
+  it('should reject with TypeError when called on invalid objects/null', () => {
+    [
+      [null, 'null'],
+      [undefined, 'undefined'],
+      [{}, '[object Object]'],
+      [true, 'true'],
+      [2, '2'],
+      [() => {}, 'function () {}'],
+      [NaN, 'NaN'],
+      [['a', 'b'], 'a,b'],
+    ].forEach(async ([obj, objToString]) => {
+      await expect(AsyncAF(obj).padEndAF()).to.eventually.be.rejected.and.has.property(
+        'message',
+        `padEndAF may be called on a string but was called on ${objToString}`,
+      );
+    });
+  });
+});
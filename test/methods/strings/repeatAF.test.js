@@ -0,0 +1,65 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('repeatAF method', () => {
+  it('should have the same arity as native repeat', () => {
+    expect(AsyncAF('').repeatAF.length).to.equal(String.prototype.repeat.length);
+    expect(AsyncAF('').repeatAF.length).to.equal(1);
+  });
+
+  it('should be aliased as repeat', () => {
+    expect(AsyncAF('').repeat).to.equal(AsyncAF('').repeatAF);
+  });
+
+  const tests = [
+    ['and repeat it the given number of times',
+      'af', [3],
+      'afafaf'],
+    ['and resolve to an empty string when the count is zero',
+      'af', [0],
+      ''],
+    ['and round the count down',
+      'af', [2.9],
+      'afaf'],
+  ];
+
+  context('should work on a string', () => {
+    tests.forEach(([msg, str, args, expected]) => {
+      it(msg, async () => expect(await AsyncAF(str).repeatAF(...args)).to.equal(expected));
+    });
+  });
+
+  context('should work on a promise that resolves to a string', () => {
+    tests.forEach(([msg, str, args, expected]) => {
+      it(msg, async () => expect(await AsyncAF(Promise.resolve(str)).repeatAF(...args))
+        .to.equal(expected));
+    });
+  });
+
+  it('should reject with RangeError when passed a negative or infinite count', async () => {
+    for (const count of [-1, Infinity])
+      await expect(AsyncAF('af').repeatAF(count)).to.eventually.be.rejectedWith(RangeError);
+  });
+
+  it('should reject with TypeError when called on invalid objects/null', () => {
+    [
+      [null, 'null'],
+      [undefined, 'undefined'],
+      [{}, '[object Object]'],
+      [true, 'true'],
+      [2, '2'],
+      [() => {}, 'function () {}'],
+      [NaN, 'NaN'],
+      [['a', 'b'], 'a,b'],
+    ].forEach(async ([obj, objToString]) => {
+      await expect(AsyncAF(obj).repeatAF()).to.eventually.be.rejected.and.has.property(
+        'message',
+        `repeatAF may be called on a string but was called on ${objToString}`,
+      );
+    });
+  });
+});
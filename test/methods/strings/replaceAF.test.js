@@ -0,0 +1,123 @@
+/* global AbortController */
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('replaceAF method', () => {
+  const values = {user: 'Ada', count: 3};
+  const lookup = key => delay(10).then(() => values[key]);
+
+  it('should have the same arity as native replace', () => {
+    expect(AsyncAF('').replaceAF.length).to.equal(String.prototype.replace.length);
+  });
+
+  it('should be aliased as replace', () => {
+    expect(AsyncAF('').replace).to.equal(AsyncAF('').replaceAF);
+  });
+
+  it('should replace every match of a global regex with the result of an async replacer', async () => {
+    const template = Promise.resolve('Hi {{user}}, you have {{count}} messages');
+    expect(await AsyncAF(template).replaceAF(/{{(\w+)}}/g, (match, key) => lookup(key)))
+      .to.equal('Hi Ada, you have 3 messages');
+  });
+
+  it('should only replace the first match of a string or non-global regex', async () => {
+    expect(await AsyncAF('a-b-c').replaceAF('-', async () => '+')).to.equal('a+b-c');
+    expect(await AsyncAF('a-b-c').replaceAF(/-/, async () => '+')).to.equal('a+b-c');
+  });
+
+  it('should pass the replacer the same arguments as native replace', async () => {
+    const str = 'x1y22';
+    const pattern = /(\d)(\d)?/g;
+    const native = [];
+    const received = [];
+    str.replace(pattern, (...args) => native.push(args));
+    await AsyncAF(str).replaceAF(pattern, (...args) => received.push(args));
+    expect(received).to.eql(native);
+  });
+
+  it('should pass named capturing groups to the replacer', async () => {
+    expect(await AsyncAF('2018-11-12').replaceAF(
+      RegExp('(?<year>\\d{4})-(?<month>\\d{2})-(?<day>\\d{2})'),
+      async (...args) => {
+        const {year, month, day} = args[args.length - 1];
+        return `${month}/${day}/${year}`;
+      },
+    )).to.equal('11/12/2018');
+  });
+
+  it('should splice results back in order even if they resolve out of order', async () => {
+    expect(await AsyncAF('3 2 1').replaceAF(/\d/g, n => delay(n * 10).then(() => n * 2)))
+      .to.equal('6 4 2');
+  });
+
+  it('should call the replacer for every match in parallel', async () => {
+    const clock = sinon.useFakeTimers({shouldAdvanceTime: true});
+    const start = Date.now();
+    await AsyncAF('a b c').replaceAF(/\w/g, () => delay(100));
+    expect(Date.now() - start).to.be.below(200);
+    clock.restore();
+  });
+
+  it('should handle empty matches like native replace', async () => {
+    expect(await AsyncAF('abc').replaceAF(/x*/g, async () => '-')).to.equal('abc'.replace(/x*/g, '-'));
+  });
+
+  it('should resolve to the same string if there are no matches', async () => {
+    const replacer = sinon.spy();
+    expect(await AsyncAF('splat').replaceAF(/\d/g, replacer)).to.equal('splat');
+    expect(replacer.called).to.be.false;
+  });
+
+  it('should leave a string replacement to native replace', async () => {
+    expect(await AsyncAF('John Smith').replaceAF(/(\w+)\s(\w+)/, '$2, $1')).to.equal('Smith, John');
+    expect(await AsyncAF(Promise.resolve('a-b')).replaceAF('-', '$&$&')).to.equal('a--b');
+  });
+
+  it('should pass the signal to the replacer after the native arguments', async () => {
+    const {signal} = new AbortController();
+    const received = [];
+    await AsyncAF('ab').signal(signal).replaceAF(/b/, (...args) => received.push(args));
+    expect(received).to.eql([['b', 1, 'ab', signal]]);
+  });
+
+  it('should respect limit', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    expect(await AsyncAF('abcd').limit(2).replaceAF(/\w/g, async c => {
+      maxRunning = Math.max(maxRunning, ++running);
+      await delay(10);
+      running--;
+      return c.toUpperCase();
+    })).to.equal('ABCD');
+    expect(maxRunning).to.equal(2);
+  });
+
+  it('should reject with the error thrown or rejected by the replacer', async () => {
+    await expect(AsyncAF('abc').replaceAF(/b/, () => Promise.reject(Error('nope'))))
+      .to.eventually.be.rejectedWith('nope');
+  });
+
+  it('should reject with TypeError when called on invalid objects/null', () => {
+    [
+      [null, 'null'],
+      [undefined, 'undefined'],
+      [{}, '[object Object]'],
+      [true, 'true'],
+      [2, '2'],
+      [() => {}, 'function () {}'],
+      [NaN, 'NaN'],
+      [['a', 'b'], 'a,b'],
+    ].forEach(async ([obj, objToString]) => {
+      await expect(AsyncAF(obj).replaceAF('a', () => 'b')).to.eventually.be.rejected.and.has.property(
+        'message',
+        `replaceAF may be called on a string but was called on ${objToString}`,
+      );
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('replaceAllAF method', () => {
+  it('should have the same arity as native replace', () => {
+    expect(AsyncAF('').replaceAllAF.length).to.equal(String.prototype.replace.length);
+  });
+
+  it('should be aliased as replaceAll', () => {
+    expect(AsyncAF('').replaceAll).to.equal(AsyncAF('').replaceAllAF);
+  });
+
+  it('should replace every occurrence of a string with the result of an async replacer', async () => {
+    const letter = Promise.resolve('Dear {{name}}, thanks {{name}}!');
+    expect(await AsyncAF(letter).replaceAllAF('{{name}}', () => delay(10).then(() => 'Ada')))
+      .to.equal('Dear Ada, thanks Ada!');
+  });
+
+  it('should treat a string pattern literally rather than as a regex', async () => {
+    expect(await AsyncAF('a.b.c').replaceAllAF('.', async () => '+')).to.equal('a+b+c');
+    expect(await AsyncAF('$1 costs $1').replaceAllAF('$1', async () => '$2')).to.equal('$2 costs $2');
+  });
+
+  it('should pass the replacer the match, offset, and whole string for a string pattern', async () => {
+    const received = [];
+    await AsyncAF('a-b-c').replaceAllAF('-', (...args) => received.push(args));
+    expect(received).to.eql([['-', 1, 'a-b-c'], ['-', 3, 'a-b-c']]);
+  });
+
+  it('should replace every match of a global regex', async () => {
+    expect(await AsyncAF('3 2 1').replaceAllAF(/\d/g, n => delay(n * 10).then(() => n * 2)))
+      .to.equal('6 4 2');
+  });
+
+  it('should replace between every character when passed an empty string', async () => {
+    expect(await AsyncAF('abc').replaceAllAF('', async () => '-')).to.equal('-a-b-c-');
+  });
+
+  it('should leave a string replacement to native replace', async () => {
+    expect(await AsyncAF('a-b-c').replaceAllAF('-', '+')).to.equal('a+b+c');
+    expect(await AsyncAF('a.b').replaceAllAF('.', '[$&]')).to.equal('a[.]b');
+    expect(await AsyncAF('x1y2').replaceAllAF(/(\d)/g, '<$1>')).to.equal('x<1>y<2>');
+  });
+
+  it('should reject with TypeError when passed a non-global regex', async () => {
+    await expect(AsyncAF('a-b').replaceAllAF(/-/, () => '+')).to.eventually.be.rejected
+      .and.have.property('message', 'replaceAllAF must be called with a global RegExp but was called with /-/');
+  });
+
+  it('should reject with TypeError when called on invalid objects/null', () => {
+    [
+      [null, 'null'],
+      [undefined, 'undefined'],
+      [{}, '[object Object]'],
+      [true, 'true'],
+      [2, '2'],
+      [() => {}, 'function () {}'],
+      [NaN, 'NaN'],
+      [['a', 'b'], 'a,b'],
+    ].forEach(async ([obj, objToString]) => {
+      await expect(AsyncAF(obj).replaceAllAF('a', () => 'b')).to.eventually.be.rejected.and.has.property(
+        'message',
+        `replaceAllAF may be called on a string but was called on ${objToString}`,
+      );
+    });
+  });
+});
@@ -0,0 +1,28 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import delay from 'delay';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('series.replaceAF method', () => {
+  it('should replace like replaceAF', async () => {
+    expect(await AsyncAF(Promise.resolve('3 2 1')).series.replaceAF(/\d/g, async n => n * 2))
+      .to.equal('6 4 2');
+    expect(await AsyncAF('a-b').io.replaceAF('-', '+')).to.equal('a+b');
+  });
+
+  it('should call the replacer for each match in series', async () => {
+    const clock = sinon.useFakeTimers({shouldAdvanceTime: true});
+    const nums = [];
+    expect(await AsyncAF('3 2 1').series.replaceAF(/\d/g, async n => {
+      await delay(n * 100);
+      nums.push(n);
+      return n * 2;
+    })).to.equal('6 4 2');
+    expect(nums).to.eql(['3', '2', '1']);
+    clock.restore();
+  });
+});
@@ -0,0 +1,63 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('startsWithAF method', () => {
+  it('should have the same arity as native startsWith', () => {
+    expect(AsyncAF('').startsWithAF.length).to.equal(String.prototype.startsWith.length);
+    expect(AsyncAF('').startsWithAF.length).to.equal(1);
+  });
+
+  it('should be aliased as startsWith', () => {
+    expect(AsyncAF('').startsWith).to.equal(AsyncAF('').startsWithAF);
+  });
+
+  const tests = [
+    ['and resolve to true if it starts with the search string',
+      'splitAF', ['split'],
+      true],
+    ['and resolve to false if it doesn\'t',
+      'splitAF', ['AF'],
+      false],
+    ['and start searching at the given position',
+      'splitAF', ['AF', 5],
+      true],
+    ['and resolve to true for an empty search string',
+      'splitAF', [''],
+      true],
+  ];
+
+  context('should work on a string', () => {
+    tests.forEach(([msg, str, args, expected]) => {
+      it(msg, async () => expect(await AsyncAF(str).startsWithAF(...args)).to.equal(expected));
+    });
+  });
+
+  context('should work on a promise that resolves to a string', () => {
+    tests.forEach(([msg, str, args, expected]) => {
+      it(msg, async () => expect(await AsyncAF(Promise.resolve(str)).startsWithAF(...args))
+        .to.equal(expected));
+    });
+  });
+
+  it('should reject with TypeError when called on invalid objects/null', () => {
+    [
+      [null, 'null'],
+      [undefined, 'undefined'],
+      [{}, '[object Object]'],
+      [true, 'true'],
+      [2, '2'],
+      [() => {}, 'function () {}'],
+      [NaN, 'NaN'],
+      [['a', 'b'], 'a,b'],
+    ].forEach(async ([obj, objToString]) => {
+      await expect(AsyncAF(obj).startsWithAF()).to.eventually.be.rejected.and.has.property(
+        'message',
+        `startsWithAF may be called on a string but was called on ${objToString}`,
+      );
+    });
+  });
+});
@@ -0,0 +1,60 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('toLowerCaseAF method', () => {
+  it('should have the same arity as native toLowerCase', () => {
+    expect(AsyncAF('').toLowerCaseAF.length).to.equal(String.prototype.toLowerCase.length);
+    expect(AsyncAF('').toLowerCaseAF.length).to.equal(0);
+  });
+
+  it('should be aliased as toLowerCase', () => {
+    expect(AsyncAF('').toLowerCase).to.equal(AsyncAF('').toLowerCaseAF);
+  });
+
+  const tests = [
+    ['and convert it to lower case',
+      'SPLAT', [],
+      'splat'],
+    ['and leave non-letters alone',
+      'Split 2 AF!', [],
+      'split 2 af!'],
+    ['and convert non-ASCII letters',
+      'ÀÉÎ', [],
+      'àéî'],
+  ];
+
+  context('should work on a string', () => {
+    tests.forEach(([msg, str, args, expected]) => {
+      it(msg, async () => expect(await AsyncAF(str).toLowerCaseAF(...args)).to.equal(expected));
+    });
+  });
+
+  context('should work on a promise that resolves to a string', () => {
+    tests.forEach(([msg, str, args, expected]) => {
+      it(msg, async () => expect(await AsyncAF(Promise.resolve(str)).toLowerCaseAF(...args))
+        .to.equal(expected));
+    });
+  });
+
+  it('should reject with TypeError when called on invalid objects/null', () => {
+    [
+      [null, 'null'],
+      [undefined, 'undefined'],
+      [{}, '[object Object]'],
+      [true, 'true'],
+      [2, '2'],
+      [() => {}, 'function () {}'],
+      [NaN, 'NaN'],
+      [['a', 'b'], 'a,b'],
+    ].forEach(async ([obj, objToString]) => {
+      await expect(AsyncAF(obj).toLowerCaseAF()).to.eventually.be.rejected.and.has.property(
+        'message',
+        `toLowerCaseAF may be called on a string but was called on ${objToString}`,
+      );
+    });
+  });
+});
@@ -0,0 +1,60 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('toUpperCaseAF method', () => {
+  it('should have the same arity as native toUpperCase', () => {
+    expect(AsyncAF('').toUpperCaseAF.length).to.equal(String.prototype.toUpperCase.length);
+    expect(AsyncAF('').toUpperCaseAF.length).to.equal(0);
+  });
+
+  it('should be aliased as toUpperCase', () => {
+    expect(AsyncAF('').toUpperCase).to.equal(AsyncAF('').toUpperCaseAF);
+  });
+
+  const tests = [
+    ['and convert it to upper case',
+      'splat', [],
+      'SPLAT'],
+    ['and leave non-letters alone',
+      'split 2 AF!', [],
+      'SPLIT 2 AF!'],
+    ['and convert non-ASCII letters',
+      'straße', [],
+      'STRASSE'],
+  ];
+
+  context('should work on a string', () => {
+    tests.forEach(([msg, str, args, expected]) => {
+      it(msg, async () => expect(await AsyncAF(str).toUpperCaseAF(...args)).to.equal(expected));
+    });
+  });
+
+  context('should work on a promise that resolves to a string', () => {
+    tests.forEach(([msg, str, args, expected]) => {
+      it(msg, async () => expect(await AsyncAF(Promise.resolve(str)).toUpperCaseAF(...args))
+        .to.equal(expected));
+    });
+  });
+
+  it('should reject with TypeError when called on invalid objects/null', () => {
+    [
+      [null, 'null'],
+      [undefined, 'undefined'],
+      [{}, '[object Object]'],
+      [true, 'true'],
+      [2, '2'],
+      [() => {}, 'function () {}'],
+      [NaN, 'NaN'],
+      [['a', 'b'], 'a,b'],
+    ].forEach(async ([obj, objToString]) => {
+      await expect(AsyncAF(obj).toUpperCaseAF()).to.eventually.be.rejected.and.has.property(
+        'message',
+        `toUpperCaseAF may be called on a string but was called on ${objToString}`,
+      );
+    });
+  });
+});
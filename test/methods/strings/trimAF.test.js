@@ -0,0 +1,63 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('trimAF method', () => {
+  it('should have the same arity as native trim', () => {
+    expect(AsyncAF('').trimAF.length).to.equal(String.prototype.trim.length);
+    expect(AsyncAF('').trimAF.length).to.equal(0);
+  });
+
+  it('should be aliased as trim', () => {
+    expect(AsyncAF('').trim).to.equal(AsyncAF('').trimAF);
+  });
+
+  const tests = [
+    ['and remove whitespace from both ends',
+      '  splat  ', [],
+      'splat'],
+    ['and remove tabs and line terminators',
+      '\t\nsplat\r\n', [],
+      'splat'],
+    ['and leave inner whitespace alone',
+      ' s p l a t ', [],
+      's p l a t'],
+    ['and resolve to the same string if there\'s no whitespace to remove',
+      'splat', [],
+      'splat'],
+  ];
+
+  context('should work on a string', () => {
+    tests.forEach(([msg, str, args, expected]) => {
+      it(msg, async () => expect(await AsyncAF(str).trimAF(...args)).to.equal(expected));
+    });
+  });
+
+  context('should work on a promise that resolves to a string', () => {
+    tests.forEach(([msg, str, args, expected]) => {
+      it(msg, async () => expect(await AsyncAF(Promise.resolve(str)).trimAF(...args))
+        .to.equal(expected));
+    });
+  });
+
+  it('should reject with TypeError when called on invalid objects/null', () => {
+    [
+      [null, 'null'],
+      [undefined, 'undefined'],
+      [{}, '[object Object]'],
+      [true, 'true'],
+      [2, '2'],
+      [() => {}, 'function () {}'],
+      [NaN, 'NaN'],
+      [['a', 'b'], 'a,b'],
+    ].forEach(async ([obj, objToString]) => {
+      await expect(AsyncAF(obj).trimAF()).to.eventually.be.rejected.and.has.property(
+        'message',
+        `trimAF may be called on a string but was called on ${objToString}`,
+      );
+    });
+  });
+});
@@ -0,0 +1,60 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('trimEndAF method', () => {
+  it('should have the same arity as native trimEnd', () => {
+    expect(AsyncAF('').trimEndAF.length).to.equal(String.prototype.trimEnd.length);
+    expect(AsyncAF('').trimEndAF.length).to.equal(0);
+  });
+
+  it('should be aliased as trimEnd', () => {
+    expect(AsyncAF('').trimEnd).to.equal(AsyncAF('').trimEndAF);
+  });
+
+  const tests = [
+    ['and remove whitespace from the end only',
+      '  splat  ', [],
+      '  splat'],
+    ['and remove tabs and line terminators',
+      'splat\r\n\t', [],
+      'splat'],
+    ['and resolve to an empty string if it\'s all whitespace',
+      '   ', [],
+      ''],
+  ];
+
+  context('should work on a string', () => {
+    tests.forEach(([msg, str, args, expected]) => {
+      it(msg, async () => expect(await AsyncAF(str).trimEndAF(...args)).to.equal(expected));
+    });
+  });
+
+  context('should work on a promise that resolves to a string', () => {
+    tests.forEach(([msg, str, args, expected]) => {
+      it(msg, async () => expect(await AsyncAF(Promise.resolve(str)).trimEndAF(...args))
+        .to.equal(expected));
+    });
+  });
+
+  it('should reject with TypeError when called on invalid objects/null', () => {
+    [
+      [null, 'null'],
+      [undefined, 'undefined'],
+      [{}, '[object Object]'],
+      [true, 'true'],
+      [2, '2'],
+      [() => {}, 'function () {}'],
+      [NaN, 'NaN'],
+      [['a', 'b'], 'a,b'],
+    ].forEach(async ([obj, objToString]) => {
+      await expect(AsyncAF(obj).trimEndAF()).to.eventually.be.rejected.and.has.property(
+        'message',
+        `trimEndAF may be called on a string but was called on ${objToString}`,
+      );
+    });
+  });
+});
@@ -0,0 +1,60 @@
+import chai, {expect} from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import AsyncAF from '../../../dist/async-af';
+
+chai.use(chaiAsPromised);
+
+describe('trimStartAF method', () => {
+  it('should have the same arity as native trimStart', () => {
+    expect(AsyncAF('').trimStartAF.length).to.equal(String.prototype.trimStart.length);
+    expect(AsyncAF('').trimStartAF.length).to.equal(0);
+  });
+
+  it('should be aliased as trimStart', () => {
+    expect(AsyncAF('').trimStart).to.equal(AsyncAF('').trimStartAF);
+  });
+
+  const tests = [
+    ['and remove whitespace from the beginning only',
+      '  splat  ', [],
+      'splat  '],
+    ['and remove tabs and line terminators',
+      '\t\nsplat', [],
+      'splat'],
+    ['and resolve to an empty string if it\'s all whitespace',
+      '   ', [],
+      ''],
+  ];
+
+  context('should work on a string', () => {
+    tests.forEach(([msg, str, args, expected]) => {
+      it(msg, async () => expect(await AsyncAF(str).trimStartAF(...args)).to.equal(expected));
+    });
+  });
+
+  context('should work on a promise that resolves to a string', () => {
+    tests.forEach(([msg, str, args, expected]) => {
+      it(msg, async () => expect(await AsyncAF(Promise.resolve(str)).trimStartAF(...args))
+        .to.equal(expected));
+    });
+  });
+
+  it('should reject with TypeError when called on invalid objects/null', () => {
+    [
+      [null, 'null'],
+      [undefined, 'undefined'],
+      [{}, '[object Object]'],
+      [true, 'true'],
+      [2, '2'],
+      [() => {}, 'function () {}'],
+      [NaN, 'NaN'],
+      [['a', 'b'], 'a,b'],
+    ].forEach(async ([obj, objToString]) => {
+      await expect(AsyncAF(obj).trimStartAF()).to.eventually.be.rejected.and.has.property(
+        'message',
+        `trimStartAF may be called on a string but was called on ${objToString}`,
+      );
+    });
+  });
+});